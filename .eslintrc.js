@@ -0,0 +1,24 @@
+// .eslintrc.js
+// Lint rules for the library, evaluation harness, scripts and tests
+
+module.exports = {
+    root: true,
+    env: {
+        node: true,
+        es2022: true
+    },
+    parserOptions: {
+        ecmaVersion: 2022,
+        sourceType: 'script'
+    },
+    extends: 'eslint:recommended',
+    rules: {
+        'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }]
+    },
+    overrides: [
+        {
+            files: ['tests/**/*.js'],
+            env: { jest: true }
+        }
+    ]
+};
@@ -31,13 +31,29 @@ module.exports = {
         aiDecisionsDLQ: 'rosetta-ai-decisions-dlq'
     },
     
+    // Event Bus: 'memory' (in-process), 'sqs' (ElasticMQ/SQS) or 'eventbridge'
+    events: {
+        eventBusType: 'sqs',
+        eventQueueName: 'rosetta-events',
+        eventBusName: 'default',
+        eventSource: 'rosetta.trace-collector'
+    },
+    
+    // Storage backend: 'dynamodb' (LocalStack/AWS), 'memory' or 'file'
+    // (one JSON file per table under storageDir, for fully offline runs)
+    storage: {
+        storageType: 'dynamodb',
+        storageDir: './data/store'
+    },
+    
     // DynamoDB Table Names
     tables: {
         executionTraces: 'RosettaExecutionTraces',
         minedPatterns: 'RosettaMinedPatterns',
         synthesizedWorkflows: 'RosettaSynthesizedWorkflows',
         thompsonSampling: 'RosettaThompsonSampling',
-        workflowState: 'RosettaWorkflowState'
+        workflowState: 'RosettaWorkflowState',
+        workflowReviews: 'RosettaWorkflowReviews'
     },
     
     // Pattern Mining Configuration
@@ -46,14 +62,50 @@ module.exports = {
         alignmentThreshold: 0.7,
         consensusThreshold: 0.8,
         confidenceThreshold: 0.75,
-        miningInterval: 3600000 // 1 hour in ms
+        miningInterval: 3600000, // 1 hour in ms
+        
+        // Guard condition learning
+        minGuardAccuracy: 0.8,   // leave-one-out accuracy a guard must reach
+        minGuardSupport: 2,      // traces that must satisfy the guard and take the branch
+        maxGuardDepth: 2,        // depth of the induced decision tree
+        
+        // Loop and retry learning
+        maxLoopBodyLength: 3,    // longest repeated sub-sequence considered a loop body
+        minLoopSupport: 2,       // traces in which the body must repeat
+        loopBoundSlack: 1.5,     // maxIterations = ceil(max observed iterations * slack)
+        retryBackoffMs: 500,     // base of the exponential retry backoff
+        
+        // Query clustering: pool traces of paraphrased queries
+        enableQueryClustering: true,
+        clusterSimilarityThreshold: 0.5,  // average-linkage similarity needed to merge
+        clusterQueryWeight: 0.5,          // query text vs. executed tasks
+        maxTracesPerPattern: 10
     },
     
     // Workflow Synthesis Configuration
     workflowSynthesis: {
         confidenceThreshold: 0.75,
         maxWorkflowComplexity: 20,
-        enableAutoDeployment: true
+        enableAutoDeployment: true,        // false: every synthesized workflow waits for review
+        reviewDomains: ['healthcare', 'financial'], // domains whose workflows always wait for review
+        unregisteredActionPolicy: 'flag',  // 'flag' or 'reject' tasks without a registered action
+        contractViolationAction: 'fallback', // 'fallback' to the LLM or 'reject' runs that break a contract
+        inferEnums: false,                 // restrict categorical input fields to the values seen in traces
+        enumMinSamples: 30,                // samples of a field needed before it gets an enum
+        enumMaxValues: 5,                  // most distinct values an enum field may have
+        enableShadowRollout: true,         // run new workflows beside the LLM path before promotion
+        shadowRequests: 20,                // shadow runs before a promote/reject decision
+        shadowAgreementThreshold: 0.9,     // share of agreeing runs needed for promotion
+        shadowFieldAgreement: 0.8          // share of matching output fields for a run to agree
+    },
+    
+    // Drift Monitoring of deployed workflows
+    driftMonitoring: {
+        driftReferenceSize: 50,            // first executions after deployment, the baseline
+        driftWindowSize: 50,               // latest executions compared against the baseline
+        driftCheckInterval: 10,            // executions between checks
+        driftSignificance: 0.01,           // p-value below which a test flags drift
+        driftContractViolationRate: 0.2    // share of inputs breaking the input contract
     },
     
     // Thompson Sampling Configuration
@@ -63,7 +115,21 @@ module.exports = {
             synthesized: { alpha: 1, beta: 1 },
             llm: { alpha: 1, beta: 1 }
         },
-        explorationRate: 0.1
+        explorationRate: 0.1,
+        
+        // 'beta' (per query pattern) or 'contextual' (linear Thompson sampling)
+        mode: 'beta',
+        ridgeLambda: 1,      // prior precision of the linear model
+        noiseScale: 0.5,     // posterior spread of the sampled weights
+        domainBuckets: 4,    // hashed one-hot buckets for the domain feature
+        modelWriteAttempts: 5, // re-reads of the shared model when a concurrent update saved first
+        
+        // Multi-objective reward: failures earn 0, successes earn the success
+        // weight plus latency/cost credit that decays beyond the SLO
+        reward: {
+            weights: { success: 0.6, latency: 0.2, cost: 0.2 },
+            slo: { latencyMs: 1000, cost: 0.01 }
+        }
     },
     
     // Execution Timeouts
@@ -78,7 +144,46 @@ module.exports = {
         model: 'gpt-4',
         temperature: 0.7,
         maxTokens: 1000,
-        mockMode: true  // Use mock responses for local testing
+        mockMode: true,  // Replay domain template plans; false calls an OpenAI-compatible API (OPENAI_API_KEY)
+        promptOverheadTokens: 500  // Mock only: system prompt and tool descriptions counted per request
+    },
+    
+    // Pricing catalogue (USD) for cost accounting in traces, baselines and evaluation
+    pricing: {
+        defaultModel: 'gpt-4',
+        models: {
+            'gpt-4': { inputPer1K: 0.03, outputPer1K: 0.06 },
+            'gpt-4-turbo': { inputPer1K: 0.01, outputPer1K: 0.03 },
+            'gpt-4o': { inputPer1K: 0.005, outputPer1K: 0.015 },
+            'gpt-3.5-turbo': { inputPer1K: 0.0005, outputPer1K: 0.0015 }
+        },
+        lambdaInvocation: 0.0000002,
+        deterministicTask: 0.0001,
+        routeCosts: { deterministic: 0.0001, synthesized: 0.0002, cached: 0.0001 },  // flat per-query cost in the evaluation
+        estimatedCallTokens: { prompt: 500, completion: 200 }  // for LLM calls recorded without token usage
+    },
+    
+    // LLM budgets enforced by the router per tenant (context.tenantId) and domain
+    budgets: {
+        exhaustedAction: 'degrade',  // 'queue' (wait up to queueTimeout), 'degrade' (best non-LLM route) or 'reject'
+        queueTimeout: 30000,
+        tenantDefault: { dollarsPerHour: 10, llmCallsPerMinute: 60 },
+        tenants: {},                 // per-tenant overrides, e.g. { acme: { dollarsPerHour: 50 } }
+        domainDefault: null,         // no per-domain limit unless configured
+        domains: {}
+    },
+    
+    // PII redaction applied to traces before they are saved
+    piiRedaction: {
+        enabled: true,
+        detectors: ['email', 'ssn', 'card', 'phone', 'mrn'],  // card numbers are Luhn-checked
+        hashSalt: 'local-dev-salt',  // set per deployment; 'hash' keeps equal values groupable
+        fieldPolicies: {             // 'redact', 'mask' (last 4 kept), 'hash' or 'keep', per domain ('*' for all)
+            '*': { email: 'redact', phone: 'redact', ssn: 'redact', card_number: 'redact' },
+            financial: { account_id: 'mask', customer_id: 'hash', customer: 'redact' },
+            healthcare: { patient_id: 'hash', patient: 'redact', mrn: 'redact', date_of_birth: 'redact' },
+            ecommerce: { shipping_address: 'redact' }
+        }
     },
     
     // Logging
@@ -2,15 +2,48 @@
 // Baseline approaches for comparison with Dynamic Synthesis
 
 const crypto = require('crypto');
+const { createLLMProvider } = require('../../src/llm');
+const PricingModel = require('../../src/cost/PricingModel');
+
+/**
+ * Ask the LLM for a plan. Token counts come from the provider (the
+ * scripted mock unless configured otherwise) and are priced with its
+ * pricing model; latency and the 5% rate of wrong answers are simulated.
+ */
+async function callLLM(llm, query, domain) {
+    const latency = 1000 + Math.random() * 2000; // 1-3 seconds
+
+    try {
+        const response = await llm.complete({ prompt: query, query, domain });
+        const usage = response.usage;
+
+        return {
+            success: Math.random() > 0.05,
+            route: 'llm',
+            latency,
+            cost: llm.cost(usage),
+            model: response.model,
+            tokens: {
+                prompt: usage.promptTokens,
+                completion: usage.completionTokens,
+                total: usage.totalTokens
+            },
+            plan: (response.toolCalls || []).map(call => call.name)
+        };
+    } catch (error) {
+        return { success: false, route: 'llm', latency, cost: 0, error: error.message };
+    }
+}
 
 /**
  * Baseline 1: Deterministic-Only
  * Only executes predefined workflows, fails on unknown queries
  */
 class DeterministicOnlyBaseline {
-    constructor() {
+    constructor(config = {}) {
         this.name = 'deterministic_only';
         this.knownWorkflows = new Map();
+        this.pricing = config.pricingModel || new PricingModel(config.pricing);
     }
     
     async execute(query, domain) {
@@ -23,7 +56,7 @@ class DeterministicOnlyBaseline {
                 success: true,
                 route: 'deterministic',
                 latency: 50 + Math.random() * 100,
-                cost: 0.0001, // Minimal cost for deterministic
+                cost: this.pricing.routeCost('deterministic'),
                 workflow: workflow.name
             };
         }
@@ -64,34 +97,17 @@ class DeterministicOnlyBaseline {
  * Always uses LLM for every query
  */
 class LLMOnlyBaseline {
-    constructor() {
+    constructor(config = {}) {
         this.name = 'llm_only';
         this.totalCalls = 0;
+        this.pricing = config.pricingModel || new PricingModel(config.pricing);
+        this.llm = config.llmProvider || createLLMProvider({ ...config.llm, pricingModel: this.pricing });
     }
     
     async execute(query, domain) {
         this.totalCalls++;
         
-        // Simulate LLM call
-        const promptTokens = 500 + Math.floor(Math.random() * 500);
-        const completionTokens = 200 + Math.floor(Math.random() * 300);
-        
-        // Cost calculation (GPT-4 pricing)
-        const inputCost = (promptTokens / 1000) * 0.03;  // $0.03 per 1K input tokens
-        const outputCost = (completionTokens / 1000) * 0.06;  // $0.06 per 1K output tokens
-        const totalCost = inputCost + outputCost;
-        
-        return {
-            success: Math.random() > 0.05, // 95% success rate
-            route: 'llm',
-            latency: 1000 + Math.random() * 2000, // 1-3 seconds
-            cost: totalCost,
-            tokens: {
-                prompt: promptTokens,
-                completion: completionTokens,
-                total: promptTokens + completionTokens
-            }
-        };
+        return callLLM(this.llm, query, domain);
     }
     
     getMetrics() {
@@ -108,11 +124,13 @@ class LLMOnlyBaseline {
  * Uses cache for exact matches, LLM otherwise
  */
 class SimpleCacheBaseline {
-    constructor() {
+    constructor(config = {}) {
         this.name = 'simple_cache';
         this.cache = new Map();
         this.hits = 0;
         this.misses = 0;
+        this.pricing = config.pricingModel || new PricingModel(config.pricing);
+        this.llm = config.llmProvider || createLLMProvider({ ...config.llm, pricingModel: this.pricing });
     }
     
     async execute(query, domain) {
@@ -121,13 +139,12 @@ class SimpleCacheBaseline {
         // Check cache for exact match
         if (this.cache.has(cacheKey)) {
             this.hits++;
-            const cached = this.cache.get(cacheKey);
             
             return {
                 success: true,
                 route: 'cached',
                 latency: 10 + Math.random() * 20, // Fast cache retrieval
-                cost: 0.0001, // Minimal cache cost
+                cost: this.pricing.routeCost('cached'),
                 cached: true
             };
         }
@@ -135,23 +152,9 @@ class SimpleCacheBaseline {
         // Cache miss - use LLM
         this.misses++;
         
-        const promptTokens = 500 + Math.floor(Math.random() * 500);
-        const completionTokens = 200 + Math.floor(Math.random() * 300);
-        
-        const inputCost = (promptTokens / 1000) * 0.03;
-        const outputCost = (completionTokens / 1000) * 0.06;
-        const totalCost = inputCost + outputCost;
-        
         const result = {
-            success: Math.random() > 0.05,
-            route: 'llm',
-            latency: 1000 + Math.random() * 2000,
-            cost: totalCost,
-            cached: false,
-            tokens: {
-                prompt: promptTokens,
-                completion: completionTokens
-            }
+            ...(await callLLM(this.llm, query, domain)),
+            cached: false
         };
         
         // Cache the result
@@ -183,8 +186,10 @@ class SimpleCacheBaseline {
  * Learns patterns and synthesizes workflows at runtime
  */
 class DynamicSynthesisApproach {
-    constructor() {
+    constructor(config = {}) {
         this.name = 'dynamic_synthesis';
+        this.pricing = config.pricingModel || new PricingModel(config.pricing);
+        this.llm = config.llmProvider || createLLMProvider({ ...config.llm, pricingModel: this.pricing });
         this.deterministicWorkflows = new Map();
         this.synthesizedWorkflows = new Map();
         this.traces = [];
@@ -222,7 +227,7 @@ class DynamicSynthesisApproach {
             success: true,
             route: 'deterministic',
             latency: 50 + Math.random() * 100,
-            cost: 0.0001,
+            cost: this.pricing.routeCost('deterministic'),
             source: 'predefined'
         };
     }
@@ -234,7 +239,7 @@ class DynamicSynthesisApproach {
             success: Math.random() > 0.02, // 98% success (slightly lower than deterministic)
             route: 'synthesized',
             latency: 80 + Math.random() * 150, // Slightly slower than pure deterministic
-            cost: 0.0002, // Minimal cost
+            cost: this.pricing.routeCost('synthesized'),
             source: 'synthesized',
             confidence: workflow.confidence
         };
@@ -243,23 +248,7 @@ class DynamicSynthesisApproach {
     async executeLLM(query, domain) {
         this.llmCalls++;
         
-        const promptTokens = 500 + Math.floor(Math.random() * 500);
-        const completionTokens = 200 + Math.floor(Math.random() * 300);
-        
-        const inputCost = (promptTokens / 1000) * 0.03;
-        const outputCost = (completionTokens / 1000) * 0.06;
-        const totalCost = inputCost + outputCost;
-        
-        return {
-            success: Math.random() > 0.05,
-            route: 'llm',
-            latency: 1000 + Math.random() * 2000,
-            cost: totalCost,
-            tokens: {
-                prompt: promptTokens,
-                completion: completionTokens
-            }
-        };
+        return callLLM(this.llm, query, domain);
     }
     
     recordTrace(query, domain, result) {
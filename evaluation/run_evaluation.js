@@ -13,6 +13,7 @@ const {
     SimpleCacheBaseline,
     DynamicSynthesisApproach
 } = require('./baselines/BaselineComparators');
+const PricingModel = require('../src/cost/PricingModel');
 
 class EvaluationHarness {
     constructor(config = {}) {
@@ -27,6 +28,9 @@ class EvaluationHarness {
             quick: config.quick || false
         };
 
+        // Price sheet for LLM tokens and the non-LLM routes
+        this.pricing = new PricingModel(this.config.pricing);
+
         this.results = {
             timestamp: new Date().toISOString(),
             config: this.config,
@@ -93,14 +97,52 @@ class EvaluationHarness {
     }
 
     initializeApproaches() {
+        const options = { pricingModel: this.pricing };
+
         return {
-            deterministic_only: new DeterministicOnlyBaseline(),
-            llm_only: new LLMOnlyBaseline(),
-            simple_cache: new SimpleCacheBaseline(),
-            dfha: new DynamicSynthesisApproach()
+            deterministic_only: new DeterministicOnlyBaseline(options),
+            llm_only: new LLMOnlyBaseline(options),
+            simple_cache: new SimpleCacheBaseline(options),
+            dfha: new DynamicSynthesisApproach(options)
         };
     }
 
+    /**
+     * Recompute the costs of saved results under the current price sheet
+     * without re-running the evaluation. Every execution is re-priced from
+     * its route and token counts.
+     */
+    async reprice() {
+        const jsonPath = path.join(this.config.resultsDir, 'evaluation_results.json');
+        this.results = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+        this.config.domains = Object.keys(this.results.domains);
+
+        for (const domainResults of Object.values(this.results.domains)) {
+            for (const approachResults of Object.values(domainResults)) {
+                const phaseResults = {};
+
+                for (const phase of ['warmup', 'learning', 'steady_state']) {
+                    const data = approachResults[phase];
+                    data.executions.forEach(execution => {
+                        execution.cost = this.pricing.priceExecution(execution);
+                    });
+                    data.totalCost = data.executions.reduce((sum, execution) => sum + execution.cost, 0);
+                    data.avgCost = data.traceCount > 0 ? data.totalCost / data.traceCount : 0;
+                    phaseResults[phase] = data;
+                }
+
+                approachResults.overall = this.computeOverallMetrics(phaseResults);
+            }
+        }
+
+        this.results.pricing = this.config.pricing || null;
+        this.results.repricedAt = new Date().toISOString();
+
+        this.aggregateResults();
+        await this.saveResults();
+        this.printFinalSummary();
+    }
+
     async loadData() {
         console.log('Loading synthetic data...');
         const data = {};
@@ -143,7 +185,6 @@ class EvaluationHarness {
     async runPhasedEvaluation(approach, traces, domain) {
         const warmupSize = Math.min(this.config.warmupTraces, traces.length);
         const learningSize = Math.floor((traces.length - warmupSize) * this.config.learningFraction);
-        const steadySize = traces.length - warmupSize - learningSize;
 
         const phases = {
             warmup: traces.slice(0, warmupSize),
@@ -367,16 +408,22 @@ class EvaluationHarness {
 // Main execution
 if (require.main === module) {
     const args = process.argv.slice(2);
+
+    // --pricing <file> replaces the price sheet from config.local.js
+    const pricingFile = args.includes('--pricing') ? args[args.indexOf('--pricing') + 1] : null;
     const config = {
         quick: args.includes('--quick'),
         domains: args.includes('--domains')
             ? ['it_support', 'financial', 'healthcare', 'ecommerce']
-            : undefined
+            : undefined,
+        pricing: pricingFile
+            ? require(path.resolve(pricingFile))
+            : require('../config.local').pricing
     };
 
     const harness = new EvaluationHarness(config);
 
-    harness.run()
+    (args.includes('--reprice') ? harness.reprice() : harness.run())
         .then(() => {
             console.log('Evaluation completed successfully!\n');
             process.exit(0);
@@ -378,7 +378,7 @@ class ResultsAnalyzer {
 
         console.log('\n\nStatistical Significance Tests:');
         console.log('─'.repeat(50));
-        for (const [metric, test] of Object.entries(analysis.statisticalTests)) {
+        for (const test of Object.values(analysis.statisticalTests)) {
             console.log(`\n${test.label}:`);
             console.log(`  p-value: ${test.pValue.toFixed(4)}`);
             console.log(`  Significant: ${test.significant ? '✓ YES (p < 0.05)' : '✗ NO'}`);
@@ -214,8 +214,6 @@ ${tables.table3}
 
 // Main execution
 if (require.main === module) {
-    const args = process.argv.slice(2);
-
     const generator = new LaTeXTableGenerator();
 
     generator.generate()
@@ -2,7 +2,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const DomainTemplates = require('../evaluation/domains/DomainTemplates');
-const crypto = require('crypto');
+const queryFingerprinter = require('../src/utils/QueryFingerprinter');
+const schemaInference = require('../src/utils/SchemaInference');
 
 class SyntheticDataGenerator {
     constructor(config = {}) {
@@ -77,8 +78,11 @@ class SyntheticDataGenerator {
         // Fill in variables
         const query = this.fillQueryTemplate(queryTemplate, domain, index);
         
+        // Input values are shared by every task of the trace
+        const inputValues = this.generateInputValues(template.inputSchema, index);
+        
         // Generate execution path
-        const executionPath = this.generateExecutionPath(template);
+        const executionPath = this.generateExecutionPath(template, inputValues);
         
         // Add variations
         if (Math.random() < this.config.variationRate) {
@@ -100,16 +104,17 @@ class SyntheticDataGenerator {
             query,
             questionFingerprint: this.generateFingerprint(query),
             normalizedQuery: this.normalizeQuery(query),
+            queryParameters: queryFingerprinter.fingerprint(query).parameters,
             
             executionSequence: executionPath.map((task, idx) => ({
                 index: idx,
-                taskId: `task_${idx}_${Date.now()}`,
+                taskId: `task_${idx}`,
                 taskName: task.name,
                 taskType: this.classifyTaskType(task.name),
                 
                 input: {
-                    schema: this.generateSchema(template.inputSchema),
-                    values: this.generateInputValues(template.inputSchema, index),
+                    schema: schemaInference.infer(inputValues),
+                    values: inputValues,
                     source: idx === 0 ? 'user' : `task:task_${idx-1}`
                 },
                 
@@ -122,7 +127,7 @@ class SyntheticDataGenerator {
                 duration: task.duration,
                 startTime: task.startTime,
                 endTime: task.endTime,
-                retries: 0,
+                retries: task.retries || 0,
                 
                 metadata: {
                     domain,
@@ -200,7 +205,7 @@ class SyntheticDataGenerator {
         return template.replace(/{(\w+)}/g, (match, key) => variables[key] || key);
     }
     
-    generateExecutionPath(template) {
+    generateExecutionPath(template, inputValues = {}) {
         const path = [];
         let currentTime = Date.now();
         
@@ -218,29 +223,43 @@ class SyntheticDataGenerator {
             currentTime += duration;
         }
         
-        // Add conditional tasks
-        if (Math.random() > 0.3 && template.conditionalTasks) {
-            const conditions = Object.keys(template.conditionalTasks);
-            const condition = conditions[Math.floor(Math.random() * conditions.length)];
+        // Add conditional tasks whose guard holds for this input
+        Object.entries(template.conditionalTasks || {}).forEach(([taskName, condition]) => {
+            if (!this.conditionHolds(condition, inputValues)) return;
             
-            for (const taskName of template.conditionalTasks[condition]) {
-                const duration = 50 + Math.random() * 200;
-                path.push({
-                    name: taskName,
-                    duration,
-                    startTime: currentTime,
-                    endTime: currentTime + duration,
-                    usedLLM: Math.random() < 0.1,
-                    variation: true,
-                    condition
-                });
-                currentTime += duration;
-            }
-        }
+            const duration = 50 + Math.random() * 200;
+            path.push({
+                name: taskName,
+                duration,
+                startTime: currentTime,
+                endTime: currentTime + duration,
+                usedLLM: Math.random() < 0.1,
+                variation: true,
+                condition
+            });
+            currentTime += duration;
+        });
         
         return path;
     }
     
+    conditionHolds(condition, inputValues) {
+        // Conditions look like 'if severity=critical|high' or 'if amount > 1000'
+        const match = condition.replace(/^if\s+/, '').match(/^(\w+)\s*(=|>|<)\s*(.+)$/);
+        
+        // Guards on values outside the input schema are decided at random
+        if (!match || inputValues[match[1]] === undefined) {
+            return Math.random() < 0.3;
+        }
+        
+        const [, field, operator, expected] = match;
+        const actual = inputValues[field];
+        
+        if (operator === '>') return Number(actual) > Number(expected);
+        if (operator === '<') return Number(actual) < Number(expected);
+        return expected.split('|').includes(String(actual));
+    }
+    
     addVariations(executionPath, template) {
         // Insert additional task
         if (Math.random() > 0.5 && executionPath.length > 2) {
@@ -276,16 +295,6 @@ class SyntheticDataGenerator {
         }
     }
     
-    generateSchema(templateSchema) {
-        if (!templateSchema) return {};
-        
-        const schema = {};
-        Object.entries(templateSchema).forEach(([key, type]) => {
-            schema[key] = type.split(':')[0]; // Extract base type
-        });
-        return schema;
-    }
-    
     generateInputValues(templateSchema, index) {
         if (!templateSchema) return {};
         
@@ -310,8 +319,8 @@ class SyntheticDataGenerator {
     }
     
     generateOutputSchema(taskName) {
-        const schemas = {
-            fetch: { data: 'array', count: 'number' },
+        const fields = {
+            fetch: { data: 'array', count: 'integer' },
             analyze: { result: 'object', confidence: 'number' },
             process: { success: 'boolean', id: 'string' },
             validate: { valid: 'boolean', errors: 'array' },
@@ -319,7 +328,11 @@ class SyntheticDataGenerator {
         };
         
         const taskType = taskName.split('_')[0];
-        return schemas[taskType] || { result: 'object' };
+        const properties = {};
+        Object.entries(fields[taskType] || { result: 'object' }).forEach(([key, type]) => {
+            properties[key] = type === 'object' ? { type, properties: {}, required: [] } : { type };
+        });
+        return { type: 'object', properties, required: Object.keys(properties) };
     }
     
     generateKeyValues(taskName) {
@@ -391,15 +404,11 @@ class SyntheticDataGenerator {
     }
     
     generateFingerprint(query) {
-        const normalized = query.toLowerCase().replace(/[^a-z0-9\s]/g, '');
-        return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 16);
+        return queryFingerprinter.fingerprint(query).fingerprint;
     }
     
     normalizeQuery(query) {
-        return query.toLowerCase()
-            .replace(/[0-9]+/g, 'N')
-            .replace(/[^a-z\s]/g, '')
-            .trim();
+        return queryFingerprinter.normalize(query);
     }
     
     shuffle(array) {
@@ -16,7 +16,8 @@ async function createQueues() {
         { name: config.queues.aiDecisions, visibilityTimeout: 60 },
         { name: config.queues.workflowExecution, visibilityTimeout: 120 },
         { name: config.queues.rulesEngineDLQ, visibilityTimeout: 30 },
-        { name: config.queues.aiDecisionsDLQ, visibilityTimeout: 30 }
+        { name: config.queues.aiDecisionsDLQ, visibilityTimeout: 30 },
+        { name: config.events.eventQueueName, visibilityTimeout: 300 }
     ];
     
     console.log('Creating SQS queues in ElasticMQ...\n');
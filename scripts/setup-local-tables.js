@@ -62,6 +62,16 @@ async function createTables() {
             ],
             ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
         },
+        {
+            TableName: config.tables.workflowReviews,
+            KeySchema: [
+                { AttributeName: 'reviewId', KeyType: 'HASH' }
+            ],
+            AttributeDefinitions: [
+                { AttributeName: 'reviewId', AttributeType: 'S' }
+            ],
+            ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+        },
         {
             TableName: config.tables.workflowState,
             KeySchema: [
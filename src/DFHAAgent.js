@@ -0,0 +1,318 @@
+// DFHAAgent.js
+// Facade that serves queries through the router and learns from every run
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./utils/Logger');
+const queryFingerprinter = require('./utils/QueryFingerprinter');
+const { createRepositories } = require('./storage');
+const { createEventBus } = require('./events');
+const ActionRegistry = require('./workflow_synthesis/ActionRegistry');
+const WorkflowExecutor = require('./workflow_synthesis/WorkflowExecutor');
+const ContractValidator = require('./workflow_synthesis/ContractValidator');
+const { createExporter } = require('./workflow_synthesis/export');
+const PatternMiningService = require('./pattern_mining/PatternMiningService');
+const ThompsonSamplingRouter = require('./routing/ThompsonSamplingRouter');
+const DriftMonitor = require('./monitoring/DriftMonitor');
+const LLMOrchestrator = require('./llm/LLMOrchestrator');
+
+// Sections of config.local.js and the component settings they hold
+const SECTIONS = ['storage', 'events', 'patternMining', 'workflowSynthesis', 'thompsonSampling', 'driftMonitoring'];
+
+/**
+ * DFHA Agent
+ * Serves a query on one of three paths:
+ *
+ * - deterministic: a handler registered for the query's fingerprint
+ * - synthesized: the active version of a workflow mined for the fingerprint
+ * - llm: the injected `llmOrchestrator(query, input, context)`, or else an
+ *   LLMOrchestrator over the provider configured in the `llm` section
+ *
+ * The Thompson sampling router picks among the available paths. Every run
+ * is saved with `ExecutionTraceCollector.saveExecutionTrace` (which raises
+ * the mining trigger), scored into the router statistics, and, for
+ * synthesized workflows, fed to the drift monitor. While a new workflow is
+ * in shadow rollout it runs beside the LLM path, and a disagreement is
+ * noted in the annotations of the LLM run's trace. A failed deterministic or
+ * synthesized run falls back to the LLM, except that a synthesized run
+ * breaking its workflow's contract is failed instead when
+ * `contractViolationAction` is 'reject'; the violation is recorded in the
+ * trace annotations either way.
+ *
+ * `config` has the shape of config.local.js. Components can be injected
+ * (`repositories`, `eventBus`, `actionRegistry`, `executor`, `router`,
+ * `miningService`, `driftMonitor`, `llmProvider`, `contractValidator`); the
+ * rest are built from the config.
+ */
+class DFHAAgent {
+    constructor(config = {}) {
+        const settings = DFHAAgent.flattenConfig(config);
+
+        this.repositories = config.repositories || createRepositories(settings);
+        this.eventBus = config.eventBus || createEventBus(settings);
+        this.actionRegistry = config.actionRegistry || new ActionRegistry(settings);
+        this.contractValidator = config.contractValidator || new ContractValidator(settings);
+        this.executor = config.executor || new WorkflowExecutor({
+            ...settings,
+            actionRegistry: this.actionRegistry,
+            contractValidator: this.contractValidator
+        });
+
+        const shared = {
+            ...settings,
+            repositories: this.repositories,
+            eventBus: this.eventBus,
+            actionRegistry: this.actionRegistry,
+            executor: this.executor,
+            contractValidator: this.contractValidator
+        };
+
+        this.miningService = config.miningService || new PatternMiningService(shared);
+        this.router = config.router || new ThompsonSamplingRouter(shared);
+        this.driftMonitor = config.driftMonitor || new DriftMonitor({
+            ...shared,
+            traceCollector: this.miningService.traceCollector,
+            versionManager: this.miningService.versionManager
+        });
+
+        this.traceCollector = this.miningService.traceCollector;
+        this.versionManager = this.miningService.versionManager;
+        this.shadowRollout = this.miningService.shadowRollout;
+        this.approvalQueue = this.miningService.approvalQueue;
+
+        this.llmOrchestrator = config.llmOrchestrator || null;
+        if (!this.llmOrchestrator && (config.llm || config.llmProvider)) {
+            const orchestrator = new LLMOrchestrator(shared);
+            this.llmOrchestrator = (query, input, context) => orchestrator.run(query, input, context);
+        }
+        this.deterministicHandlers = new Map(Object.entries(config.deterministicWorkflows || {})
+            .map(([fingerprint, workflow]) => [fingerprint, this.deterministicHandler(workflow)]));
+        this.exportSettings = settings;
+    }
+
+    /**
+     * Merge the top-level settings of a config.local.js-shaped object with
+     * its component sections, and map `tables` to the table options and
+     * `timeouts.task` to the executor's `taskTimeout`
+     */
+    static flattenConfig(config) {
+        const settings = {};
+
+        Object.entries(config).forEach(([key, value]) => {
+            if (!SECTIONS.includes(key) && key !== 'tables' && key !== 'timeouts') settings[key] = value;
+        });
+        SECTIONS.forEach(section => Object.assign(settings, config[section] || {}));
+
+        const tables = config.tables || {};
+        if (tables.executionTraces) settings.tracesTable = tables.executionTraces;
+        if (tables.minedPatterns) settings.patternsTable = tables.minedPatterns;
+        if (tables.synthesizedWorkflows) settings.workflowTable = tables.synthesizedWorkflows;
+        if (tables.thompsonSampling) settings.routingTable = tables.thompsonSampling;
+        if (tables.workflowReviews) settings.reviewsTable = tables.workflowReviews;
+
+        const timeouts = config.timeouts || {};
+        if (timeouts.task) settings.taskTimeout = timeouts.task;
+
+        return settings;
+    }
+
+    /**
+     * Serve a question fingerprint (or an example query of it) with a
+     * hand-written workflow: handler(query, input, context) resolving to
+     * { output, success?, executionPath?, taskOutputs?, cost? }, or a
+     * workflow definition for the executor, such as one imported from ASL
+     * with AslImporter
+     */
+    registerDeterministicWorkflow(queryOrFingerprint, handler) {
+        const key = /^[0-9a-f]{16}$/.test(queryOrFingerprint)
+            ? queryOrFingerprint
+            : queryFingerprinter.fingerprint(queryOrFingerprint).fingerprint;
+
+        this.deterministicHandlers.set(key, this.deterministicHandler(handler));
+        return key;
+    }
+
+    deterministicHandler(handler) {
+        if (handler && typeof handler === 'object' && handler.states) {
+            return (query, input, context) => this.executor.execute(handler, input, context);
+        }
+
+        if (typeof handler !== 'function') {
+            throw new Error('Deterministic workflow handler must be a function or a workflow definition');
+        }
+        return handler;
+    }
+
+    /**
+     * A stored workflow version as Amazon States Language ('asl', a
+     * definition object) or BPMN 2.0 XML ('bpmn')
+     */
+    async exportWorkflow(workflowId, format = 'asl') {
+        const workflow = await this.repositories.workflows.get(workflowId);
+        if (!workflow) {
+            throw new Error(`Unknown workflow ${workflowId}`);
+        }
+
+        return createExporter(format, this.exportSettings).export(workflow);
+    }
+
+    /**
+     * Start background mining (periodic cycle and mining-trigger subscription)
+     */
+    start() {
+        this.miningService.start();
+    }
+
+    stop() {
+        this.miningService.stop();
+    }
+
+    /**
+     * Answer a query. Returns { route, success, output, latency, cost,
+     * reward, traceId, workflowId, fellBack, error, contractViolation }. `context.tenantId` and
+     * `context.domain` select the LLM budgets; a request the budgets reject
+     * throws an error with code BUDGET_EXHAUSTED.
+     */
+    async process(query, input = {}, context = {}) {
+        const { fingerprint } = queryFingerprinter.fingerprint(query);
+        const workflow = await this.findActiveWorkflow(fingerprint);
+        const routes = this.availableRoutes(fingerprint, workflow);
+
+        if (routes.length === 0) {
+            throw new Error(`No route can serve "${query}": register an llmOrchestrator or a deterministic workflow`);
+        }
+
+        const routingContext = {
+            tenant: context.tenantId,
+            domain: context.domain,
+            patternConfidence: workflow?.confidence || 0,
+            input
+        };
+
+        // Even a lone LLM route goes through the router, which enforces the budgets
+        const route = await this.router.selectRoute(query, routes, routingContext);
+
+        const startTime = Date.now();
+        let result = await this.runRoute(route, { query, input, context, fingerprint, workflow });
+        let fellBack = false;
+
+        // Deterministic workflow definitions can violate a contract with no stored workflow behind them
+        const contractViolation = result.contractViolation
+            ? { workflowId: result.workflowId ?? workflow?.workflowId, ...result.contractViolation }
+            : null;
+        const rejected = contractViolation && this.contractValidator.violationAction === 'reject';
+
+        if (!result.success && route !== 'llm' && this.llmOrchestrator && !rejected) {
+            if (this.router.tryAcquireLLM(routingContext)) {
+                logger.warn(`Route ${route} failed for ${fingerprint} (${result.error}); falling back to the LLM`);
+                result = await this.runRoute('llm', { query, input, context, fingerprint, workflow });
+                fellBack = true;
+            } else {
+                logger.warn(`Route ${route} failed for ${fingerprint} (${result.error}); LLM budget exhausted, not falling back`);
+            }
+        }
+
+        const latency = Date.now() - startTime;
+        const outcome = { success: !fellBack && result.success, latency, cost: result.cost || 0 };
+        this.router.recordSpend(routingContext, outcome.cost);
+        const reward = await this.router.updateStats(query, route, outcome, routingContext);
+
+        // The synthesized workflow ran only on its own route, even when it then fell back
+        const ranWorkflow = Boolean(workflow) && this.router.baseRoute(route) === 'synthesized';
+        if (ranWorkflow) {
+            await this.driftMonitor.observe(workflow, { success: outcome.success, input });
+        }
+
+        const annotations = { route: fellBack ? 'llm' : route };
+        if (contractViolation) annotations.contractViolation = contractViolation;
+        if (result.shadowDisagreement) annotations.shadowDisagreement = result.shadowDisagreement;
+        const traceId = await this.recordTrace(query, context, result, latency, annotations);
+
+        return {
+            route,
+            success: result.success,
+            output: result.output,
+            latency,
+            cost: outcome.cost,
+            reward,
+            traceId,
+            workflowId: ranWorkflow ? workflow.workflowId : null,
+            fellBack,
+            error: result.success ? null : result.error,
+            contractViolation
+        };
+    }
+
+    availableRoutes(fingerprint, workflow) {
+        const routes = [];
+        if (this.deterministicHandlers.has(fingerprint)) routes.push('deterministic');
+        if (workflow) routes.push(this.router.versionedRoute(workflow));
+        if (this.llmOrchestrator) routes.push('llm');
+        return routes;
+    }
+
+    /**
+     * The version of a workflow serving the fingerprint: pinned first,
+     * otherwise the most recently activated one
+     */
+    async findActiveWorkflow(fingerprint) {
+        const candidates = await this.repositories.workflows.findByFingerprint(fingerprint, 'active');
+
+        return this.versionManager.servingVersion(candidates);
+    }
+
+    async runRoute(route, { query, input, context, fingerprint, workflow }) {
+        try {
+            if (route === 'deterministic') {
+                const result = await this.deterministicHandlers.get(fingerprint)(query, input, context);
+                return { success: true, ...result };
+            }
+
+            if (route === 'llm') {
+                // New workflows for this fingerprint run beside the LLM while in shadow rollout
+                const result = await this.shadowRollout.runWithShadow(
+                    { questionFingerprint: fingerprint, query, input, context },
+                    () => this.llmOrchestrator(query, input, context)
+                );
+                return { success: true, ...result };
+            }
+
+            return await this.executor.execute(workflow, input, context);
+
+        } catch (error) {
+            return { success: false, error: error.message, output: null };
+        }
+    }
+
+    async recordTrace(query, context, result, latency, annotations) {
+        // A rejected input has no execution path, but its violation is still worth a trace
+        const executionPath = result.executionPath || [];
+        if (executionPath.length === 0 && !annotations.contractViolation) {
+            return null;
+        }
+
+        try {
+            return await this.traceCollector.saveExecutionTrace({
+                orchestrationId: result.orchestrationId || uuidv4(),
+                originalQuery: query,
+                refinedQuery: result.refinedQuery,
+                context,
+                executionPath,
+                taskOutputs: result.taskOutputs || {},
+                success: result.success,
+                error: result.error,
+                totalDuration: result.totalDuration || latency,
+                llmCalls: result.llmCalls || 0,
+                cost: result.cost || 0,
+                llmUsage: result.tokens ? { ...result.tokens, model: result.model } : null,
+                sessionId: context.sessionId,
+                annotations
+            });
+        } catch (error) {
+            // Trace storage problems must not fail the user's request
+            logger.error(`Could not record trace for "${query}": ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = DFHAAgent;
@@ -0,0 +1,109 @@
+// PricingModel.js
+// Price catalogue for LLM tokens, Lambda invocations and deterministic work
+
+// Per-1K token prices in USD
+const DEFAULT_MODELS = {
+    'gpt-4': { inputPer1K: 0.03, outputPer1K: 0.06 },
+    'gpt-4-turbo': { inputPer1K: 0.01, outputPer1K: 0.03 },
+    'gpt-4o': { inputPer1K: 0.005, outputPer1K: 0.015 },
+    'gpt-3.5-turbo': { inputPer1K: 0.0005, outputPer1K: 0.0015 }
+};
+
+/**
+ * Pricing Model
+ * Built from the `pricing` section of config.local.js:
+ *
+ * - models: { [model]: { inputPer1K, outputPer1K } }, merged over the
+ *   built-in GPT price sheet; versioned names such as 'gpt-4-0613' use
+ *   the longest catalogue entry they start with
+ * - defaultModel: priced when a call does not name its model
+ * - lambdaInvocation, deterministicTask: per invocation / per task
+ * - routeCosts: flat per-query cost of the non-LLM evaluation routes
+ * - estimatedCallTokens: token counts assumed for LLM calls that were
+ *   recorded without usage
+ */
+class PricingModel {
+    constructor(config = {}) {
+        this.defaultModel = config.defaultModel || 'gpt-4';
+        this.models = { ...DEFAULT_MODELS, ...(config.models || {}) };
+        this.lambdaInvocation = config.lambdaInvocation !== undefined ? config.lambdaInvocation : 0.0000002;
+        this.deterministicTask = config.deterministicTask !== undefined ? config.deterministicTask : 0.0001;
+        this.routeCosts = {
+            deterministic: 0.0001,
+            synthesized: 0.0002,
+            cached: 0.0001,
+            none: 0,
+            ...(config.routeCosts || {})
+        };
+        this.estimatedCallTokens = { prompt: 500, completion: 200, ...(config.estimatedCallTokens || {}) };
+    }
+
+    modelPrice(model = this.defaultModel) {
+        if (this.models[model]) return this.models[model];
+
+        const family = Object.keys(this.models)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!family) {
+            throw new Error(`No price for model ${model}; add it to pricing.models`);
+        }
+        return this.models[family];
+    }
+
+    /**
+     * Cost of one call's usage: { promptTokens, completionTokens }
+     */
+    llmCost(usage = {}, model) {
+        const price = this.modelPrice(model || usage.model || this.defaultModel);
+        return ((usage.promptTokens || 0) / 1000) * price.inputPer1K +
+            ((usage.completionTokens || 0) / 1000) * price.outputPer1K;
+    }
+
+    /**
+     * Estimated cost of LLM calls whose usage was not recorded
+     */
+    estimatedLLMCost(calls, model) {
+        return calls * this.llmCost({
+            promptTokens: this.estimatedCallTokens.prompt,
+            completionTokens: this.estimatedCallTokens.completion
+        }, model);
+    }
+
+    lambdaCost(invocations) {
+        return invocations * this.lambdaInvocation;
+    }
+
+    deterministicCost(tasks) {
+        return tasks * this.deterministicTask;
+    }
+
+    routeCost(route) {
+        const base = String(route).split('@')[0];
+        if (this.routeCosts[base] === undefined) {
+            throw new Error(`No price for route ${route}; add it to pricing.routeCosts`);
+        }
+        return this.routeCosts[base];
+    }
+
+    /**
+     * Re-price an evaluation result ({ route, tokens, model }) under this
+     * price sheet. LLM results without token counts keep their cost.
+     */
+    priceExecution(execution) {
+        if (execution.route !== 'llm') {
+            return this.routeCost(execution.route);
+        }
+
+        if (!execution.tokens) {
+            return execution.cost || 0;
+        }
+
+        return this.llmCost({
+            promptTokens: execution.tokens.prompt,
+            completionTokens: execution.tokens.completion
+        }, execution.model);
+    }
+}
+
+module.exports = PricingModel;
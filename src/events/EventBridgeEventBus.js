@@ -0,0 +1,39 @@
+// EventBridgeEventBus.js
+// Event bus over Amazon EventBridge
+
+const AWS = require('aws-sdk');
+const EventBus = require('./EventBus');
+
+/**
+ * EventBridge Event Bus
+ * Publishes with the event type as DetailType. EventBridge pushes events to
+ * rule targets rather than being polled, so a consumer (for example a Lambda
+ * or an SQS rule target) passes each delivered event to `handleEvent()`.
+ */
+class EventBridgeEventBus extends EventBus {
+    constructor(config = {}) {
+        super(config);
+        this.eventBridge = new AWS.EventBridge({ region: config.awsRegion });
+        this.eventBusName = config.eventBusName || 'default';
+    }
+
+    async publish(type, detail) {
+        await this.eventBridge.putEvents({
+            Entries: [{
+                EventBusName: this.eventBusName,
+                Source: this.source,
+                DetailType: type,
+                Detail: JSON.stringify(detail)
+            }]
+        }).promise();
+    }
+
+    /**
+     * Dispatch an event as delivered by an EventBridge rule target
+     */
+    async handleEvent(event) {
+        return this.dispatch(event['detail-type'], event.detail);
+    }
+}
+
+module.exports = EventBridgeEventBus;
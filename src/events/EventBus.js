@@ -0,0 +1,61 @@
+// EventBus.js
+// Base class of the event bus adapters
+
+const logger = require('../utils/Logger');
+
+const EVENT_TYPES = {
+    PATTERN_MINING_TRIGGER: 'PatternMiningTrigger'
+};
+
+/**
+ * Event Bus
+ * Adapters implement `publish(type, detail)` to deliver an event and call
+ * `dispatch(type, detail)` when one arrives. Subscribers are plain async
+ * functions keyed by event type; a failing subscriber is logged and does
+ * not prevent the others from running.
+ */
+class EventBus {
+    constructor(config = {}) {
+        this.source = config.eventSource || 'rosetta.trace-collector';
+        this.handlers = new Map();
+    }
+
+    async publish(type, detail) {
+        throw new Error(`${this.constructor.name} does not implement publish`);
+    }
+
+    /**
+     * Register a handler for an event type. Returns an unsubscribe function.
+     */
+    subscribe(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => this.handlers.get(type).delete(handler);
+    }
+
+    /**
+     * Run every handler of an event type; resolves once all have settled,
+     * including handlers that throw synchronously
+     */
+    async dispatch(type, detail) {
+        const handlers = [...(this.handlers.get(type) || [])];
+
+        const results = await Promise.allSettled(handlers.map(handler => Promise.resolve().then(() => handler(detail))));
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => logger.error(`Handler for ${type} failed: ${result.reason?.message || result.reason}`));
+
+        return results;
+    }
+
+    // Adapters that poll override these
+    start() {}
+
+    stop() {}
+}
+
+module.exports = EventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,33 @@
+// InProcessEventBus.js
+// Event bus that delivers events to subscribers in the same process
+
+const EventBus = require('./EventBus');
+
+/**
+ * In-Process Event Bus
+ * Handlers run on the next tick, so publishing never waits for them and a
+ * slow subscriber does not hold up trace collection. `drain()` waits for
+ * everything published so far to be handled.
+ */
+class InProcessEventBus extends EventBus {
+    constructor(config = {}) {
+        super(config);
+        this.pending = new Set();
+    }
+
+    async publish(type, detail) {
+        const delivery = new Promise(resolve => setImmediate(resolve))
+            .then(() => this.dispatch(type, detail))
+            .finally(() => this.pending.delete(delivery));
+
+        this.pending.add(delivery);
+    }
+
+    async drain() {
+        while (this.pending.size > 0) {
+            await Promise.all([...this.pending]);
+        }
+    }
+}
+
+module.exports = InProcessEventBus;
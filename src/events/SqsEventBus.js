@@ -0,0 +1,100 @@
+// SqsEventBus.js
+// Event bus over an SQS queue (ElasticMQ locally)
+
+const AWS = require('aws-sdk');
+const logger = require('../utils/Logger');
+const EventBus = require('./EventBus');
+
+/**
+ * SQS Event Bus
+ * Events are sent to one queue as `{ type, source, detail, timestamp }`.
+ * `start()` long-polls the queue and dispatches each message to the
+ * subscribers of its type; a message is deleted once its handlers have
+ * settled, so events published while no consumer runs are not lost.
+ */
+class SqsEventBus extends EventBus {
+    constructor(config = {}) {
+        super(config);
+        this.sqs = new AWS.SQS({
+            endpoint: config.sqsEndpoint,
+            region: config.awsRegion,
+            accessKeyId: config.sqsAccessKeyId,
+            secretAccessKey: config.sqsSecretAccessKey
+        });
+        this.queueUrl = config.eventQueueUrl || null;
+        this.queueName = config.eventQueueName || 'rosetta-events';
+        this.waitTimeSeconds = config.eventWaitTimeSeconds || 10;
+        this.polling = false;
+    }
+
+    async getQueueUrl() {
+        if (!this.queueUrl) {
+            const result = await this.sqs.getQueueUrl({ QueueName: this.queueName }).promise();
+            this.queueUrl = result.QueueUrl;
+        }
+        return this.queueUrl;
+    }
+
+    async publish(type, detail) {
+        await this.sqs.sendMessage({
+            QueueUrl: await this.getQueueUrl(),
+            MessageBody: JSON.stringify({
+                type,
+                source: this.source,
+                detail,
+                timestamp: Date.now()
+            })
+        }).promise();
+    }
+
+    start() {
+        if (this.polling) return;
+        this.polling = true;
+        this.poll();
+    }
+
+    stop() {
+        this.polling = false;
+    }
+
+    async poll() {
+        while (this.polling) {
+            try {
+                await this.receiveOnce();
+            } catch (error) {
+                logger.error(`Event queue poll failed: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+
+    /**
+     * Receive and dispatch one batch of messages
+     */
+    async receiveOnce() {
+        const queueUrl = await this.getQueueUrl();
+        const result = await this.sqs.receiveMessage({
+            QueueUrl: queueUrl,
+            MaxNumberOfMessages: 10,
+            WaitTimeSeconds: this.waitTimeSeconds
+        }).promise();
+
+        for (const message of result.Messages || []) {
+            try {
+                const { type, detail } = JSON.parse(message.Body);
+                await this.dispatch(type, detail);
+            } catch (error) {
+                logger.error(`Dropping malformed event ${message.MessageId}: ${error.message}`);
+            }
+
+            await this.sqs.deleteMessage({
+                QueueUrl: queueUrl,
+                ReceiptHandle: message.ReceiptHandle
+            }).promise();
+        }
+
+        return (result.Messages || []).length;
+    }
+}
+
+module.exports = SqsEventBus;
@@ -0,0 +1,37 @@
+// events/index.js
+// Event bus adapters and the factory that picks one from configuration
+
+const EventBus = require('./EventBus');
+const InProcessEventBus = require('./InProcessEventBus');
+const SqsEventBus = require('./SqsEventBus');
+const EventBridgeEventBus = require('./EventBridgeEventBus');
+
+const ADAPTERS = {
+    memory: InProcessEventBus,
+    sqs: SqsEventBus,
+    eventbridge: EventBridgeEventBus
+};
+
+/**
+ * Create the event bus named by `config.eventBusType`
+ * ('memory', 'sqs' or 'eventbridge'; in-process by default)
+ */
+function createEventBus(config = {}) {
+    const type = config.eventBusType || 'memory';
+    const Adapter = ADAPTERS[type];
+
+    if (!Adapter) {
+        throw new Error(`Unknown event bus type: ${type}`);
+    }
+
+    return new Adapter(config);
+}
+
+module.exports = {
+    createEventBus,
+    EVENT_TYPES: EventBus.EVENT_TYPES,
+    EventBus,
+    InProcessEventBus,
+    SqsEventBus,
+    EventBridgeEventBus
+};
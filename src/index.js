@@ -0,0 +1,45 @@
+// index.js
+// Library entry point: the DFHA agent facade and its components
+
+const DFHAAgent = require('./DFHAAgent');
+const ExecutionTraceCollector = require('./tracing/ExecutionTraceCollector');
+const PatternMiningService = require('./pattern_mining/PatternMiningService');
+const WorkflowSynthesizer = require('./workflow_synthesis/WorkflowSynthesizer');
+const WorkflowExecutor = require('./workflow_synthesis/WorkflowExecutor');
+const WorkflowVersionManager = require('./workflow_synthesis/WorkflowVersionManager');
+const ApprovalQueue = require('./workflow_synthesis/ApprovalQueue');
+const ActionRegistry = require('./workflow_synthesis/ActionRegistry');
+const { createExporter, AslExporter, BpmnExporter, AslImporter } = require('./workflow_synthesis/export');
+const ThompsonSamplingRouter = require('./routing/ThompsonSamplingRouter');
+const ShadowRolloutManager = require('./routing/ShadowRolloutManager');
+const BudgetGuard = require('./routing/BudgetGuard');
+const DriftMonitor = require('./monitoring/DriftMonitor');
+const LLMOrchestrator = require('./llm/LLMOrchestrator');
+const PricingModel = require('./cost/PricingModel');
+const { createRepositories } = require('./storage');
+const { createEventBus } = require('./events');
+const { createLLMProvider } = require('./llm');
+
+module.exports = {
+    DFHAAgent,
+    ExecutionTraceCollector,
+    PatternMiningService,
+    WorkflowSynthesizer,
+    WorkflowExecutor,
+    WorkflowVersionManager,
+    ApprovalQueue,
+    ActionRegistry,
+    AslExporter,
+    BpmnExporter,
+    AslImporter,
+    ThompsonSamplingRouter,
+    ShadowRolloutManager,
+    BudgetGuard,
+    DriftMonitor,
+    LLMOrchestrator,
+    PricingModel,
+    createRepositories,
+    createEventBus,
+    createLLMProvider,
+    createExporter
+};
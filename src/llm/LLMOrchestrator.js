@@ -0,0 +1,142 @@
+// LLMOrchestrator.js
+// Serves a query by asking the LLM for a plan and running its tool calls
+
+const logger = require('../utils/Logger');
+const { createLLMProvider } = require('./index');
+
+/**
+ * LLM Orchestrator
+ * Asks the provider for a plan, then runs its tool calls in order. Tools
+ * with a registered action are invoked through the action registry; the
+ * others are answered by the provider's `toolResult(call)` when it has one
+ * (the mock provider does). Each tool call becomes a step of the execution
+ * path, shaped like the steps of WorkflowExecutor, so LLM runs can be saved
+ * with `ExecutionTraceCollector.saveExecutionTrace` and mined.
+ *
+ * `run` has the `llmOrchestrator(query, input, context)` signature expected
+ * by DFHAAgent.
+ */
+class LLMOrchestrator {
+    constructor(config = {}) {
+        this.provider = config.llmProvider || createLLMProvider({
+            ...(config.llm || {}),
+            pricing: config.pricing,
+            pricingModel: config.pricingModel
+        });
+        this.actionRegistry = config.actionRegistry || null;
+        this.maxToolCalls = config.maxToolCalls || 20;
+    }
+
+    async run(query, input = {}, context = {}) {
+        const startTime = Date.now();
+        const tools = this.availableTools();
+
+        const response = await this.provider.complete({
+            prompt: this.buildPrompt(query, input, context, tools),
+            tools,
+            query,
+            input,
+            domain: context.domain
+        });
+
+        const toolCalls = response.toolCalls || [];
+        if (toolCalls.length > this.maxToolCalls) {
+            throw new Error(`Plan has ${toolCalls.length} tool calls; the limit is ${this.maxToolCalls}`);
+        }
+
+        const run = { executionPath: [], taskOutputs: {}, lastOutput: undefined };
+        let error = null;
+
+        for (const call of toolCalls) {
+            try {
+                await this.runToolCall(call, run, context);
+            } catch (toolError) {
+                error = toolError.message;
+                logger.warn(`LLM plan for "${query}" failed: ${error}`);
+                break;
+            }
+        }
+
+        return {
+            success: !error,
+            error,
+            output: error ? null : (run.lastOutput !== undefined ? run.lastOutput : response.content),
+            content: response.content,
+            executionPath: run.executionPath,
+            taskOutputs: run.taskOutputs,
+            totalDuration: Date.now() - startTime,
+            llmCalls: 1,
+            model: response.model,
+            tokens: response.usage,
+            cost: this.provider.cost(response.usage)
+        };
+    }
+
+    async runToolCall(call, run, context) {
+        const previous = run.executionPath[run.executionPath.length - 1];
+        const step = {
+            taskId: `${call.name}_${run.executionPath.length}`,
+            taskName: call.name,
+            taskType: 'deterministic',
+            actionIdentifier: this.actionRegistry?.resolveAction(call.name) || null,
+            input: call.arguments || {},
+            inputSource: previous ? `task:${previous.taskId}` : 'user',
+            dependsOn: previous ? [previous.taskId] : [],
+            startTime: Date.now()
+        };
+
+        try {
+            const output = await this.invokeTool(call, step, context);
+            run.taskOutputs[step.taskId] = output;
+            run.lastOutput = output;
+            step.status = 'completed';
+
+        } catch (error) {
+            step.status = 'failed';
+            step.error = error.message;
+            throw new Error(`Tool ${call.name} failed: ${error.message}`);
+
+        } finally {
+            step.endTime = Date.now();
+            step.duration = step.endTime - step.startTime;
+            run.executionPath.push(step);
+        }
+    }
+
+    invokeTool(call, step, context) {
+        if (step.actionIdentifier) {
+            return this.actionRegistry.invoke(step.actionIdentifier, step.input, {
+                actionIdentifier: step.actionIdentifier,
+                taskName: call.name,
+                context
+            });
+        }
+
+        if (typeof this.provider.toolResult === 'function') {
+            return this.provider.toolResult(call);
+        }
+
+        throw new Error(`No action registered for tool ${call.name}`);
+    }
+
+    availableTools() {
+        if (!this.actionRegistry) return [];
+
+        return this.actionRegistry.list().map(entry => ({
+            name: entry.taskName,
+            description: entry.description,
+            inputSchema: entry.inputSchema
+        }));
+    }
+
+    buildPrompt(query, input, context, tools) {
+        return [
+            `Question: ${query}`,
+            `Input: ${JSON.stringify(input)}`,
+            context.domain ? `Domain: ${context.domain}` : null,
+            tools.length > 0 ? `Tools: ${tools.map(tool => tool.name).join(', ')}` : null
+        ].filter(Boolean).join('\n');
+    }
+}
+
+module.exports = LLMOrchestrator;
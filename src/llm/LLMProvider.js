@@ -0,0 +1,70 @@
+// LLMProvider.js
+// Interface shared by the LLM clients, with token accounting
+
+const PricingModel = require('../cost/PricingModel');
+
+/**
+ * LLM Provider
+ * `complete(request)` sends a prompt and resolves to a plan:
+ *
+ *   request:  { prompt, tools, query, input, domain }
+ *   response: { content, toolCalls: [{ id, name, arguments }], usage, model }
+ *
+ * `tools` are `{ name, description, inputSchema }` in the `{ field: 'type' }`
+ * form used by the action registry. `query`, `input` and `domain` repeat the
+ * structured parts of the prompt for providers that plan without a model.
+ * `usage` is `{ promptTokens, completionTokens, totalTokens }`; every call is
+ * added to the running totals returned by `getUsage()`, priced with the
+ * `pricing` catalogue for this provider's model.
+ *
+ * Subclasses implement `generate(request)`.
+ */
+class LLMProvider {
+    constructor(config = {}) {
+        this.model = config.model || 'gpt-4';
+        this.temperature = config.temperature !== undefined ? config.temperature : 0.7;
+        this.maxTokens = config.maxTokens || 1000;
+        this.pricing = config.pricingModel || new PricingModel(config.pricing);
+
+        this.usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    }
+
+    async complete(request) {
+        const response = await this.generate(request);
+        this.recordUsage(response.usage);
+        return { model: this.model, ...response };
+    }
+
+    async generate(request) {
+        throw new Error(`${this.constructor.name} does not implement generate()`);
+    }
+
+    recordUsage(usage = {}) {
+        this.usage.calls++;
+        this.usage.promptTokens += usage.promptTokens || 0;
+        this.usage.completionTokens += usage.completionTokens || 0;
+        this.usage.totalTokens += usage.totalTokens || 0;
+    }
+
+    getUsage() {
+        return { ...this.usage, cost: this.cost(this.usage) };
+    }
+
+    resetUsage() {
+        this.usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    }
+
+    cost(usage = {}) {
+        return this.pricing.llmCost(usage, this.model);
+    }
+
+    /**
+     * Rough token count (about four characters per token)
+     */
+    estimateTokens(text) {
+        if (!text) return 0;
+        return Math.ceil(String(text).length / 4);
+    }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,171 @@
+// MockLLMProvider.js
+// Scripted LLM that replays the task plans of the domain templates
+
+const crypto = require('crypto');
+const LLMProvider = require('./LLMProvider');
+const DomainTemplates = require('./DomainTemplates');
+
+// Output fields by task verb, as in the synthetic traces
+const OUTPUT_SHAPES = {
+    fetch: seed => ({ data: [`record_${Math.floor(seed * 1000)}`], count: 1 + Math.floor(seed * 50) }),
+    analyze: seed => ({ result: { finding: 'pattern_detected' }, confidence: Number((0.5 + seed / 2).toFixed(3)) }),
+    process: seed => ({ success: true, id: `id_${Math.floor(seed * 1e6)}` }),
+    validate: () => ({ valid: true, errors: [] }),
+    calculate: seed => ({ value: Number((seed * 100).toFixed(2)), formula: 'weighted_sum' })
+};
+
+/**
+ * Mock LLM Provider
+ * Matches the query against the query templates of `DomainTemplates`
+ * (restricted to `request.domain` when given) and answers with the
+ * template's task plan: the base sequence, followed by every conditional
+ * task whose guard holds for the query variables and input. Guards on
+ * values that are not present are not taken, so the same request always
+ * yields the same plan, token counts and tool results.
+ *
+ * Prompt tokens include `promptOverheadTokens` for the system prompt and
+ * tool descriptions a deployed agent sends with every request.
+ *
+ * Requests that match no template are rejected.
+ */
+class MockLLMProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.templates = config.templates || new DomainTemplates();
+        this.promptOverheadTokens = config.promptOverheadTokens !== undefined ? config.promptOverheadTokens : 500;
+        this.patterns = this.compilePatterns();
+    }
+
+    /**
+     * One matcher per query template: 'Investigate {issue} in {component}'
+     * captures `issue` and `component`
+     */
+    compilePatterns() {
+        const patterns = [];
+
+        this.templates.getAllDomains().forEach(domain => {
+            this.templates.getPatternNames(domain).forEach(name => {
+                const template = this.templates.getTemplate(domain, name);
+
+                (template.queryTemplates || []).forEach(queryTemplate => {
+                    const variables = [];
+                    const source = queryTemplate
+                        .split(/\{(\w+)\}/)
+                        .map((part, i) => {
+                            if (i % 2 === 1) {
+                                variables.push(part);
+                                return '(.+?)';
+                            }
+                            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                        })
+                        .join('');
+
+                    patterns.push({ domain, template, variables, regex: new RegExp(`^${source}$`, 'i') });
+                });
+            });
+        });
+
+        return patterns;
+    }
+
+    async generate({ prompt, query, input = {}, tools = [], domain } = {}) {
+        const text = (query || prompt || '').trim();
+        const match = this.matchTemplate(text, domain);
+
+        if (!match) {
+            throw new Error(`No scripted plan matches "${text}"`);
+        }
+
+        const values = { ...match.variables, ...input };
+        const taskNames = [
+            ...match.template.baseSequence,
+            ...Object.entries(match.template.conditionalTasks || {})
+                .filter(([, condition]) => this.conditionHolds(condition, values))
+                .map(([taskName]) => taskName)
+        ];
+
+        const toolCalls = taskNames.map((name, index) => ({
+            id: `call_${index}`,
+            name,
+            arguments: values
+        }));
+        const content = `Plan for ${match.template.name}: ${taskNames.join(' -> ')}`;
+
+        const promptTokens = this.promptOverheadTokens +
+            this.estimateTokens(prompt || text) +
+            this.estimateTokens(JSON.stringify(tools));
+        const completionTokens = this.estimateTokens(content) + this.estimateTokens(JSON.stringify(toolCalls));
+
+        return {
+            content,
+            toolCalls,
+            pattern: match.template.name,
+            domain: match.domain,
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+    }
+
+    matchTemplate(text, domain) {
+        const candidates = domain
+            ? this.patterns.filter(pattern => pattern.domain === domain)
+            : this.patterns;
+
+        for (const pattern of candidates) {
+            const captured = text.match(pattern.regex);
+            if (!captured) continue;
+
+            const variables = {};
+            pattern.variables.forEach((name, i) => {
+                variables[name] = captured[i + 1];
+            });
+            return { domain: pattern.domain, template: pattern.template, variables };
+        }
+
+        return null;
+    }
+
+    /**
+     * Guards look like 'if severity=critical|high', 'if amount > 1000',
+     * 'if p95 > threshold' or 'if has_db_calls'
+     */
+    conditionHolds(condition, values) {
+        const expression = condition.replace(/^if\s+/, '').trim();
+        const match = expression.match(/^(\w+)\s*(=|>|<)\s*(.+)$/);
+
+        if (!match) {
+            return Boolean(values[expression]);
+        }
+
+        const [, field, operator, expected] = match;
+        const actual = values[field];
+        if (actual === undefined) return false;
+
+        const threshold = values[expected] !== undefined ? values[expected] : expected;
+        if (operator === '>') return Number(actual) > Number(threshold);
+        if (operator === '<') return Number(actual) < Number(threshold);
+        return expected.split('|').includes(String(actual));
+    }
+
+    /**
+     * Stand-in result for a tool that has no registered action. The output
+     * depends only on the tool name and arguments.
+     */
+    toolResult(call) {
+        const seed = this.seed(`${call.name}:${JSON.stringify(call.arguments || {})}`);
+        const shape = OUTPUT_SHAPES[call.name.split('_')[0]];
+
+        return {
+            status: 'completed',
+            result: `${call.name}_result`,
+            ...(shape ? shape(seed) : {})
+        };
+    }
+
+    // Stable value in [0, 1) derived from a string
+    seed(text) {
+        const hash = crypto.createHash('sha256').update(text).digest('hex');
+        return parseInt(hash.substring(0, 8), 16) / 0x100000000;
+    }
+}
+
+module.exports = MockLLMProvider;
@@ -0,0 +1,124 @@
+// OpenAIProvider.js
+// LLM client for OpenAI-compatible chat completion endpoints
+
+const LLMProvider = require('./LLMProvider');
+
+const JSON_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+/**
+ * OpenAI Provider
+ * Sends the prompt with the available tools as function definitions and
+ * returns the tool calls of the reply as the plan. Token usage is taken
+ * from the response. The endpoint and key default to `OPENAI_BASE_URL`
+ * and `OPENAI_API_KEY`.
+ */
+class OpenAIProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+        this.timeout = config.timeout || 60000;
+        this.systemPrompt = config.systemPrompt ||
+            'You answer operational questions by calling the available tools in the order they should run.';
+    }
+
+    async generate({ prompt, tools = [] } = {}) {
+        if (!this.apiKey) {
+            throw new Error('OpenAIProvider requires an API key (config.llm.apiKey or OPENAI_API_KEY)');
+        }
+
+        const body = {
+            model: this.model,
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+            messages: [
+                { role: 'system', content: this.systemPrompt },
+                { role: 'user', content: prompt }
+            ]
+        };
+
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description || tool.name,
+                    parameters: this.toParameters(tool.inputSchema)
+                }
+            }));
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${this.apiKey}`
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} from ${this.baseUrl}`);
+            }
+
+            const result = await response.json();
+            const message = result.choices?.[0]?.message || {};
+
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    arguments: this.parseArguments(call.function.arguments)
+                })),
+                usage: {
+                    promptTokens: result.usage?.prompt_tokens || 0,
+                    completionTokens: result.usage?.completion_tokens || 0,
+                    totalTokens: result.usage?.total_tokens || 0
+                }
+            };
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * `{ field: 'type' }` schemas (trailing `?` for optional fields,
+     * `enum:a|b` for enumerations) as JSON Schema function parameters
+     */
+    toParameters(schema = {}) {
+        const properties = {};
+        const required = [];
+
+        Object.entries(schema).forEach(([field, declared]) => {
+            const optional = declared.endsWith('?');
+            const type = optional ? declared.slice(0, -1) : declared;
+
+            if (type.startsWith('enum:')) {
+                properties[field] = { type: 'string', enum: type.substring(5).split('|') };
+            } else {
+                properties[field] = JSON_TYPES.includes(type) ? { type } : {};
+            }
+
+            if (!optional) required.push(field);
+        });
+
+        return { type: 'object', properties, required };
+    }
+
+    parseArguments(text) {
+        try {
+            return JSON.parse(text || '{}');
+        } catch (error) {
+            throw new Error(`Tool call arguments are not valid JSON: ${error.message}`);
+        }
+    }
+}
+
+module.exports = OpenAIProvider;
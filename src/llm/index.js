@@ -0,0 +1,26 @@
+// llm/index.js
+// LLM providers and the factory that picks one from configuration
+
+const LLMProvider = require('./LLMProvider');
+const MockLLMProvider = require('./MockLLMProvider');
+const OpenAIProvider = require('./OpenAIProvider');
+
+/**
+ * Create the provider for the `llm` section of config.local.js: the
+ * scripted mock while `mockMode` is on (the default), otherwise the
+ * OpenAI-compatible client
+ */
+function createLLMProvider(config = {}) {
+    if (config.provider instanceof LLMProvider) {
+        return config.provider;
+    }
+
+    return config.mockMode === false ? new OpenAIProvider(config) : new MockLLMProvider(config);
+}
+
+module.exports = {
+    createLLMProvider,
+    LLMProvider,
+    MockLLMProvider,
+    OpenAIProvider
+};
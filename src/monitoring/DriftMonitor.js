@@ -0,0 +1,209 @@
+// DriftMonitor.js
+// Detects behaviour drift of deployed synthesized workflows and demotes them
+
+const logger = require('../utils/Logger');
+const { createRepositories } = require('../storage');
+const statistics = require('../utils/Statistics');
+const schemaInference = require('../utils/SchemaInference');
+const ExecutionTraceCollector = require('../tracing/ExecutionTraceCollector');
+const WorkflowVersionManager = require('../workflow_synthesis/WorkflowVersionManager');
+
+/**
+ * Drift Monitor
+ * Watches the outcomes and inputs of every active synthesized workflow.
+ * The first `referenceSize` observations after deployment form the
+ * reference window; the latest `windowSize` form the recent window. Drift is
+ * flagged when any of these fire:
+ *
+ * - success rate: one-sided two-proportion z-test, recent below reference
+ * - input schema: per field, a chi-square test of homogeneity over the
+ *   field's top-level type in the schema inferred by `extractInputSchema`
+ *   ('missing' when absent),
+ *   which catches new fields, dropped fields and type changes
+ * - input contract: the share of recent inputs with fields unknown to the
+ *   workflow's `inputContract`, or of the wrong type, exceeds `contractViolationRate`
+ *
+ * Field tests are Bonferroni-corrected. A drifting workflow is demoted so the
+ * router falls back to the LLM path, and its lineage is marked for re-mining
+ * from traces newer than the start of the recent window.
+ */
+class DriftMonitor {
+    constructor(config = {}) {
+        const repositories = config.repositories || createRepositories(config);
+        this.workflows = repositories.workflows;
+        this.traceCollector = config.traceCollector || new ExecutionTraceCollector({ ...config, repositories });
+        this.versionManager = config.versionManager || new WorkflowVersionManager({ ...config, repositories });
+
+        this.referenceSize = config.driftReferenceSize || 50;
+        this.windowSize = config.driftWindowSize || 50;
+        this.checkInterval = config.driftCheckInterval || 10;       // observations between checks
+        this.significance = config.driftSignificance || 0.01;
+        this.contractViolationRate = config.driftContractViolationRate || 0.2;
+
+        // workflowId -> { reference: [], recent: [], sinceCheck }
+        this.windows = new Map();
+    }
+
+    /**
+     * Record one post-deployment execution ({ success, input }) of a workflow.
+     * Returns the drift report when a check ran, otherwise null.
+     */
+    async observe(workflow, { success, input }) {
+        const window = this.windowFor(workflow.workflowId);
+        const observation = {
+            success: !!success,
+            inputSchema: schemaInference.fieldTypes(this.traceCollector.extractInputSchema(input)),
+            timestamp: Date.now()
+        };
+
+        if (window.reference.length < this.referenceSize) {
+            window.reference.push(observation);
+            return null;
+        }
+
+        window.recent.push(observation);
+        if (window.recent.length > this.windowSize) {
+            window.recent.shift();
+        }
+
+        window.sinceCheck++;
+        if (window.recent.length < this.windowSize || window.sinceCheck < this.checkInterval) {
+            return null;
+        }
+        window.sinceCheck = 0;
+
+        const report = this.check(workflow);
+        if (report.drifted) {
+            await this.demote(workflow, report);
+        }
+
+        return report;
+    }
+
+    windowFor(workflowId) {
+        if (!this.windows.has(workflowId)) {
+            this.windows.set(workflowId, { reference: [], recent: [], sinceCheck: 0 });
+        }
+        return this.windows.get(workflowId);
+    }
+
+    /**
+     * Run all drift tests on the current windows of a workflow
+     */
+    check(workflow) {
+        const { reference, recent } = this.windowFor(workflow.workflowId);
+        const signals = [
+            ...this.testSuccessRate(reference, recent),
+            ...this.testInputSchema(reference, recent),
+            ...this.testInputContract(workflow.inputContract, recent)
+        ];
+
+        return {
+            workflowId: workflow.workflowId,
+            drifted: signals.length > 0,
+            signals,
+            windowStart: recent.length > 0 ? recent[0].timestamp : null
+        };
+    }
+
+    testSuccessRate(reference, recent) {
+        const referenceSuccesses = reference.filter(o => o.success).length;
+        const recentSuccesses = recent.filter(o => o.success).length;
+        const { z, pValue } = statistics.proportionDecrease(
+            referenceSuccesses, reference.length, recentSuccesses, recent.length
+        );
+
+        if (pValue >= this.significance) return [];
+
+        return [{
+            type: 'success_rate',
+            reference: referenceSuccesses / reference.length,
+            recent: recentSuccesses / recent.length,
+            z,
+            pValue
+        }];
+    }
+
+    testInputSchema(reference, recent) {
+        const fields = new Set();
+        [...reference, ...recent].forEach(o => Object.keys(o.inputSchema).forEach(f => fields.add(f)));
+        if (fields.size === 0) return [];
+
+        const threshold = this.significance / fields.size;
+        const typeCounts = (observations, field) => {
+            const counts = {};
+            observations.forEach(o => {
+                // Whole and fractional values of one number field are not drift
+                const type = o.inputSchema[field] === 'integer' ? 'number' : (o.inputSchema[field] || 'missing');
+                counts[type] = (counts[type] || 0) + 1;
+            });
+            return counts;
+        };
+
+        const signals = [];
+        fields.forEach(field => {
+            const referenceTypes = typeCounts(reference, field);
+            const recentTypes = typeCounts(recent, field);
+            const { statistic, pValue } = statistics.chiSquareHomogeneity(referenceTypes, recentTypes);
+
+            if (pValue < threshold) {
+                signals.push({ type: 'input_schema', field, reference: referenceTypes, recent: recentTypes, statistic, pValue });
+            }
+        });
+
+        return signals;
+    }
+
+    testInputContract(contract, recent) {
+        if (!contract?.schema || recent.length === 0) return [];
+
+        const unknownFields = {};
+        const typeMismatches = {};
+
+        const expectedFields = schemaInference.properties(contract.schema);
+
+        recent.forEach(o => {
+            Object.entries(o.inputSchema).forEach(([field, type]) => {
+                const expected = expectedFields[field];
+                if (!expected) {
+                    unknownFields[field] = (unknownFields[field] || 0) + 1;
+                } else if (!schemaInference.acceptsType(expected, type)) {
+                    typeMismatches[field] = (typeMismatches[field] || 0) + 1;
+                }
+            });
+        });
+
+        const limit = this.contractViolationRate * recent.length;
+        return [
+            ...Object.entries(unknownFields)
+                .filter(([_, count]) => count > limit)
+                .map(([field, count]) => ({ type: 'new_field', field, rate: count / recent.length })),
+            ...Object.entries(typeMismatches)
+                .filter(([_, count]) => count > limit)
+                .map(([field, count]) => ({ type: 'type_change', field, expected: schemaInference.typeName(expectedFields[field]), rate: count / recent.length }))
+        ];
+    }
+
+    /**
+     * Take the workflow out of live routing and schedule its lineage for
+     * re-mining from fresh traces
+     */
+    async demote(workflow, report) {
+        const remineSince = report.windowStart || Date.now();
+
+        await this.versionManager.setStatus(workflow, 'demoted');
+        await this.workflows.update(workflow.workflowId, {
+            drift: { detectedAt: Date.now(), signals: report.signals },
+            remineSince
+        });
+
+        workflow.remineSince = remineSince;
+        this.windows.delete(workflow.workflowId);
+
+        logger.warn(`Demoted workflow ${workflow.versionId || workflow.workflowId} on drift: ${report.signals.map(s => s.field ? `${s.type}(${s.field})` : s.type).join(', ')}`);
+
+        return workflow;
+    }
+}
+
+module.exports = DriftMonitor;
@@ -0,0 +1,448 @@
+// GuardConditionMiner.js
+// Learns branch predicates for BRANCH positions of a consensus pattern
+
+const templateProcessor = require('../utils/TemplateProcessor');
+
+const NEGATED_OPERATORS = {
+    '==': '!=',
+    '!=': '==',
+    '>': '<=',
+    '<=': '>',
+    '<': '>=',
+    '>=': '<',
+    'in': 'not in',
+    'not in': 'in'
+};
+
+/**
+ * Guard Condition Miner - Phase 4 of Algorithm 1
+ * For every optional task at a BRANCH position, induces a small decision tree
+ * that predicts whether a trace took the branch from its user input values and
+ * the key output values of the consensus tasks before the branch. Predicates
+ * recorded in trace decision points (e.g. `if severity=critical|high`) are
+ * scored as candidates too. The best candidate is kept only if its support
+ * and accuracy clear the configured thresholds.
+ */
+class GuardConditionMiner {
+    constructor(config = {}) {
+        this.minGuardAccuracy = config.minGuardAccuracy || 0.8;
+        this.minGuardSupport = config.minGuardSupport || 2;   // traces covered by the guard
+        this.maxDepth = config.maxGuardDepth || 2;
+        this.minSamplesLeaf = config.minSamplesLeaf || 2;
+        this.maxCategories = config.maxGuardCategories || 8;
+    }
+
+    /**
+     * Mine guards for every BRANCH position of the consensus pattern
+     */
+    mine(traces, consensusPattern) {
+        const guardConditions = [];
+
+        consensusPattern
+            .filter(node => node.taskName === 'BRANCH')
+            .forEach(node => {
+                const precedingTasks = consensusPattern
+                    .filter(n => n.position < node.position && n.taskName !== 'BRANCH')
+                    .flatMap(n => (n.branches || n.body || [n]).map(step => step.taskName));
+
+                const samples = traces.map(trace => ({
+                    features: this.extractFeatures(trace, precedingTasks),
+                    trace
+                }));
+
+                const conditions = {};
+                const guards = [];
+                const rejected = [];
+
+                node.options.forEach(option => {
+                    const labelled = samples.map(sample => ({
+                        features: sample.features,
+                        label: sample.trace.executionSequence.some(task => task.taskName === option),
+                        trace: sample.trace
+                    }));
+
+                    const guard = this.mineBranchGuard(option, labelled);
+                    if (!guard) return;
+
+                    if (guard.accuracy >= this.minGuardAccuracy &&
+                        guard.supportCount >= this.minGuardSupport) {
+                        conditions[option] = guard.condition;
+                        guards.push(guard);
+                    } else {
+                        rejected.push(guard);
+                    }
+                });
+
+                if (guards.length > 0 || rejected.length > 0) {
+                    // Most supported branches are tried first by the choice state
+                    guards.sort((a, b) => b.support - a.support);
+
+                    const ordered = {};
+                    guards.forEach(guard => {
+                        ordered[guard.branch] = conditions[guard.branch];
+                    });
+
+                    guardConditions.push({
+                        position: node.position,
+                        conditions: ordered,
+                        guards,
+                        rejected
+                    });
+                }
+            });
+
+        return guardConditions;
+    }
+
+    /**
+     * Pick the best guard for one branch among the induced rule and any
+     * conditions recorded in the traces' decision points
+     */
+    mineBranchGuard(branch, samples) {
+        const positives = samples.filter(s => s.label).length;
+
+        // Branches taken always or never are not conditional
+        if (positives === 0 || positives === samples.length) {
+            return null;
+        }
+
+        const candidates = [];
+        const fields = this.selectFields(samples);
+
+        const tree = this.buildTree(samples, fields, 0);
+        const induced = this.treeToCondition(tree);
+
+        if (induced) {
+            candidates.push({
+                condition: induced,
+                source: 'induced',
+                accuracy: this.crossValidate(samples, fields),
+                trainingAccuracy: this.accuracy(induced, samples)
+            });
+        }
+
+        this.recordedConditions(branch, samples).forEach(condition => {
+            const accuracy = this.accuracy(condition, samples);
+            candidates.push({ condition, source: 'recorded', accuracy, trainingAccuracy: accuracy });
+        });
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // Prefer recorded conditions on ties: they came from the orchestrator
+        candidates.sort((a, b) =>
+            (b.accuracy - a.accuracy) || ((a.source === 'recorded' ? 0 : 1) - (b.source === 'recorded' ? 0 : 1))
+        );
+
+        const best = candidates[0];
+        const supportCount = samples.filter(s => s.label && this.test(best.condition, s.features)).length;
+
+        return {
+            branch,
+            condition: best.condition,
+            source: best.source,
+            accuracy: best.accuracy,
+            trainingAccuracy: best.trainingAccuracy,
+            support: supportCount / samples.length,
+            supportCount,
+            samples: samples.length
+        };
+    }
+
+    /**
+     * Features are the user input values plus key output values of the
+     * consensus tasks that precede the branch, named by their template path
+     */
+    extractFeatures(trace, precedingTasks) {
+        const features = {};
+
+        trace.executionSequence.forEach((task, index) => {
+            if (index === 0 || task.input?.source === 'user') {
+                Object.entries(task.input?.values || {}).forEach(([field, value]) => {
+                    if (features[field] === undefined && this.isPrimitive(value)) {
+                        features[field] = value;
+                    }
+                });
+            }
+
+            // Parallel blocks and loops expose the outputs of their inner tasks
+            (task.branches || task.body || [task])
+                .filter(step => precedingTasks.includes(step.taskName))
+                .forEach(step => {
+                    Object.entries(step.output?.keyValues || {}).forEach(([key, value]) => {
+                        const path = `${step.taskName}_output.${key}`;
+                        if (features[path] === undefined && this.isPrimitive(value)) {
+                            features[path] = value;
+                        }
+                    });
+                });
+        });
+
+        return features;
+    }
+
+    isPrimitive(value) {
+        return ['string', 'number', 'boolean'].includes(typeof value);
+    }
+
+    /**
+     * Keep numeric and boolean fields, and categorical fields with at most
+     * maxGuardCategories values of which one recurs in at least
+     * minSamplesLeaf samples (identifiers never recur, so they are dropped)
+     */
+    selectFields(samples) {
+        const values = {};
+
+        samples.forEach(sample => {
+            Object.entries(sample.features).forEach(([field, value]) => {
+                if (!values[field]) values[field] = [];
+                values[field].push(value);
+            });
+        });
+
+        return Object.entries(values)
+            .map(([field, fieldValues]) => ({ field, kind: this.featureKind(fieldValues) }))
+            .filter(({ field, kind }) => {
+                if (kind !== 'categorical') return true;
+                const counts = {};
+                values[field].forEach(value => {
+                    counts[value] = (counts[value] || 0) + 1;
+                });
+
+                return Object.keys(counts).length <= this.maxCategories &&
+                    Object.values(counts).some(count => count >= this.minSamplesLeaf);
+            });
+    }
+
+    featureKind(values) {
+        if (values.every(v => typeof v === 'boolean')) return 'boolean';
+        if (values.every(v => typeof v === 'number')) return 'numeric';
+        return 'categorical';
+    }
+
+    buildTree(samples, fields, depth) {
+        const positives = samples.filter(s => s.label).length;
+        const leaf = { leaf: true, label: positives * 2 > samples.length, count: samples.length };
+
+        if (positives === 0 || positives === samples.length ||
+            depth >= this.maxDepth || samples.length < this.minSamplesLeaf * 2) {
+            return leaf;
+        }
+
+        const split = this.bestSplit(samples, fields);
+        if (!split) return leaf;
+
+        const matched = samples.filter(s => this.test(split.predicate, s.features));
+        const unmatched = samples.filter(s => !this.test(split.predicate, s.features));
+
+        return {
+            leaf: false,
+            predicate: split.predicate,
+            whenTrue: this.buildTree(matched, fields, depth + 1),
+            whenFalse: this.buildTree(unmatched, fields, depth + 1)
+        };
+    }
+
+    /**
+     * Choose the predicate with the highest information gain
+     */
+    bestSplit(samples, fields) {
+        const parentEntropy = this.entropy(samples);
+        let best = null;
+
+        fields.forEach(({ field, kind }) => {
+            this.candidatePredicates(samples, field, kind).forEach(predicate => {
+                const matched = samples.filter(s => this.test(predicate, s.features));
+                const unmatched = samples.length - matched.length;
+
+                if (matched.length < this.minSamplesLeaf || unmatched < this.minSamplesLeaf) {
+                    return;
+                }
+
+                const rest = samples.filter(s => !this.test(predicate, s.features));
+                const gain = parentEntropy -
+                    (matched.length / samples.length) * this.entropy(matched) -
+                    (rest.length / samples.length) * this.entropy(rest);
+
+                if (gain > 1e-9 && (!best || gain > best.gain)) {
+                    best = { predicate, gain };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    candidatePredicates(samples, field, kind) {
+        const present = samples.filter(s => s.features[field] !== undefined);
+
+        if (kind === 'boolean') {
+            return [{ field, operator: '==', value: true }];
+        }
+
+        if (kind === 'numeric') {
+            const values = [...new Set(present.map(s => s.features[field]))].sort((a, b) => a - b);
+            const predicates = [];
+            for (let i = 0; i < values.length - 1; i++) {
+                predicates.push({ field, operator: '>', value: (values[i] + values[i + 1]) / 2 });
+            }
+            return predicates;
+        }
+
+        // Categorical: order categories by branch rate and try every prefix,
+        // which is optimal for binary labels
+        const stats = {};
+        present.forEach(s => {
+            const key = String(s.features[field]);
+            if (!stats[key]) stats[key] = { taken: 0, total: 0 };
+            stats[key].total++;
+            if (s.label) stats[key].taken++;
+        });
+
+        const ordered = Object.entries(stats)
+            .sort((a, b) => (b[1].taken / b[1].total) - (a[1].taken / a[1].total) || a[0].localeCompare(b[0]))
+            .map(([value]) => value);
+
+        const predicates = [];
+        for (let i = 1; i < ordered.length; i++) {
+            const subset = ordered.slice(0, i);
+            predicates.push(subset.length === 1
+                ? { field, operator: '==', value: subset[0] }
+                : { field, operator: 'in', value: subset.join('|') });
+        }
+        return predicates;
+    }
+
+    entropy(samples) {
+        if (samples.length === 0) return 0;
+        const p = samples.filter(s => s.label).length / samples.length;
+        if (p === 0 || p === 1) return 0;
+        return -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
+    }
+
+    /**
+     * Convert the tree into disjunctive normal form over paths to positive leaves
+     */
+    treeToCondition(tree) {
+        const paths = [];
+
+        const walk = (node, predicates) => {
+            if (node.leaf) {
+                if (node.label && predicates.length > 0) paths.push(predicates);
+                return;
+            }
+            walk(node.whenTrue, [...predicates, node.predicate]);
+            walk(node.whenFalse, [...predicates, this.negate(node.predicate)]);
+        };
+
+        walk(tree, []);
+
+        if (paths.length === 0) return null;
+
+        const conjunctions = paths.map(predicates =>
+            predicates.length === 1 ? predicates[0] : { all: predicates }
+        );
+
+        return conjunctions.length === 1 ? conjunctions[0] : { any: conjunctions };
+    }
+
+    negate(predicate) {
+        return { ...predicate, operator: NEGATED_OPERATORS[predicate.operator] };
+    }
+
+    /**
+     * Leave-one-out accuracy of the induced rule, so guards fitted to noise
+     * in a handful of traces are rejected
+     */
+    crossValidate(samples, fields) {
+        let correct = 0;
+
+        samples.forEach((heldOut, index) => {
+            const training = samples.filter((_, i) => i !== index);
+            const condition = this.treeToCondition(this.buildTree(training, fields, 0));
+            const predicted = condition ? this.test(condition, heldOut.features) : false;
+            if (predicted === heldOut.label) correct++;
+        });
+
+        return correct / samples.length;
+    }
+
+    accuracy(condition, samples) {
+        const correct = samples.filter(s => this.test(condition, s.features) === s.label).length;
+        return correct / samples.length;
+    }
+
+    /**
+     * Evaluate a guard against a flat feature map, using the same comparison
+     * semantics as the workflow runtime
+     */
+    test(condition, features) {
+        if (condition.all) return condition.all.every(c => this.test(c, features));
+        if (condition.any) return condition.any.some(c => this.test(c, features));
+
+        const left = features[condition.field];
+        const { operator, value } = condition;
+
+        switch (operator) {
+            case '==': return templateProcessor.compare(left, value) === 0;
+            case '!=': return templateProcessor.compare(left, value) !== 0;
+            case '>': return left !== undefined && templateProcessor.compare(left, value) > 0;
+            case '>=': return left !== undefined && templateProcessor.compare(left, value) >= 0;
+            case '<': return templateProcessor.compare(left, value) < 0;
+            case '<=': return templateProcessor.compare(left, value) <= 0;
+            case 'in': return templateProcessor.toList(value).some(v => templateProcessor.compare(left, v) === 0);
+            case 'not in': return !templateProcessor.toList(value).some(v => templateProcessor.compare(left, v) === 0);
+            default: return false;
+        }
+    }
+
+    /**
+     * Distinct conditions recorded in decision points for the branch task
+     */
+    recordedConditions(branch, samples) {
+        const recorded = new Set();
+
+        samples.forEach(({ trace }) => {
+            const taskIds = new Set(trace.executionSequence
+                .filter(task => task.taskName === branch)
+                .map(task => task.taskId));
+
+            (trace.decisionPoints || [])
+                .filter(dp => taskIds.has(dp.taskId) && typeof dp.condition === 'string')
+                .forEach(dp => recorded.add(dp.condition));
+        });
+
+        return Array.from(recorded).map(condition => this.parseCondition(condition));
+    }
+
+    /**
+     * Parse a recorded condition such as `if severity=critical|high`
+     * into a { field, operator, value } guard
+     */
+    parseCondition(condition) {
+        const expression = condition.replace(/^if\s+/i, '').trim();
+        const match = expression.match(/^([\w.]+)\s*(>=|<=|!=|==|=|>|<)\s*(.+)$/);
+
+        if (!match) {
+            // Bare flag, e.g. `if has_db_calls`
+            return { field: expression, operator: '==', value: true };
+        }
+
+        const [, field, operator, raw] = match;
+        const value = raw.trim();
+
+        if ((operator === '=' || operator === '==') && value.includes('|')) {
+            return { field, operator: 'in', value };
+        }
+
+        const numeric = Number(value);
+        return {
+            field,
+            operator: operator === '=' ? '==' : operator,
+            value: value !== '' && Number.isFinite(numeric) ? numeric : value
+        };
+    }
+}
+
+module.exports = GuardConditionMiner;
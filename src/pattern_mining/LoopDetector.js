@@ -0,0 +1,274 @@
+// LoopDetector.js
+// Detects repeated sub-sequences (pagination, polling, per-item work) and retries
+
+const GuardConditionMiner = require('./GuardConditionMiner');
+
+/**
+ * Loop Detector
+ * A loop body is a sub-sequence of task names that repeats back to back
+ * (a tandem repeat) in at least `minLoopSupport` traces. Every run of a known
+ * body, including a single pass, is collapsed into one LOOP(...) step before
+ * alignment so traces with different iteration counts still line up.
+ *
+ * For each loop the detector learns an iteration bound, an exit condition
+ * (a guard predicting the last iteration from the body's outputs) and whether
+ * the loop maps over an array in the user input. Per-task retry policies are
+ * learned from the `retries` recorded on trace steps.
+ */
+class LoopDetector {
+    constructor(config = {}) {
+        this.maxBodyLength = config.maxLoopBodyLength || 3;
+        this.minLoopSupport = config.minLoopSupport || 2;       // traces in which the body repeats
+        this.boundSlack = config.loopBoundSlack || 1.5;         // maxIterations = ceil(max observed * slack)
+        this.retryBackoff = config.retryBackoffMs || 500;
+        this.guardMiner = config.guardMiner || new GuardConditionMiner(config);
+    }
+
+    /**
+     * Loop bodies (arrays of task names) that repeat in enough traces
+     */
+    detect(traces) {
+        const support = {};
+
+        traces.forEach(trace => {
+            const names = trace.executionSequence.map(task => task.taskName);
+            const seen = new Set();
+
+            this.tandemRepeats(names).forEach(repeat => {
+                const key = repeat.body.join('>');
+                if (seen.has(key)) return;
+                seen.add(key);
+                if (!support[key]) support[key] = { body: repeat.body, traces: 0 };
+                support[key].traces++;
+            });
+        });
+
+        return Object.values(support)
+            .filter(entry => entry.traces >= this.minLoopSupport)
+            .map(entry => entry.body)
+            // Longer bodies are matched first when collapsing
+            .sort((a, b) => b.length - a.length || a.join('>').localeCompare(b.join('>')));
+    }
+
+    /**
+     * Maximal back-to-back repeats in a name sequence, shortest body first on ties
+     */
+    tandemRepeats(names) {
+        const repeats = [];
+        let i = 0;
+
+        while (i < names.length) {
+            let best = null;
+
+            for (let length = 1; length <= this.maxBodyLength && i + 2 * length <= names.length; length++) {
+                const count = this.countRepeats(names, i, names.slice(i, i + length));
+                if (count >= 2 && (!best || count * length > best.count * best.body.length)) {
+                    best = { body: names.slice(i, i + length), count };
+                }
+            }
+
+            if (best) {
+                repeats.push({ start: i, ...best });
+                i += best.body.length * best.count;
+            } else {
+                i++;
+            }
+        }
+
+        return repeats;
+    }
+
+    countRepeats(names, start, body) {
+        let count = 0;
+
+        while (body.every((name, offset) => names[start + count * body.length + offset] === name)) {
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Replace every run of a known loop body with one composite step
+     */
+    collapse(trace, bodies) {
+        const steps = trace.executionSequence;
+        const names = steps.map(task => task.taskName);
+        const sequence = [];
+        let i = 0;
+
+        while (i < steps.length) {
+            const body = bodies.find(candidate => this.countRepeats(names, i, candidate) > 0);
+
+            if (!body) {
+                sequence.push(steps[i]);
+                i++;
+                continue;
+            }
+
+            const count = this.countRepeats(names, i, body);
+            const iterations = [];
+            for (let n = 0; n < count; n++) {
+                const offset = i + n * body.length;
+                iterations.push(steps.slice(offset, offset + body.length));
+            }
+
+            sequence.push(this.compositeStep(body, iterations));
+            i += body.length * count;
+        }
+
+        return sequence;
+    }
+
+    compositeStep(body, iterations) {
+        const first = iterations[0];
+        const last = iterations[iterations.length - 1];
+        const steps = iterations.flat();
+
+        return {
+            index: first[0].index,
+            taskId: `loop:${first[0].taskId}`,
+            taskName: this.loopName(body),
+            taskType: 'loop',
+            loop: true,
+            // Outputs of the final iteration are what later tasks observe
+            body: last,
+            iterations: iterations.length,
+            iterationSteps: iterations,
+            input: first[0].input,
+            output: last[last.length - 1].output,
+            duration: steps.reduce((sum, task) => sum + (task.duration || 0), 0),
+            retries: steps.reduce((sum, task) => sum + (task.retries || 0), 0)
+        };
+    }
+
+    loopName(body) {
+        return `LOOP(${body.join('>')})`;
+    }
+
+    /**
+     * Learn bounds, exit condition and map source for every loop in the
+     * collapsed traces. Returns [{ taskName, body, minIterations, maxIterations,
+     * observedMax, exitCondition, exitGuard, itemsPath }]
+     */
+    learnLoopStructures(traces) {
+        const loops = {};
+
+        traces.forEach(trace => {
+            const userInput = trace.executionSequence[0]?.input?.values || {};
+
+            trace.executionSequence.filter(task => task.loop).forEach(task => {
+                if (!loops[task.taskName]) {
+                    loops[task.taskName] = {
+                        body: task.body.map(step => step.taskName),
+                        occurrences: []
+                    };
+                }
+                loops[task.taskName].occurrences.push({ task, userInput });
+            });
+        });
+
+        return Object.entries(loops).map(([taskName, loop]) => {
+            const counts = loop.occurrences.map(o => o.task.iterations);
+            const observedMax = Math.max(...counts);
+            const exitGuard = this.mineExitGuard(taskName, loop.occurrences);
+
+            return {
+                taskName,
+                body: loop.body,
+                minIterations: Math.min(...counts),
+                observedMax,
+                maxIterations: Math.ceil(observedMax * this.boundSlack),
+                exitCondition: exitGuard ? exitGuard.condition : null,
+                exitGuard,
+                itemsPath: this.findItemsPath(loop.occurrences)
+            };
+        });
+    }
+
+    /**
+     * Exit condition: a guard that separates the last iteration from the
+     * others using the key outputs of the body tasks in that iteration
+     */
+    mineExitGuard(taskName, occurrences) {
+        const samples = [];
+
+        occurrences.forEach(({ task }) => {
+            task.iterationSteps.forEach((steps, n) => {
+                const features = {};
+                steps.forEach(step => {
+                    Object.entries(step.output?.keyValues || {}).forEach(([key, value]) => {
+                        if (this.guardMiner.isPrimitive(value)) {
+                            features[`${step.taskName}_output.${key}`] = value;
+                        }
+                    });
+                });
+
+                samples.push({
+                    features,
+                    label: n === task.iterationSteps.length - 1,
+                    trace: { executionSequence: steps }
+                });
+            });
+        });
+
+        const guard = this.guardMiner.mineBranchGuard(taskName, samples);
+
+        if (!guard ||
+            guard.accuracy < this.guardMiner.minGuardAccuracy ||
+            guard.supportCount < this.guardMiner.minGuardSupport) {
+            return null;
+        }
+
+        return guard;
+    }
+
+    /**
+     * A loop maps over a user input array when it iterates once per element
+     * in every occurrence
+     */
+    findItemsPath(occurrences) {
+        const fields = Object.keys(occurrences[0].userInput)
+            .filter(field => occurrences.every(({ task, userInput }) =>
+                Array.isArray(userInput[field]) && userInput[field].length === task.iterations
+            ));
+
+        return fields.length > 0 ? `\${input.${fields.sort()[0]}}` : null;
+    }
+
+    /**
+     * Retry policies from the retries recorded on trace steps.
+     * Returns { taskName: { maxAttempts, backoffMs, retryRate } }
+     */
+    learnRetryPolicies(traces) {
+        const stats = {};
+
+        traces.forEach(trace => {
+            trace.executionSequence.forEach(task => {
+                if (!stats[task.taskName]) stats[task.taskName] = { runs: 0, retried: 0, maxRetries: 0 };
+
+                const entry = stats[task.taskName];
+                const retries = task.retries || 0;
+                entry.runs++;
+                if (retries > 0) entry.retried++;
+                entry.maxRetries = Math.max(entry.maxRetries, retries);
+            });
+        });
+
+        const policies = {};
+
+        Object.entries(stats)
+            .filter(([_, entry]) => entry.retried > 0)
+            .forEach(([taskName, entry]) => {
+                policies[taskName] = {
+                    maxAttempts: entry.maxRetries + 1,
+                    backoffMs: this.retryBackoff,
+                    retryRate: entry.retried / entry.runs
+                };
+            });
+
+        return policies;
+    }
+}
+
+module.exports = LoopDetector;
@@ -0,0 +1,249 @@
+// ParallelBranchDetector.js
+// Detects order-independent tasks that can run as fork/join blocks
+
+const schemaInference = require('../utils/SchemaInference');
+
+/**
+ * Parallel Branch Detector
+ * Two tasks are order-independent when no trace has a dependency path
+ * between them (through `taskDependencies` or task-to-task data flow) and
+ * either both orders have been observed, or the traces recorded dependency
+ * information showing neither waits for the other.
+ *
+ * Groups of mutually independent tasks that always run back to back are
+ * collapsed into a single composite step before alignment, so the aligner
+ * sees one PARALLEL(...) column instead of a tangle of swapped tasks.
+ */
+class ParallelBranchDetector {
+    constructor(config = {}) {
+        this.minSupport = config.parallelSupport || config.consensusThreshold || 0.8;
+    }
+
+    /**
+     * Find fork/join groups across traces. Returns [{ tasks, support }]
+     */
+    detect(traces) {
+        if (traces.length === 0) return [];
+
+        const profiles = traces.map(trace => this.profileTrace(trace));
+        const candidates = this.candidateTasks(profiles);
+        const independent = this.independencePairs(candidates, profiles);
+
+        // Grow groups greedily in order of mean position
+        const meanPosition = name => {
+            const positions = profiles.filter(p => p.positions.has(name)).map(p => p.positions.get(name));
+            return positions.reduce((a, b) => a + b, 0) / positions.length;
+        };
+
+        const ordered = [...candidates].sort((a, b) => meanPosition(a) - meanPosition(b) || a.localeCompare(b));
+        const grouped = new Set();
+        const groups = [];
+
+        ordered.forEach(seed => {
+            if (grouped.has(seed)) return;
+
+            const members = [seed];
+
+            ordered.forEach(other => {
+                if (other === seed || grouped.has(other)) return;
+                if (!members.every(member => independent.has(this.pairKey(member, other)))) return;
+
+                const extended = [...members, other];
+                if (this.support(extended, profiles) >= this.minSupport) {
+                    members.push(other);
+                }
+            });
+
+            if (members.length > 1) {
+                members.forEach(member => grouped.add(member));
+                groups.push({
+                    tasks: [...members].sort(),
+                    support: this.support(members, profiles)
+                });
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Replace each contiguous run of a group's tasks with one composite step
+     */
+    collapse(trace, groups) {
+        let sequence = trace.executionSequence.slice();
+
+        groups.forEach(group => {
+            const indices = sequence
+                .map((task, index) => (group.tasks.includes(task.taskName) ? index : -1))
+                .filter(index => index >= 0);
+
+            if (indices.length !== group.tasks.length ||
+                indices[indices.length - 1] - indices[0] + 1 !== indices.length) {
+                return;
+            }
+
+            const block = sequence.slice(indices[0], indices[0] + indices.length);
+            sequence = [
+                ...sequence.slice(0, indices[0]),
+                this.compositeStep(block, group),
+                ...sequence.slice(indices[0] + indices.length)
+            ];
+        });
+
+        return sequence;
+    }
+
+    compositeStep(block, group) {
+        const branches = [...block].sort((a, b) => a.taskName.localeCompare(b.taskName));
+        const merge = (part, key) => Object.assign({}, ...branches.map(task => task[part]?.[key] || {}));
+        // Every branch runs, so the block's fields are the union of the branches' fields
+        const combine = part => {
+            const schemas = branches.map(task => schemaInference.normalize(task[part]?.schema));
+            return {
+                type: 'object',
+                properties: Object.assign({}, ...schemas.map(schema => schemaInference.properties(schema))),
+                required: [...new Set(schemas.flatMap(schema => schema.required || []))]
+            };
+        };
+
+        const startTimes = block.map(t => t.startTime).filter(Number.isFinite);
+        const endTimes = block.map(t => t.endTime).filter(Number.isFinite);
+
+        return {
+            index: block[0].index,
+            taskId: `parallel:${block.map(t => t.taskId).join('+')}`,
+            taskName: `PARALLEL(${group.tasks.join('|')})`,
+            taskType: 'parallel',
+            parallel: true,
+            branches,
+            input: {
+                schema: combine('input'),
+                values: merge('input', 'values'),
+                source: block[0].input?.source
+            },
+            output: {
+                schema: combine('output'),
+                keyValues: merge('output', 'keyValues')
+            },
+            // Wall-clock time of the block when timestamps are available
+            duration: startTimes.length && endTimes.length
+                ? Math.max(...endTimes) - Math.min(...startTimes)
+                : Math.max(...block.map(t => t.duration || 0))
+        };
+    }
+
+    /**
+     * Positions and dependency reachability of the tasks in one trace
+     */
+    profileTrace(trace) {
+        const positions = new Map();
+        const repeated = new Set();
+        const names = {};
+
+        trace.executionSequence.forEach((task, index) => {
+            names[task.taskId] = task.taskName;
+            // Inner steps of a collapsed loop depend on what the loop depends on
+            (task.iterationSteps || []).flat().forEach(step => {
+                names[step.taskId] = task.taskName;
+            });
+            if (positions.has(task.taskName)) repeated.add(task.taskName);
+            else positions.set(task.taskName, index);
+        });
+
+        // Edges from a task to the tasks it depends on
+        const edges = {};
+        let recordedDependencies = false;
+
+        const addEdge = (from, to) => {
+            if (!from || !to || from === to) return;
+            if (!edges[from]) edges[from] = new Set();
+            edges[from].add(to);
+        };
+
+        Object.entries(trace.taskDependencies || {}).forEach(([taskId, deps]) => {
+            const from = names[taskId];
+            (deps.dependsOn || []).forEach(dep => {
+                recordedDependencies = true;
+                addEdge(from, names[dep]);
+            });
+            (deps.dataInputFrom || []).forEach(dep => addEdge(from, names[dep]));
+        });
+
+        (trace.dataFlow || []).forEach(flow => addEdge(names[flow.to], names[flow.from]));
+
+        const reaches = (from, to, seen = new Set()) => {
+            if (seen.has(from)) return false;
+            seen.add(from);
+            return Array.from(edges[from] || []).some(next => next === to || reaches(next, to, seen));
+        };
+
+        return { positions, repeated, recordedDependencies, reaches };
+    }
+
+    /**
+     * Tasks that appear once in enough traces to be part of the consensus
+     */
+    candidateTasks(profiles) {
+        const counts = {};
+
+        profiles.forEach(profile => {
+            profile.positions.forEach((_, name) => {
+                if (!profile.repeated.has(name)) counts[name] = (counts[name] || 0) + 1;
+            });
+        });
+
+        return Object.entries(counts)
+            .filter(([_, count]) => count / profiles.length >= this.minSupport)
+            .map(([name, _]) => name);
+    }
+
+    independencePairs(candidates, profiles) {
+        const independent = new Set();
+
+        for (let i = 0; i < candidates.length; i++) {
+            for (let j = i + 1; j < candidates.length; j++) {
+                const x = candidates[i];
+                const y = candidates[j];
+                let xFirst = 0;
+                let yFirst = 0;
+                let dependent = false;
+                let recorded = false;
+
+                profiles.forEach(profile => {
+                    if (!profile.positions.has(x) || !profile.positions.has(y)) return;
+
+                    if (profile.positions.get(x) < profile.positions.get(y)) xFirst++;
+                    else yFirst++;
+
+                    if (profile.reaches(x, y) || profile.reaches(y, x)) dependent = true;
+                    if (profile.recordedDependencies) recorded = true;
+                });
+
+                if (!dependent && ((xFirst > 0 && yFirst > 0) || recorded)) {
+                    independent.add(this.pairKey(x, y));
+                }
+            }
+        }
+
+        return independent;
+    }
+
+    /**
+     * Fraction of traces where all tasks occur as one contiguous block
+     */
+    support(tasks, profiles) {
+        const contiguous = profiles.filter(profile => {
+            if (!tasks.every(task => profile.positions.has(task))) return false;
+            const positions = tasks.map(task => profile.positions.get(task));
+            return Math.max(...positions) - Math.min(...positions) + 1 === tasks.length;
+        }).length;
+
+        return contiguous / profiles.length;
+    }
+
+    pairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+}
+
+module.exports = ParallelBranchDetector;
@@ -3,7 +3,19 @@
 
 const logger = require('../utils/Logger');
 const ExecutionTraceCollector = require('../tracing/ExecutionTraceCollector');
-const AWS = require('aws-sdk');
+const GuardConditionMiner = require('./GuardConditionMiner');
+const ParallelBranchDetector = require('./ParallelBranchDetector');
+const LoopDetector = require('./LoopDetector');
+const QueryClusterer = require('./QueryClusterer');
+const queryFingerprinter = require('../utils/QueryFingerprinter');
+const schemaInference = require('../utils/SchemaInference');
+const ProgressiveAligner = require('./ProgressiveAligner');
+const WorkflowSynthesizer = require('../workflow_synthesis/WorkflowSynthesizer');
+const WorkflowVersionManager = require('../workflow_synthesis/WorkflowVersionManager');
+const ShadowRolloutManager = require('../routing/ShadowRolloutManager');
+const ApprovalQueue = require('../workflow_synthesis/ApprovalQueue');
+const { createEventBus, EVENT_TYPES } = require('../events');
+const { createRepositories } = require('../storage');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -12,27 +24,55 @@ const { v4: uuidv4 } = require('uuid');
  */
 class PatternMiningService {
     constructor(config = {}) {
-        this.dynamoDB = new AWS.DynamoDB.DocumentClient();
-        this.traceCollector = new ExecutionTraceCollector(config);
+        this.repositories = config.repositories || createRepositories(config);
+        this.traces = this.repositories.traces;
+        this.patterns = this.repositories.patterns;
+        this.workflows = this.repositories.workflows;
+        this.eventBus = config.eventBus || createEventBus(config);
+
+        // Collaborators share this service's storage and event bus
+        const shared = { ...config, repositories: this.repositories, eventBus: this.eventBus };
+        this.traceCollector = new ExecutionTraceCollector(shared);
+        this.workflowSynthesizer = config.workflowSynthesizer || new WorkflowSynthesizer(config);
+        this.guardMiner = new GuardConditionMiner(config);
+        this.parallelDetector = new ParallelBranchDetector(config);
+        this.loopDetector = new LoopDetector({ ...config, guardMiner: this.guardMiner });
+        this.queryClusterer = new QueryClusterer(config);
+        this.versionManager = config.versionManager || new WorkflowVersionManager(shared);
+        this.shadowRollout = config.shadowRollout || new ShadowRolloutManager({
+            ...shared,
+            versionManager: this.versionManager
+        });
+        this.approvalQueue = config.approvalQueue || new ApprovalQueue({
+            ...shared,
+            versionManager: this.versionManager,
+            shadowRollout: this.shadowRollout
+        });
+        this.aligner = new ProgressiveAligner({
+            taskSimilarity: (task1, task2) => this.taskSimilarity(task1, task2),
+            pairwiseScore: (seq1, seq2) => this.alignTwoSequences(seq1, seq2).score
+        });
 
         // Configuration from paper
         this.alignmentThreshold = config.alignmentThreshold || 0.7;  // θ_align
         this.consensusThreshold = config.consensusThreshold || 0.8;  // θ_consensus
         this.minTracesRequired = config.minTracesRequired || 3;
         this.confidenceThreshold = config.confidenceThreshold || 0.75;
-
-        // Tables
-        this.tracesTable = config.tracesTable || 'RosettaExecutionTraces';
-        this.workflowTable = config.workflowTable || 'RosettaSynthesizedWorkflows';
-        this.patternsTable = config.patternsTable || 'RosettaMinedPatterns';
+        this.maxTracesPerPattern = config.maxTracesPerPattern || 10;
+        this.enableQueryClustering = config.enableQueryClustering !== false;
+        this.enableShadowRollout = config.enableShadowRollout !== false;
 
         // Mining interval
         this.miningInterval = config.miningInterval || 3600000; // 1 hour
         this.miningTimer = null;
+
+        // On-demand mining of fingerprints announced by the trace collector
+        this.unsubscribe = null;
+        this.triggeredFingerprints = new Set();
     }
 
     /**
-     * Start periodic pattern mining
+     * Start periodic pattern mining and listen for mining triggers
      */
     start() {
         logger.info('Starting Pattern Mining Service');
@@ -40,6 +80,12 @@ class PatternMiningService {
             this.runPatternMining();
         }, this.miningInterval);
 
+        this.unsubscribe = this.eventBus.subscribe(
+            EVENT_TYPES.PATTERN_MINING_TRIGGER,
+            detail => this.handleMiningTrigger(detail)
+        );
+        this.eventBus.start();
+
         // Run initial mining
         this.runPatternMining();
     }
@@ -52,6 +98,11 @@ class PatternMiningService {
             clearInterval(this.miningTimer);
             this.miningTimer = null;
         }
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+            this.eventBus.stop();
+        }
         logger.info('Pattern Mining Service stopped');
     }
 
@@ -62,24 +113,19 @@ class PatternMiningService {
         try {
             logger.info('Starting pattern mining cycle');
 
-            // Get all unique question fingerprints
-            const fingerprints = await this.getUniqueQuestionFingerprints();
+            // Group question fingerprints of paraphrased queries
+            const clusters = await this.getQueryClusters();
 
             let synthesizedCount = 0;
 
-            for (const fingerprint of fingerprints) {
-                const traces = await this.traceCollector.getTracesForMining(fingerprint, 10);
-
-                if (traces.length >= this.minTracesRequired) {
-                    const pattern = await this.minePatternFromTraces(traces);
-
-                    if (pattern && pattern.confidence >= this.confidenceThreshold) {
-                        const workflow = await this.synthesizeWorkflow(pattern);
-                        if (workflow) {
-                            await this.deployWorkflow(workflow);
-                            synthesizedCount++;
-                        }
+            for (const cluster of clusters) {
+                try {
+                    if (await this.mineCluster(cluster)) {
+                        synthesizedCount++;
                     }
+                } catch (error) {
+                    // One bad cluster should not abort the whole cycle
+                    logger.error(`Pattern mining failed for ${cluster.clusterId}: ${error.message}`);
                 }
             }
 
@@ -90,19 +136,123 @@ class PatternMiningService {
         }
     }
 
+    /**
+     * Mine, synthesize and deploy one cluster. Returns the deployed
+     * workflow, or null when the cluster did not yield one.
+     *
+     * A lineage with a version pending review or in shadow rollout is left
+     * alone until that version is decided, and lineages demoted on drift
+     * are re-mined from fresh traces only.
+     */
+    async mineCluster(cluster) {
+        const lineages = await this.getClusterLineages(cluster);
+
+        if (lineages.some(item => ['pending_review', 'shadow'].includes(item.status))) {
+            logger.debug(`Skipping mining for ${cluster.clusterId}: a workflow is pending review or in shadow rollout`);
+            return null;
+        }
+
+        const since = lineages.reduce((max, item) => Math.max(max, item.remineSince || 0), 0) || null;
+        const traces = await this.getClusterTraces(cluster, since);
+        if (traces.length < this.minTracesRequired) return null;
+
+        const pattern = await this.minePatternFromTraces(traces, cluster);
+        if (!pattern || pattern.confidence < this.confidenceThreshold) return null;
+
+        const workflow = await this.synthesizeWorkflow(pattern, traces);
+        return workflow ? this.deployWorkflow(workflow) : null;
+    }
+
+    /**
+     * PatternMiningTrigger subscriber; one mining run per fingerprint at a time
+     */
+    async handleMiningTrigger({ questionFingerprint }) {
+        if (!questionFingerprint || this.triggeredFingerprints.has(questionFingerprint)) {
+            return null;
+        }
+
+        this.triggeredFingerprints.add(questionFingerprint);
+        try {
+            return await this.mineFingerprint(questionFingerprint);
+        } finally {
+            this.triggeredFingerprints.delete(questionFingerprint);
+        }
+    }
+
+    /**
+     * Mine just the lineage of one fingerprint: its existing cluster if a
+     * workflow was synthesized for it before, otherwise the fingerprint alone.
+     * Lineages with a version pending review, in shadow or in service are
+     * left to the periodic cycle; demoted ones are re-mined from fresh traces.
+     */
+    async mineFingerprint(questionFingerprint) {
+        const lineage = await this.getLineageForFingerprint(questionFingerprint);
+
+        if (lineage.some(item => ['pending_review', 'shadow', 'active'].includes(item.status))) {
+            logger.debug(`Skipping triggered mining for ${questionFingerprint}: a workflow is already deployed`);
+            return null;
+        }
+
+        const latest = lineage[lineage.length - 1];
+        const cluster = latest
+            ? { clusterId: latest.lineageKey, fingerprints: latest.questionFingerprints || [questionFingerprint] }
+            : { clusterId: questionFingerprint, fingerprints: [questionFingerprint] };
+
+        logger.info(`Triggered mining for ${cluster.clusterId}`);
+        return this.mineCluster(cluster);
+    }
+
+    async getLineageForFingerprint(questionFingerprint) {
+        const [match] = await this.workflows.findByFingerprint(questionFingerprint);
+
+        return match ? this.versionManager.getLineage(this.versionManager.lineageKey(match)) : [];
+    }
+
+    /**
+     * Every version of every lineage serving one of a cluster's fingerprints
+     */
+    async getClusterLineages(cluster) {
+        const keys = new Set();
+        for (const fingerprint of cluster.fingerprints) {
+            (await this.workflows.findByFingerprint(fingerprint))
+                .forEach(item => keys.add(this.versionManager.lineageKey(item)));
+        }
+
+        const versions = [];
+        for (const key of keys) {
+            versions.push(...await this.versionManager.getLineage(key));
+        }
+
+        return versions;
+    }
+
     /**
      * Algorithm 1: Mine pattern from execution traces
      * Paper Section 4.2
      */
-    async minePatternFromTraces(traces) {
+    async minePatternFromTraces(traces, cluster = null) {
         if (traces.length < this.minTracesRequired) {
             return null;
         }
 
         logger.info(`Mining pattern from ${traces.length} traces`);
 
+        // Collapse repeated sub-sequences into loops, then order-independent
+        // tasks into fork/join blocks, so both align as single columns
+        const loopBodies = this.loopDetector.detect(traces);
+        const loopTraces = loopBodies.length === 0 ? traces : traces.map(trace => ({
+            ...trace,
+            executionSequence: this.loopDetector.collapse(trace, loopBodies)
+        }));
+
+        const parallelGroups = this.parallelDetector.detect(loopTraces);
+        const miningTraces = parallelGroups.length === 0 ? loopTraces : loopTraces.map(trace => ({
+            ...trace,
+            executionSequence: this.parallelDetector.collapse(trace, parallelGroups)
+        }));
+
         // Phase 1: Multiple Sequence Alignment
-        const alignedSequences = await this.alignExecutionSequences(traces);
+        const alignedSequences = await this.alignExecutionSequences(miningTraces);
 
         if (alignedSequences.alignmentScore < this.alignmentThreshold) {
             logger.warn(`Alignment score ${alignedSequences.alignmentScore} below threshold`);
@@ -116,16 +266,21 @@ class PatternMiningService {
         const variableRegions = await this.identifyVariableRegions(alignedSequences);
 
         // Phase 4: Mine Guard Conditions
-        const guardConditions = await this.mineGuardConditions(traces, consensusPattern);
+        const guardConditions = await this.mineGuardConditions(miningTraces, consensusPattern);
 
         // Phase 5: Compute Pattern Confidence
-        const confidence = await this.computePatternConfidence(consensusPattern, traces);
+        const confidence = await this.computePatternConfidence(consensusPattern, miningTraces);
 
         // Build mined pattern
         const pattern = {
             patternId: uuidv4(),
-            questionFingerprint: traces[0].questionFingerprint,
+            questionFingerprint: cluster ? cluster.fingerprints[0] : traces[0].questionFingerprint,
             normalizedQuery: traces[0].normalizedQuery,
+            clusterId: cluster ? cluster.clusterId : traces[0].questionFingerprint,
+            questionFingerprints: cluster ? cluster.fingerprints : [traces[0].questionFingerprint],
+
+            // Query slots and the workflow input fields they fill
+            queryParameterFields: this.mapQueryParameters(traces),
 
             // Consensus structure
             consensusSequence: consensusPattern,
@@ -135,6 +290,9 @@ class PatternMiningService {
 
             // Control flow
             guardConditions,
+            parallelGroups,
+            loopStructures: this.loopDetector.learnLoopStructures(loopTraces),
+            retryPolicies: this.loopDetector.learnRetryPolicies(traces),
 
             // Data flow patterns
             dataFlowPatterns: this.extractDataFlowPatterns(traces),
@@ -156,33 +314,14 @@ class PatternMiningService {
     }
 
     /**
-     * Phase 1: Align execution sequences using Dynamic Time Warping
+     * Phase 1: Progressive multiple sequence alignment
+     * Pairwise Dynamic Time Warping scores build the guide tree; the
+     * alignment score is the mean pairwise score, independent of trace order.
      * Adapted from bioinformatics sequence alignment
      */
     async alignExecutionSequences(traces) {
         const sequences = traces.map(t => t.executionSequence);
-
-        // Use first sequence as reference
-        const reference = sequences[0];
-        const aligned = [reference];
-
-        let totalScore = 0;
-
-        // Align each sequence to reference
-        for (let i = 1; i < sequences.length; i++) {
-            const alignment = this.alignTwoSequences(reference, sequences[i]);
-            aligned.push(alignment.aligned);
-            totalScore += alignment.score;
-        }
-
-        // Compute average alignment score
-        const alignmentScore = totalScore / (sequences.length - 1);
-
-        return {
-            aligned,
-            alignmentScore,
-            reference
-        };
+        return this.aligner.align(sequences);
     }
 
     /**
@@ -259,14 +398,16 @@ class PatternMiningService {
         for (let position = 0; position < sequenceLength; position++) {
             const tasksAtPosition = sequences.map(seq => seq[position]);
 
+            // Whether any trace fed the task at this column from the user's input
+            const fromUserInput = taskName => tasksAtPosition.some(task =>
+                task.taskName === taskName && task.input?.source === 'user');
+
             // Count task occurrences
             const taskCounts = {};
-            let totalNonGap = 0;
 
             tasksAtPosition.forEach(task => {
                 if (task.taskName !== 'GAP') {
                     taskCounts[task.taskName] = (taskCounts[task.taskName] || 0) + 1;
-                    totalNonGap++;
                 }
             });
 
@@ -281,26 +422,63 @@ class PatternMiningService {
                 }
             });
 
-            // Add to consensus if above threshold
-            if (consensusTask && (maxCount / totalNonGap) >= this.consensusThreshold) {
+            // Add to consensus if enough traces execute the task at this column;
+            // columns that are mostly gaps are optional branches
+            if (consensusTask && (maxCount / sequences.length) >= this.consensusThreshold) {
                 // Get representative task details
                 const representativeTask = tasksAtPosition.find(t => t.taskName === consensusTask);
 
-                consensusPattern.push({
+                const node = {
                     position,
                     taskName: consensusTask,
                     frequency: maxCount / sequences.length,
                     required: (maxCount / sequences.length) >= 0.9,
                     inputSchema: representativeTask.input.schema,
-                    outputSchema: representativeTask.output.schema
-                });
+                    outputSchema: representativeTask.output.schema,
+                    fromUserInput: fromUserInput(consensusTask)
+                };
+
+                // Fork/join block: the branches run concurrently
+                if (representativeTask.parallel) {
+                    node.type = 'parallel';
+                    node.branches = representativeTask.branches.map(branch => ({
+                        taskName: branch.taskName,
+                        inputSchema: branch.input?.schema,
+                        outputSchema: branch.output?.schema,
+                        fromUserInput: branch.input?.source === 'user'
+                    }));
+                }
+
+                // Loop: the body repeats until its exit condition holds
+                if (representativeTask.loop) {
+                    node.type = 'loop';
+                    node.body = representativeTask.body.map(step => ({
+                        taskName: step.taskName,
+                        inputSchema: step.input?.schema,
+                        outputSchema: step.output?.schema,
+                        fromUserInput: step.input?.source === 'user'
+                    }));
+                }
+
+                consensusPattern.push(node);
             } else {
                 // Optional branching point
+                const optionSchemas = {};
+                Object.keys(taskCounts).forEach(taskName => {
+                    const task = tasksAtPosition.find(t => t.taskName === taskName);
+                    optionSchemas[taskName] = {
+                        inputSchema: task.input?.schema,
+                        outputSchema: task.output?.schema,
+                        fromUserInput: fromUserInput(taskName)
+                    };
+                });
+
                 consensusPattern.push({
                     position,
                     taskName: 'BRANCH',
                     options: Object.keys(taskCounts),
                     frequencies: taskCounts,
+                    optionSchemas,
                     required: false
                 });
             }
@@ -309,25 +487,313 @@ class PatternMiningService {
         return consensusPattern;
     }
 
-    // ... (truncated for brevity - includes all other methods from original file)
+    /**
+     * Phase 3: Identify variable regions
+     * Input fields whose values differ across traces at the same aligned position
+     * become workflow parameters; constant fields are resolved from context.
+     */
+    async identifyVariableRegions(alignedSequences) {
+        const variableRegions = [];
+        const sequences = alignedSequences.aligned;
+        const sequenceLength = sequences[0].length;
 
-    async saveMinedPattern(pattern) {
-        await this.dynamoDB.put({
-            TableName: this.patternsTable,
-            Item: pattern
-        }).promise();
+        for (let position = 0; position < sequenceLength; position++) {
+            const tasksAtPosition = sequences
+                .map(seq => seq[position])
+                .filter(task => task && task.taskName !== 'GAP');
+
+            const fieldValues = {};
+
+            tasksAtPosition.forEach(task => {
+                Object.entries(task.input?.values || {}).forEach(([field, value]) => {
+                    if (!fieldValues[field]) fieldValues[field] = [];
+                    fieldValues[field].push(JSON.stringify(value));
+                });
+            });
+
+            Object.entries(fieldValues).forEach(([field, values]) => {
+                const distinctValues = new Set(values).size;
+
+                if (distinctValues > 1) {
+                    variableRegions.push({
+                        position,
+                        field,
+                        distinctValues,
+                        variability: distinctValues / values.length,
+                        fromUserInput: tasksAtPosition.some(t => t.input?.source === 'user')
+                    });
+                }
+            });
+        }
+
+        return variableRegions;
     }
 
-    schemaSimilarity(schema1, schema2) {
-        if (!schema1 || !schema2) return 0;
+    /**
+     * Phase 4: Mine guard conditions for branching positions
+     * Delegates to the decision-tree based GuardConditionMiner
+     */
+    async mineGuardConditions(traces, consensusPattern) {
+        return this.guardMiner.mine(traces, consensusPattern);
+    }
+
+    /**
+     * Phase 5: Compute pattern confidence
+     * Conformance of traces to the consensus, weighted by their success rate
+     * and discounted by the amount of evidence: n / (n + 1), so three
+     * perfectly agreeing traces give exactly 0.75.
+     */
+    async computePatternConfidence(consensusPattern, traces) {
+        const anchors = consensusPattern.filter(node => node.taskName !== 'BRANCH');
+
+        if (anchors.length === 0 || traces.length === 0) {
+            return 0;
+        }
+
+        const conformance = traces.reduce((sum, trace) => {
+            const taskNames = new Set(trace.executionSequence.map(task => task.taskName));
+            const matched = anchors.filter(node => taskNames.has(node.taskName)).length;
+            return sum + matched / anchors.length;
+        }, 0) / traces.length;
+
+        const successRate = traces.filter(t => t.success).length / traces.length;
+        const evidence = traces.length / (traces.length + 1);
+
+        return conformance * successRate * evidence;
+    }
+
+    /**
+     * Map query slots (e.g. `id`) to the user input field they end up in
+     * (e.g. `transaction_id`) when the values agree in most traces. Traces
+     * saved before slot extraction are re-fingerprinted from their query.
+     */
+    mapQueryParameters(traces) {
+        const votes = {};
+
+        traces.forEach(trace => {
+            const parameters = trace.queryParameters ||
+                queryFingerprinter.fingerprint(trace.refinedQuery || trace.originalQuery || trace.query || '').parameters;
+            const inputValues = trace.executionSequence[0]?.input?.values || {};
+
+            Object.entries(parameters).forEach(([slot, value]) => {
+                Object.entries(inputValues).forEach(([field, inputValue]) => {
+                    if (String(inputValue).toLowerCase() !== String(value).toLowerCase()) return;
+                    if (!votes[slot]) votes[slot] = {};
+                    votes[slot][field] = (votes[slot][field] || 0) + 1;
+                });
+            });
+        });
+
+        const mapping = {};
+
+        Object.entries(votes).forEach(([slot, fields]) => {
+            const [field, count] = Object.entries(fields).sort((a, b) => b[1] - a[1])[0];
+            if (count / traces.length >= 0.5) {
+                mapping[slot] = field;
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Aggregate data flow edges between task names across traces
+     */
+    extractDataFlowPatterns(traces) {
+        const edges = {};
+
+        traces.forEach(trace => {
+            const taskNames = {};
+            trace.executionSequence.forEach(task => {
+                taskNames[task.taskId] = task.taskName;
+            });
+
+            (trace.dataFlow || []).forEach(flow => {
+                const from = taskNames[flow.from] || flow.from;
+                const to = taskNames[flow.to] || flow.to;
+                const key = `${from}->${to}`;
+
+                if (!edges[key]) {
+                    edges[key] = { from, to, count: 0, fields: {} };
+                }
+
+                edges[key].count++;
+
+                (flow.fields || []).forEach(field => {
+                    const name = typeof field === 'string' ? field : `${field.source}->${field.target}`;
+                    edges[key].fields[name] = (edges[key].fields[name] || 0) + 1;
+                });
+            });
+        });
+
+        return Object.values(edges)
+            .map(edge => ({
+                from: edge.from,
+                to: edge.to,
+                frequency: edge.count / traces.length,
+                // Field mappings seen in at least half of the occurrences
+                fields: Object.entries(edge.fields)
+                    .filter(([_, count]) => count / edge.count >= 0.5)
+                    .map(([field, _]) => field)
+            }))
+            .sort((a, b) => b.frequency - a.frequency);
+    }
+
+    /**
+     * Summarise latency, LLM usage and cost of the source traces
+     */
+    computePerformanceProfile(traces) {
+        const durations = traces.map(t => t.metrics?.totalDuration || 0);
+        const taskDurations = {};
+
+        traces.forEach(trace => {
+            trace.executionSequence.forEach(task => {
+                if (!taskDurations[task.taskName]) taskDurations[task.taskName] = [];
+                taskDurations[task.taskName].push(task.duration || 0);
+            });
+        });
+
+        const mean = values => values.reduce((a, b) => a + b, 0) / (values.length || 1);
+
+        const avgTaskDurations = {};
+        Object.entries(taskDurations).forEach(([taskName, values]) => {
+            avgTaskDurations[taskName] = mean(values);
+        });
+
+        return {
+            avgDuration: mean(durations),
+            p50: this.percentile(durations, 50),
+            p95: this.percentile(durations, 95),
+            avgTaskDurations,
+            avgLLMCalls: mean(traces.map(t => t.metrics?.llmCalls || 0)),
+            avgCost: mean(traces.map(t => t.cost?.total || 0)),
+            successRate: traces.filter(t => t.success).length / traces.length
+        };
+    }
+
+    percentile(values, p) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = Math.max(0, Math.ceil((p / 100) * sorted.length) - 1);
+        return sorted[index];
+    }
 
-        const keys1 = Object.keys(schema1);
-        const keys2 = Object.keys(schema2);
+    /**
+     * List every question fingerprint that has stored traces
+     */
+    async getUniqueQuestionFingerprints() {
+        const traces = await this.traces.scan(['questionFingerprint']);
+
+        return Array.from(new Set(traces.map(item => item.questionFingerprint).filter(Boolean)));
+    }
+
+    /**
+     * Cluster fingerprints by query and execution similarity. With clustering
+     * disabled every fingerprint is its own cluster.
+     */
+    async getQueryClusters() {
+        if (!this.enableQueryClustering) {
+            const fingerprints = await this.getUniqueQuestionFingerprints();
+            return fingerprints.map(fingerprint => ({
+                clusterId: fingerprint,
+                fingerprints: [fingerprint]
+            }));
+        }
+
+        const summaries = await this.getTraceSummaries();
+        const clusters = this.queryClusterer.cluster(summaries);
+
+        clusters
+            .filter(cluster => cluster.fingerprints.length > 1)
+            .forEach(cluster => {
+                logger.info(`Query cluster ${cluster.clusterId} pools ${cluster.fingerprints.length} fingerprints`);
+            });
+
+        return clusters;
+    }
+
+    /**
+     * Fingerprint, query template and task names of every stored trace
+     */
+    async getTraceSummaries() {
+        const traces = await this.traces.scan(['questionFingerprint', 'normalizedQuery', 'executionSequence']);
+
+        return traces.map(item => ({
+            questionFingerprint: item.questionFingerprint,
+            normalizedQuery: item.normalizedQuery,
+            taskNames: (item.executionSequence || []).map(task => task.taskName)
+        }));
+    }
+
+    /**
+     * Most recent successful traces across the fingerprints of a cluster
+     */
+    async getClusterTraces(cluster, since = null) {
+        const traces = [];
+
+        for (const fingerprint of cluster.fingerprints) {
+            traces.push(...await this.traceCollector.getTracesForMining(fingerprint, this.maxTracesPerPattern, since));
+        }
+
+        return traces
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+            .slice(0, this.maxTracesPerPattern);
+    }
+
+    /**
+     * Phase 6: Synthesize an executable workflow from the mined pattern
+     */
+    async synthesizeWorkflow(pattern, traces) {
+        return this.workflowSynthesizer.synthesizeWorkflow(pattern, traces);
+    }
+
+    /**
+     * Persist a synthesized workflow so the router can use it, or queue it
+     * for review when its domain (or the configuration) requires approval
+     */
+    async deployWorkflow(workflow) {
+        // The compiled execute function is rebuilt when the workflow is loaded
+        const { execute, ...definition } = workflow;
+
+        // Re-mining a lineage produces its next version rather than an
+        // unrelated workflow, and nothing when the pattern has not changed
+        const item = await this.versionManager.createVersion({
+            ...definition,
+            status: this.enableShadowRollout ? 'shadow' : 'active',
+            deployedAt: Date.now()
+        });
+        if (!item) return null;
+
+        if (this.approvalQueue.requiresReview(item)) {
+            return this.approvalQueue.submit(item);
+        }
 
-        const intersection = keys1.filter(k => keys2.includes(k));
-        const union = new Set([...keys1, ...keys2]);
+        // New versions shadow the LLM path until they have earned promotion
+        if (this.enableShadowRollout) {
+            item.rollout = this.shadowRollout.initialRollout();
+        }
+
+        await this.workflows.save(item);
+
+        if (item.status === 'active') {
+            await this.versionManager.activate(item);
+        } else {
+            await this.versionManager.supersedeShadows(item);
+        }
+
+        logger.info(`Deployed workflow ${item.versionId} (${workflow.workflowId}, ${item.status})`);
 
-        return intersection.length / union.size;
+        return item;
+    }
+
+    async saveMinedPattern(pattern) {
+        await this.patterns.save(pattern);
+    }
+
+    // Accepts inferred JSON Schemas and the flat schemas of older traces
+    schemaSimilarity(schema1, schema2) {
+        return schemaInference.similarity(schema1, schema2);
     }
 }
 
@@ -0,0 +1,215 @@
+// ProgressiveAligner.js
+// Progressive multiple sequence alignment of execution sequences
+
+const GAP = { taskName: 'GAP', optional: true };
+
+/**
+ * Progressive Aligner - Phase 1 of Algorithm 1
+ * 1. Score every pair of sequences with the pairwise aligner (DTW)
+ * 2. Build a UPGMA guide tree from the pairwise distances
+ * 3. Merge profiles bottom-up along the tree with Needleman-Wunsch,
+ *    keeping existing gaps ("once a gap, always a gap")
+ *
+ * Every returned row has the same length and column i of every row refers to
+ * the same step of the workflow. Sequences are processed in a canonical order
+ * so the result does not depend on the order the traces were loaded in.
+ */
+class ProgressiveAligner {
+    constructor(options = {}) {
+        this.taskSimilarity = options.taskSimilarity;   // structural cost in [0, 1], 0 = same task
+        this.pairwiseScore = options.pairwiseScore;     // score in [0, 1], 1 = identical
+        this.gapCost = options.gapCost || 1;
+
+        // Different task names never align for free, even with identical schemas
+        this.mismatchPenalty = options.mismatchPenalty || 0.5;
+    }
+
+    align(sequences) {
+        if (sequences.length === 0) {
+            return { aligned: [], alignmentScore: 0, reference: [], guideTree: null };
+        }
+
+        // Canonical order: by task name sequence, original index breaks ties
+        const order = sequences
+            .map((sequence, index) => ({ index, key: sequence.map(t => t.taskName).join('\u0000') }))
+            .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : a.index - b.index))
+            .map(item => item.index);
+
+        const scores = this.pairwiseScores(sequences, order);
+        const n = order.length;
+
+        let totalScore = 0;
+        let pairs = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                totalScore += scores[i][j];
+                pairs++;
+            }
+        }
+
+        // Center sequence: highest total similarity to all others
+        const centre = scores
+            .map((row, i) => ({ i, total: row.reduce((a, b) => a + b, 0) }))
+            .sort((a, b) => b.total - a.total || a.i - b.i)[0].i;
+
+        const { profile, guideTree } = this.progressiveMerge(sequences, order, scores);
+
+        // Restore the caller's order
+        const aligned = new Array(sequences.length);
+        profile.members.forEach((member, row) => {
+            aligned[member] = profile.rows[row];
+        });
+
+        return {
+            aligned,
+            alignmentScore: pairs > 0 ? totalScore / pairs : 1,
+            reference: sequences[order[centre]],
+            guideTree
+        };
+    }
+
+    /**
+     * Symmetric pairwise score matrix, indexed in canonical order
+     */
+    pairwiseScores(sequences, order) {
+        const n = order.length;
+        const scores = Array(n).fill(null).map(() => Array(n).fill(1));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const score = this.pairwiseScore(sequences[order[i]], sequences[order[j]]);
+                scores[i][j] = score;
+                scores[j][i] = score;
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * UPGMA: repeatedly merge the two closest clusters, aligning their profiles
+     */
+    progressiveMerge(sequences, order, scores) {
+        let clusters = order.map((original, i) => ({
+            indices: [i],
+            profile: { members: [original], rows: [sequences[original].slice()] },
+            tree: { leaf: original }
+        }));
+
+        const distance = (a, b) => {
+            let total = 0;
+            a.indices.forEach(i => b.indices.forEach(j => {
+                total += 1 - scores[i][j];
+            }));
+            return total / (a.indices.length * b.indices.length);
+        };
+
+        while (clusters.length > 1) {
+            let best = null;
+
+            for (let a = 0; a < clusters.length; a++) {
+                for (let b = a + 1; b < clusters.length; b++) {
+                    const d = distance(clusters[a], clusters[b]);
+                    if (!best || d < best.d - 1e-12) {
+                        best = { a, b, d };
+                    }
+                }
+            }
+
+            const left = clusters[best.a];
+            const right = clusters[best.b];
+
+            const merged = {
+                indices: [...left.indices, ...right.indices],
+                profile: this.alignProfiles(left.profile, right.profile),
+                tree: { left: left.tree, right: right.tree, distance: best.d }
+            };
+
+            clusters = clusters.filter((_, i) => i !== best.a && i !== best.b);
+            clusters.splice(best.a, 0, merged);
+        }
+
+        return { profile: clusters[0].profile, guideTree: clusters[0].tree };
+    }
+
+    /**
+     * Needleman-Wunsch alignment of two profiles using sum-of-pairs column cost
+     */
+    alignProfiles(profileA, profileB) {
+        const lengthA = profileA.rows[0].length;
+        const lengthB = profileB.rows[0].length;
+        const columnA = i => profileA.rows.map(row => row[i]);
+        const columnB = j => profileB.rows.map(row => row[j]);
+
+        const cost = Array(lengthA + 1).fill(null).map(() => Array(lengthB + 1).fill(0));
+
+        for (let i = 1; i <= lengthA; i++) cost[i][0] = i * this.gapCost;
+        for (let j = 1; j <= lengthB; j++) cost[0][j] = j * this.gapCost;
+
+        for (let i = 1; i <= lengthA; i++) {
+            const colA = columnA(i - 1);
+            for (let j = 1; j <= lengthB; j++) {
+                cost[i][j] = Math.min(
+                    cost[i - 1][j - 1] + this.columnCost(colA, columnB(j - 1)),
+                    cost[i - 1][j] + this.gapCost,
+                    cost[i][j - 1] + this.gapCost
+                );
+            }
+        }
+
+        // Traceback, preferring match over gap in B over gap in A
+        const rowsA = profileA.rows.map(() => []);
+        const rowsB = profileB.rows.map(() => []);
+        let i = lengthA;
+        let j = lengthB;
+
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 &&
+                Math.abs(cost[i][j] - (cost[i - 1][j - 1] + this.columnCost(columnA(i - 1), columnB(j - 1)))) < 1e-9) {
+                profileA.rows.forEach((row, r) => rowsA[r].unshift(row[i - 1]));
+                profileB.rows.forEach((row, r) => rowsB[r].unshift(row[j - 1]));
+                i--; j--;
+            } else if (i > 0 && (j === 0 || Math.abs(cost[i][j] - (cost[i - 1][j] + this.gapCost)) < 1e-9)) {
+                profileA.rows.forEach((row, r) => rowsA[r].unshift(row[i - 1]));
+                rowsB.forEach(row => row.unshift(GAP));
+                i--;
+            } else {
+                rowsA.forEach(row => row.unshift(GAP));
+                profileB.rows.forEach((row, r) => rowsB[r].unshift(row[j - 1]));
+                j--;
+            }
+        }
+
+        return {
+            members: [...profileA.members, ...profileB.members],
+            rows: [...rowsA, ...rowsB]
+        };
+    }
+
+    substitutionCost(task1, task2) {
+        if (task1.taskName === task2.taskName) return 0;
+        return this.mismatchPenalty + (1 - this.mismatchPenalty) * this.taskSimilarity(task1, task2);
+    }
+
+    /**
+     * Average pairwise cost between two columns: task vs task uses the
+     * substitution cost, task vs gap costs a gap, gap vs gap is free
+     */
+    columnCost(colA, colB) {
+        let total = 0;
+
+        colA.forEach(x => colB.forEach(y => {
+            const gapX = x.taskName === 'GAP';
+            const gapY = y.taskName === 'GAP';
+
+            if (gapX && gapY) return;
+            total += (gapX || gapY) ? this.gapCost : this.substitutionCost(x, y);
+        }));
+
+        return total / (colA.length * colB.length);
+    }
+}
+
+ProgressiveAligner.GAP = GAP;
+
+module.exports = ProgressiveAligner;
@@ -0,0 +1,197 @@
+// QueryClusterer.js
+// Groups question fingerprints whose queries and executions are similar
+
+const crypto = require('crypto');
+
+/**
+ * Query Clusterer
+ * Paraphrases of the same request ("Investigate {issue} in {service}" /
+ * "Check why {service} is experiencing {issue}") get different fingerprints.
+ * This stage pools them offline, without an external embedding service:
+ *
+ * 1. Each fingerprint is described by its query template, embedded as a
+ *    TF-IDF vector over words and character n-grams, and by the frequency
+ *    of the task names its traces executed.
+ * 2. Similarity = queryWeight * cos(query) + (1 - queryWeight) * cos(tasks).
+ * 3. Average-linkage agglomerative clustering merges the most similar pair
+ *    until no pair reaches the threshold.
+ *
+ * Cluster IDs are a hash of the sorted member fingerprints, so the same
+ * grouping always gets the same ID.
+ */
+class QueryClusterer {
+    constructor(config = {}) {
+        this.threshold = config.clusterSimilarityThreshold || 0.5;
+        this.queryWeight = config.clusterQueryWeight !== undefined ? config.clusterQueryWeight : 0.5;
+        this.ngramSize = config.clusterNgramSize || 3;
+    }
+
+    /**
+     * Cluster trace summaries [{ questionFingerprint, normalizedQuery, taskNames }].
+     * Returns [{ clusterId, fingerprints, queries, traceCount }], largest first.
+     */
+    cluster(summaries) {
+        const groups = this.groupByFingerprint(summaries);
+        if (groups.length === 0) return [];
+
+        const queryVectors = this.tfidf(groups.map(group => this.queryFeatures(group.query)));
+        const taskVectors = groups.map(group => group.taskCounts);
+
+        const n = groups.length;
+        const similarity = Array(n).fill(null).map(() => Array(n).fill(1));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const score = this.queryWeight * this.cosine(queryVectors[i], queryVectors[j]) +
+                              (1 - this.queryWeight) * this.cosine(taskVectors[i], taskVectors[j]);
+                similarity[i][j] = score;
+                similarity[j][i] = score;
+            }
+        }
+
+        const clusters = this.agglomerate(similarity);
+
+        return clusters
+            .map(members => {
+                const fingerprints = members.map(i => groups[i].fingerprint).sort();
+                return {
+                    clusterId: this.clusterId(fingerprints),
+                    fingerprints,
+                    queries: members.map(i => groups[i].query),
+                    traceCount: members.reduce((sum, i) => sum + groups[i].traceCount, 0)
+                };
+            })
+            .sort((a, b) => b.traceCount - a.traceCount || a.clusterId.localeCompare(b.clusterId));
+    }
+
+    groupByFingerprint(summaries) {
+        const groups = {};
+
+        summaries.forEach(summary => {
+            const fingerprint = summary.questionFingerprint;
+            if (!fingerprint) return;
+
+            if (!groups[fingerprint]) {
+                groups[fingerprint] = {
+                    fingerprint,
+                    query: summary.normalizedQuery || '',
+                    taskCounts: {},
+                    traceCount: 0
+                };
+            }
+
+            const group = groups[fingerprint];
+            group.traceCount++;
+            (summary.taskNames || []).forEach(name => {
+                group.taskCounts[name] = (group.taskCounts[name] || 0) + 1;
+            });
+        });
+
+        // Sorted so the clustering does not depend on scan order
+        return Object.values(groups).sort((a, b) => a.fingerprint.localeCompare(b.fingerprint));
+    }
+
+    /**
+     * Word unigrams plus character n-grams of each word
+     */
+    queryFeatures(query) {
+        const counts = {};
+        const add = feature => {
+            counts[feature] = (counts[feature] || 0) + 1;
+        };
+
+        query.toLowerCase().split(/\s+/).filter(Boolean).forEach(word => {
+            add(`w:${word}`);
+
+            const padded = ` ${word} `;
+            for (let i = 0; i + this.ngramSize <= padded.length; i++) {
+                add(`c:${padded.slice(i, i + this.ngramSize)}`);
+            }
+        });
+
+        return counts;
+    }
+
+    tfidf(documents) {
+        const documentFrequency = {};
+
+        documents.forEach(counts => {
+            Object.keys(counts).forEach(feature => {
+                documentFrequency[feature] = (documentFrequency[feature] || 0) + 1;
+            });
+        });
+
+        return documents.map(counts => {
+            const vector = {};
+            Object.entries(counts).forEach(([feature, count]) => {
+                const idf = Math.log((1 + documents.length) / (1 + documentFrequency[feature])) + 1;
+                vector[feature] = count * idf;
+            });
+            return vector;
+        });
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        Object.entries(a).forEach(([key, value]) => {
+            normA += value * value;
+            if (b[key]) dot += value * b[key];
+        });
+        Object.values(b).forEach(value => {
+            normB += value * value;
+        });
+
+        return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Average-linkage agglomerative clustering over a similarity matrix
+     */
+    agglomerate(similarity) {
+        let clusters = similarity.map((_, i) => [i]);
+
+        const linkage = (a, b) => {
+            let total = 0;
+            a.forEach(i => b.forEach(j => {
+                total += similarity[i][j];
+            }));
+            return total / (a.length * b.length);
+        };
+
+        while (clusters.length > 1) {
+            let best = null;
+
+            for (let a = 0; a < clusters.length; a++) {
+                for (let b = a + 1; b < clusters.length; b++) {
+                    const score = linkage(clusters[a], clusters[b]);
+                    if (!best || score > best.score + 1e-12) {
+                        best = { a, b, score };
+                    }
+                }
+            }
+
+            if (best.score < this.threshold) break;
+
+            const merged = [...clusters[best.a], ...clusters[best.b]];
+            clusters = clusters.filter((_, i) => i !== best.a && i !== best.b);
+            clusters.push(merged);
+        }
+
+        return clusters;
+    }
+
+    clusterId(fingerprints) {
+        if (fingerprints.length === 1) return fingerprints[0];
+
+        return `cluster-${crypto
+            .createHash('sha256')
+            .update(fingerprints.join(','))
+            .digest('hex')
+            .substring(0, 16)}`;
+    }
+}
+
+module.exports = QueryClusterer;
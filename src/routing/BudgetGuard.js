@@ -0,0 +1,231 @@
+// BudgetGuard.js
+// Per-tenant and per-domain spend and LLM call-rate limits
+
+const logger = require('../utils/Logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const ACTIONS = ['queue', 'degrade', 'reject'];
+
+/**
+ * Budget Guard
+ * Enforces sliding-window limits for every scope a request belongs to:
+ * `tenant:<tenant>` and `domain:<domain>`. Limits are
+ * `{ dollarsPerHour, llmCallsPerMinute }`, looked up in `tenants` /
+ * `domains` and falling back to `tenantDefault` / `domainDefault`; a scope
+ * without limits is unbounded.
+ *
+ * An LLM call is counted when it is granted (`tryAcquire`), so concurrent
+ * requests cannot overrun the call rate; spend is added once the request's
+ * cost is known (`recordSpend`). `exhaustedAction` tells the router what to
+ * do when a limit is reached:
+ *
+ * - queue: wait up to `queueTimeout` ms for the window to free up
+ * - degrade: serve the request from the best non-LLM route instead
+ * - reject: fail the request
+ *
+ * Windows are kept in memory, so limits apply per process.
+ */
+class BudgetGuard {
+    constructor(config = {}) {
+        this.exhaustedAction = config.exhaustedAction || 'degrade';
+        this.queueTimeout = config.queueTimeout || 30000;
+        this.tenantDefault = config.tenantDefault || null;
+        this.tenants = config.tenants || {};
+        this.domainDefault = config.domainDefault || null;
+        this.domains = config.domains || {};
+
+        if (!ACTIONS.includes(this.exhaustedAction)) {
+            throw new Error(`Unknown budget exhausted action '${this.exhaustedAction}'; expected one of ${ACTIONS.join(', ')}`);
+        }
+
+        // scope -> { calls: [timestamp], spend: [{ timestamp, cost }], counters }
+        this.windows = new Map();
+    }
+
+    /**
+     * Scopes of a routing context ({ tenant, domain }) with their limits
+     */
+    scopesFor(context = {}) {
+        const tenant = context.tenant || 'default';
+        const scopes = [{ scope: `tenant:${tenant}`, limits: this.tenants[tenant] || this.tenantDefault }];
+
+        if (context.domain) {
+            scopes.push({ scope: `domain:${context.domain}`, limits: this.domains[context.domain] || this.domainDefault });
+        }
+
+        return scopes.filter(({ limits }) => limits);
+    }
+
+    window(scope) {
+        if (!this.windows.has(scope)) {
+            this.windows.set(scope, {
+                calls: [],
+                spend: [],
+                counters: { granted: 0, queued: 0, degraded: 0, rejected: 0 }
+            });
+        }
+
+        const window = this.windows.get(scope);
+        const now = Date.now();
+        window.calls = window.calls.filter(timestamp => timestamp > now - MINUTE);
+        window.spend = window.spend.filter(entry => entry.timestamp > now - HOUR);
+        return window;
+    }
+
+    /**
+     * Limits that are currently reached, each with the time in ms until
+     * its window frees up
+     */
+    check(context = {}) {
+        const exhausted = [];
+        const now = Date.now();
+
+        this.scopesFor(context).forEach(({ scope, limits }) => {
+            const window = this.window(scope);
+
+            if (limits.llmCallsPerMinute !== undefined && window.calls.length >= limits.llmCallsPerMinute) {
+                exhausted.push({
+                    scope,
+                    limit: 'llmCallsPerMinute',
+                    used: window.calls.length,
+                    allowed: limits.llmCallsPerMinute,
+                    retryAfter: window.calls.length > 0 ? window.calls[0] + MINUTE - now : Infinity
+                });
+            }
+
+            const spent = this.spent(window);
+            if (limits.dollarsPerHour !== undefined && spent >= limits.dollarsPerHour) {
+                exhausted.push({
+                    scope,
+                    limit: 'dollarsPerHour',
+                    used: spent,
+                    allowed: limits.dollarsPerHour,
+                    retryAfter: this.spendRetryAfter(window, limits.dollarsPerHour, now)
+                });
+            }
+        });
+
+        return {
+            allowed: exhausted.length === 0,
+            exhausted,
+            retryAfter: exhausted.length > 0 ? Math.max(...exhausted.map(item => item.retryAfter)) : 0
+        };
+    }
+
+    /**
+     * Grant an LLM call if no limit is reached, counting it immediately
+     */
+    tryAcquire(context = {}) {
+        if (!this.check(context).allowed) {
+            return false;
+        }
+
+        const now = Date.now();
+        this.scopesFor(context).forEach(({ scope }) => {
+            const window = this.window(scope);
+            window.calls.push(now);
+            window.counters.granted++;
+        });
+        return true;
+    }
+
+    /**
+     * Wait until an LLM call can be granted, or throw once `queueTimeout`
+     * has passed
+     */
+    async acquire(context = {}) {
+        const deadline = Date.now() + this.queueTimeout;
+        if (this.tryAcquire(context)) return;
+
+        this.count(context, 'queued');
+
+        for (;;) {
+            const status = this.check(context);
+            const wait = Math.min(Math.max(status.retryAfter, 10), deadline - Date.now());
+
+            if (wait <= 0) {
+                this.count(context, 'rejected');
+                throw this.exhaustedError(status);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, wait));
+            if (this.tryAcquire(context)) return;
+        }
+    }
+
+    recordSpend(context = {}, cost = 0) {
+        if (!cost) return;
+
+        const now = Date.now();
+        this.scopesFor(context).forEach(({ scope }) => {
+            this.window(scope).spend.push({ timestamp: now, cost });
+        });
+    }
+
+    count(context, counter) {
+        this.scopesFor(context).forEach(({ scope }) => {
+            this.window(scope).counters[counter]++;
+        });
+    }
+
+    exhaustedError(status) {
+        const reached = status.exhausted.map(item => `${item.scope} ${item.limit} (${item.used}/${item.allowed})`);
+        const error = new Error(`LLM budget exhausted: ${reached.join(', ')}`);
+        error.code = 'BUDGET_EXHAUSTED';
+        error.retryAfter = status.retryAfter;
+
+        logger.warn(error.message);
+        return error;
+    }
+
+    spent(window) {
+        return window.spend.reduce((sum, entry) => sum + entry.cost, 0);
+    }
+
+    /**
+     * Time until enough of the hour's spend has aged out to fall below the limit
+     */
+    spendRetryAfter(window, limit, now) {
+        let remaining = this.spent(window);
+
+        for (const entry of window.spend) {
+            remaining -= entry.cost;
+            if (remaining < limit) {
+                return entry.timestamp + HOUR - now;
+            }
+        }
+        return Infinity;
+    }
+
+    /**
+     * Budget consumption per scope
+     */
+    getMetrics() {
+        const metrics = {};
+
+        this.windows.forEach((_, scope) => {
+            const [kind, name] = scope.split(/:(.*)/);
+            const limits = kind === 'tenant'
+                ? this.tenants[name] || this.tenantDefault
+                : this.domains[name] || this.domainDefault;
+            const window = this.window(scope);
+            const spent = this.spent(window);
+
+            metrics[scope] = {
+                llmCallsLastMinute: window.calls.length,
+                llmCallsPerMinute: limits?.llmCallsPerMinute ?? null,
+                spentLastHour: spent,
+                dollarsPerHour: limits?.dollarsPerHour ?? null,
+                callUtilization: limits?.llmCallsPerMinute ? window.calls.length / limits.llmCallsPerMinute : null,
+                spendUtilization: limits?.dollarsPerHour ? spent / limits.dollarsPerHour : null,
+                ...window.counters
+            };
+        });
+
+        return metrics;
+    }
+}
+
+module.exports = BudgetGuard;
@@ -0,0 +1,170 @@
+// LinearThompsonSampler.js
+// Contextual Thompson sampling with a Bayesian linear model per route
+
+const crypto = require('crypto');
+const random = require('../utils/Random');
+const queryFingerprinter = require('../utils/QueryFingerprinter');
+
+const FEATURES = ['bias', 'patternConfidence', 'inputSize', 'slotCount', 'queryLength'];
+
+/**
+ * Linear Thompson Sampler
+ * Each route keeps a ridge-regression posterior over the expected reward
+ * given query features: precision A = λI + Σ x xᵀ and b = Σ r x, so the mean
+ * is μ = A⁻¹ b. A route is scored by drawing θ ~ N(μ, v² A⁻¹) and taking xᵀθ.
+ * Unlike per-pattern Beta statistics, what is learned on one query pattern
+ * carries over to patterns with similar features.
+ *
+ * Features: bias, pattern confidence, log input size, number of query slots,
+ * query length, and the domain hashed into `domainBuckets` one-hot buckets.
+ */
+class LinearThompsonSampler {
+    constructor(config = {}) {
+        this.lambda = config.ridgeLambda || 1;
+        this.noiseScale = config.noiseScale || 0.5;   // v: posterior spread
+        this.domainBuckets = config.domainBuckets || 4;
+        this.dimension = FEATURES.length + this.domainBuckets;
+    }
+
+    /**
+     * Feature vector for a query and its routing context
+     * ({ domain, patternConfidence, inputSize, input })
+     */
+    featurize(query, context = {}) {
+        const { slots, template } = queryFingerprinter.fingerprint(query);
+        const inputSize = context.inputSize !== undefined
+            ? context.inputSize
+            : JSON.stringify(context.input || {}).length;
+
+        const domain = new Array(this.domainBuckets).fill(0);
+        if (context.domain) {
+            const bucket = parseInt(crypto.createHash('md5').update(context.domain).digest('hex').substring(0, 8), 16);
+            domain[bucket % this.domainBuckets] = 1;
+        }
+
+        return [
+            1,
+            context.patternConfidence || 0,
+            Math.log1p(inputSize) / 10,
+            Math.min(slots.length, 5) / 5,
+            Math.min(template.split(' ').length, 50) / 50,
+            ...domain
+        ];
+    }
+
+    createModel() {
+        return { dimension: this.dimension, arms: {} };
+    }
+
+    createArm() {
+        return {
+            precision: this.identity(this.lambda),
+            b: new Array(this.dimension).fill(0),
+            observations: 0
+        };
+    }
+
+    /**
+     * Sampled expected reward of every option
+     */
+    sample(model, options, features) {
+        const scores = {};
+
+        options.forEach(option => {
+            const arm = model.arms[option] || this.createArm();
+            const lower = this.cholesky(arm.precision);
+            const mean = this.solve(lower, arm.b);
+
+            // θ = μ + v L⁻ᵀ z has covariance v² (L Lᵀ)⁻¹ = v² A⁻¹
+            const z = mean.map(() => random.normal());
+            const offset = this.backSubstitute(lower, z);
+            const theta = mean.map((m, i) => m + this.noiseScale * offset[i]);
+
+            scores[option] = this.dot(theta, features);
+        });
+
+        return scores;
+    }
+
+    /**
+     * Bayesian update of one route with a reward in [0, 1]
+     */
+    update(model, option, features, reward) {
+        if (!model.arms[option]) {
+            model.arms[option] = this.createArm();
+        }
+
+        const arm = model.arms[option];
+
+        for (let i = 0; i < this.dimension; i++) {
+            for (let j = 0; j < this.dimension; j++) {
+                arm.precision[i][j] += features[i] * features[j];
+            }
+            arm.b[i] += reward * features[i];
+        }
+        arm.observations++;
+
+        return model;
+    }
+
+    identity(scale) {
+        return Array(this.dimension).fill(null).map((_, i) =>
+            Array(this.dimension).fill(0).map((__, j) => (i === j ? scale : 0))
+        );
+    }
+
+    dot(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    /**
+     * Lower-triangular L with A = L Lᵀ (A is symmetric positive definite)
+     */
+    cholesky(matrix) {
+        const n = matrix.length;
+        const lower = Array(n).fill(null).map(() => Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+
+                lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / lower[j][j];
+            }
+        }
+
+        return lower;
+    }
+
+    /**
+     * Solve A x = b given the Cholesky factor of A
+     */
+    solve(lower, b) {
+        return this.backSubstitute(lower, this.forwardSubstitute(lower, b));
+    }
+
+    // L y = b
+    forwardSubstitute(lower, b) {
+        const y = [];
+        for (let i = 0; i < b.length; i++) {
+            let sum = b[i];
+            for (let k = 0; k < i; k++) sum -= lower[i][k] * y[k];
+            y[i] = sum / lower[i][i];
+        }
+        return y;
+    }
+
+    // Lᵀ x = y
+    backSubstitute(lower, y) {
+        const n = y.length;
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = y[i];
+            for (let k = i + 1; k < n; k++) sum -= lower[k][i] * x[k];
+            x[i] = sum / lower[i][i];
+        }
+        return x;
+    }
+}
+
+module.exports = LinearThompsonSampler;
@@ -0,0 +1,70 @@
+// RewardModel.js
+// Multi-objective reward for routing outcomes: success, latency and cost
+
+/**
+ * Reward Model
+ * Turns a routing outcome into a reward in [0, 1]:
+ *
+ *   reward = 0                                   if the route failed
+ *   reward = w_s + w_l * score(latency, SLO_l) + w_c * score(cost, SLO_c)
+ *
+ * where score(x, slo) is 1 within the SLO and slo / x beyond it, so a route
+ * that takes twice its latency SLO earns half the latency credit. Weights
+ * are normalised to sum to 1. A plain boolean outcome maps to 1 or 0.
+ */
+class RewardModel {
+    constructor(config = {}) {
+        const weights = {
+            success: 0.6,
+            latency: 0.2,
+            cost: 0.2,
+            ...(config.weights || {})
+        };
+        const total = weights.success + weights.latency + weights.cost;
+
+        if (!(total > 0)) {
+            throw new Error('Reward weights must sum to a positive value');
+        }
+
+        this.weights = {
+            success: weights.success / total,
+            latency: weights.latency / total,
+            cost: weights.cost / total
+        };
+
+        this.slo = {
+            latencyMs: 1000,    // p95 target for a routed query
+            cost: 0.01,         // USD per query
+            ...(config.slo || {})
+        };
+    }
+
+    /**
+     * Reward for `true`/`false` or { success, latency, cost }
+     */
+    compute(outcome) {
+        if (typeof outcome === 'boolean') {
+            return outcome ? 1 : 0;
+        }
+
+        if (!outcome || !outcome.success) {
+            return 0;
+        }
+
+        const reward = this.weights.success +
+                       this.weights.latency * this.sloScore(outcome.latency, this.slo.latencyMs) +
+                       this.weights.cost * this.sloScore(outcome.cost, this.slo.cost);
+
+        return Math.max(0, Math.min(1, reward));
+    }
+
+    /**
+     * 1 within the SLO (or when unmeasured), decaying as slo / value beyond it
+     */
+    sloScore(value, slo) {
+        if (value === undefined || value === null || !(slo > 0)) return 1;
+        return value <= slo ? 1 : slo / value;
+    }
+}
+
+module.exports = RewardModel;
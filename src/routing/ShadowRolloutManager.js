@@ -0,0 +1,215 @@
+// ShadowRolloutManager.js
+// Shadow execution and promotion of newly synthesized workflows
+
+const logger = require('../utils/Logger');
+const { createRepositories } = require('../storage');
+const WorkflowExecutor = require('../workflow_synthesis/WorkflowExecutor');
+const ContractValidator = require('../workflow_synthesis/ContractValidator');
+const WorkflowVersionManager = require('../workflow_synthesis/WorkflowVersionManager');
+
+/**
+ * Shadow Rollout Manager
+ * A newly deployed workflow starts in `shadow` status. For each matching
+ * request the LLM path still serves the user; the workflow runs alongside
+ * it and its output is checked against the workflow's `outputContract` and
+ * compared field by field with the LLM result.
+ *
+ * After `shadowRequests` runs the workflow is promoted to `active` if the
+ * agreement rate reaches `shadowAgreementThreshold`, retiring the version it
+ * replaces, and otherwise marked `rejected`. A disagreement is returned
+ * with the LLM result as `shadowDisagreement`, for the caller to annotate
+ * the LLM execution's trace with so the next mining cycle learns from it.
+ */
+class ShadowRolloutManager {
+    constructor(config = {}) {
+        const repositories = config.repositories || createRepositories(config);
+        this.workflows = repositories.workflows;
+        this.executor = config.executor || new WorkflowExecutor({ actionRegistry: config.actionRegistry });
+        this.versionManager = config.versionManager || new WorkflowVersionManager({ ...config, repositories });
+        this.contractValidator = config.contractValidator || new ContractValidator(config);
+
+        this.shadowRequests = config.shadowRequests || 20;
+        this.agreementThreshold = config.shadowAgreementThreshold || 0.9;
+        this.fieldAgreement = config.shadowFieldAgreement || 0.8;   // share of compared fields that must match
+    }
+
+    /**
+     * Rollout block stored on a workflow when it is deployed in shadow mode
+     */
+    initialRollout() {
+        return {
+            requiredRuns: this.shadowRequests,
+            runs: 0,
+            agreements: 0,
+            startedAt: Date.now()
+        };
+    }
+
+    /**
+     * Serve a request from the LLM path while shadowing the workflow in
+     * `shadow` status for the query, if any. Returns the LLM result, with
+     * `shadowDisagreement: { workflowId, reason }` when the workflow disagreed.
+     * `llmCall()` resolves to { output, executionPath, taskOutputs, ... }.
+     */
+    async runWithShadow({ questionFingerprint, input, context }, llmCall) {
+        const workflow = await this.findShadowWorkflow(questionFingerprint);
+        const shadowRun = workflow ? this.executor.execute(workflow, input, context) : null;
+
+        const llmResult = await llmCall();
+
+        if (shadowRun) {
+            try {
+                const { comparison } = await this.recordShadowRun(workflow, await shadowRun, llmResult);
+                if (!comparison.agreed) {
+                    return {
+                        ...llmResult,
+                        shadowDisagreement: { workflowId: workflow.workflowId, reason: comparison.reason }
+                    };
+                }
+            } catch (error) {
+                // Shadow bookkeeping must never affect the user-facing result
+                logger.error(`Shadow comparison failed for ${workflow.workflowId}: ${error.message}`);
+            }
+        }
+
+        return llmResult;
+    }
+
+    async findShadowWorkflow(questionFingerprint) {
+        const candidates = await this.workflows.findByFingerprint(questionFingerprint, 'shadow');
+
+        // A lineage has one version in shadow; across lineages the newest deployment wins
+        return candidates.sort((a, b) => (b.deployedAt || 0) - (a.deployedAt || 0))[0] || null;
+    }
+
+    /**
+     * Compare one shadow run with the LLM result, update the rollout counters
+     * and promote or reject the workflow once enough runs are in. Counters
+     * are incremented in the store, so concurrent shadow runs all count, and
+     * only a workflow still in shadow can be decided.
+     */
+    async recordShadowRun(workflow, shadowResult, llmResult) {
+        const comparison = this.compare(workflow, shadowResult, llmResult);
+
+        if (!workflow.rollout) {
+            await this.startRollout(workflow.workflowId);
+        }
+
+        const counted = await this.workflows.update(workflow.workflowId, { 'rollout.lastComparison': comparison }, {
+            increment: { 'rollout.runs': 1, 'rollout.agreements': comparison.agreed ? 1 : 0 }
+        });
+        const { rollout } = counted;
+        workflow.rollout = rollout;
+        workflow.status = counted.status;
+
+        if (counted.status !== 'shadow' || rollout.runs < rollout.requiredRuns) {
+            return { comparison, status: counted.status, rollout };
+        }
+
+        const agreementRate = rollout.agreements / rollout.runs;
+        const status = agreementRate >= this.agreementThreshold ? 'active' : 'rejected';
+        const decidedAt = Date.now();
+
+        try {
+            await this.workflows.update(workflow.workflowId, {
+                status,
+                'rollout.agreementRate': agreementRate,
+                'rollout.decidedAt': decidedAt
+            }, { condition: [{ field: 'status', value: 'shadow' }] });
+        } catch (error) {
+            if (error.code !== 'CONDITION_FAILED') throw error;
+            // A concurrent run decided first
+            workflow.status = (await this.workflows.get(workflow.workflowId)).status;
+            return { comparison, status: workflow.status, rollout };
+        }
+
+        Object.assign(rollout, { agreementRate, decidedAt });
+        workflow.status = status;
+
+        if (status === 'active') {
+            await this.versionManager.activate(workflow);
+            logger.info(`Promoted workflow ${workflow.workflowId} after ${rollout.runs} shadow runs (agreement ${agreementRate.toFixed(2)})`);
+        } else {
+            logger.warn(`Rejected workflow ${workflow.workflowId}: shadow agreement ${agreementRate.toFixed(2)} below ${this.agreementThreshold}`);
+        }
+
+        return { comparison, status, rollout };
+    }
+
+    // Workflows put in shadow without a rollout block get one on their first run
+    async startRollout(workflowId) {
+        try {
+            await this.workflows.update(workflowId, { rollout: this.initialRollout() }, {
+                condition: [{ field: 'rollout', op: 'not_exists' }]
+            });
+        } catch (error) {
+            if (error.code !== 'CONDITION_FAILED') throw error;
+        }
+    }
+
+    /**
+     * A shadow run agrees when it succeeded, satisfied the output contract
+     * and matched enough of the LLM result's fields
+     */
+    compare(workflow, shadowResult, llmResult) {
+        if (!shadowResult.success) {
+            return {
+                agreed: false,
+                reason: `shadow run failed: ${shadowResult.error}`,
+                contractViolations: shadowResult.contractViolation?.violations || [],
+                fieldAgreement: 0
+            };
+        }
+
+        const contractViolations = this.checkOutputContract(workflow.outputContract, shadowResult.output);
+        const fieldAgreement = this.fieldAgreementRate(shadowResult.output, llmResult?.output);
+
+        const reasons = [];
+        if (contractViolations.length > 0) reasons.push(`contract: ${contractViolations.join('; ')}`);
+        if (fieldAgreement < this.fieldAgreement) reasons.push(`field agreement ${fieldAgreement.toFixed(2)}`);
+
+        return {
+            agreed: reasons.length === 0,
+            reason: reasons.join(', ') || null,
+            contractViolations,
+            fieldAgreement
+        };
+    }
+
+    checkOutputContract(contract, output) {
+        return this.contractValidator.validateOutput(contract, output);
+    }
+
+    /**
+     * Share of fields present in both outputs whose values match;
+     * non-object outputs are compared as a whole
+     */
+    fieldAgreementRate(shadowOutput, llmOutput) {
+        if (llmOutput === undefined || llmOutput === null) return 1;
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(shadowOutput) || !isObject(llmOutput)) {
+            return this.valuesMatch(shadowOutput, llmOutput) ? 1 : 0;
+        }
+
+        const shared = Object.keys(llmOutput).filter(key => shadowOutput[key] !== undefined);
+        if (shared.length === 0) return 0;
+
+        return shared.filter(key => this.valuesMatch(shadowOutput[key], llmOutput[key])).length / shared.length;
+    }
+
+    valuesMatch(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) <= 0.01 * Math.max(Math.abs(a), Math.abs(b), 1);
+        }
+
+        if (typeof a === 'string' && typeof b === 'string') {
+            return a.trim().toLowerCase() === b.trim().toLowerCase();
+        }
+
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+module.exports = ShadowRolloutManager;
@@ -1,95 +1,295 @@
 // ThompsonSamplingRouter.js
+const logger = require('../utils/Logger');
+const random = require('../utils/Random');
+const queryFingerprinter = require('../utils/QueryFingerprinter');
+const LinearThompsonSampler = require('./LinearThompsonSampler');
+const RewardModel = require('./RewardModel');
+const BudgetGuard = require('./BudgetGuard');
+const { createRepositories } = require('../storage');
+
+const CONTEXTUAL_MODEL_KEY = 'contextual:linear';
+
+/**
+ * Thompson Sampling Router (Section 5.1)
+ * 'beta' mode keeps Beta(α, β) success statistics per query pattern.
+ * 'contextual' mode scores routes with a linear Thompson sampler over query
+ * features, so routing generalises across similar patterns; the per-pattern
+ * Beta statistics are still maintained alongside it.
+ *
+ * Outcomes are scored by the RewardModel, so a slow or expensive success
+ * earns less than a fast, cheap one. Fractional rewards r update the
+ * posterior as α += r, β += 1 - r.
+ *
+ * Synthesized workflows are routed per version ('synthesized@v3'), so a new
+ * version starts from the prior instead of inheriting its parent's record.
+ *
+ * With `budgets` configured, choosing the LLM route takes a call from the
+ * BudgetGuard of the request's tenant and domain. When a limit is reached
+ * the request is queued, degraded to the non-LLM route with the best
+ * posterior mean, or rejected with a BUDGET_EXHAUSTED error.
+ */
 class ThompsonSamplingRouter {
     constructor(config = {}) {
-        this.dynamoDB = new AWS.DynamoDB.DocumentClient();
-        this.tableName = config.routingTable || 'RosettaRoutingStats';
+        this.routingStats = (config.repositories || createRepositories(config)).routingStats;
+        this.mode = config.mode || 'beta';
+        this.contextualSampler = new LinearThompsonSampler(config);
+        this.rewardModel = config.rewardModel || new RewardModel(config.reward);
+        this.budgetGuard = config.budgetGuard || (config.budgets ? new BudgetGuard(config.budgets) : null);
+        this.modelWriteAttempts = config.modelWriteAttempts || 5;
         
         // Initialize with priors
-        this.priors = {
+        this.priors = config.priors || {
             deterministic: { alpha: 1, beta: 1 },
             synthesized: { alpha: 1, beta: 1 },
             llm: { alpha: 1, beta: 1 }
         };
     }
     
-    async selectRoute(query, availableOptions) {
+    /**
+     * Pick a route. `context` ({ domain, patternConfidence, inputSize, input })
+     * is used in contextual mode; its `tenant` and `domain` select the budgets.
+     */
+    async selectRoute(query, availableOptions, context = {}) {
+        const route = await this.sampleRoute(query, availableOptions, context);
+        
+        if (route !== 'llm' || !this.budgetGuard) {
+            return route;
+        }
+        
+        return this.enforceBudget(query, availableOptions, context);
+    }
+    
+    async sampleRoute(query, availableOptions, context) {
+        if (this.mode === 'contextual') {
+            return this.selectContextualRoute(query, availableOptions, context);
+        }
+        
         // Load current statistics
         const stats = await this.loadStats(query);
         
         // Sample from Beta distribution for each option
         const samples = {};
         for (const option of availableOptions) {
-            const { alpha, beta } = stats[option] || this.priors[option];
+            const { alpha, beta } = stats[option] || this.priorFor(option);
             samples[option] = this.sampleBeta(alpha, beta);
         }
         
+        return this.bestOption(samples);
+    }
+    
+    async selectContextualRoute(query, availableOptions, context) {
+        const model = await this.loadContextualModel();
+        const features = this.contextualSampler.featurize(query, context);
+        const samples = this.contextualSampler.sample(model, availableOptions, features);
+        
+        return this.bestOption(samples);
+    }
+    
+    /**
+     * The LLM route was sampled: take a call from the budget, or apply the
+     * configured exhausted action
+     */
+    async enforceBudget(query, availableOptions, context) {
+        if (this.budgetGuard.tryAcquire(context)) {
+            return 'llm';
+        }
+        
+        const action = this.budgetGuard.exhaustedAction;
+        const alternatives = availableOptions.filter(option => option !== 'llm');
+        
+        if (action === 'queue') {
+            await this.budgetGuard.acquire(context);
+            return 'llm';
+        }
+        
+        if (action === 'degrade' && alternatives.length > 0) {
+            this.budgetGuard.count(context, 'degraded');
+            const route = await this.bestByPosteriorMean(query, alternatives);
+            logger.info(`LLM budget exhausted; degrading ${this.getQueryPattern(query)} to ${route}`);
+            return route;
+        }
+        
+        this.budgetGuard.count(context, 'rejected');
+        throw this.budgetGuard.exhaustedError(this.budgetGuard.check(context));
+    }
+    
+    /**
+     * Take an LLM call from the budget outside route selection (e.g. for a
+     * fallback); true when no budget is configured
+     */
+    tryAcquireLLM(context = {}) {
+        return !this.budgetGuard || this.budgetGuard.tryAcquire(context);
+    }
+    
+    recordSpend(context, cost) {
+        if (this.budgetGuard) {
+            this.budgetGuard.recordSpend(context, cost);
+        }
+    }
+    
+    getBudgetMetrics() {
+        return this.budgetGuard ? this.budgetGuard.getMetrics() : {};
+    }
+    
+    async bestByPosteriorMean(query, options) {
+        const stats = await this.loadStats(query);
+        const means = {};
+        
+        options.forEach(option => {
+            const { alpha, beta } = stats[option] || this.priorFor(option);
+            means[option] = alpha / (alpha + beta);
+        });
+        
+        return this.bestOption(means);
+    }
+    
+    bestOption(samples) {
         // Select option with highest sample
         return Object.entries(samples)
             .sort((a, b) => b[1] - a[1])[0][0];
     }
     
-    async updateStats(query, route, success) {
+    /**
+     * Record the outcome of a route: `true`/`false`, or
+     * { success, latency, cost } scored by the reward model.
+     * Returns the reward that was applied.
+     */
+    async updateStats(query, route, outcome, context = {}) {
+        const reward = this.rewardModel.compute(outcome);
         const stats = await this.loadStats(query);
         
         if (!stats[route]) {
-            stats[route] = { ...this.priors[route] };
+            stats[route] = { ...this.priorFor(route) };
         }
         
-        if (success) {
-            stats[route].alpha++;
-        } else {
-            stats[route].beta++;
-        }
+        stats[route].alpha += reward;
+        stats[route].beta += 1 - reward;
         
         await this.saveStats(query, stats);
+        
+        if (this.mode === 'contextual') {
+            await this.updateContextualModel(query, route, context, reward);
+        }
+        
+        return reward;
     }
     
-    sampleBeta(alpha, beta) {
-        // Simple approximation - use proper library in production
-        const mean = alpha / (alpha + beta);
-        const variance = (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
-        const stdDev = Math.sqrt(variance);
+    defaultStats() {
+        // Copies, so updates never mutate the priors
+        const stats = {};
+        Object.entries(this.priors).forEach(([route, prior]) => {
+            stats[route] = { ...prior };
+        });
+        return stats;
+    }
+    
+    priorFor(route) {
+        return this.priors[route] || this.priors[this.baseRoute(route)] || { alpha: 1, beta: 1 };
+    }
+    
+    /**
+     * Route name for a versioned synthesized workflow
+     */
+    versionedRoute(workflow) {
+        return workflow.version ? `synthesized@v${workflow.version}` : 'synthesized';
+    }
+    
+    baseRoute(route) {
+        return route.split('@')[0];
+    }
+    
+    /**
+     * Posterior mean success per version of the synthesized route
+     */
+    async getVersionStats(query) {
+        const stats = await this.loadStats(query);
+        const versions = {};
         
-        // Box-Muller transform for normal approximation
-        const u = Math.random();
-        const v = Math.random();
-        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        Object.entries(stats)
+            .filter(([route]) => route.startsWith('synthesized@'))
+            .forEach(([route, { alpha, beta }]) => {
+                versions[route.split('@')[1]] = { alpha, beta, mean: alpha / (alpha + beta) };
+            });
         
-        return Math.max(0, Math.min(1, mean + z * stdDev));
+        return versions;
+    }
+    
+    /**
+     * Exact Beta sample via two Gamma draws
+     */
+    sampleBeta(alpha, beta) {
+        return random.beta(alpha, beta);
     }
     
     async loadStats(query) {
         // Load from DynamoDB or return defaults
         try {
-            const result = await this.dynamoDB.get({
-                TableName: this.tableName,
-                Key: { queryPattern: this.getQueryPattern(query) }
-            }).promise();
+            const item = await this.routingStats.get(this.getQueryPattern(query));
             
-            return result.Item?.stats || { ...this.priors };
+            return item?.stats || this.defaultStats();
         } catch (error) {
-            return { ...this.priors };
+            logger.warn(`Could not load routing stats: ${error.message}`);
+            return this.defaultStats();
         }
     }
     
     async saveStats(query, stats) {
-        await this.dynamoDB.put({
-            TableName: this.tableName,
-            Item: {
-                queryPattern: this.getQueryPattern(query),
-                stats,
-                lastUpdated: Date.now()
+        await this.routingStats.save(this.getQueryPattern(query), { stats });
+    }
+    
+    /**
+     * The contextual model is shared by all query patterns and stored as a
+     * single item in the routing table
+     */
+    async loadContextualModel() {
+        return (await this.readContextualModel()).model;
+    }
+    
+    /**
+     * The model with the revision it was stored at (0 before the first save)
+     */
+    async readContextualModel() {
+        let revision = 0;
+        
+        try {
+            const item = await this.routingStats.get(CONTEXTUAL_MODEL_KEY);
+            revision = item?.revision || 0;
+            
+            const model = item?.model;
+            if (model && model.dimension === this.contextualSampler.dimension) {
+                return { model, revision };
             }
-        }).promise();
+        } catch (error) {
+            logger.warn(`Could not load contextual routing model: ${error.message}`);
+        }
+        
+        return { model: this.contextualSampler.createModel(), revision };
+    }
+    
+    /**
+     * Concurrent requests update the same model, so it is only written over
+     * the revision it was read at; when another update landed first, the
+     * update is applied again to the fresh model
+     */
+    async updateContextualModel(query, route, context, reward) {
+        const features = this.contextualSampler.featurize(query, context);
+        
+        for (let attempt = 0; attempt < this.modelWriteAttempts; attempt++) {
+            const { model, revision } = await this.readContextualModel();
+            this.contextualSampler.update(model, route, features, reward);
+            
+            if (await this.routingStats.saveRevision(CONTEXTUAL_MODEL_KEY, { model }, revision)) {
+                return;
+            }
+        }
+        
+        logger.warn(`Dropped a contextual model update for ${route} after ${this.modelWriteAttempts} conflicting writes`);
     }
     
     getQueryPattern(query) {
-        // Extract pattern from query for grouping similar queries
-        return query.toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .split(/\s+/)
-            .sort()
-            .join('_');
+        // Same fingerprint as the trace collector, so routing statistics and
+        // mined workflows are keyed identically
+        return queryFingerprinter.fingerprint(query).fingerprint;
     }
 }
 
@@ -0,0 +1,149 @@
+// DynamoDBStore.js
+// Document store backed by DynamoDB (LocalStack locally)
+
+const AWS = require('aws-sdk');
+const { toExpression, conditionFailed } = require('./conditions');
+
+/**
+ * DynamoDB Store
+ * Same interface as the MemoryStore. Scans follow pagination, and queries
+ * run against the secondary index that has `keyField` as its hash key and
+ * `sortField` as its range key.
+ */
+class DynamoDBStore {
+    constructor(config = {}) {
+        this.client = config.documentClient || new AWS.DynamoDB.DocumentClient(config.dynamoEndpoint ? {
+            endpoint: config.dynamoEndpoint,
+            region: config.awsRegion,
+            accessKeyId: config.dynamoAccessKeyId,
+            secretAccessKey: config.dynamoSecretAccessKey
+        } : undefined);
+    }
+
+    async put(tableName, item) {
+        await this.client.put({ TableName: tableName, Item: item }).promise();
+    }
+
+    async get(tableName, key) {
+        const result = await this.client.get({ TableName: tableName, Key: key }).promise();
+        return result.Item || null;
+    }
+
+    async update(tableName, key, changes, { increment = {}, condition = null } = {}) {
+        const names = {};
+        const values = {};
+
+        // 'rollout.runs' becomes #u0_0.#u0_1
+        const path = (field, id) => field.split('.').map((part, j) => {
+            names[`#${id}_${j}`] = part;
+            return `#${id}_${j}`;
+        }).join('.');
+
+        const assignments = [
+            ...Object.entries(changes).map(([field, value], i) => {
+                values[`:u${i}`] = value;
+                return `${path(field, `u${i}`)} = :u${i}`;
+            }),
+            ...Object.entries(increment).map(([field, amount], i) => {
+                const target = path(field, `i${i}`);
+                values[`:i${i}`] = amount;
+                values[':zero'] = 0;
+                return `${target} = if_not_exists(${target}, :zero) + :i${i}`;
+            })
+        ];
+
+        const params = {
+            TableName: tableName,
+            Key: key,
+            UpdateExpression: `SET ${assignments.join(', ')}`,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        };
+
+        if (condition) {
+            const compiled = toExpression(condition, 'c');
+            params.ConditionExpression = compiled.expression;
+            Object.assign(names, compiled.names);
+            Object.assign(values, compiled.values);
+        }
+
+        try {
+            const result = await this.client.update(params).promise();
+            return result.Attributes || null;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') throw conditionFailed(tableName, key);
+            throw error;
+        }
+    }
+
+    async delete(tableName, key) {
+        await this.client.delete({ TableName: tableName, Key: key }).promise();
+    }
+
+    async scan(tableName, { filter = [], attributes = null } = {}) {
+        const params = { TableName: tableName };
+        const names = {};
+
+        if (filter.length > 0) {
+            const compiled = toExpression(filter);
+            params.FilterExpression = compiled.expression;
+            Object.assign(names, compiled.names);
+            if (Object.keys(compiled.values).length > 0) {
+                params.ExpressionAttributeValues = compiled.values;
+            }
+        }
+
+        if (attributes) {
+            params.ProjectionExpression = attributes.map((field, i) => {
+                names[`#p${i}`] = field;
+                return `#p${i}`;
+            }).join(', ');
+        }
+
+        if (Object.keys(names).length > 0) {
+            params.ExpressionAttributeNames = names;
+        }
+
+        const items = [];
+        let lastEvaluatedKey;
+
+        do {
+            const result = await this.client.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+            items.push(...(result.Items || []));
+            lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+
+        return items;
+    }
+
+    async query(tableName, { indexName, keyField, keyValue, descending = false, limit, filter = [] }) {
+        const compiled = toExpression(filter);
+        const params = {
+            TableName: tableName,
+            IndexName: indexName,
+            KeyConditionExpression: '#k = :k',
+            ExpressionAttributeNames: { '#k': keyField, ...compiled.names },
+            ExpressionAttributeValues: { ':k': keyValue, ...compiled.values },
+            ScanIndexForward: !descending
+        };
+
+        if (compiled.expression) {
+            params.FilterExpression = compiled.expression;
+        }
+
+        // Limit caps the items read before filtering, so page until enough match
+        const items = [];
+        let lastEvaluatedKey;
+
+        do {
+            const result = await this.client.query({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+            items.push(...(result.Items || []));
+            lastEvaluatedKey = result.LastEvaluatedKey;
+        } while (lastEvaluatedKey && (!limit || items.length < limit));
+
+        return limit ? items.slice(0, limit) : items;
+    }
+}
+
+module.exports = DynamoDBStore;
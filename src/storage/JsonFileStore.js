@@ -0,0 +1,59 @@
+// JsonFileStore.js
+// Document store persisted as one JSON file per table
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * JSON File Store
+ * Serves reads from memory and writes each table back to
+ * `<storageDir>/<table>.json` after every change, so the pipeline can run
+ * offline and keep its traces, patterns and workflows between runs.
+ * Files are written to a temporary name and renamed into place; writes to
+ * the same table are queued so they never share a temporary file.
+ */
+class JsonFileStore extends MemoryStore {
+    constructor(config = {}) {
+        super(config);
+        this.directory = path.resolve(config.storageDir || './data/store');
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.writes = new Map();
+    }
+
+    filePath(tableName) {
+        return path.join(this.directory, `${tableName}.json`);
+    }
+
+    table(name) {
+        if (!this.tables.has(name)) {
+            const table = new Map();
+            const file = this.filePath(name);
+
+            if (fs.existsSync(file)) {
+                JSON.parse(fs.readFileSync(file, 'utf8')).forEach(([id, item]) => table.set(id, item));
+            }
+
+            this.tables.set(name, table);
+        }
+        return this.tables.get(name);
+    }
+
+    persist(tableName) {
+        const previous = this.writes.get(tableName) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => this.writeTable(tableName));
+
+        this.writes.set(tableName, write);
+        return write;
+    }
+
+    async writeTable(tableName) {
+        const file = this.filePath(tableName);
+        const temporary = `${file}.tmp`;
+
+        await fs.promises.writeFile(temporary, JSON.stringify(Array.from(this.table(tableName).entries())));
+        await fs.promises.rename(temporary, file);
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,129 @@
+// MemoryStore.js
+// In-process document store for tests and offline runs
+
+const { matches, conditionFailed } = require('./conditions');
+
+/**
+ * Memory Store
+ * Keeps every table as a Map from the serialized primary key to a deep copy
+ * of the item, so callers can never mutate stored state by accident.
+ * Items are keyed by the `keyFields` declared for their table. Updates
+ * run synchronously up to the persist hook, so an increment or a
+ * conditional update never interleaves with another write.
+ */
+class MemoryStore {
+    constructor(config = {}) {
+        this.tables = new Map();
+    }
+
+    table(name) {
+        if (!this.tables.has(name)) {
+            this.tables.set(name, new Map());
+        }
+        return this.tables.get(name);
+    }
+
+    keyOf(key) {
+        return JSON.stringify(Object.keys(key).sort().map(field => [field, key[field]]));
+    }
+
+    copy(item) {
+        return item === undefined ? undefined : JSON.parse(JSON.stringify(item));
+    }
+
+    async put(tableName, item, keyFields) {
+        const key = {};
+        keyFields.forEach(field => {
+            key[field] = item[field];
+        });
+
+        this.table(tableName).set(this.keyOf(key), this.copy(item));
+        await this.persist(tableName);
+    }
+
+    async get(tableName, key) {
+        return this.copy(this.table(tableName).get(this.keyOf(key))) || null;
+    }
+
+    /**
+     * Set `changes` and add `increment` to numeric attributes; attribute
+     * names may be paths such as 'rollout.runs'. The stored item (or `{}`)
+     * must match `condition`, a filter as in ./conditions.
+     */
+    async update(tableName, key, changes, { increment = {}, condition = null } = {}) {
+        const table = this.table(tableName);
+        const id = this.keyOf(key);
+        const current = table.get(id);
+
+        if (condition && !matches(current || {}, condition)) {
+            throw conditionFailed(tableName, key);
+        }
+
+        const item = this.copy(current) || { ...key };
+        Object.entries(changes).forEach(([field, value]) => {
+            this.setPath(item, field, this.copy(value));
+        });
+        Object.entries(increment).forEach(([field, amount]) => {
+            this.setPath(item, field, (this.getPath(item, field) || 0) + amount);
+        });
+
+        table.set(id, item);
+        await this.persist(tableName);
+
+        return this.copy(item);
+    }
+
+    async delete(tableName, key) {
+        this.table(tableName).delete(this.keyOf(key));
+        await this.persist(tableName);
+    }
+
+    async scan(tableName, { filter = [], attributes = null } = {}) {
+        return Array.from(this.table(tableName).values())
+            .filter(item => matches(item, filter))
+            .map(item => this.project(item, attributes));
+    }
+
+    /**
+     * Items whose `keyField` equals `keyValue`, ordered by `sortField`
+     */
+    async query(tableName, { keyField, keyValue, sortField, descending = false, limit, filter = [] }) {
+        const items = Array.from(this.table(tableName).values())
+            .filter(item => item[keyField] === keyValue && matches(item, filter));
+
+        if (sortField) {
+            items.sort((a, b) => (a[sortField] || 0) - (b[sortField] || 0));
+            if (descending) items.reverse();
+        }
+
+        return (limit ? items.slice(0, limit) : items).map(item => this.copy(item));
+    }
+
+    getPath(item, field) {
+        return field.split('.').reduce((value, part) => (value ? value[part] : undefined), item);
+    }
+
+    setPath(item, field, value) {
+        const parts = field.split('.');
+        const parent = parts.slice(0, -1).reduce((object, part) => {
+            if (!object[part] || typeof object[part] !== 'object') object[part] = {};
+            return object[part];
+        }, item);
+        parent[parts[parts.length - 1]] = value;
+    }
+
+    project(item, attributes) {
+        if (!attributes) return this.copy(item);
+
+        const projected = {};
+        attributes.forEach(field => {
+            if (item[field] !== undefined) projected[field] = this.copy(item[field]);
+        });
+        return projected;
+    }
+
+    // Hook for stores that write tables through to disk
+    async persist(tableName) {}
+}
+
+module.exports = MemoryStore;
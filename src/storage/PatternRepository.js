@@ -0,0 +1,24 @@
+// PatternRepository.js
+// Persistence of mined patterns
+
+class PatternRepository {
+    constructor(store, config = {}) {
+        this.store = store;
+        this.tableName = config.patternsTable || 'RosettaMinedPatterns';
+    }
+
+    async save(pattern) {
+        await this.store.put(this.tableName, pattern, ['patternId']);
+        return pattern;
+    }
+
+    async get(patternId) {
+        return this.store.get(this.tableName, { patternId });
+    }
+
+    async list() {
+        return this.store.scan(this.tableName);
+    }
+}
+
+module.exports = PatternRepository;
@@ -0,0 +1,40 @@
+// ReviewRepository.js
+// Audit log of review decisions on synthesized workflows
+
+/**
+ * Review Repository
+ * Append-only log with one item per decision, keyed by `reviewId`. Items
+ * name the `workflowId` and `lineageKey` they concern.
+ */
+class ReviewRepository {
+    constructor(store, config = {}) {
+        this.store = store;
+        this.tableName = config.reviewsTable || 'RosettaWorkflowReviews';
+    }
+
+    async save(entry) {
+        await this.store.put(this.tableName, entry, ['reviewId']);
+        return entry;
+    }
+
+    /**
+     * Decisions on one workflow version, oldest first
+     */
+    async findByWorkflow(workflowId) {
+        const items = await this.store.scan(this.tableName, {
+            filter: [{ field: 'workflowId', value: workflowId }]
+        });
+        return items.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Every decision, oldest first, optionally only those at or after `since`
+     */
+    async list({ since = null } = {}) {
+        const filter = since ? [{ field: 'timestamp', op: '>=', value: since }] : [];
+        const items = await this.store.scan(this.tableName, { filter });
+        return items.sort((a, b) => a.timestamp - b.timestamp);
+    }
+}
+
+module.exports = ReviewRepository;
@@ -0,0 +1,54 @@
+// RoutingStatsRepository.js
+// Persistence of router statistics and models
+
+/**
+ * Routing Stats Repository
+ * One item per query pattern (plus shared model items such as the
+ * contextual routing model), keyed by `queryPattern`.
+ */
+class RoutingStatsRepository {
+    constructor(store, config = {}) {
+        this.store = store;
+        this.tableName = config.routingTable || 'RosettaRoutingStats';
+    }
+
+    async get(queryPattern) {
+        return this.store.get(this.tableName, { queryPattern });
+    }
+
+    async save(queryPattern, attributes) {
+        const item = {
+            queryPattern,
+            ...attributes,
+            lastUpdated: Date.now()
+        };
+
+        await this.store.put(this.tableName, item, ['queryPattern']);
+        return item;
+    }
+
+    /**
+     * Save attributes only over the `revision` they were read at (0 when
+     * the item had none) and bump it. Returns false when another writer
+     * saved first, for the caller to read the item again and retry.
+     */
+    async saveRevision(queryPattern, attributes, revision) {
+        const condition = revision
+            ? [{ field: 'revision', value: revision }]
+            : [{ field: 'revision', op: 'not_exists' }];
+
+        try {
+            await this.store.update(this.tableName, { queryPattern }, {
+                ...attributes,
+                revision: revision + 1,
+                lastUpdated: Date.now()
+            }, { condition });
+            return true;
+        } catch (error) {
+            if (error.code === 'CONDITION_FAILED') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = RoutingStatsRepository;
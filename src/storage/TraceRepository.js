@@ -0,0 +1,52 @@
+// TraceRepository.js
+// Persistence of execution traces
+
+/**
+ * Trace Repository
+ * Traces are keyed by `traceId` and looked up by question fingerprint,
+ * newest first, through the QuestionFingerprint-index.
+ */
+class TraceRepository {
+    constructor(store, config = {}) {
+        this.store = store;
+        this.tableName = config.tracesTable || 'RosettaExecutionTraces';
+    }
+
+    async save(trace) {
+        await this.store.put(this.tableName, trace, ['traceId']);
+        return trace;
+    }
+
+    async get(traceId) {
+        return this.store.get(this.tableName, { traceId });
+    }
+
+    /**
+     * Most recent traces of a fingerprint, optionally only successful ones
+     * and only those recorded at or after `since`
+     */
+    async findByFingerprint(questionFingerprint, { limit = 10, successOnly = false, since = null } = {}) {
+        const filter = [];
+        if (successOnly) filter.push({ field: 'success', value: true });
+        if (since) filter.push({ field: 'timestamp', op: '>=', value: since });
+
+        return this.store.query(this.tableName, {
+            indexName: 'QuestionFingerprint-index',
+            keyField: 'questionFingerprint',
+            keyValue: questionFingerprint,
+            sortField: 'timestamp',
+            descending: true,
+            limit,
+            filter
+        });
+    }
+
+    /**
+     * Every stored trace, reduced to `attributes` when given
+     */
+    async scan(attributes = null) {
+        return this.store.scan(this.tableName, { attributes });
+    }
+}
+
+module.exports = TraceRepository;
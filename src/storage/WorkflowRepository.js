@@ -0,0 +1,61 @@
+// WorkflowRepository.js
+// Persistence of synthesized workflow versions
+
+/**
+ * Workflow Repository
+ * One item per workflow version, keyed by `workflowId`. A workflow serves
+ * every fingerprint in `questionFingerprints` (or its single
+ * `questionFingerprint`) and belongs to the lineage named by `lineageKey`.
+ */
+class WorkflowRepository {
+    constructor(store, config = {}) {
+        this.store = store;
+        this.tableName = config.workflowTable || 'RosettaSynthesizedWorkflows';
+    }
+
+    async save(workflow) {
+        await this.store.put(this.tableName, workflow, ['workflowId']);
+        return workflow;
+    }
+
+    async get(workflowId) {
+        return this.store.get(this.tableName, { workflowId });
+    }
+
+    /**
+     * Set the given attributes of a workflow and return the updated item.
+     * `options.increment` adds to counters in the same write and
+     * `options.condition` must hold on the stored workflow, or the update
+     * fails with code CONDITION_FAILED; names may be paths like 'rollout.runs'.
+     */
+    async update(workflowId, changes, options = {}) {
+        return this.store.update(this.tableName, { workflowId }, changes, options);
+    }
+
+    async findByLineage(lineageKey) {
+        const items = await this.store.scan(this.tableName, {
+            filter: [{ field: 'lineageKey', value: lineageKey }]
+        });
+        return items.sort((a, b) => (a.version || 0) - (b.version || 0));
+    }
+
+    async findByFingerprint(questionFingerprint, status = null) {
+        const filter = [{
+            any: [
+                { field: 'questionFingerprint', value: questionFingerprint },
+                { field: 'questionFingerprints', op: 'contains', value: questionFingerprint }
+            ]
+        }];
+        if (status) filter.push({ field: 'status', value: status });
+
+        return this.store.scan(this.tableName, { filter });
+    }
+
+    async findByStatus(status) {
+        return this.store.scan(this.tableName, {
+            filter: [{ field: 'status', value: status }]
+        });
+    }
+}
+
+module.exports = WorkflowRepository;
@@ -0,0 +1,83 @@
+// storage/conditions.js
+// Backend-neutral filters: evaluated in memory or compiled to DynamoDB expressions
+
+/**
+ * A filter is a list of conditions that must all hold. A condition is
+ * `{ field, op, value }` with op one of '=', '<>', '>=', '<=', 'contains'
+ * (array membership or substring), 'exists' and 'not_exists', or
+ * `{ any: [conditions] }` when at least one of a group must hold. The same
+ * filters guard conditional writes, which fail with `conditionFailed`.
+ */
+
+function matches(item, filter = []) {
+    return filter.every(condition => matchesCondition(item, condition));
+}
+
+function matchesCondition(item, condition) {
+    if (condition.any) {
+        return condition.any.some(inner => matchesCondition(item, inner));
+    }
+
+    const actual = item[condition.field];
+
+    switch (condition.op || '=') {
+        case '=': return actual === condition.value;
+        case '<>': return actual !== condition.value;
+        case '>=': return actual !== undefined && actual >= condition.value;
+        case '<=': return actual !== undefined && actual <= condition.value;
+        case 'contains':
+            return (Array.isArray(actual) || typeof actual === 'string') && actual.includes(condition.value);
+        case 'exists': return actual !== undefined && actual !== null;
+        case 'not_exists': return actual === undefined || actual === null;
+        default:
+            throw new Error(`Unsupported filter operator: ${condition.op}`);
+    }
+}
+
+/**
+ * Compile a filter to { expression, names, values } for a DynamoDB
+ * FilterExpression. Every attribute name goes through a placeholder, so
+ * reserved words such as `status` and `timestamp` need no special care.
+ */
+function toExpression(filter = [], prefix = 'f') {
+    const names = {};
+    const values = {};
+    let counter = 0;
+
+    const compile = condition => {
+        if (condition.any) {
+            return `(${condition.any.map(compile).join(' OR ')})`;
+        }
+
+        const id = counter++;
+        const name = `#${prefix}${id}`;
+        const value = `:${prefix}${id}`;
+        names[name] = condition.field;
+
+        const op = condition.op || '=';
+        if (op === 'exists') {
+            return `attribute_exists(${name})`;
+        }
+        if (op === 'not_exists') {
+            return `attribute_not_exists(${name})`;
+        }
+
+        values[value] = condition.value;
+        return op === 'contains' ? `contains(${name}, ${value})` : `${name} ${op} ${value}`;
+    };
+
+    return {
+        expression: filter.map(compile).join(' AND '),
+        names,
+        values
+    };
+}
+
+// Error for a conditional write whose condition did not hold
+function conditionFailed(tableName, key) {
+    const error = new Error(`Condition failed for ${JSON.stringify(key)} in ${tableName}`);
+    error.code = 'CONDITION_FAILED';
+    return error;
+}
+
+module.exports = { matches, toExpression, conditionFailed };
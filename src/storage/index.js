@@ -0,0 +1,60 @@
+// storage/index.js
+// Storage backends and the factory that builds repositories from configuration
+
+const DynamoDBStore = require('./DynamoDBStore');
+const MemoryStore = require('./MemoryStore');
+const JsonFileStore = require('./JsonFileStore');
+const TraceRepository = require('./TraceRepository');
+const PatternRepository = require('./PatternRepository');
+const WorkflowRepository = require('./WorkflowRepository');
+const RoutingStatsRepository = require('./RoutingStatsRepository');
+const ReviewRepository = require('./ReviewRepository');
+
+const BACKENDS = {
+    dynamodb: DynamoDBStore,
+    memory: MemoryStore,
+    file: JsonFileStore
+};
+
+/**
+ * A new store over the backend named by `config.storageType`. Every call
+ * builds its own; components share a store by being given the same
+ * `repositories` (or `config.store`).
+ */
+function createStore(config = {}) {
+    const type = config.storageType || 'dynamodb';
+    const Backend = BACKENDS[type];
+
+    if (!Backend) {
+        throw new Error(`Unknown storage type: ${type}`);
+    }
+
+    return new Backend(config);
+}
+
+/**
+ * Repositories for traces, patterns, workflows, routing statistics and
+ * workflow review decisions over the backend named by `config.storageType`
+ * ('dynamodb', 'memory' or 'file'; DynamoDB by default). Pass
+ * `config.store` to use a specific store.
+ */
+function createRepositories(config = {}) {
+    const store = config.store || createStore(config);
+
+    return {
+        store,
+        traces: new TraceRepository(store, config),
+        patterns: new PatternRepository(store, config),
+        workflows: new WorkflowRepository(store, config),
+        routingStats: new RoutingStatsRepository(store, config),
+        reviews: new ReviewRepository(store, config)
+    };
+}
+
+module.exports = {
+    createRepositories,
+    createStore,
+    DynamoDBStore,
+    MemoryStore,
+    JsonFileStore
+};
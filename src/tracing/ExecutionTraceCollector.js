@@ -1,9 +1,13 @@
 // ExecutionTraceCollector.js
 // Comprehensive trace collection system from the paper
 
-const crypto = require('crypto');
-const AWS = require('aws-sdk');
 const logger = require('../utils/Logger');
+const queryFingerprinter = require('../utils/QueryFingerprinter');
+const schemaInference = require('../utils/SchemaInference');
+const { createEventBus, EVENT_TYPES } = require('../events');
+const { createRepositories } = require('../storage');
+const PricingModel = require('../cost/PricingModel');
+const PiiRedactor = require('./PiiRedactor');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -12,15 +16,24 @@ const { v4: uuidv4 } = require('uuid');
  */
 class ExecutionTraceCollector {
     constructor(config = {}) {
-        this.dynamoDB = new AWS.DynamoDB.DocumentClient();
-        this.tableName = config.tracesTable || 'RosettaExecutionTraces';
+        this.traces = (config.repositories || createRepositories(config)).traces;
         this.fingerprintExtractor = config.fingerprintExtractor;
         this.minTracesForSynthesis = config.minTracesForSynthesis || 3;
+        this.eventBus = config.eventBus || createEventBus(config);
+        this.pricing = config.pricingModel || new PricingModel(config.pricing);
+        this.piiRedactor = config.piiRedactor || new PiiRedactor(config.piiRedaction);
     }
 
     /**
      * Save a complete execution trace with all metadata
-     * This is the foundation for pattern mining and workflow synthesis
+     * This is the foundation for pattern mining and workflow synthesis.
+     * `llmUsage` ({ model, promptTokens, completionTokens }) is the token
+     * usage of LLM calls that are not steps of the execution path, such as
+     * the planning call of the LLM orchestrator.
+     *
+     * Queries, error details, task inputs and outputs and data-flow values
+     * pass through the PII redactor, with the field policies of
+     * `context.domain`, before the trace is saved.
      */
     async saveExecutionTrace(orchestrationData) {
         const {
@@ -34,12 +47,16 @@ class ExecutionTraceCollector {
             totalDuration,
             llmCalls,
             cost,
-            sessionId
+            llmUsage,
+            sessionId,
+            annotations
         } = orchestrationData;
 
         try {
-            // Generate question fingerprint for similarity matching
-            const questionFingerprint = this.generateQuestionFingerprint(refinedQuery || originalQuery);
+            // Generate question fingerprint for similarity matching; entities
+            // become typed slots and their values are kept as parameters
+            const query = queryFingerprinter.fingerprint(refinedQuery || originalQuery);
+            const questionFingerprint = query.fingerprint;
 
             // Extract matched fingerprints (from your fingerprints.config.js)
             const matchedFingerprints = await this.extractMatchedFingerprints(
@@ -47,25 +64,29 @@ class ExecutionTraceCollector {
                 taskOutputs
             );
 
+            const costBreakdown = this.calculateCostBreakdown(executionPath, llmCalls, llmUsage);
+            const redaction = { domain: context?.domain, stats: {} };
+
             // Build the execution trace
             const trace = {
                 traceId: uuidv4(),
                 orchestrationId,
                 questionFingerprint,
-                originalQuery,
-                refinedQuery,
-                normalizedQuery: this.normalizeQuery(refinedQuery || originalQuery),
+                originalQuery: this.piiRedactor.redact(originalQuery, redaction),
+                refinedQuery: this.piiRedactor.redact(refinedQuery, redaction),
+                normalizedQuery: query.template,
+                queryParameters: this.piiRedactor.redact(query.parameters, redaction),
                 matchedFingerprints,
                 context: this.sanitizeContext(context),
 
                 // Execution sequence with full details
-                executionSequence: this.buildExecutionSequence(executionPath, taskOutputs),
+                executionSequence: this.buildExecutionSequence(executionPath, taskOutputs, redaction),
 
                 // Task dependency graph
                 taskDependencies: this.extractDependencies(executionPath),
 
                 // Data flow between tasks
-                dataFlow: this.extractDataFlow(executionPath, taskOutputs),
+                dataFlow: this.extractDataFlow(executionPath, taskOutputs, redaction),
 
                 // Decision points and conditions
                 decisionPoints: this.extractDecisionPoints(executionPath),
@@ -75,19 +96,27 @@ class ExecutionTraceCollector {
                     totalDuration,
                     taskDurations: this.extractTaskDurations(executionPath),
                     llmCalls,
+                    llmUsage: llmUsage || null,
                     deterministicTasks: executionPath.filter(t => !t.usedLLM).length,
                     totalTasks: executionPath.length
                 },
 
-                // Cost tracking
+                // Cost tracking; the total is the breakdown unless the caller measured it
                 cost: {
-                    total: cost,
-                    breakdown: this.calculateCostBreakdown(executionPath, llmCalls)
+                    total: cost !== undefined ? cost : Object.values(costBreakdown).reduce((sum, value) => sum + value, 0),
+                    breakdown: costBreakdown
                 },
 
                 // Outcome
                 success,
-                errorDetails: orchestrationData.error || null,
+                errorDetails: this.piiRedactor.redact(orchestrationData.error || null, redaction),
+
+                // Notes from serving the request,
+                // e.g. { route, shadowDisagreement: { workflowId, reason } }
+                annotations: annotations || null,
+
+                // PII replaced before saving, counted per detector or field
+                redactions: redaction.stats,
 
                 // Metadata
                 timestamp: Date.now(),
@@ -96,11 +125,7 @@ class ExecutionTraceCollector {
                 version: process.env.APP_VERSION || '1.0.0'
             };
 
-            // Save to DynamoDB
-            await this.dynamoDB.put({
-                TableName: this.tableName,
-                Item: trace
-            }).promise();
+            await this.traces.save(trace);
 
             logger.info(`Saved execution trace ${trace.traceId} for ${questionFingerprint}`);
 
@@ -118,9 +143,12 @@ class ExecutionTraceCollector {
     /**
      * Build detailed execution sequence for pattern mining
      */
-    buildExecutionSequence(executionPath, taskOutputs) {
+    buildExecutionSequence(executionPath, taskOutputs, redaction = {}) {
         return executionPath.map((step, index) => {
-            const taskOutput = taskOutputs[step.taskId] || {};
+            // Schemas come from the raw values, everything stored from redacted ones
+            const rawOutput = taskOutputs[step.taskId] || {};
+            const taskOutput = this.piiRedactor.redact(rawOutput, redaction);
+            const taskInput = this.piiRedactor.redact(step.input, redaction);
 
             return {
                 index,
@@ -131,13 +159,13 @@ class ExecutionTraceCollector {
                 // Input schema and values
                 input: {
                     schema: this.extractInputSchema(step.input),
-                    values: this.sanitizeInputValues(step.input),
+                    values: this.sanitizeInputValues(taskInput),
                     source: step.inputSource // 'user', 'previous_task', 'context'
                 },
 
                 // Output schema and summary
                 output: {
-                    schema: this.extractOutputSchema(taskOutput),
+                    schema: this.extractOutputSchema(rawOutput),
                     summary: this.summarizeOutput(taskOutput),
                     keyValues: this.extractKeyValues(taskOutput)
                 },
@@ -204,7 +232,7 @@ class ExecutionTraceCollector {
     /**
      * Extract data flow patterns between tasks
      */
-    extractDataFlow(executionPath, taskOutputs) {
+    extractDataFlow(executionPath, taskOutputs, redaction = {}) {
         const dataFlow = [];
 
         executionPath.forEach((step, index) => {
@@ -220,7 +248,10 @@ class ExecutionTraceCollector {
                             sourceOutput,
                             step.input
                         ),
-                        fields: this.matchedFields(sourceOutput, step.input)
+                        fields: this.matchedFields(sourceOutput, step.input).map(field => ({
+                            ...field,
+                            value: this.piiRedactor.redact(field.value, { ...redaction, field: field.target })
+                        }))
                     });
                 }
             }
@@ -254,19 +285,7 @@ class ExecutionTraceCollector {
      * Generate fingerprint for question similarity matching
      */
     generateQuestionFingerprint(query) {
-        // Normalize and hash for consistent fingerprinting
-        const normalized = query
-            .toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .split(/\s+/)
-            .sort()
-            .join(' ');
-
-        return crypto
-            .createHash('sha256')
-            .update(normalized)
-            .digest('hex')
-            .substring(0, 16);
+        return queryFingerprinter.fingerprint(query).fingerprint;
     }
 
     /**
@@ -297,19 +316,7 @@ class ExecutionTraceCollector {
     async checkPatternMiningTrigger(questionFingerprint) {
         try {
             // Query traces with same fingerprint
-            const params = {
-                TableName: this.tableName,
-                IndexName: 'QuestionFingerprint-index',
-                KeyConditionExpression: 'questionFingerprint = :fp',
-                ExpressionAttributeValues: {
-                    ':fp': questionFingerprint
-                },
-                Limit: 10,
-                ScanIndexForward: false
-            };
-
-            const result = await this.dynamoDB.query(params).promise();
-            const traces = result.Items || [];
+            const traces = await this.traces.findByFingerprint(questionFingerprint, { limit: 10 });
             const successfulTraces = traces.filter(t => t.success);
 
             if (successfulTraces.length >= this.minTracesForSynthesis) {
@@ -329,57 +336,30 @@ class ExecutionTraceCollector {
     }
 
     /**
-     * Emit pattern mining event
+     * Emit pattern mining event on the configured event bus
      */
     async emitPatternMiningEvent(data) {
-        const eventBridge = new AWS.EventBridge();
-
-        await eventBridge.putEvents({
-            Entries: [{
-                Source: 'rosetta.trace-collector',
-                DetailType: 'PatternMiningTrigger',
-                Detail: JSON.stringify({
-                    ...data,
-                    timestamp: Date.now()
-                })
-            }]
-        }).promise();
+        await this.eventBus.publish(EVENT_TYPES.PATTERN_MINING_TRIGGER, {
+            ...data,
+            timestamp: Date.now()
+        });
     }
 
     /**
      * Retrieve traces for pattern mining
      */
-    async getTracesForMining(questionFingerprint, limit = 10) {
-        const params = {
-            TableName: this.tableName,
-            IndexName: 'QuestionFingerprint-index',
-            KeyConditionExpression: 'questionFingerprint = :fp',
-            FilterExpression: 'success = :success',
-            ExpressionAttributeValues: {
-                ':fp': questionFingerprint,
-                ':success': true
-            },
-            Limit: limit,
-            ScanIndexForward: false
-        };
-
-        const result = await this.dynamoDB.query(params).promise();
-        return result.Items || [];
+    async getTracesForMining(questionFingerprint, limit = 10, since = null) {
+        // `since` keeps only traces recorded after a drift was detected
+        return this.traces.findByFingerprint(questionFingerprint, { limit, successOnly: true, since });
     }
 
     // Utility methods for data extraction and sanitization
 
+    /**
+     * JSON Schema of a task input, inferred recursively (see SchemaInference)
+     */
     extractInputSchema(input) {
-        if (!input) return {};
-
-        const schema = {};
-        Object.keys(input).forEach(key => {
-            schema[key] = typeof input[key];
-            if (Array.isArray(input[key])) {
-                schema[key] = 'array';
-            }
-        });
-        return schema;
+        return schemaInference.infer(input || {});
     }
 
     extractOutputSchema(output) {
@@ -387,7 +367,7 @@ class ExecutionTraceCollector {
 
         // Handle nested response structure
         const data = output?.response?.success || output;
-        return this.extractInputSchema(data);
+        return schemaInference.infer(data);
     }
 
     sanitizeInputValues(input) {
@@ -415,6 +395,7 @@ class ExecutionTraceCollector {
 
         return {
             sessionId: context.sessionId,
+            domain: context.domain,
             assetType: context.selectedAsset?.type,
             hasAsset: !!context.selectedAsset,
             environment: context.environment
@@ -456,10 +437,7 @@ class ExecutionTraceCollector {
     }
 
     normalizeQuery(query) {
-        return query
-            .toLowerCase()
-            .replace(/[^a-z0-9\s]/g, '')
-            .trim();
+        return queryFingerprinter.normalize(query);
     }
 
     extractTaskDurations(executionPath) {
@@ -470,11 +448,25 @@ class ExecutionTraceCollector {
         return durations;
     }
 
-    calculateCostBreakdown(executionPath, llmCalls) {
+    /**
+     * Price the trace with the pricing model. LLM steps and `llmUsage` are
+     * priced from their token counts; remaining LLM calls are estimated.
+     */
+    calculateCostBreakdown(executionPath, llmCalls = 0, llmUsage = null) {
+        const pricedSteps = executionPath.filter(s => s.usedLLM && s.totalTokens);
+        let llmCost = pricedSteps.reduce((sum, step) => sum + this.pricing.llmCost(step, step.model), 0);
+
+        if (llmUsage) {
+            llmCost += this.pricing.llmCost(llmUsage, llmUsage.model);
+        }
+
+        const unpricedCalls = Math.max(0, (llmCalls || 0) - pricedSteps.length - (llmUsage ? 1 : 0));
+        llmCost += this.pricing.estimatedLLMCost(unpricedCalls);
+
         return {
-            llmCost: llmCalls * 0.02, // Approximate cost per LLM call
-            lambdaCost: executionPath.filter(s => s.taskType === 'lambda').length * 0.001,
-            deterministicCost: executionPath.filter(s => s.taskType === 'deterministic').length * 0.0001
+            llmCost,
+            lambdaCost: this.pricing.lambdaCost(executionPath.filter(s => s.taskType === 'lambda').length),
+            deterministicCost: this.pricing.deterministicCost(executionPath.filter(s => s.taskType === 'deterministic').length)
         };
     }
 
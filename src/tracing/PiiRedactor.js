@@ -0,0 +1,224 @@
+// PiiRedactor.js
+// Detects and redacts personal data before traces are persisted
+
+const crypto = require('crypto');
+
+/**
+ * Detectors find PII inside free text. `validate` runs on each regex match
+ * and can reject it, e.g. card-like digit runs that fail the Luhn checksum.
+ * `digits` matches the same data stored as a number, without separators;
+ * it is only tried on fields whose name contains one of the `hints`.
+ */
+const DETECTORS = {
+    email: {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    ssn: {
+        pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+        digits: /^(?!000|666|9\d\d)\d{3}(?!00)\d{2}(?!0000)\d{4}$/,
+        hints: ['ssn', 'social']
+    },
+    card: {
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: match => luhnValid(match.replace(/\D/g, '')),
+        // Issuer prefixes keep epoch timestamps from passing as card numbers
+        digits: /^[2-6]\d{14,15}$/,
+        hints: ['card']
+    },
+    phone: {
+        pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|\+\d{10,15}\b/g,
+        digits: /^1?[2-9]\d{2}[2-9]\d{6}$/,
+        hints: ['phone', 'mobile', 'fax']
+    },
+    mrn: {
+        pattern: /\b(?:MRN|medical record(?: number)?)[\s:#-]*[A-Z0-9-]{6,12}\b/gi
+    }
+};
+
+// Field policies applied in every domain (key substrings, case-insensitive)
+const DEFAULT_SENSITIVE_KEYS = ['password', 'token', 'secret'];
+
+const POLICIES = ['redact', 'mask', 'hash', 'keep'];
+
+function luhnValid(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * PII Redactor
+ * Walks values recursively. Object fields with a policy for the trace's
+ * domain (`fieldPolicies[domain][field]`, or `fieldPolicies['*']` for all
+ * domains) are handled by that policy:
+ *
+ * - redact: replaced by `[REDACTED:<field>]`
+ * - mask: all but the last four characters replaced by `*`
+ * - hash: replaced by a salted hash, so equal values still group together
+ * - keep: left as is and not scanned
+ *
+ * Every other string, and every object key, is scanned by the enabled
+ * detectors (email, ssn, card with Luhn check, phone, mrn, plus
+ * `customDetectors` as `{ name, pattern }`) and each match becomes
+ * `[REDACTED:<detector>]`. Integers are only checked when their field's
+ * name hints at what they hold (`ssn`, `card_number`, `phone`, or the
+ * array they are in): an order ID or an amount may look like an SSN or a
+ * phone number. Fields whose name contains password/token/secret are
+ * always redacted.
+ */
+class PiiRedactor {
+    constructor(config = {}) {
+        this.enabled = config.enabled !== false;
+        this.hashSalt = config.hashSalt || '';
+        this.fieldPolicies = this.normalizePolicies(config.fieldPolicies || {});
+        this.sensitiveKeys = config.sensitiveKeys || DEFAULT_SENSITIVE_KEYS;
+
+        const names = config.detectors || Object.keys(DETECTORS);
+        this.detectors = names.map(name => {
+            if (!DETECTORS[name]) {
+                throw new Error(`Unknown PII detector '${name}'; expected one of ${Object.keys(DETECTORS).join(', ')}`);
+            }
+            return { name, ...DETECTORS[name] };
+        });
+
+        (config.customDetectors || []).forEach(({ name, pattern }) => {
+            const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'g');
+            this.detectors.push({
+                name,
+                pattern: regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`)
+            });
+        });
+    }
+
+    normalizePolicies(fieldPolicies) {
+        const normalized = {};
+
+        Object.entries(fieldPolicies).forEach(([domain, fields]) => {
+            normalized[domain] = {};
+            Object.entries(fields).forEach(([field, policy]) => {
+                if (!POLICIES.includes(policy)) {
+                    throw new Error(`Unknown PII policy '${policy}' for ${domain}.${field}; expected one of ${POLICIES.join(', ')}`);
+                }
+                normalized[domain][field.toLowerCase()] = policy;
+            });
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Redacted copy of `value`. `options.domain` selects the field
+     * policies, `options.field` names the value when it is not inside an
+     * object, and `options.stats` collects redaction counts.
+     */
+    redact(value, options = {}) {
+        if (!this.enabled) return value;
+
+        const { domain, field, stats } = options;
+        // Array items are named by the field that holds the array
+        const name = field !== undefined ? field : options.within;
+
+        if (field !== undefined) {
+            const policy = this.policyFor(domain, field);
+            if (policy) return this.applyPolicy(policy, field, value, stats);
+        }
+
+        if (typeof value === 'string') {
+            return this.redactText(value, stats);
+        }
+
+        if (Number.isSafeInteger(value)) {
+            return this.redactNumber(value, name, stats);
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, { domain, stats, within: name }));
+        }
+
+        if (value && typeof value === 'object') {
+            const redacted = {};
+            Object.entries(value).forEach(([key, item]) => {
+                redacted[this.redactText(key, stats)] = this.redact(item, { domain, field: key, stats });
+            });
+            return redacted;
+        }
+
+        return value;
+    }
+
+    policyFor(domain, field) {
+        const key = String(field).toLowerCase();
+
+        if (this.sensitiveKeys.some(sensitive => key.includes(sensitive))) {
+            return 'redact';
+        }
+
+        return this.fieldPolicies[domain]?.[key] || this.fieldPolicies['*']?.[key] || null;
+    }
+
+    applyPolicy(policy, field, value, stats) {
+        if (policy === 'keep' || value === null || value === undefined) {
+            return value;
+        }
+
+        this.count(stats, `field:${field}`);
+
+        if (policy === 'mask') {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return text.length > 4 ? '*'.repeat(text.length - 4) + text.slice(-4) : '*'.repeat(text.length);
+        }
+
+        if (policy === 'hash') {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return `hash:${crypto.createHash('sha256').update(this.hashSalt + text).digest('hex').substring(0, 12)}`;
+        }
+
+        return `[REDACTED:${field}]`;
+    }
+
+    redactText(text, stats) {
+        return this.detectors.reduce((current, detector) => {
+            detector.pattern.lastIndex = 0;
+
+            return current.replace(detector.pattern, match => {
+                if (detector.validate && !detector.validate(match)) {
+                    return match;
+                }
+                this.count(stats, detector.name);
+                return `[REDACTED:${detector.name}]`;
+            });
+        }, text);
+    }
+
+    redactNumber(number, field, stats) {
+        if (field === undefined) return number;
+
+        const key = String(field).toLowerCase();
+        const digits = String(number);
+        const detector = this.detectors.find(d =>
+            d.digits && d.hints.some(hint => key.includes(hint)) &&
+            d.digits.test(digits) && (!d.validate || d.validate(digits)));
+
+        if (!detector) return number;
+
+        this.count(stats, detector.name);
+        return `[REDACTED:${detector.name}]`;
+    }
+
+    count(stats, key) {
+        if (stats) {
+            stats[key] = (stats[key] || 0) + 1;
+        }
+    }
+}
+
+module.exports = PiiRedactor;
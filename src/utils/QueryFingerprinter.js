@@ -0,0 +1,166 @@
+// utils/QueryFingerprinter.js
+// Shared query fingerprinting: abstracts entities into typed slots
+
+const crypto = require('crypto');
+
+const DEFAULT_SERVICE_NAMES = [
+    'api', 'frontend', 'backend', 'worker',
+    'web server', 'database', 'cache', 'queue'
+];
+
+const RELATIVE_DATES = [
+    'today', 'yesterday', 'tomorrow',
+    'last hour', 'last day', 'last week', 'last month', 'last year',
+    'this week', 'this month', 'this year'
+];
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'please']);
+
+/**
+ * Query Fingerprinter
+ * Replaces entities with typed slots ({email}, {path}, {date}, {id}, {service},
+ * {number}) so queries that differ only in their parameters share one
+ * template, e.g. "Trace transaction TX123" -> "trace transaction {id}".
+ * The fingerprint is a hash of the template; the replaced values are
+ * returned as named parameters (`id`, `id_2`, ...).
+ */
+class QueryFingerprinter {
+    constructor(options = {}) {
+        this.serviceNames = [];
+        this.configure({ serviceNames: DEFAULT_SERVICE_NAMES, ...options });
+    }
+
+    /**
+     * Replace the known service/component vocabulary
+     */
+    configure(options = {}) {
+        if (options.serviceNames) {
+            // Longest names first so "web server" wins over "server"
+            this.serviceNames = [...options.serviceNames]
+                .map(name => name.toLowerCase())
+                .sort((a, b) => b.length - a.length);
+        }
+        this.detectors = this.buildDetectors();
+    }
+
+    /**
+     * Detectors in priority order; earlier ones claim text first
+     */
+    buildDetectors() {
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const detectors = [
+            { type: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/gi },
+            { type: 'path', pattern: /\bhttps?:\/\/[^\s]+|(?:^|(?<=\s))\/[\w.\-/{}:]+/gi },
+            { type: 'date', pattern: /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b|\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g },
+            { type: 'date', pattern: new RegExp(`\\b(?:${RELATIVE_DATES.map(escape).join('|')})\\b`, 'gi') },
+            { type: 'id', pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi },
+            { type: 'id', pattern: /#\d+\b|\b[A-Za-z]{1,12}[_-]?\d{3,}(?:[_-]\w+)*\b/g },
+            { type: 'service', pattern: /\b[a-z][a-z0-9]*(?:-[a-z0-9]+)*-(?:service|svc|api|server|worker|db)\b/gi }
+        ];
+
+        if (this.serviceNames.length > 0) {
+            detectors.push({
+                type: 'service',
+                pattern: new RegExp(`\\b(?:${this.serviceNames.map(escape).join('|')})\\b`, 'gi')
+            });
+        }
+
+        detectors.push({ type: 'number', pattern: /[$€£]?-?\b\d+(?:[.,]\d+)*%?/g });
+
+        return detectors;
+    }
+
+    /**
+     * Fingerprint a query. Returns { fingerprint, template, parameters, slots }
+     */
+    fingerprint(query) {
+        const { template, slots } = this.extract(query || '');
+
+        const parameters = {};
+        slots.forEach(slot => {
+            parameters[slot.name] = slot.value;
+        });
+
+        return {
+            fingerprint: this.hash(template),
+            template,
+            parameters,
+            slots
+        };
+    }
+
+    /**
+     * Template only, e.g. for display and workflow naming
+     */
+    normalize(query) {
+        return this.extract(query || '').template;
+    }
+
+    extract(query) {
+        const claimed = [];
+
+        this.detectors.forEach(({ type, pattern }) => {
+            pattern.lastIndex = 0;
+            let match;
+
+            while ((match = pattern.exec(query)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+
+                if (match[0].length > 0 &&
+                    !claimed.some(span => start < span.end && end > span.start)) {
+                    claimed.push({ type, start, end, raw: match[0] });
+                }
+            }
+        });
+
+        claimed.sort((a, b) => a.start - b.start);
+
+        const counts = {};
+        const slots = claimed.map(span => {
+            counts[span.type] = (counts[span.type] || 0) + 1;
+            return {
+                type: span.type,
+                name: counts[span.type] === 1 ? span.type : `${span.type}_${counts[span.type]}`,
+                value: this.parseValue(span.type, span.raw)
+            };
+        });
+
+        // Rebuild the text with slots in place of the claimed spans
+        let text = '';
+        let cursor = 0;
+        claimed.forEach(span => {
+            text += `${query.slice(cursor, span.start)} {${span.type}} `;
+            cursor = span.end;
+        });
+        text += query.slice(cursor);
+
+        const template = text
+            .toLowerCase()
+            .replace(/[^a-z0-9{}\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !STOPWORDS.has(word))
+            .join(' ');
+
+        return { template, slots };
+    }
+
+    parseValue(type, raw) {
+        if (type === 'number') {
+            const number = Number(raw.replace(/[$€£%,]/g, ''));
+            return Number.isFinite(number) ? number : raw;
+        }
+        return raw.trim();
+    }
+
+    hash(template) {
+        return crypto
+            .createHash('sha256')
+            .update(template)
+            .digest('hex')
+            .substring(0, 16);
+    }
+}
+
+// Export singleton instance
+module.exports = new QueryFingerprinter();
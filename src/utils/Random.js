@@ -0,0 +1,71 @@
+// utils/Random.js
+// Samplers for the distributions used by Thompson sampling
+
+class Random {
+    constructor(uniform = Math.random) {
+        this.uniform = uniform;
+    }
+
+    /**
+     * Standard normal via the Box-Muller transform
+     */
+    normal() {
+        let u = 0;
+        while (u === 0) u = this.uniform();
+        const v = this.uniform();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Gamma(shape, 1) using Marsaglia and Tsang's method.
+     * For shape < 1, Gamma(shape) = Gamma(shape + 1) * U^(1 / shape).
+     */
+    gamma(shape) {
+        if (!(shape > 0)) {
+            throw new Error(`Gamma shape must be positive, got ${shape}`);
+        }
+
+        if (shape < 1) {
+            let u = 0;
+            while (u === 0) u = this.uniform();
+            return this.gamma(shape + 1) * Math.pow(u, 1 / shape);
+        }
+
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+
+        for (;;) {
+            let x;
+            let v;
+
+            do {
+                x = this.normal();
+                v = 1 + c * x;
+            } while (v <= 0);
+
+            v = v * v * v;
+            const u = this.uniform();
+
+            if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+            if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+        }
+    }
+
+    /**
+     * Beta(alpha, beta) as X / (X + Y) with X ~ Gamma(alpha), Y ~ Gamma(beta)
+     */
+    beta(alpha, beta) {
+        const x = this.gamma(alpha);
+        const y = this.gamma(beta);
+
+        // Both draws can underflow to 0 for very small shapes
+        if (x + y === 0) {
+            return this.uniform() < alpha / (alpha + beta) ? 1 : 0;
+        }
+
+        return x / (x + y);
+    }
+}
+
+// Export singleton instance
+module.exports = new Random();
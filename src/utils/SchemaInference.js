@@ -0,0 +1,288 @@
+// utils/SchemaInference.js
+// Recursive JSON Schema inference and merging for trace inputs and outputs
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const JSON_TYPES = ['object', 'array', 'string', 'integer', 'number', 'boolean', 'null'];
+
+// Keywords this module emits besides `type`, used to tell inferred schemas
+// apart from the legacy `{ field: 'type' }` maps
+const KEYWORDS = ['$schema', 'properties', 'required', 'items', 'format', 'minimum', 'maximum', 'examples', 'enum'];
+
+// Checked in order; the first match becomes the string's format
+const FORMATS = [
+    { name: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/ },
+    { name: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+    { name: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    { name: 'uri', pattern: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i }
+];
+
+/**
+ * Schema Inference
+ * `infer(value)` describes a value as JSON Schema: objects get `properties`
+ * and `required`, arrays an `items` schema merged over their elements,
+ * strings a `format` (date-time, date, uuid, email, uri) when every value
+ * has one. Numbers get no `minimum`/`maximum`: per-trace schemas are
+ * stored with the trace and would keep every raw amount and ID, so ranges
+ * are added by `range(values)` when contracts are built. `merge(a, b)`
+ * widens a schema to cover both inputs (and both ranges, when both have
+ * one); fields missing from any trace drop out of `required`, and values
+ * of different types become an `anyOf`.
+ *
+ * Traces recorded before inference was recursive carry flat
+ * `{ field: 'type' }` maps; `normalize` converts them.
+ */
+class SchemaInference {
+    constructor(config = {}) {
+        this.maxDepth = config.maxDepth || 10;
+    }
+
+    infer(value, depth = 0) {
+        const type = this.typeOf(value);
+
+        if (type === undefined) return {};
+        if (depth >= this.maxDepth) return { type };
+
+        if (type === 'object') {
+            const properties = {};
+            Object.entries(value).forEach(([key, item]) => {
+                if (item !== undefined) {
+                    properties[key] = this.infer(item, depth + 1);
+                }
+            });
+            return { type, properties, required: Object.keys(properties) };
+        }
+
+        if (type === 'array') {
+            const items = value.reduce((schema, item) => this.merge(schema, this.infer(item, depth + 1)), null);
+            return items ? { type, items } : { type };
+        }
+
+        if (type === 'string') {
+            const format = FORMATS.find(f => f.pattern.test(value));
+            return format ? { type, format: format.name } : { type };
+        }
+
+        return { type };
+    }
+
+    /**
+     * `{ minimum, maximum }` over a field's values when they are all
+     * finite numbers, otherwise `{}`
+     */
+    range(values) {
+        if (values.length === 0 || !values.every(value => Number.isFinite(value))) return {};
+        return { minimum: Math.min(...values), maximum: Math.max(...values) };
+    }
+
+    /**
+     * JSON type of a value; undefined for values JSON cannot hold
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        if (['string', 'boolean', 'object'].includes(typeof value)) return typeof value;
+        return undefined;
+    }
+
+    /**
+     * Smallest inferred schema that covers both schemas
+     */
+    merge(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+
+        // An empty schema accepts anything, and so does its merge
+        if (this.isEmpty(a) || this.isEmpty(b)) return {};
+
+        const variants = [];
+        [...this.variants(a), ...this.variants(b)].forEach(variant => {
+            const index = variants.findIndex(existing => this.family(existing.type) === this.family(variant.type));
+            if (index === -1) {
+                variants.push(variant);
+            } else {
+                variants[index] = this.mergeSameType(variants[index], variant);
+            }
+        });
+
+        return variants.length === 1 ? variants[0] : { anyOf: variants };
+    }
+
+    mergeAll(schemas) {
+        return schemas.reduce((merged, schema) => this.merge(merged, schema), null) || {};
+    }
+
+    mergeSameType(a, b) {
+        if (a.type === 'object') {
+            const properties = { ...a.properties };
+            Object.entries(b.properties || {}).forEach(([key, schema]) => {
+                properties[key] = properties[key] ? this.merge(properties[key], schema) : schema;
+            });
+            const required = (a.required || []).filter(key => (b.required || []).includes(key));
+            return { type: 'object', properties, required };
+        }
+
+        if (a.type === 'array') {
+            const items = this.merge(a.items, b.items);
+            return items ? { type: 'array', items } : { type: 'array' };
+        }
+
+        if (a.type === 'string') {
+            return a.format && a.format === b.format ? { type: 'string', format: a.format } : { type: 'string' };
+        }
+
+        if (this.family(a.type) === 'number') {
+            const merged = { type: a.type === 'integer' && b.type === 'integer' ? 'integer' : 'number' };
+            if (a.minimum !== undefined && b.minimum !== undefined) merged.minimum = Math.min(a.minimum, b.minimum);
+            if (a.maximum !== undefined && b.maximum !== undefined) merged.maximum = Math.max(a.maximum, b.maximum);
+            return merged;
+        }
+
+        return { type: a.type };
+    }
+
+    variants(schema) {
+        return schema.anyOf || [schema];
+    }
+
+    // Integers widen to numbers instead of forming an anyOf
+    family(type) {
+        return type === 'integer' ? 'number' : type;
+    }
+
+    isEmpty(schema) {
+        return !schema.type && !schema.anyOf;
+    }
+
+    isSchema(schema) {
+        if (!schema || typeof schema !== 'object') return false;
+        if (Array.isArray(schema.anyOf)) return true;
+        if (schema.type === 'object') {
+            return !!schema.properties && typeof schema.properties === 'object';
+        }
+        return JSON_TYPES.includes(schema.type) &&
+            Object.keys(schema).every(key => key === 'type' || KEYWORDS.includes(key));
+    }
+
+    /**
+     * Inferred schema for a schema of either form. Legacy maps list
+     * `typeof` names per field (or `{ type }` specs, as in older workflow
+     * contracts); typeof could not tell arrays from objects, so 'object'
+     * covers both.
+     */
+    normalize(schema) {
+        if (!schema || typeof schema !== 'object') return {};
+        if (this.isSchema(schema)) return schema;
+
+        const properties = {};
+        Object.entries(schema).forEach(([field, spec]) => {
+            properties[field] = this.fromTypeName(typeof spec === 'string' ? spec : spec?.type);
+        });
+        return { type: 'object', properties, required: Object.keys(properties) };
+    }
+
+    fromTypeName(name) {
+        const base = String(name || '').split(':')[0];
+        if (base === 'object') return { anyOf: [{ type: 'object', properties: {}, required: [] }, { type: 'array' }] };
+        if (base === 'array') return { type: 'array' };
+        if (['string', 'number', 'integer', 'boolean', 'null'].includes(base)) return { type: base };
+        if (base === 'enum') return { type: 'string' };
+        return {};
+    }
+
+    /**
+     * Top-level properties of an object schema of either form
+     */
+    properties(schema) {
+        const normalized = this.normalize(schema);
+        const object = this.variants(normalized).find(variant => variant.type === 'object');
+        return object?.properties || {};
+    }
+
+    /**
+     * `{ field: typeName }` for the top level of an object schema;
+     * unions are named like 'null|string'
+     */
+    fieldTypes(schema) {
+        const types = {};
+        Object.entries(this.properties(schema)).forEach(([field, property]) => {
+            types[field] = this.typeName(property);
+        });
+        return types;
+    }
+
+    typeName(schema) {
+        if (!schema || this.isEmpty(schema)) return 'any';
+        return this.variants(schema).map(variant => variant.type).sort().join('|');
+    }
+
+    familyName(schema) {
+        return [...new Set(this.typeName(schema).split('|').map(type => this.family(type)))].join('|');
+    }
+
+    /**
+     * Whether a value of the named type (or type union) fits the schema
+     */
+    acceptsType(schema, typeName) {
+        if (!schema || this.isEmpty(schema) || typeName === 'any') return true;
+
+        const allowed = this.variants(schema).map(variant => variant.type);
+        return String(typeName).split('|').every(type =>
+            allowed.includes(type) || (type === 'integer' && allowed.includes('number'))
+        );
+    }
+
+    acceptsValue(schema, value) {
+        return this.acceptsType(schema, this.typeOf(value));
+    }
+
+    /**
+     * Overlap of two schemas of either form: Jaccard similarity over their
+     * property paths ('customer.address.city', 'items[].id'), where a path
+     * whose types differ counts half (integers and numbers count as equal)
+     */
+    similarity(schema1, schema2) {
+        if (!schema1 || !schema2) return 0;
+
+        const paths1 = this.paths(this.normalize(schema1));
+        const paths2 = this.paths(this.normalize(schema2));
+        const union = new Set([...paths1.keys(), ...paths2.keys()]);
+        if (union.size === 0) return 1;
+
+        let shared = 0;
+        paths1.forEach((type, path) => {
+            if (paths2.has(path)) {
+                shared += paths2.get(path) === type ? 1 : 0.5;
+            }
+        });
+        return shared / union.size;
+    }
+
+    paths(schema, prefix = '', paths = new Map()) {
+        this.variants(schema).forEach(variant => {
+            if (variant.type === 'object') {
+                Object.entries(variant.properties || {}).forEach(([key, property]) => {
+                    const path = prefix ? `${prefix}.${key}` : key;
+                    paths.set(path, this.familyName(property));
+                    this.paths(property, path, paths);
+                });
+            } else if (variant.type === 'array' && variant.items) {
+                const path = `${prefix}[]`;
+                paths.set(path, this.familyName(variant.items));
+                this.paths(variant.items, path, paths);
+            }
+        });
+        return paths;
+    }
+
+    /**
+     * Standalone JSON Schema document for a contract
+     */
+    document(schema) {
+        return { $schema: JSON_SCHEMA_DRAFT, ...schema };
+    }
+}
+
+module.exports = new SchemaInference();
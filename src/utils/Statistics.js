@@ -0,0 +1,130 @@
+// utils/Statistics.js
+// Hypothesis tests used by drift monitoring
+
+class Statistics {
+    /**
+     * Standard normal CDF (Abramowitz and Stegun 7.1.26 erf approximation)
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+                    t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    }
+
+    /**
+     * One-sided two-proportion z-test that rate 2 is lower than rate 1.
+     * Returns { z, pValue }.
+     */
+    proportionDecrease(successes1, n1, successes2, n2) {
+        if (n1 === 0 || n2 === 0) return { z: 0, pValue: 1 };
+
+        const p1 = successes1 / n1;
+        const p2 = successes2 / n2;
+        const pooled = (successes1 + successes2) / (n1 + n2);
+        const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+
+        if (se === 0) return { z: 0, pValue: 1 };
+
+        const z = (p1 - p2) / se;
+        return { z, pValue: 1 - this.normalCdf(z) };
+    }
+
+    /**
+     * Chi-square test of homogeneity between two category count maps.
+     * Returns { statistic, degreesOfFreedom, pValue }.
+     */
+    chiSquareHomogeneity(counts1, counts2) {
+        const categories = [...new Set([...Object.keys(counts1), ...Object.keys(counts2)])];
+        const total1 = categories.reduce((sum, c) => sum + (counts1[c] || 0), 0);
+        const total2 = categories.reduce((sum, c) => sum + (counts2[c] || 0), 0);
+        const total = total1 + total2;
+
+        if (categories.length < 2 || total1 === 0 || total2 === 0) {
+            return { statistic: 0, degreesOfFreedom: 0, pValue: 1 };
+        }
+
+        let statistic = 0;
+        categories.forEach(category => {
+            const observed = [counts1[category] || 0, counts2[category] || 0];
+            const columnTotal = observed[0] + observed[1];
+
+            [total1, total2].forEach((rowTotal, row) => {
+                const expected = rowTotal * columnTotal / total;
+                statistic += Math.pow(observed[row] - expected, 2) / expected;
+            });
+        });
+
+        const degreesOfFreedom = categories.length - 1;
+        return { statistic, degreesOfFreedom, pValue: this.chiSquareSurvival(statistic, degreesOfFreedom) };
+    }
+
+    /**
+     * P(X > x) for X ~ χ²(k), i.e. the regularized upper gamma Q(k/2, x/2)
+     */
+    chiSquareSurvival(x, k) {
+        if (x <= 0) return 1;
+        return this.upperGammaRegularized(k / 2, x / 2);
+    }
+
+    // Series for P(a, x) when x < a + 1, continued fraction for Q otherwise
+    // (Numerical Recipes, gser/gcf)
+    upperGammaRegularized(a, x) {
+        const logPrefix = -x + a * Math.log(x) - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-14) break;
+        }
+        return Math.min(1, Math.exp(logPrefix) * h);
+    }
+
+    /**
+     * Lanczos approximation of ln Γ(x)
+     */
+    logGamma(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941678, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+
+        let y = x;
+        let tmp = x + 5.5;
+        tmp -= (x + 0.5) * Math.log(tmp);
+        let series = 1.000000000190015;
+        coefficients.forEach(c => {
+            series += c / ++y;
+        });
+
+        return -tmp + Math.log(2.5066282746310007 * series / x);
+    }
+}
+
+// Export singleton instance
+module.exports = new Statistics();
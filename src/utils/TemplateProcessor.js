@@ -0,0 +1,161 @@
+// utils/TemplateProcessor.js
+// Resolves ${...} placeholders and choice conditions in synthesized workflows
+
+const PLACEHOLDER = /\$\{([^}]+)\}/g;
+const WHOLE_PLACEHOLDER = /^\s*\$\{([^}]+)\}\s*$/;
+const COMPARISON = /^\$\{([^}]+)\}\s*(==|!=|>=|<=|>|<|=|not in|in)\s*(.+)$/;
+
+class TemplateProcessor {
+    /**
+     * Resolve placeholders in a string, array or object against a scope.
+     * A string that is a single placeholder resolves to the raw value.
+     */
+    resolve(template, scope = {}) {
+        if (typeof template === 'string') {
+            return this.resolveString(template, scope);
+        }
+
+        if (Array.isArray(template)) {
+            return template.map(item => this.resolve(item, scope));
+        }
+
+        if (template && typeof template === 'object') {
+            const resolved = {};
+            Object.entries(template).forEach(([key, value]) => {
+                resolved[key] = this.resolve(value, scope);
+            });
+            return resolved;
+        }
+
+        return template;
+    }
+
+    resolveString(template, scope) {
+        const whole = template.match(WHOLE_PLACEHOLDER);
+        if (whole) {
+            return this.lookup(whole[1].trim(), scope);
+        }
+
+        return template.replace(PLACEHOLDER, (match, path) => {
+            const value = this.lookup(path.trim(), scope);
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+
+    /**
+     * Look up a dotted path. Paths that are not found directly in the scope
+     * fall back to `input` and then `context`, so guards can say `${severity}`.
+     */
+    lookup(path, scope) {
+        const direct = this.getPath(scope, path);
+        if (direct !== undefined) return direct;
+
+        for (const fallback of ['input', 'context']) {
+            const value = this.getPath(scope[fallback], path);
+            if (value !== undefined) return value;
+        }
+
+        return undefined;
+    }
+
+    getPath(obj, path) {
+        return path.split('.').reduce((current, key) => {
+            if (current === undefined || current === null) return undefined;
+            return current[key];
+        }, obj);
+    }
+
+    /**
+     * Evaluate a choice condition such as `${severity} == "critical"`.
+     * Supports ==, !=, >, >=, <, <=, in / not in, joined by && and ||.
+     */
+    evaluateCondition(expression, scope = {}) {
+        if (typeof expression === 'boolean') return expression;
+        if (!expression || expression.trim() === 'true') return true;
+        if (expression.trim() === 'false') return false;
+
+        return expression.split('||').some(disjunct =>
+            disjunct.split('&&').every(term => this.evaluateComparison(term.trim(), scope))
+        );
+    }
+
+    evaluateComparison(term, scope) {
+        const unwrapped = term.replace(/^\((.*)\)$/, '$1').trim();
+        const match = unwrapped.match(COMPARISON);
+
+        if (!match) {
+            // Bare placeholder: test for truthiness
+            return !!this.resolveString(unwrapped, scope);
+        }
+
+        const left = this.lookup(match[1].trim(), scope);
+        const operator = match[2];
+        const right = this.parseLiteral(match[3].trim());
+
+        switch (operator) {
+            case '=':
+            case '==':
+                return this.compare(left, right) === 0;
+            case '!=':
+                return this.compare(left, right) !== 0;
+            case '>':
+                return this.compare(left, right) > 0;
+            case '>=':
+                return this.compare(left, right) >= 0;
+            case '<':
+                return this.compare(left, right) < 0;
+            case '<=':
+                return this.compare(left, right) <= 0;
+            case 'in':
+                return this.toList(right).some(option => this.compare(left, option) === 0);
+            case 'not in':
+                return !this.toList(right).some(option => this.compare(left, option) === 0);
+            default:
+                return false;
+        }
+    }
+
+    parseLiteral(raw) {
+        if (/^".*"$/.test(raw) || /^'.*'$/.test(raw)) {
+            return raw.slice(1, -1);
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    toList(value) {
+        if (Array.isArray(value)) return value;
+        return String(value).split('|').map(v => v.trim());
+    }
+
+    /**
+     * Compare numerically when both sides are numeric, otherwise as strings
+     */
+    compare(left, right) {
+        if (left === undefined || left === null) {
+            return right === undefined || right === null ? 0 : -1;
+        }
+
+        const leftNumber = Number(left);
+        const rightNumber = Number(right);
+
+        if (left !== '' && right !== '' &&
+            Number.isFinite(leftNumber) && Number.isFinite(rightNumber)) {
+            return leftNumber - rightNumber;
+        }
+
+        const leftString = String(left);
+        const rightString = String(right);
+
+        if (leftString === rightString) return 0;
+        return leftString > rightString ? 1 : -1;
+    }
+}
+
+// Export singleton instance
+module.exports = new TemplateProcessor();
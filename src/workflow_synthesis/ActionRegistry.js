@@ -0,0 +1,239 @@
+// ActionRegistry.js
+// Registry of the actions that synthesized task states dispatch to
+
+const AWS = require('aws-sdk');
+const logger = require('../utils/Logger');
+
+const ACTION_TYPES = {
+    local: 'handler',       // in-process function
+    http: 'url',            // JSON-over-HTTP endpoint
+    sqs: 'queueUrl',        // fire-and-forget SQS message
+    workflow: 'workflowId'  // child workflow run by the same executor
+};
+
+/**
+ * Action Registry - maps consensus task names to executable actions
+ * Each registration declares input/output schemas in the same
+ * `{ field: 'type' }` form used by execution traces. A trailing `?`
+ * marks a field as optional, e.g. `{ limit: 'number?' }`.
+ */
+class ActionRegistry {
+    constructor(config = {}) {
+        this.actions = new Map();
+        this.httpTimeout = config.httpTimeout || 10000;
+        this.workflowResolver = config.workflowResolver || null;
+        this.sqsConfig = {
+            endpoint: config.sqsEndpoint,
+            region: config.awsRegion,
+            accessKeyId: config.sqsAccessKeyId,
+            secretAccessKey: config.sqsSecretAccessKey
+        };
+        this.sqs = null;
+    }
+
+    /**
+     * Register an action for a task name. Returns its action identifier.
+     */
+    register(taskName, definition = {}) {
+        const { type } = definition;
+        const requiredField = ACTION_TYPES[type];
+
+        if (!requiredField) {
+            throw new Error(`Unknown action type '${type}' for ${taskName}; expected one of ${Object.keys(ACTION_TYPES).join(', ')}`);
+        }
+
+        if (definition[requiredField] === undefined &&
+            !(type === 'workflow' && definition.workflow)) {
+            throw new Error(`Action ${taskName} of type ${type} requires '${requiredField}'`);
+        }
+
+        const entry = {
+            ...definition,
+            taskName,
+            type,
+            actionIdentifier: definition.actionIdentifier || `${type}:${taskName}`,
+            inputSchema: definition.inputSchema || {},
+            outputSchema: definition.outputSchema || {}
+        };
+
+        this.actions.set(taskName, entry);
+        logger.debug(`Registered action ${entry.actionIdentifier} for task ${taskName}`);
+
+        return entry.actionIdentifier;
+    }
+
+    unregister(taskName) {
+        return this.actions.delete(taskName);
+    }
+
+    has(taskName) {
+        return this.actions.has(taskName);
+    }
+
+    get(taskName) {
+        return this.actions.get(taskName) || null;
+    }
+
+    getByActionIdentifier(actionIdentifier) {
+        for (const entry of this.actions.values()) {
+            if (entry.actionIdentifier === actionIdentifier) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the action identifier for a task, or null if none is registered
+     */
+    resolveAction(taskName) {
+        return this.actions.get(taskName)?.actionIdentifier || null;
+    }
+
+    list() {
+        return Array.from(this.actions.values()).map(({ handler, workflow, ...entry }) => entry);
+    }
+
+    /**
+     * Invoke a registered action, validating input and output against
+     * the declared schemas
+     */
+    async invoke(actionIdentifier, input, options = {}) {
+        const entry = this.getByActionIdentifier(actionIdentifier);
+
+        if (!entry) {
+            throw new Error(`No action registered for ${actionIdentifier}`);
+        }
+
+        const inputErrors = this.validateSchema(entry.inputSchema, input);
+        if (inputErrors.length > 0) {
+            throw new Error(`Invalid input for ${actionIdentifier}: ${inputErrors.join('; ')}`);
+        }
+
+        const output = await this.dispatch(entry, input, options);
+
+        const outputErrors = this.validateSchema(entry.outputSchema, output);
+        if (outputErrors.length > 0) {
+            throw new Error(`Invalid output from ${actionIdentifier}: ${outputErrors.join('; ')}`);
+        }
+
+        return output;
+    }
+
+    dispatch(entry, input, options) {
+        switch (entry.type) {
+            case 'local':
+                return entry.handler(input, options);
+            case 'http':
+                return this.invokeHttp(entry, input);
+            case 'sqs':
+                return this.invokeSqs(entry, input, options);
+            case 'workflow':
+                return this.invokeWorkflow(entry, input, options);
+            default:
+                throw new Error(`Unsupported action type ${entry.type}`);
+        }
+    }
+
+    async invokeHttp(entry, input) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), entry.timeout || this.httpTimeout);
+
+        try {
+            const response = await fetch(entry.url, {
+                method: entry.method || 'POST',
+                headers: { 'Content-Type': 'application/json', ...(entry.headers || {}) },
+                body: JSON.stringify(input),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} from ${entry.url}`);
+            }
+
+            return await response.json();
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async invokeSqs(entry, input, options) {
+        if (!this.sqs) {
+            this.sqs = new AWS.SQS(this.sqsConfig);
+        }
+
+        const result = await this.sqs.sendMessage({
+            QueueUrl: entry.queueUrl,
+            MessageBody: JSON.stringify({
+                taskName: entry.taskName,
+                actionIdentifier: entry.actionIdentifier,
+                workflowId: options.workflowId,
+                input,
+                timestamp: Date.now()
+            })
+        }).promise();
+
+        return { queued: true, messageId: result.MessageId };
+    }
+
+    async invokeWorkflow(entry, input, options) {
+        if (!options.executor) {
+            throw new Error(`Child workflow ${entry.actionIdentifier} requires an executor`);
+        }
+
+        const workflow = entry.workflow ||
+            (this.workflowResolver && await this.workflowResolver(entry.workflowId));
+
+        if (!workflow) {
+            throw new Error(`Child workflow ${entry.workflowId} not found`);
+        }
+
+        const result = await options.executor.execute(workflow, input, options.context);
+
+        if (!result.success) {
+            throw new Error(`Child workflow ${workflow.workflowId} failed: ${result.error}`);
+        }
+
+        return result.output;
+    }
+
+    /**
+     * Check a value against a `{ field: 'type' }` schema; returns error messages
+     */
+    validateSchema(schema, value) {
+        const fields = Object.entries(schema || {});
+        if (fields.length === 0) return [];
+
+        if (!value || typeof value !== 'object') {
+            return [`expected an object with fields ${fields.map(([f]) => f).join(', ')}`];
+        }
+
+        const errors = [];
+
+        fields.forEach(([field, declared]) => {
+            const optional = declared.endsWith('?');
+            const [expected, options] = declared.replace(/\?$/, '').split(':');
+            const actual = value[field];
+
+            if (actual === undefined || actual === null) {
+                if (!optional) errors.push(`missing required field '${field}'`);
+                return;
+            }
+
+            if (expected === 'enum') {
+                if (!options.split('|').includes(String(actual))) {
+                    errors.push(`field '${field}' should be one of ${options} but was ${actual}`);
+                }
+                return;
+            }
+
+            const actualType = Array.isArray(actual) ? 'array' : typeof actual;
+            if (expected !== 'any' && actualType !== expected) {
+                errors.push(`field '${field}' should be ${expected} but was ${actualType}`);
+            }
+        });
+
+        return errors;
+    }
+}
+
+module.exports = ActionRegistry;
@@ -0,0 +1,360 @@
+// ApprovalQueue.js
+// Human review of synthesized workflows before the router may use them
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/Logger');
+const { createRepositories } = require('../storage');
+const WorkflowVersionManager = require('./WorkflowVersionManager');
+
+// Workflow attributes a reviewer may change
+const EDITABLE = ['name', 'startAt', 'states', 'inputContract', 'outputContract'];
+
+/**
+ * Approval Queue
+ * With `enableAutoDeployment: false`, or for workflows of a domain listed in
+ * `reviewDomains`, a synthesized workflow is stored with status
+ * `pending_review` instead of being deployed. Its `review` block carries a
+ * Mermaid state diagram, the ids of the traces it was mined from and the
+ * guard conditions of its choices and loops, next to the workflow's own
+ * contracts and diff from its parent version.
+ *
+ * A reviewer then approves it (it enters shadow rollout, or goes live when
+ * shadow rollout is off), rejects it with a reason, or edits its states or
+ * contracts first. A newer pending version of the same lineage supersedes
+ * an older one. Every submission and decision is appended to the audit log
+ * in the `reviews` repository.
+ */
+class ApprovalQueue {
+    constructor(config = {}) {
+        const repositories = config.repositories || createRepositories(config);
+        this.workflows = repositories.workflows;
+        this.traces = repositories.traces;
+        this.reviews = repositories.reviews;
+        this.versionManager = config.versionManager || new WorkflowVersionManager({ ...config, repositories });
+        this.shadowRollout = config.shadowRollout || null;
+
+        this.enableAutoDeployment = config.enableAutoDeployment !== false;
+        this.reviewDomains = config.reviewDomains || [];
+        this.enableShadowRollout = config.enableShadowRollout !== false && !!this.shadowRollout;
+    }
+
+    requiresReview(workflow) {
+        return !this.enableAutoDeployment || this.reviewDomains.includes(workflow.domain);
+    }
+
+    /**
+     * Store a new workflow version as pending review, superseding older
+     * pending versions of its lineage
+     */
+    async submit(workflow) {
+        const lineage = await this.versionManager.getLineage(workflow.lineageKey);
+        for (const item of lineage.filter(v => v.status === 'pending_review' && v.workflowId !== workflow.workflowId)) {
+            await this.decide(item, 'superseded', { reviewer: 'system', reason: `superseded by ${workflow.versionId}` });
+            await this.versionManager.setStatus(item, 'superseded');
+        }
+
+        workflow.status = 'pending_review';
+        workflow.review = {
+            status: 'pending',
+            submittedAt: Date.now(),
+            diagram: this.renderDiagram(workflow),
+            guards: this.extractGuards(workflow),
+            sourceTraces: workflow.sourceTraces || [],
+            edits: 0
+        };
+
+        await this.workflows.save(workflow);
+        await this.audit(workflow, 'submitted', { reviewer: 'system' });
+
+        logger.info(`Workflow ${workflow.versionId} is pending review`);
+        return workflow;
+    }
+
+    async listPending() {
+        const items = await this.workflows.findByStatus('pending_review');
+        return items.sort((a, b) => (a.review?.submittedAt || 0) - (b.review?.submittedAt || 0));
+    }
+
+    /**
+     * Everything a reviewer needs to decide on one pending workflow
+     */
+    async getReview(workflowId) {
+        const workflow = await this.getWorkflow(workflowId);
+        const sourceTraces = await Promise.all(
+            (workflow.review?.sourceTraces || []).map(traceId => this.traces.get(traceId))
+        );
+
+        return {
+            workflowId: workflow.workflowId,
+            versionId: workflow.versionId,
+            name: workflow.name,
+            domain: workflow.domain,
+            status: workflow.status,
+            confidence: workflow.confidence,
+            diagram: workflow.review?.diagram || this.renderDiagram(workflow),
+            guards: workflow.review?.guards || this.extractGuards(workflow),
+            inputContract: workflow.inputContract,
+            outputContract: workflow.outputContract,
+            changesFromParent: workflow.changesFromParent,
+            sourceTraces: sourceTraces.filter(Boolean).map(trace => ({
+                traceId: trace.traceId,
+                query: trace.originalQuery,
+                tasks: (trace.executionSequence || []).map(task => task.taskName),
+                success: trace.success,
+                timestamp: trace.timestamp
+            })),
+            history: await this.reviews.findByWorkflow(workflow.workflowId)
+        };
+    }
+
+    /**
+     * Let the router use the workflow: shadow rollout first when enabled
+     */
+    async approve(workflowId, { reviewer, comment = null } = {}) {
+        const workflow = await this.getPending(workflowId);
+        this.requireReviewer(reviewer);
+
+        const status = this.enableShadowRollout ? 'shadow' : 'active';
+        if (this.enableShadowRollout) {
+            workflow.rollout = this.shadowRollout.initialRollout();
+            await this.workflows.update(workflow.workflowId, { rollout: workflow.rollout });
+        }
+
+        await this.decide(workflow, 'approved', { reviewer, comment });
+
+        if (status === 'active') {
+            await this.versionManager.activate(workflow);
+        } else {
+            await this.versionManager.setStatus(workflow, status);
+            await this.versionManager.supersedeShadows(workflow);
+        }
+
+        logger.info(`Workflow ${workflow.versionId} approved by ${reviewer} (${status})`);
+        return workflow;
+    }
+
+    async reject(workflowId, { reviewer, reason } = {}) {
+        const workflow = await this.getPending(workflowId);
+        this.requireReviewer(reviewer);
+
+        if (!reason) {
+            throw new Error(`Rejecting ${workflow.versionId} requires a reason`);
+        }
+
+        await this.decide(workflow, 'rejected', { reviewer, reason });
+        await this.versionManager.setStatus(workflow, 'rejected');
+
+        logger.info(`Workflow ${workflow.versionId} rejected by ${reviewer}: ${reason}`);
+        return workflow;
+    }
+
+    /**
+     * Change the states or contracts of a pending workflow; it stays
+     * pending, with a fresh diagram, until approved or rejected
+     */
+    async edit(workflowId, changes = {}, { reviewer, comment = null } = {}) {
+        const workflow = await this.getPending(workflowId);
+        this.requireReviewer(reviewer);
+
+        const unknown = Object.keys(changes).filter(key => !EDITABLE.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Cannot edit ${unknown.join(', ')}; editable attributes are ${EDITABLE.join(', ')}`);
+        }
+
+        const edited = { ...workflow, ...changes };
+        this.checkStates(edited);
+
+        const diff = this.versionManager.diff(workflow, edited);
+        const review = {
+            ...workflow.review,
+            diagram: this.renderDiagram(edited),
+            guards: this.extractGuards(edited),
+            edits: (workflow.review?.edits || 0) + 1
+        };
+
+        await this.workflows.update(workflow.workflowId, { ...changes, review });
+        Object.assign(workflow, changes, { review });
+        await this.audit(workflow, 'edited', { reviewer, comment, changes: { attributes: Object.keys(changes), diff } });
+
+        logger.info(`Workflow ${workflow.versionId} edited by ${reviewer}`);
+        return workflow;
+    }
+
+    /**
+     * Audit log entries, oldest first: of one workflow, or all of them
+     */
+    async getAuditLog(workflowId = null, options = {}) {
+        return workflowId ? this.reviews.findByWorkflow(workflowId) : this.reviews.list(options);
+    }
+
+    async decide(workflow, decision, { reviewer, reason = null, comment = null }) {
+        const review = {
+            ...workflow.review,
+            status: decision,
+            decidedAt: Date.now(),
+            reviewer,
+            reason
+        };
+
+        await this.workflows.update(workflow.workflowId, { review });
+        workflow.review = review;
+
+        await this.audit(workflow, decision, { reviewer, reason, comment });
+    }
+
+    async audit(workflow, action, { reviewer, reason = null, comment = null, changes = null }) {
+        return this.reviews.save({
+            reviewId: uuidv4(),
+            workflowId: workflow.workflowId,
+            versionId: workflow.versionId,
+            lineageKey: workflow.lineageKey,
+            action,
+            reviewer,
+            reason,
+            comment,
+            changes,
+            timestamp: Date.now()
+        });
+    }
+
+    async getWorkflow(workflowId) {
+        const workflow = await this.workflows.get(workflowId);
+        if (!workflow) {
+            throw new Error(`Unknown workflow ${workflowId}`);
+        }
+        return workflow;
+    }
+
+    async getPending(workflowId) {
+        const workflow = await this.getWorkflow(workflowId);
+        if (workflow.status !== 'pending_review') {
+            throw new Error(`Workflow ${workflow.versionId || workflowId} is ${workflow.status}, not pending review`);
+        }
+        return workflow;
+    }
+
+    requireReviewer(reviewer) {
+        if (!reviewer) {
+            throw new Error('Review decisions must name the reviewer');
+        }
+    }
+
+    /**
+     * Every state a workflow refers to must exist, and it must have an end
+     */
+    checkStates(workflow) {
+        const states = workflow.states || {};
+
+        if (!states[workflow.startAt]) {
+            throw new Error(`Start state ${workflow.startAt} does not exist`);
+        }
+        if (!Object.values(states).some(state => state.type === 'end')) {
+            throw new Error('Workflow has no end state');
+        }
+
+        Object.entries(states).forEach(([name, state]) => {
+            this.targets(state).forEach(target => {
+                if (!states[target]) {
+                    throw new Error(`State ${name} refers to missing state ${target}`);
+                }
+            });
+        });
+    }
+
+    targets(state) {
+        return [
+            state.goto,
+            state.default,
+            state.iterator,
+            ...(state.branches || []),
+            ...(state.choices || []).map(choice => choice.goto)
+        ].filter(Boolean);
+    }
+
+    /**
+     * Conditions that decide the path: choice branches and loop exits
+     */
+    extractGuards(workflow) {
+        const guards = [];
+
+        Object.entries(workflow.states || {}).forEach(([name, state]) => {
+            (state.choices || []).forEach(choice => {
+                guards.push({ state: name, type: 'choice', goto: choice.goto, condition: choice.condition });
+            });
+            if (state.type === 'loop' && state.exitCondition) {
+                guards.push({ state: name, type: 'loop_exit', goto: state.goto || 'end', condition: state.exitCondition, maxIterations: state.maxIterations });
+            }
+        });
+
+        return guards;
+    }
+
+    /**
+     * Mermaid stateDiagram-v2 of the workflow's states and transitions
+     */
+    renderDiagram(workflow) {
+        const states = workflow.states || {};
+        const node = name => (states[name]?.type === 'end' ? '[*]' : name.replace(/[^A-Za-z0-9_]/g, '_'));
+        const label = text => String(text).replace(/[:\n;]/g, ' ').trim();
+        const lines = ['stateDiagram-v2', `    [*] --> ${node(workflow.startAt)}`];
+        const edge = (from, to, text) => {
+            lines.push(`    ${node(from)} --> ${node(to)}${text ? ` : ${label(text)}` : ''}`);
+        };
+
+        // The last state of every parallel branch leads to the join
+        const joins = {};
+        Object.entries(states).forEach(([name, state]) => {
+            if (state.type !== 'parallel') return;
+            (state.branches || []).forEach(branch => {
+                let last = branch;
+                const seen = new Set();
+                while (states[last]?.goto && !seen.has(last)) {
+                    seen.add(last);
+                    last = states[last].goto;
+                }
+                joins[last] = `${node(name)}_join`;
+            });
+        });
+
+        Object.entries(states).forEach(([name, state]) => {
+            switch (state.type) {
+                case 'end':
+                    break;
+
+                case 'choice':
+                    lines.push(`    state ${node(name)} <<choice>>`);
+                    (state.choices || []).forEach(choice => edge(name, choice.goto, choice.condition));
+                    edge(name, state.default || 'end', 'default');
+                    break;
+
+                case 'parallel':
+                    lines.push(`    state ${node(name)} <<fork>>`);
+                    lines.push(`    state ${node(name)}_join <<join>>`);
+                    (state.branches || []).forEach(branch => edge(name, branch));
+                    lines.push(`    ${node(name)}_join --> ${node(state.goto || 'end')}`);
+                    break;
+
+                case 'loop':
+                    edge(name, state.iterator, `iterate (max ${state.maxIterations})`);
+                    edge(name, state.goto || 'end', state.exitCondition ? `exit when ${state.exitCondition}` : 'exit');
+                    break;
+
+                case 'map':
+                    edge(name, state.iterator, `each item of ${state.itemsPath}`);
+                    edge(name, state.goto || 'end');
+                    break;
+
+                default:
+                    if (state.goto) {
+                        edge(name, state.goto);
+                    } else if (joins[name]) {
+                        lines.push(`    ${node(name)} --> ${joins[name]}`);
+                    }
+            }
+        });
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = ApprovalQueue;
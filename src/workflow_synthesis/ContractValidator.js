@@ -0,0 +1,103 @@
+// ContractValidator.js
+// Checks workflow inputs and outputs against their synthesized contracts
+
+const schemaInference = require('../utils/SchemaInference');
+
+const ACTIONS = ['fallback', 'reject'];
+
+/**
+ * Contract Validator
+ * `validateInput` checks a request against a workflow's `inputContract`:
+ * every `required` field must be present, and every field the contract
+ * describes must have its schema's type and, when the schema has one, a
+ * value from its `enum`. Fields are read from the input, or else from the
+ * context, where the task input mappings look them up too.
+ * `validateOutput` checks a result against the `outputContract`: every
+ * guaranteed field must be present and of its schema's type. Both return
+ * a list of violation messages, empty when the contract holds.
+ *
+ * `contractViolationAction` tells DFHAAgent what to do with a run that
+ * breaks a contract:
+ *
+ * - fallback: serve the request from the LLM instead
+ * - reject: fail the request
+ */
+class ContractValidator {
+    constructor(config = {}) {
+        this.violationAction = config.contractViolationAction || 'fallback';
+
+        if (!ACTIONS.includes(this.violationAction)) {
+            throw new Error(`Unknown contract violation action '${this.violationAction}'; expected one of ${ACTIONS.join(', ')}`);
+        }
+    }
+
+    validateInput(contract, input = {}, context = {}) {
+        if (!contract) return [];
+
+        const valueOf = field => (input?.[field] !== undefined ? input[field] : context?.[field]);
+        const violations = [];
+
+        (contract.required || []).forEach(field => {
+            if (valueOf(field) === undefined) {
+                violations.push(`missing required field '${field}'`);
+            }
+        });
+
+        Object.entries(schemaInference.properties(contract.schema)).forEach(([field, schema]) => {
+            const value = valueOf(field);
+            if (value === undefined) return;
+
+            const violation = this.checkType(field, schema, value);
+            if (violation) {
+                violations.push(violation);
+            } else if (Array.isArray(schema.enum) && !schema.enum.some(option => this.equal(option, value))) {
+                violations.push(`field '${field}' should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+            }
+        });
+
+        return violations;
+    }
+
+    validateOutput(contract, output) {
+        if (!contract) return [];
+
+        const violations = [];
+        const isObject = output && typeof output === 'object';
+
+        (contract.guarantees || []).forEach(field => {
+            if (!isObject || output[field] === undefined) {
+                violations.push(`missing guaranteed field '${field}'`);
+            }
+        });
+
+        Object.entries(schemaInference.properties(contract.schema)).forEach(([field, schema]) => {
+            if (!isObject || output[field] === undefined) return;
+
+            const violation = this.checkType(field, schema, output[field]);
+            if (violation) violations.push(violation);
+        });
+
+        return violations;
+    }
+
+    checkType(field, schema, value) {
+        if (schemaInference.acceptsValue(schema, value)) return null;
+        return `field '${field}' should be ${schemaInference.typeName(schema)} but was ${schemaInference.typeOf(value)}`;
+    }
+
+    equal(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Error for a run that broke a contract; `phase` is 'input' or 'output'
+     */
+    violationError(phase, violations) {
+        const error = new Error(`${phase} contract violated: ${violations.join('; ')}`);
+        error.code = 'CONTRACT_VIOLATION';
+        error.contractViolation = { phase, violations };
+        return error;
+    }
+}
+
+module.exports = ContractValidator;
@@ -0,0 +1,436 @@
+// WorkflowExecutor.js
+// Interprets the state machines produced by WorkflowSynthesizer
+
+const logger = require('../utils/Logger');
+const templateProcessor = require('../utils/TemplateProcessor');
+const ContractValidator = require('./ContractValidator');
+
+/**
+ * Workflow Executor - runs compiled synthesized workflows
+ * Walks the `states` map from `startAt` until an `end` state is reached,
+ * dispatching task states to registered action handlers. A `fail` state
+ * (as imported from an ASL Fail state) fails the run with its error.
+ * Validation and end states with `validateContract` check the input against
+ * the workflow's `inputContract` and the output against its
+ * `outputContract`; a violation fails the run with a `contractViolation`
+ * of `{ phase, violations }`.
+ */
+class WorkflowExecutor {
+    constructor(config = {}) {
+        this.handlers = new Map();
+        this.actionRegistry = config.actionRegistry || null;
+        this.maxSteps = config.maxSteps || 100;
+        this.taskTimeout = config.taskTimeout || 30000;
+        this.contractValidator = config.contractValidator || new ContractValidator(config);
+
+        Object.entries(config.handlers || {}).forEach(([actionIdentifier, handler]) => {
+            this.registerHandler(actionIdentifier, handler);
+        });
+    }
+
+    /**
+     * Register a handler for an exact action identifier (`lambda:fetch_data`)
+     * or for every action of one type (`lambda`).
+     * Handlers are called as handler(input, { actionIdentifier, taskName, context, workflowId }).
+     * Exact handlers take precedence over the action registry, which takes
+     * precedence over type-level handlers.
+     */
+    registerHandler(actionIdentifier, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for ${actionIdentifier} must be a function`);
+        }
+        this.handlers.set(actionIdentifier, handler);
+    }
+
+    resolveHandler(actionIdentifier) {
+        if (!actionIdentifier) return null;
+
+        if (this.handlers.has(actionIdentifier)) {
+            return this.handlers.get(actionIdentifier);
+        }
+
+        if (this.actionRegistry?.getByActionIdentifier(actionIdentifier)) {
+            return (input, options) => this.actionRegistry.invoke(actionIdentifier, input, {
+                ...options,
+                executor: this
+            });
+        }
+
+        const [actionType] = actionIdentifier.split(':');
+        return this.handlers.get(actionType) || null;
+    }
+
+    /**
+     * Execute a workflow against user input.
+     * Returns the execution path and task outputs in the shape expected by
+     * ExecutionTraceCollector.saveExecutionTrace.
+     */
+    async execute(workflow, input = {}, context = {}) {
+        const run = {
+            workflow,
+            context,
+            scope: { input, context },
+            executionPath: [],
+            taskOutputs: {},
+            frontier: [],       // task ids the next task depends on
+            loopCounters: {},   // completed iterations of active loop states
+            steps: { taken: 0 }, // shared with parallel branches, bounded by maxSteps
+            lastOutput: undefined,
+            startTime: Date.now()
+        };
+
+        let current = workflow.startAt;
+
+        try {
+            while (current) {
+                this.countStep(run);
+
+                const state = workflow.states[current];
+                if (!state) {
+                    throw new Error(`Unknown state: ${current}`);
+                }
+
+                if (state.type === 'end') {
+                    const result = this.buildResult(run, state);
+                    if (state.validateContract) {
+                        this.checkContract('output', run, result.output);
+                    }
+                    return result;
+                }
+
+                current = await this.runState(current, state, run);
+            }
+
+            throw new Error('Workflow terminated without reaching an end state');
+
+        } catch (error) {
+            logger.warn(`Workflow ${workflow.workflowId} failed: ${error.message}`);
+
+            return {
+                success: false,
+                workflowId: workflow.workflowId,
+                error: error.message,
+                failedState: current,
+                contractViolation: error.contractViolation || null,
+                output: null,
+                executionPath: run.executionPath,
+                taskOutputs: run.taskOutputs,
+                totalDuration: Date.now() - run.startTime
+            };
+        }
+    }
+
+    /**
+     * Run a single non-terminal state and return the name of the next state
+     */
+    async runState(stateName, state, run) {
+        switch (state.type) {
+            case 'validation':
+                if (state.validateContract) {
+                    this.checkContract('input', run, run.scope.input);
+                }
+                return state.goto || 'end';
+
+            case 'task':
+                return this.executeTask(stateName, state, run);
+
+            case 'choice':
+                return this.selectChoice(state, run.scope);
+
+            case 'parallel':
+                return this.executeParallel(stateName, state, run);
+
+            case 'loop':
+                return this.nextLoopIteration(stateName, state, run);
+
+            case 'map':
+                return this.executeMap(stateName, state, run);
+
+            case 'fail':
+                throw new Error(`${state.error || 'WorkflowFailed'}: ${state.cause || `reached ${stateName}`}`);
+
+            default:
+                throw new Error(`Unsupported state type '${state.type}' in ${stateName}`);
+        }
+    }
+
+    checkContract(phase, run, value) {
+        const violations = phase === 'input'
+            ? this.contractValidator.validateInput(run.workflow.inputContract, value, run.context)
+            : this.contractValidator.validateOutput(run.workflow.outputContract, value);
+
+        if (violations.length > 0) {
+            throw this.contractValidator.violationError(phase, violations);
+        }
+    }
+
+    async executeTask(stateName, state, run) {
+        const input = templateProcessor.resolve(state.input || {}, run.scope);
+
+        const step = {
+            taskId: `${stateName}_${run.executionPath.length}`,
+            taskName: stateName,
+            taskType: 'synthesized',
+            actionIdentifier: state.actionIdentifier,
+            input,
+            inputSource: run.frontier.length > 0 ? `task:${run.frontier[0]}` : 'user',
+            dependsOn: [...run.frontier],
+            startTime: Date.now()
+        };
+
+        try {
+            const handler = this.resolveHandler(state.actionIdentifier);
+            if (!handler) {
+                throw new Error(`No handler registered for ${state.actionIdentifier}`);
+            }
+
+            const output = await this.withRetry(
+                () => this.withTimeout(
+                    handler(input, {
+                        actionIdentifier: state.actionIdentifier,
+                        taskName: stateName,
+                        context: run.context,
+                        workflowId: run.workflow.workflowId
+                    }),
+                    state.timeout || this.taskTimeout,
+                    stateName
+                ),
+                state.retry,
+                step
+            );
+
+            run.scope[this.outputVariable(stateName, state)] = output;
+            run.taskOutputs[step.taskId] = output;
+            run.lastOutput = output;
+            step.status = 'completed';
+
+        } catch (error) {
+            step.error = error.message;
+
+            if (state.errorHandler !== 'skip') {
+                step.status = 'failed';
+                this.finishStep(step, run);
+                throw new Error(`Task ${stateName} failed: ${error.message}`);
+            }
+
+            logger.warn(`Skipping optional task ${stateName}: ${error.message}`);
+            step.status = 'skipped';
+        }
+
+        this.finishStep(step, run);
+        run.frontier = [step.taskId];
+        return state.goto || 'end';
+    }
+
+    /**
+     * Fork/join: run every branch concurrently and continue once all finish.
+     * Each branch runs on its own copy of the scope, task outputs and loop
+     * counters, merged back at the join, and follows its chain until a
+     * state without a successor; the next task depends on the last task of
+     * every branch.
+     */
+    async executeParallel(stateName, state, run) {
+        const branchRuns = state.branches.map(() => ({
+            ...run,
+            scope: { ...run.scope },
+            taskOutputs: {},
+            loopCounters: { ...run.loopCounters },
+            frontier: [...run.frontier]
+        }));
+
+        const results = await Promise.allSettled(
+            state.branches.map((branch, i) => this.runBranch(branch, branchRuns[i]))
+        );
+
+        branchRuns.forEach(branchRun => {
+            Object.entries(branchRun.scope).forEach(([name, value]) => {
+                if (value !== run.scope[name]) run.scope[name] = value;
+            });
+            Object.assign(run.taskOutputs, branchRun.taskOutputs);
+        });
+
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            if (state.errorHandler !== 'skip') {
+                throw new Error(`Parallel state ${stateName} failed: ${failed.reason.message}`);
+            }
+            logger.warn(`Skipping failed parallel state ${stateName}: ${failed.reason.message}`);
+        }
+
+        run.frontier = branchRuns.flatMap(branchRun => branchRun.frontier);
+        run.lastOutput = {};
+        state.branches.forEach((branch, i) => {
+            run.lastOutput[branch] = branchRuns[i].lastOutput;
+        });
+
+        return state.goto || 'end';
+    }
+
+    /**
+     * Loop states are entered before every iteration. The body runs again
+     * until the exit condition holds after an iteration or maxIterations
+     * is reached; a loop without an exit condition runs exactly
+     * maxIterations times. The body's last task jumps back to the loop state.
+     */
+    nextLoopIteration(stateName, state, run) {
+        if (!(state.maxIterations > 0)) {
+            throw new Error(`Loop ${stateName} has no iteration bound`);
+        }
+
+        const completed = run.loopCounters[stateName] || 0;
+        const exit = completed > 0 && state.exitCondition &&
+                     templateProcessor.evaluateCondition(state.exitCondition, run.scope);
+
+        if (exit || completed >= state.maxIterations) {
+            if (!exit && state.exitCondition) {
+                logger.warn(`Loop ${stateName} stopped at its bound of ${state.maxIterations} iterations`);
+            }
+            delete run.loopCounters[stateName];
+            return state.goto || 'end';
+        }
+
+        run.loopCounters[stateName] = completed + 1;
+        run.scope[`${stateName}_iteration`] = completed;
+        return state.iterator;
+    }
+
+    /**
+     * Run the iterator chain once per item of `itemsPath`, in order, with
+     * `${item}` and `${itemIndex}` in scope; the outputs are collected
+     */
+    async executeMap(stateName, state, run) {
+        const items = templateProcessor.resolve(state.itemsPath, run.scope);
+
+        if (!Array.isArray(items)) {
+            throw new Error(`Map state ${stateName} expected an array at ${state.itemsPath}`);
+        }
+
+        if (state.maxIterations && items.length > state.maxIterations) {
+            throw new Error(`Map state ${stateName} has ${items.length} items, above its bound of ${state.maxIterations}`);
+        }
+
+        const results = [];
+
+        for (let index = 0; index < items.length; index++) {
+            run.scope.item = items[index];
+            run.scope.itemIndex = index;
+            await this.runBranch(state.iterator, run);
+            results.push(run.lastOutput);
+        }
+
+        delete run.scope.item;
+        delete run.scope.itemIndex;
+
+        run.scope[this.outputVariable(stateName, state)] = results;
+        run.lastOutput = results;
+
+        return state.goto || 'end';
+    }
+
+    /**
+     * Run a chain of states inside a parallel or map state, through choices
+     * and loops, until a state leads to the end of the workflow
+     */
+    async runBranch(startState, run) {
+        let current = startState;
+
+        while (current) {
+            this.countStep(run);
+
+            const state = run.workflow.states[current];
+            if (!state) {
+                throw new Error(`Unknown state: ${current}`);
+            }
+
+            const next = await this.runState(current, state, run);
+            current = this.endsBranch(next, run) ? null : next;
+        }
+    }
+
+    countStep(run) {
+        if (++run.steps.taken > this.maxSteps) {
+            throw new Error(`Workflow exceeded ${this.maxSteps} steps`);
+        }
+    }
+
+    // States without a successor lead to 'end', whether or not the workflow names its end state so
+    endsBranch(next, run) {
+        const state = run.workflow.states[next];
+        return state ? state.type === 'end' : next === 'end';
+    }
+
+    finishStep(step, run) {
+        step.endTime = Date.now();
+        step.duration = step.endTime - step.startTime;
+        run.executionPath.push(step);
+    }
+
+    selectChoice(state, scope) {
+        const match = (state.choices || []).find(choice =>
+            templateProcessor.evaluateCondition(choice.condition, scope)
+        );
+
+        return match ? match.goto : (state.default || 'end');
+    }
+
+    /**
+     * Task outputs are stored under the variable named by `output`,
+     * e.g. `${fetch_logs_output}` is stored as scope.fetch_logs_output
+     */
+    outputVariable(stateName, state) {
+        const match = typeof state.output === 'string' && state.output.match(/^\$\{([^}]+)\}$/);
+        return match ? match[1] : `${stateName}_output`;
+    }
+
+    buildResult(run, endState) {
+        if (run.scope.final_output === undefined) {
+            run.scope.final_output = run.lastOutput;
+        }
+
+        return {
+            success: true,
+            workflowId: run.workflow.workflowId,
+            output: templateProcessor.resolve(endState.output || '${final_output}', run.scope),
+            executionPath: run.executionPath,
+            taskOutputs: run.taskOutputs,
+            totalDuration: Date.now() - run.startTime
+        };
+    }
+
+    /**
+     * Retry a failed attempt up to `retry.maxAttempts` times in total with
+     * exponential backoff; the number of retries is recorded on the step
+     */
+    async withRetry(attempt, retry, step) {
+        const maxAttempts = retry?.maxAttempts || 1;
+
+        for (let n = 1; ; n++) {
+            try {
+                return await attempt();
+            } catch (error) {
+                if (n >= maxAttempts) throw error;
+
+                step.retries = n;
+                const delay = (retry.backoffMs || 0) * Math.pow(2, n - 1);
+                logger.debug(`Retrying ${step.taskName} (attempt ${n + 1}/${maxAttempts}) in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    withTimeout(promise, timeoutMs, stateName) {
+        let timer;
+
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(
+                () => reject(new Error(`Task ${stateName} timed out after ${timeoutMs}ms`)),
+                timeoutMs
+            );
+        });
+
+        return Promise.race([Promise.resolve(promise), timeout])
+            .finally(() => clearTimeout(timer));
+    }
+}
+
+module.exports = WorkflowExecutor;
@@ -1,11 +1,29 @@
 // WorkflowSynthesizer.js
-const logger = require('./utils/Logger');
+const logger = require('../utils/Logger');
+const schemaInference = require('../utils/SchemaInference');
+const WorkflowExecutor = require('./WorkflowExecutor');
+const ActionRegistry = require('./ActionRegistry');
 const { v4: uuidv4 } = require('uuid');
 
 class WorkflowSynthesizer {
     constructor(config = {}) {
         this.confidenceThreshold = config.confidenceThreshold || 0.75;
-        this.templateProcessor = require('./TemplateProcessor');
+        this.templateProcessor = require('../utils/TemplateProcessor');
+        this.actionRegistry = config.actionRegistry || new ActionRegistry(config);
+        this.executor = config.executor || new WorkflowExecutor({
+            ...config,
+            actionRegistry: this.actionRegistry
+        });
+
+        // 'flag' keeps workflows with unregistered tasks but marks them,
+        // 'reject' fails verification for them
+        this.unregisteredActionPolicy = config.unregisteredActionPolicy || 'flag';
+
+        // Input contracts only restrict a field to the values seen in the
+        // traces when asked to, and only on plenty of samples
+        this.inferEnums = config.inferEnums === true;
+        this.enumMinSamples = config.enumMinSamples || 30;
+        this.enumMaxValues = config.enumMaxValues || 5;
     }
     
     /**
@@ -30,9 +48,19 @@ class WorkflowSynthesizer {
             
             // Metadata
             sourcePattern: pattern.patternId,
+            questionFingerprint: pattern.questionFingerprint,
+            clusterId: pattern.clusterId,
+            questionFingerprints: pattern.questionFingerprints,
+            domain: this.dominantDomain(traces),
             traceCount: traces.length,
+            sourceTraces: traces.map(t => t.traceId),
             performance: this.calculateExpectedPerformance(traces)
         };
+
+        workflow.unregisteredTasks = this.findUnregisteredTasks(workflow);
+        if (workflow.unregisteredTasks.length > 0) {
+            logger.warn(`Workflow ${workflow.workflowId} has tasks without registered actions: ${workflow.unregisteredTasks.join(', ')}`);
+        }
         
         // Verify synthesized workflow
         const verified = await this.verifyWorkflow(workflow, traces);
@@ -46,24 +74,74 @@ class WorkflowSynthesizer {
     }
     
     generateStates(pattern) {
+        const sequence = pattern.consensusSequence;
+        
+        const stateNameAt = (index) => {
+            const node = sequence[index];
+            if (!node) return 'end';
+            if (node.taskName === 'BRANCH') return `choice_${index}`;
+            if (node.body) return `loop_${index}`;
+            return node.branches ? `parallel_${index}` : node.taskName;
+        };
+        
         const states = {
             input_validation: {
                 type: 'validation',
                 validateContract: true,
-                goto: pattern.consensusSequence[0]?.taskName || 'end'
+                goto: stateNameAt(0)
             }
         };
         
-        pattern.consensusSequence.forEach((node, index) => {
-            const nextNode = pattern.consensusSequence[index + 1];
+        sequence.forEach((node, index) => {
+            const next = stateNameAt(index + 1);
             
             if (node.taskName === 'BRANCH') {
                 // Generate choice state
+                const choices = this.generateChoices(pattern, index);
+                
                 states[`choice_${index}`] = {
                     type: 'choice',
-                    choices: this.generateChoices(pattern, index),
-                    default: nextNode?.taskName || 'end'
+                    choices,
+                    default: next
                 };
+                
+                // Each guarded branch runs its optional task, then rejoins the consensus
+                choices.forEach(choice => {
+                    const taskName = choice.branch;
+                    
+                    states[choice.goto] = {
+                        type: 'task',
+                        actionIdentifier: this.mapToAction(taskName),
+                        input: this.generateInputMapping(pattern, index, node.optionSchemas?.[taskName]),
+                        output: `\${${choice.goto}_output}`,
+                        required: false,
+                        errorHandler: 'skip',
+                        goto: next
+                    };
+                });
+            } else if (node.body) {
+                this.generateLoopStates(pattern, node, index, next, states);
+            } else if (node.branches) {
+                // Fork/join: every branch is a task state without a goto,
+                // the parallel state continues once all branches finish
+                states[`parallel_${index}`] = {
+                    type: 'parallel',
+                    branches: node.branches.map(branch => branch.taskName),
+                    required: node.frequency > 0.9,
+                    errorHandler: node.frequency < 0.9 ? 'skip' : 'fail',
+                    goto: next
+                };
+                
+                node.branches.forEach(branch => {
+                    states[branch.taskName] = {
+                        type: 'task',
+                        actionIdentifier: this.mapToAction(branch.taskName),
+                        input: this.generateInputMapping(pattern, index, branch),
+                        output: `\${${branch.taskName}_output}`,
+                        required: true,
+                        errorHandler: 'fail'
+                    };
+                });
             } else {
                 // Generate task state
                 states[node.taskName] = {
@@ -73,23 +151,102 @@ class WorkflowSynthesizer {
                     output: `\${${node.taskName}_output}`,
                     required: node.frequency > 0.9,
                     errorHandler: node.frequency < 0.9 ? 'skip' : 'fail',
-                    goto: nextNode ? 
-                           (nextNode.taskName === 'BRANCH' ? 
-                            `choice_${index + 1}` : 
-                            nextNode.taskName) : 
-                           'end'
+                    goto: next
                 };
             }
         });
         
         states.end = {
             type: 'end',
+            validateContract: true,
             output: '${final_output}'
         };
         
+        // Tasks that needed retries in the traces get a retry policy
+        Object.entries(pattern.retryPolicies || {}).forEach(([taskName, policy]) => {
+            if (states[taskName]?.type === 'task') {
+                states[taskName].retry = {
+                    maxAttempts: policy.maxAttempts,
+                    backoffMs: policy.backoffMs
+                };
+            }
+        });
+        
         return states;
     }
     
+    /**
+     * A loop over a user input array becomes a `map` state whose body runs
+     * once per item; any other loop becomes a `loop` state with a back edge
+     * from the last body task, bounded by `maxIterations`
+     */
+    generateLoopStates(pattern, node, index, next, states) {
+        const name = `loop_${index}`;
+        const structure = (pattern.loopStructures || []).find(l => l.taskName === node.taskName) || {};
+        const bodyNames = node.body.map(step => step.taskName);
+        
+        if (structure.itemsPath) {
+            states[name] = {
+                type: 'map',
+                itemsPath: structure.itemsPath,
+                iterator: bodyNames[0],
+                maxIterations: structure.maxIterations,
+                output: `\${${name}_output}`,
+                goto: next
+            };
+        } else {
+            states[name] = {
+                type: 'loop',
+                iterator: bodyNames[0],
+                maxIterations: this.loopBound(name, structure),
+                exitCondition: structure.exitCondition ? this.formatCondition(structure.exitCondition) : null,
+                goto: next
+            };
+        }
+        
+        node.body.forEach((step, i) => {
+            const input = this.generateInputMapping(pattern, index, step);
+            if (structure.itemsPath) {
+                input.item = '${item}';
+            }
+            
+            states[step.taskName] = {
+                type: 'task',
+                actionIdentifier: this.mapToAction(step.taskName),
+                input,
+                output: `\${${step.taskName}_output}`,
+                required: true,
+                errorHandler: 'fail'
+            };
+            
+            // The map state collects each item's result; a loop jumps back
+            if (i < bodyNames.length - 1) {
+                states[step.taskName].goto = bodyNames[i + 1];
+            } else if (!structure.itemsPath) {
+                states[step.taskName].goto = name;
+            }
+        });
+    }
+    
+    /**
+     * A loop without an exit condition runs exactly maxIterations times, so
+     * it is only synthesized when every trace iterated the same number of
+     * times. Otherwise the loop stays unbounded, verification rejects the
+     * workflow and the queries keep going to the LLM.
+     */
+    loopBound(name, structure) {
+        if (structure.exitCondition) {
+            return structure.maxIterations;
+        }
+        
+        if (structure.observedMax && structure.minIterations === structure.observedMax) {
+            return structure.observedMax;
+        }
+        
+        logger.warn(`Loop ${name} has no exit condition and no fixed iteration count; leaving it to the LLM`);
+        return null;
+    }
+    
     extractInputContract(pattern, traces) {
         const contract = {
             required: [],
@@ -99,6 +256,7 @@ class WorkflowSynthesizer {
         
         // Analyze all input fields across traces
         const fieldFrequency = {};
+        const schemas = [];
         
         traces.forEach(trace => {
             const firstTask = trace.executionSequence[0];
@@ -107,6 +265,9 @@ class WorkflowSynthesizer {
                     fieldFrequency[field] = (fieldFrequency[field] || 0) + 1;
                 });
             }
+            if (firstTask?.input?.schema) {
+                schemas.push(schemaInference.normalize(firstTask.input.schema));
+            }
         });
         
         // Classify fields by frequency
@@ -118,48 +279,68 @@ class WorkflowSynthesizer {
             } else if (frequency > 0.3) {
                 contract.optional.push(field);
             }
-            
-            // Infer schema from values
-            contract.schema[field] = this.inferFieldSchema(field, traces);
+        });
+        
+        // Field schemas are merged over every trace's inferred input schema
+        const properties = {};
+        Object.entries(schemaInference.properties(schemaInference.mergeAll(schemas))).forEach(([field, schema]) => {
+            properties[field] = { ...schema, ...this.inferFieldValues(field, traces) };
+        });
+        
+        contract.schema = schemaInference.document({
+            type: 'object',
+            properties,
+            required: contract.required
         });
         
         return contract;
     }
     
     extractOutputContract(pattern, traces) {
-        // Analyze final outputs across all traces
-        const outputs = traces.map(t => {
+        // Analyze final outputs across all traces; the trace records the
+        // output's inferred schema, not its values
+        const schema = schemaInference.mergeAll(traces.map(t => {
             const lastTask = t.executionSequence[t.executionSequence.length - 1];
-            return lastTask?.output;
-        });
+            return schemaInference.normalize(lastTask?.output?.schema);
+        }));
         
         return {
-            schema: this.inferOutputSchema(outputs),
-            guarantees: this.extractGuarantees(outputs)
+            schema: schemaInference.document(schema),
+            // Fields present in every trace's output
+            guarantees: schema.required || []
         };
     }
     
-    inferFieldSchema(field, traces) {
+    /**
+     * Examples of a field's input values, the range of numeric fields, and,
+     * with `inferEnums`, an enum when the field is categorical (at least
+     * enumMinSamples samples over at most enumMaxValues distinct values).
+     * Redacted values say nothing about the real ones, so those fields get
+     * none of them.
+     */
+    inferFieldValues(field, traces) {
         const values = [];
+        let redacted = false;
         
         traces.forEach(trace => {
-            trace.executionSequence.forEach(task => {
-                if (task.input?.values?.[field] !== undefined) {
-                    values.push(task.input.values[field]);
-                }
-            });
+            const value = trace.executionSequence[0]?.input?.values?.[field];
+            if (value === undefined) return;
+            
+            values.push(value);
+            if (trace.redactions?.[`field:${field}`] ||
+                (typeof value === 'string' && value.includes('[REDACTED:'))) {
+                redacted = true;
+            }
         });
         
-        // Infer type and constraints
-        const types = values.map(v => typeof v);
-        const uniqueTypes = [...new Set(types)];
+        if (redacted || values.length === 0) return {};
         
-        return {
-            type: uniqueTypes.length === 1 ? uniqueTypes[0] : 'mixed',
-            examples: values.slice(0, 3),
-            nullable: values.includes(null),
-            enum: values.length < 10 ? [...new Set(values)] : null
-        };
+        const distinct = [...new Set(values.map(value => JSON.stringify(value)))].map(value => JSON.parse(value));
+        const inferred = { examples: distinct.slice(0, 3), ...schemaInference.range(values) };
+        if (this.inferEnums && values.length >= this.enumMinSamples && distinct.length <= this.enumMaxValues) {
+            inferred.enum = distinct;
+        }
+        return inferred;
     }
     
     verifyWorkflow(workflow, traces) {
@@ -167,9 +348,11 @@ class WorkflowSynthesizer {
             hasStartState: !!workflow.states[workflow.startAt],
             hasEndState: !!workflow.states.end,
             allStatesReachable: this.checkReachability(workflow),
-            noCycles: !this.detectCycles(workflow),
+            noUnboundedCycles: !this.detectCycles(workflow),
             inputContractValid: workflow.inputContract.required.length > 0,
-            confidenceAboveThreshold: workflow.confidence >= this.confidenceThreshold
+            confidenceAboveThreshold: workflow.confidence >= this.confidenceThreshold,
+            allActionsRegistered: this.unregisteredActionPolicy !== 'reject' ||
+                                  this.findUnregisteredTasks(workflow).length === 0
         };
         
         const failed = Object.entries(checks)
@@ -205,31 +388,76 @@ class WorkflowSynthesizer {
             if (state?.choices) {
                 state.choices.forEach(choice => queue.push(choice.goto));
             }
+            
+            if (state?.branches) {
+                queue.push(...state.branches);
+            }
+            
+            if (state?.iterator) {
+                queue.push(state.iterator);
+            }
+            
+            if (state?.default) {
+                queue.push(state.default);
+            }
         }
         
         return visited.size === Object.keys(workflow.states).length;
     }
     
+    /**
+     * Returns true if the workflow has an unbounded cycle. A back edge is
+     * allowed only when the cycle passes through a loop state with a
+     * positive, finite maxIterations.
+     */
     detectCycles(workflow) {
         const visited = new Set();
-        const recStack = new Set();
+        const path = [];
+        
+        const isBoundedLoop = (name) => {
+            const state = workflow.states[name];
+            return state?.type === 'loop' &&
+                   Number.isInteger(state.maxIterations) && state.maxIterations > 0;
+        };
         
         const hasCycle = (node) => {
-            if (recStack.has(node)) return true;
+            const onPath = path.indexOf(node);
+            if (onPath >= 0) {
+                return !path.slice(onPath).some(isBoundedLoop);
+            }
             if (visited.has(node)) return false;
             
             visited.add(node);
-            recStack.add(node);
+            path.push(node);
             
             const state = workflow.states[node];
+            const next = [];
+            
             if (state?.goto) {
-                const next = Array.isArray(state.goto) ? state.goto : [state.goto];
-                for (const n of next) {
-                    if (n !== 'end' && hasCycle(n)) return true;
-                }
+                next.push(...(Array.isArray(state.goto) ? state.goto : [state.goto]));
+            }
+            
+            if (state?.choices) {
+                next.push(...state.choices.map(choice => choice.goto));
+            }
+            
+            if (state?.branches) {
+                next.push(...state.branches);
+            }
+            
+            if (state?.iterator) {
+                next.push(state.iterator);
+            }
+            
+            if (state?.default) {
+                next.push(state.default);
+            }
+            
+            for (const n of next) {
+                if (n !== 'end' && hasCycle(n)) return true;
             }
             
-            recStack.delete(node);
+            path.pop();
             return false;
         };
         
@@ -243,44 +471,48 @@ class WorkflowSynthesizer {
             executable: true,
             compiled: true,
             // Add execution function
-            execute: async (input) => {
-                // This would integrate with your execution engine
-                return { success: true, workflowId: workflow.workflowId };
+            execute: async (input, context = {}) => {
+                return this.executor.execute(workflow, input, context);
             }
         };
     }
     
     generateWorkflowName(pattern) {
-        return `Synthesized_${pattern.normalizedQuery.replace(/\s+/g, '_')}_${Date.now()}`;
+        // Stable across re-synthesis; versions are told apart by `version`
+        return `Synthesized_${pattern.normalizedQuery.replace(/\s+/g, '_')}`;
     }
     
     mapToAction(taskName) {
-        // Map consensus task names to actual actions
-        const mapping = {
-            'FetchData': 'lambda:fetch_data',
-            'Analyze': 'lambda:analyze',
-            'Transform': 'lambda:transform',
-            'Validate': 'script:validate',
-            // Add your specific mappings
-        };
-        
-        return mapping[taskName] || `lambda:${taskName.toLowerCase()}`;
+        // Map consensus task names to registered actions
+        return this.actionRegistry.resolveAction(taskName) || `unregistered:${taskName}`;
+    }
+    
+    findUnregisteredTasks(workflow) {
+        return Object.entries(workflow.states)
+            .filter(([_, state]) => state.type === 'task' &&
+                                    state.actionIdentifier?.startsWith('unregistered:'))
+            .map(([name, _]) => name);
     }
     
-    generateInputMapping(pattern, index) {
-        const node = pattern.consensusSequence[index];
+    /**
+     * Fields that vary across traces, and every field of a task fed from the
+     * user's input, are read from `${input}`; the rest from `${context}`.
+     * `step` is the consensus node, branch, loop body step or branch option
+     * being mapped.
+     */
+    generateInputMapping(pattern, index, step = pattern.consensusSequence[index]) {
         const mapping = {};
         
         // Map from context or previous outputs
-        if (node.inputSchema) {
-            Object.keys(node.inputSchema).forEach(field => {
-                if (pattern.variableRegions.find(v => 
+        if (step?.inputSchema) {
+            Object.keys(schemaInference.properties(step.inputSchema)).forEach(field => {
+                const variable = pattern.variableRegions.some(v =>
                     v.position === index && v.field === field
-                )) {
-                    mapping[field] = `\${input.${field}}`;
-                } else {
-                    mapping[field] = `\${context.${field}}`;
-                }
+                );
+                
+                mapping[field] = variable || step.fromUserInput
+                    ? `\${input.${field}}`
+                    : `\${context.${field}}`;
             });
         }
         
@@ -294,15 +526,31 @@ class WorkflowSynthesizer {
         
         return Object.entries(guards.conditions).map(([branch, condition]) => ({
             condition: this.formatCondition(condition),
-            goto: branch
+            branch,
+            goto: this.branchStateName(pattern, index, branch)
         }));
     }
     
+    branchStateName(pattern, index, branch) {
+        // Avoid clashing with a consensus task of the same name
+        const clashes = pattern.consensusSequence.some(node => node.taskName === branch);
+        return clashes ? `${branch}_${index}` : branch;
+    }
+    
     formatCondition(condition) {
         // Convert to expression format
         if (typeof condition === 'string') return condition;
         
-        if (condition.field && condition.operator && condition.value) {
+        // Mined guards are in disjunctive normal form: any of all of predicates
+        if (condition.any) {
+            return condition.any.map(c => this.formatCondition(c)).join(' || ');
+        }
+        
+        if (condition.all) {
+            return condition.all.map(c => this.formatCondition(c)).join(' && ');
+        }
+        
+        if (condition.field && condition.operator && condition.value !== undefined) {
             return `\${${condition.field}} ${condition.operator} "${condition.value}"`;
         }
         
@@ -320,47 +568,23 @@ class WorkflowSynthesizer {
         };
     }
     
+    // Most common domain of the traces (recorded in the trace context)
+    dominantDomain(traces) {
+        const counts = {};
+        traces.forEach(t => {
+            const domain = t.context?.domain || t.domain;
+            if (domain) counts[domain] = (counts[domain] || 0) + 1;
+        });
+        
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return ranked.length > 0 ? ranked[0][0] : null;
+    }
+    
     percentile(arr, p) {
         const sorted = arr.sort((a, b) => a - b);
         const index = Math.ceil((p / 100) * sorted.length) - 1;
         return sorted[index];
     }
-    
-    extractGuarantees(outputs) {
-        // Find fields that always appear
-        const guaranteedFields = [];
-        
-        if (outputs.length === 0) return guaranteedFields;
-        
-        const firstOutput = outputs[0];
-        if (typeof firstOutput === 'object') {
-            Object.keys(firstOutput).forEach(field => {
-                if (outputs.every(o => o?.[field] !== undefined)) {
-                    guaranteedFields.push(field);
-                }
-            });
-        }
-        
-        return guaranteedFields;
-    }
-    
-    inferOutputSchema(outputs) {
-        if (outputs.length === 0) return {};
-        
-        const schema = {};
-        const sample = outputs[0];
-        
-        if (typeof sample === 'object') {
-            Object.keys(sample).forEach(key => {
-                schema[key] = {
-                    type: typeof sample[key],
-                    required: outputs.every(o => o?.[key] !== undefined)
-                };
-            });
-        }
-        
-        return schema;
-    }
 }
 
 module.exports = WorkflowSynthesizer;
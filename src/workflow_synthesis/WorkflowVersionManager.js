@@ -0,0 +1,321 @@
+// WorkflowVersionManager.js
+// Versions, lineage, pinning and rollback of synthesized workflows
+
+const logger = require('../utils/Logger');
+const { createRepositories } = require('../storage');
+
+/**
+ * Workflow Version Manager
+ * Workflows synthesized for the same query cluster (or fingerprint, when
+ * clustering is off) form one lineage. Each synthesis becomes the next
+ * version of that lineage, linked to its parent with a diff of what changed,
+ * instead of an unrelated workflow. Cluster ids change as clusters grow, so
+ * a new workflow continues the lineage that already serves most of its
+ * fingerprints.
+ *
+ * At most one version of a lineage serves live traffic. Activating a version
+ * retires the previously active one, and the active versions of other
+ * lineages whose fingerprints it now serves; a pinned version keeps serving
+ * until it is unpinned, and a rollback re-activates an earlier version.
+ *
+ * Statuses: [pending_review ->] shadow -> active -> retired, plus rejected,
+ * superseded (a newer version was submitted for review or shadow rollout)
+ * and rolled_back.
+ */
+class WorkflowVersionManager {
+    constructor(config = {}) {
+        this.workflows = (config.repositories || createRepositories(config)).workflows;
+    }
+
+    lineageKey(workflow) {
+        return workflow.lineageKey || workflow.clusterId || workflow.questionFingerprint;
+    }
+
+    fingerprints(workflow) {
+        return workflow.questionFingerprints || [workflow.questionFingerprint];
+    }
+
+    /**
+     * The lineage a new workflow continues: the one whose versions serve
+     * most of its fingerprints, or a new lineage when none does
+     */
+    async resolveLineageKey(workflow) {
+        if (workflow.lineageKey) return workflow.lineageKey;
+
+        const overlap = new Map();
+        for (const fingerprint of this.fingerprints(workflow)) {
+            const keys = new Set((await this.workflows.findByFingerprint(fingerprint)).map(item => this.lineageKey(item)));
+            keys.forEach(key => overlap.set(key, (overlap.get(key) || 0) + 1));
+        }
+
+        let best = null;
+        overlap.forEach((count, key) => {
+            if (!best || count > overlap.get(best)) best = key;
+        });
+
+        return best || this.lineageKey(workflow);
+    }
+
+    /**
+     * Stamp a new workflow as the next version of its lineage. Returns null
+     * when it is identical to a version still under review, in shadow or in
+     * service, so re-mining an unchanged pattern does not redeploy it.
+     */
+    async createVersion(workflow) {
+        const lineageKey = await this.resolveLineageKey(workflow);
+        const versions = await this.getLineage(lineageKey);
+        const parent = this.currentVersion(versions) || versions[versions.length - 1] || null;
+        const version = versions.reduce((max, item) => Math.max(max, item.version || 0), 0) + 1;
+        const changesFromParent = parent ? this.diff(parent, workflow) : null;
+
+        if (parent && ['pending_review', 'shadow', 'active'].includes(parent.status) && this.isUnchanged(changesFromParent)) {
+            logger.debug(`Not versioning ${lineageKey}: nothing changed since ${parent.versionId}`);
+            return null;
+        }
+
+        return {
+            ...workflow,
+            lineageKey,
+            version,
+            versionId: `${lineageKey}@v${version}`,
+            parentWorkflowId: parent ? parent.workflowId : null,
+            parentVersion: parent ? parent.version : null,
+            changesFromParent
+        };
+    }
+
+    /**
+     * All versions of a lineage, oldest first
+     */
+    async getLineage(lineageKey) {
+        return this.workflows.findByLineage(lineageKey);
+    }
+
+    /**
+     * The version serving live traffic: the pinned one if any, otherwise
+     * the newest active one
+     */
+    async getActiveVersion(lineageKey) {
+        return this.currentVersion(await this.getLineage(lineageKey));
+    }
+
+    currentVersion(versions) {
+        const pinned = versions.find(item => item.pinned);
+        if (pinned) return pinned;
+
+        const active = versions.filter(item => item.status === 'active');
+        return active[active.length - 1] || null;
+    }
+
+    /**
+     * The version serving a fingerprint among active versions of possibly
+     * several lineages. Version numbers only order versions within one
+     * lineage, so lineages are compared by when their version went live.
+     */
+    servingVersion(candidates) {
+        const lineages = new Map();
+        candidates.forEach(item => {
+            const key = this.lineageKey(item);
+            lineages.set(key, [...(lineages.get(key) || []), item]);
+        });
+
+        const current = [...lineages.values()]
+            .map(versions => this.currentVersion(versions.sort((a, b) => (a.version || 0) - (b.version || 0))))
+            .filter(Boolean);
+
+        return current.find(item => item.pinned) || current.sort((a, b) => this.liveSince(b) - this.liveSince(a))[0] || null;
+    }
+
+    liveSince(workflow) {
+        return workflow.statusChangedAt || workflow.deployedAt || 0;
+    }
+
+    async getVersion(lineageKey, version) {
+        const match = (await this.getLineage(lineageKey)).find(item => item.version === version);
+
+        if (!match) {
+            throw new Error(`No version ${version} in lineage ${lineageKey}`);
+        }
+
+        return match;
+    }
+
+    /**
+     * Put a version into service and retire the other active versions of
+     * its lineage, and those of other lineages serving its fingerprints.
+     * Pinned versions are left alone.
+     */
+    async activate(workflow) {
+        const lineageKey = this.lineageKey(workflow);
+        const versions = await this.getLineage(lineageKey);
+
+        for (const item of versions) {
+            if (item.workflowId !== workflow.workflowId && item.status === 'active' && !item.pinned) {
+                await this.setStatus(item, 'retired');
+            }
+        }
+
+        for (const fingerprint of this.fingerprints(workflow)) {
+            const others = (await this.workflows.findByFingerprint(fingerprint, 'active'))
+                .filter(item => this.lineageKey(item) !== lineageKey && !item.pinned);
+
+            for (const item of others) {
+                await this.setStatus(item, 'retired');
+                logger.info(`Retired ${item.versionId}: ${fingerprint} is now served by lineage ${lineageKey}`);
+            }
+        }
+
+        await this.setStatus(workflow, 'active');
+
+        const pinned = versions.find(item => item.pinned && item.workflowId !== workflow.workflowId);
+        if (pinned) {
+            logger.info(`Activated ${workflow.versionId}, but ${pinned.versionId} stays in service while pinned`);
+        } else {
+            logger.info(`Activated ${workflow.versionId}`);
+        }
+
+        return workflow;
+    }
+
+    /**
+     * Take the other shadow versions of a workflow's lineage out of rollout
+     * once it enters shadow itself
+     */
+    async supersedeShadows(workflow) {
+        const versions = await this.getLineage(this.lineageKey(workflow));
+
+        for (const item of versions) {
+            if (item.workflowId !== workflow.workflowId && item.status === 'shadow') {
+                await this.setStatus(item, 'superseded');
+                logger.info(`Superseded ${item.versionId} in shadow rollout by ${workflow.versionId}`);
+            }
+        }
+    }
+
+    /**
+     * Serve a specific version regardless of newer promotions
+     */
+    async pin(lineageKey, version) {
+        const versions = await this.getLineage(lineageKey);
+        const target = versions.find(item => item.version === version);
+
+        if (!target) {
+            throw new Error(`No version ${version} in lineage ${lineageKey}`);
+        }
+
+        for (const item of versions) {
+            if (item.pinned && item.workflowId !== target.workflowId) {
+                await this.setPinned(item, false);
+            }
+        }
+
+        await this.setPinned(target, true);
+        if (target.status !== 'active') {
+            await this.setStatus(target, 'active');
+        }
+
+        logger.info(`Pinned ${target.versionId}`);
+        return target;
+    }
+
+    async unpin(lineageKey) {
+        const versions = await this.getLineage(lineageKey);
+
+        for (const item of versions.filter(v => v.pinned)) {
+            await this.setPinned(item, false);
+        }
+
+        // The newest active version takes over again
+        const current = this.currentVersion(versions);
+        return current ? this.activate(current) : null;
+    }
+
+    /**
+     * Take the current version out of service and re-activate an earlier
+     * one (its parent by default)
+     */
+    async rollback(lineageKey, toVersion = null) {
+        const versions = await this.getLineage(lineageKey);
+        const current = this.currentVersion(versions);
+
+        if (!current) {
+            throw new Error(`Lineage ${lineageKey} has no version in service`);
+        }
+
+        const targetVersion = toVersion !== null ? toVersion : current.parentVersion;
+        const target = versions.find(item => item.version === targetVersion);
+
+        if (!target || target.workflowId === current.workflowId) {
+            throw new Error(`Cannot roll back ${current.versionId} to version ${targetVersion}`);
+        }
+
+        if (current.pinned) {
+            await this.setPinned(current, false);
+        }
+        await this.setStatus(current, 'rolled_back');
+
+        logger.warn(`Rolled back ${current.versionId} to ${target.versionId}`);
+        return this.activate(target);
+    }
+
+    /**
+     * Structural differences between two versions
+     */
+    diff(from, to) {
+        const fromStates = from.states || {};
+        const toStates = to.states || {};
+
+        const added = Object.keys(toStates).filter(name => !(name in fromStates));
+        const removed = Object.keys(fromStates).filter(name => !(name in toStates));
+        const changed = Object.keys(toStates)
+            .filter(name => name in fromStates)
+            .filter(name => JSON.stringify(fromStates[name]) !== JSON.stringify(toStates[name]));
+
+        const fromGuarantees = from.outputContract?.guarantees || [];
+        const toGuarantees = to.outputContract?.guarantees || [];
+        const fromRequired = from.inputContract?.required || [];
+        const toRequired = to.inputContract?.required || [];
+        const fromFingerprints = this.fingerprints(from);
+        const toFingerprints = this.fingerprints(to);
+
+        return {
+            states: { added, removed, changed },
+            questionFingerprints: {
+                added: toFingerprints.filter(fingerprint => !fromFingerprints.includes(fingerprint)),
+                removed: fromFingerprints.filter(fingerprint => !toFingerprints.includes(fingerprint))
+            },
+            inputContract: {
+                requiredAdded: toRequired.filter(field => !fromRequired.includes(field)),
+                requiredRemoved: fromRequired.filter(field => !toRequired.includes(field))
+            },
+            outputContract: {
+                guaranteesAdded: toGuarantees.filter(field => !fromGuarantees.includes(field)),
+                guaranteesRemoved: fromGuarantees.filter(field => !toGuarantees.includes(field))
+            },
+            confidenceDelta: (to.confidence || 0) - (from.confidence || 0)
+        };
+    }
+
+    /**
+     * Whether a diff has no structural, contract or fingerprint changes;
+     * a confidence delta alone does not make a new version
+     */
+    isUnchanged(changes) {
+        return [changes.states, changes.questionFingerprints, changes.inputContract, changes.outputContract]
+            .every(group => Object.values(group).every(list => list.length === 0));
+    }
+
+    async setStatus(workflow, status) {
+        await this.workflows.update(workflow.workflowId, { status, statusChangedAt: Date.now() });
+
+        workflow.status = status;
+    }
+
+    async setPinned(workflow, pinned) {
+        await this.workflows.update(workflow.workflowId, { pinned });
+
+        workflow.pinned = pinned;
+    }
+}
+
+module.exports = WorkflowVersionManager;
@@ -0,0 +1,566 @@
+// export/AslExporter.js
+// Translates synthesized workflows into Amazon States Language
+
+// Scope variables every workflow has; other paths are looked up in the input
+const SCOPE_ROOTS = ['input', 'context', 'item', 'itemIndex', 'final_output'];
+
+const WHOLE_PLACEHOLDER = /^\s*\$\{([^}]+)\}\s*$/;
+const COMPARISON = /^\$\{([^}]+)\}\s*(==|!=|>=|<=|>|<|=|not in|in)\s*(.+)$/;
+
+const STRING_OPERATORS = { '==': 'StringEquals', '>': 'StringGreaterThan', '>=': 'StringGreaterThanEquals', '<': 'StringLessThan', '<=': 'StringLessThanEquals' };
+const NUMERIC_OPERATORS = { '==': 'NumericEquals', '>': 'NumericGreaterThan', '>=': 'NumericGreaterThanEquals', '<': 'NumericLessThan', '<=': 'NumericLessThanEquals' };
+
+/**
+ * ASL Exporter
+ * `export(workflow)` returns a state machine definition that runs the
+ * workflow on AWS Step Functions. The execution input is the executor's
+ * scope, `{ input, context }`; every task writes its result to the path of
+ * its output variable (`${fetch_logs_output}` becomes `$.fetch_logs_output`)
+ * and reads its Parameters from there, so the input mappings carry over.
+ *
+ * - validation: a Pass state (contracts are not checked)
+ * - task: a Task with Retry, TimeoutSeconds and, for `errorHandler: 'skip'`,
+ *   a Catch that continues with the next state. `lambda:` actions invoke
+ *   the Lambda function of that name, other actions an activity named
+ *   `<type>-<name>` for a worker to serve
+ * - choice: a Choice whose rules are compiled from the conditions
+ * - parallel: a Parallel over the branch chains; a Pass state after it
+ *   merges the branch results back into the document
+ * - loop: Choice states that count iterations in `$.<loop>_counter` and
+ *   exit on the exit condition or at maxIterations
+ * - map: a Map over `itemsPath` with `item` and `itemIndex` selected for
+ *   every item, one at a time
+ * - fail / end: Fail / Succeed (or a Pass building the end output)
+ *
+ * Resource ARNs use `awsRegion` and `awsAccountId`, or the `${Region}` and
+ * `${AccountId}` placeholders for DefinitionSubstitutions. Conditions
+ * outside the TemplateProcessor syntax throw.
+ */
+class AslExporter {
+    constructor(config = {}) {
+        this.region = config.awsRegion || '${Region}';
+        this.accountId = config.awsAccountId || '${AccountId}';
+    }
+
+    export(workflow) {
+        const states = workflow.states || {};
+        const nested = this.nestedStates(states);
+        const variables = this.scopeVariables(states);
+
+        const definition = {
+            Comment: `${workflow.name || workflow.workflowId} (${workflow.versionId || workflow.workflowId})`,
+            StartAt: workflow.startAt,
+            States: {}
+        };
+
+        Object.keys(states)
+            .filter(name => !nested.has(name))
+            .forEach(name => Object.assign(definition.States, this.exportState(name, states, variables)));
+
+        return definition;
+    }
+
+    /**
+     * ASL states for one state; loops and parallel states need helpers
+     */
+    exportState(name, states, variables) {
+        const state = states[name];
+        const next = target => this.transition(target || 'end', states);
+
+        switch (state.type) {
+            case 'validation':
+                return { [name]: { Type: 'Pass', Comment: 'Input contract validation', ...next(state.goto) } };
+
+            case 'task':
+                return { [name]: this.exportTask(name, state, states, variables) };
+
+            case 'choice':
+                return { [name]: this.exportChoice(name, state, states, variables) };
+
+            case 'parallel':
+                return this.exportParallel(name, state, states, variables);
+
+            case 'loop':
+                return this.exportLoop(name, state, states, variables);
+
+            case 'map':
+                return { [name]: this.exportMap(name, state, states, variables) };
+
+            case 'fail':
+                return { [name]: { Type: 'Fail', Error: state.error || 'WorkflowFailed', Cause: state.cause || `Reached ${name}` } };
+
+            case 'end':
+                return { [name]: this.exportEnd(state, variables) };
+
+            default:
+                throw new Error(`Cannot export state ${name} of type '${state.type}' to ASL`);
+        }
+    }
+
+    exportTask(name, state, states, variables, next = this.transition(state.goto || 'end', states)) {
+        const task = {
+            Type: 'Task',
+            Resource: this.resourceFor(state.actionIdentifier, name),
+            Parameters: this.parameters(state.input || {}, variables),
+            ResultPath: `$.${this.outputVariable(name, state)}`
+        };
+
+        if (state.timeout) {
+            task.TimeoutSeconds = Math.ceil(state.timeout / 1000);
+        }
+
+        // maxAttempts counts the first attempt; the executor doubles the delay
+        if (state.retry?.maxAttempts > 1) {
+            task.Retry = [{
+                ErrorEquals: ['States.ALL'],
+                MaxAttempts: state.retry.maxAttempts - 1,
+                IntervalSeconds: Math.max(1, Math.round((state.retry.backoffMs || 0) / 1000)),
+                BackoffRate: 2
+            }];
+        }
+
+        if (state.errorHandler === 'skip') {
+            task.Catch = [{
+                ErrorEquals: ['States.ALL'],
+                ResultPath: `$.errors.${name}`,
+                Next: next.Next || `${name}_skipped`
+            }];
+        }
+
+        return { ...task, ...next };
+    }
+
+    exportChoice(name, state, states, variables) {
+        const choices = [];
+        let fallback = state.default || 'end';
+
+        for (const choice of state.choices || []) {
+            const condition = typeof choice.condition === 'string' ? choice.condition.trim() : choice.condition;
+
+            // Constant conditions decide the choice without a rule
+            if (condition === false || condition === 'false') continue;
+            if (condition === true || condition === 'true' || !condition) {
+                fallback = choice.goto;
+                break;
+            }
+
+            choices.push({ ...this.compileCondition(condition, variables), Next: this.target(choice.goto, states) });
+        }
+
+        if (choices.length === 0) {
+            return { Type: 'Pass', Comment: `Choice ${name} always takes ${fallback}`, ...this.transition(fallback, states) };
+        }
+
+        return { Type: 'Choice', Choices: choices, Default: this.target(fallback, states) };
+    }
+
+    /**
+     * Branch chains become sub-machines. Each branch ends with its own
+     * document, so the Parallel collects their task results and the join
+     * state merges them into the workflow document.
+     */
+    exportParallel(name, state, states, variables) {
+        const resultSelector = {};
+
+        const branches = state.branches.map((branch, i) => {
+            this.chain(branch, states).forEach(task => {
+                const variable = this.outputVariable(task, states[task]);
+                resultSelector[`${variable}.$`] = `$[${i}].${variable}`;
+            });
+            return this.branchMachine(branch, states, variables);
+        });
+
+        const join = `${name}_join`;
+        const parallel = {
+            Type: 'Parallel',
+            Branches: branches,
+            ResultSelector: resultSelector,
+            ResultPath: `$.${name}_output`,
+            Next: join
+        };
+
+        if (state.errorHandler === 'skip') {
+            parallel.Catch = [{ ErrorEquals: ['States.ALL'], ResultPath: `$.errors.${name}`, ...this.transition(state.goto || 'end', states) }];
+        }
+
+        return {
+            [name]: parallel,
+            [join]: {
+                Type: 'Pass',
+                Parameters: { 'document.$': `States.JsonMerge($, $.${name}_output, false)` },
+                OutputPath: '$.document',
+                ...this.transition(state.goto || 'end', states)
+            }
+        };
+    }
+
+    /**
+     * The loop state is entered before every iteration, as in the executor.
+     * `$.<loop>_counter.value` holds the index of the current iteration
+     * (`${<loop>_iteration}`): `<loop>_init` sets it to -1 on first entry and
+     * `<loop>_next` advances it and enters the body, whose last task jumps
+     * back to the loop state. The exit condition is tested by a Choice of
+     * its own, `<loop>_exit`, once the body has run and its results exist.
+     */
+    exportLoop(name, state, states, variables) {
+        const counter = variables.get(`${name}_iteration`);
+        const exit = this.transition(state.goto || 'end', states);
+        const loop = {
+            [name]: {
+                Type: 'Choice',
+                Choices: [
+                    { Variable: counter, IsPresent: false, Next: `${name}_init` },
+                    { Variable: counter, NumericGreaterThanEquals: state.maxIterations - 1, Next: exit.Next },
+                    { Variable: counter, NumericLessThan: 0, Next: `${name}_next` }
+                ],
+                Default: state.exitCondition ? `${name}_exit` : `${name}_next`
+            }
+        };
+
+        if (state.exitCondition) {
+            loop[`${name}_exit`] = {
+                Type: 'Choice',
+                Choices: [{ ...this.compileCondition(state.exitCondition, variables), ...exit }],
+                Default: `${name}_next`
+            };
+        }
+
+        return {
+            ...loop,
+            [`${name}_init`]: {
+                Type: 'Pass',
+                Result: { value: -1 },
+                ResultPath: `$.${name}_counter`,
+                Next: name
+            },
+            [`${name}_next`]: {
+                Type: 'Pass',
+                Parameters: { 'value.$': `States.MathAdd(${counter}, 1)` },
+                ResultPath: `$.${name}_counter`,
+                Next: state.iterator
+            }
+        };
+    }
+
+    exportMap(name, state, states, variables) {
+        const items = String(state.itemsPath).match(WHOLE_PLACEHOLDER);
+
+        if (!items) {
+            throw new Error(`Cannot export map state ${name}: itemsPath ${state.itemsPath} is not a single placeholder`);
+        }
+
+        return {
+            Type: 'Map',
+            ItemsPath: this.jsonPath(items[1].trim(), variables),
+            ItemSelector: {
+                'item.$': '$$.Map.Item.Value',
+                'itemIndex.$': '$$.Map.Item.Index',
+                'input.$': '$.input',
+                'context.$': '$.context'
+            },
+            ItemProcessor: {
+                ProcessorConfig: { Mode: 'INLINE' },
+                ...this.branchMachine(state.iterator, states, variables, true)
+            },
+            // The executor runs the items in order, one at a time
+            MaxConcurrency: 1,
+            ResultPath: `$.${this.outputVariable(name, state)}`,
+            ...this.transition(state.goto || 'end', states)
+        };
+    }
+
+    /**
+     * Sub-machine of a branch or iterator chain. The last task ends it; an
+     * optional task there is caught by a Pass state that ends it instead.
+     * An iterator returns the last task's result, as the executor collects.
+     */
+    branchMachine(start, states, variables, returnsResult = false) {
+        const machine = { StartAt: start, States: {} };
+
+        this.chain(start, states).forEach(name => {
+            const state = states[name];
+            const variable = this.outputVariable(name, state);
+            const last = !state.goto;
+            const end = returnsResult ? { OutputPath: `$.${variable}`, End: true } : { End: true };
+
+            machine.States[name] = this.exportTask(name, state, states, variables, last ? end : { Next: state.goto });
+            if (last && state.errorHandler === 'skip') {
+                machine.States[`${name}_skipped`] = returnsResult
+                    ? { Type: 'Pass', Result: null, End: true }
+                    : { Type: 'Pass', End: true };
+            }
+        });
+
+        return machine;
+    }
+
+    /**
+     * A single-placeholder output selects part of the document; an object
+     * output is built by a Pass state. The executor's `${final_output}`
+     * (the last task result) has no ASL counterpart, so the whole document
+     * is returned instead.
+     */
+    exportEnd(state, variables) {
+        const output = state.output || '${final_output}';
+        const whole = typeof output === 'string' && output.match(WHOLE_PLACEHOLDER);
+
+        if (whole) {
+            const path = whole[1].trim();
+            return path === 'final_output'
+                ? { Type: 'Succeed' }
+                : { Type: 'Succeed', OutputPath: this.jsonPath(path, variables) };
+        }
+
+        return { Type: 'Pass', Parameters: this.parameters(output, variables), End: true };
+    }
+
+    transition(target, states) {
+        return { Next: this.target(target, states) };
+    }
+
+    target(name, states) {
+        if (!states[name]) {
+            throw new Error(`Cannot export transition to missing state ${name}`);
+        }
+        return name;
+    }
+
+    /**
+     * Names of the states inside parallel branches and map iterators; they
+     * move into the sub-machines of their Parallel and Map states
+     */
+    nestedStates(states) {
+        const nested = new Set();
+
+        Object.values(states).forEach(state => {
+            if (state.type === 'parallel') {
+                state.branches.forEach(branch => this.chain(branch, states).forEach(name => nested.add(name)));
+            } else if (state.type === 'map') {
+                this.chain(state.iterator, states).forEach(name => nested.add(name));
+            }
+        });
+
+        return nested;
+    }
+
+    /**
+     * States a branch runs: it follows `goto` from its first task until a
+     * state without one
+     */
+    chain(start, states) {
+        const names = [];
+        let current = start;
+
+        while (current && !names.includes(current)) {
+            const state = states[current];
+            if (!state) {
+                throw new Error(`Cannot export branch: missing state ${current}`);
+            }
+            if (state.type !== 'task') {
+                throw new Error(`Cannot export branch state ${current} of type '${state.type}' to ASL`);
+            }
+
+            names.push(current);
+            current = state.goto;
+        }
+
+        return names;
+    }
+
+    /**
+     * JSONPath of every scope variable the workflow defines
+     */
+    scopeVariables(states) {
+        const variables = new Map(SCOPE_ROOTS.map(root => [root, `$.${root}`]));
+
+        Object.entries(states).forEach(([name, state]) => {
+            if (state.type === 'task' || state.type === 'map') {
+                const variable = this.outputVariable(name, state);
+                variables.set(variable, `$.${variable}`);
+            } else if (state.type === 'loop') {
+                variables.set(`${name}_iteration`, `$.${name}_counter.value`);
+            } else if (state.type === 'parallel') {
+                variables.set(`${name}_output`, `$.${name}_output`);
+            }
+        });
+
+        return variables;
+    }
+
+    outputVariable(stateName, state) {
+        const match = typeof state.output === 'string' && state.output.match(/^\$\{([^}]+)\}$/);
+        return match ? match[1] : `${stateName}_output`;
+    }
+
+    /**
+     * `lambda:<name>` invokes the function directly, which returns its
+     * payload; anything else is served by an activity worker
+     */
+    resourceFor(actionIdentifier, stateName) {
+        const [type, ...rest] = String(actionIdentifier || `activity:${stateName}`).split(':');
+        const name = rest.join(':') || stateName;
+
+        if (type === 'lambda') {
+            return `arn:aws:lambda:${this.region}:${this.accountId}:function:${name}`;
+        }
+
+        const activity = type === 'activity' ? name : `${type}-${name}`;
+        return `arn:aws:states:${this.region}:${this.accountId}:activity:${activity.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    }
+
+    /**
+     * Input mapping to Parameters: placeholders become JSONPath fields
+     * (`'service.$': '$.input.service'`), strings that embed placeholders
+     * States.Format calls
+     */
+    parameters(template, variables) {
+        if (template === null || typeof template !== 'object' || Array.isArray(template)) {
+            throw new Error('Cannot export an input mapping that is not an object to ASL Parameters');
+        }
+
+        const parameters = {};
+        Object.entries(template).forEach(([key, value]) => {
+            if (typeof value === 'string' && value.includes('${')) {
+                parameters[`${key}.$`] = this.stringValue(value, variables);
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                parameters[key] = this.parameters(value, variables);
+            } else {
+                parameters[key] = value;
+            }
+        });
+        return parameters;
+    }
+
+    stringValue(template, variables) {
+        const whole = template.match(WHOLE_PLACEHOLDER);
+        if (whole) return this.jsonPath(whole[1].trim(), variables);
+
+        const paths = [];
+        const format = template
+            .replace(/[{}\\']/g, match => `\\${match}`)
+            .replace(/\$\\\{([^}\\]+)\\\}/g, (match, path) => {
+                paths.push(this.jsonPath(path.trim(), variables));
+                return '{}';
+            });
+
+        return `States.Format('${format}', ${paths.join(', ')})`;
+    }
+
+    /**
+     * JSONPath of a scope path. Like TemplateProcessor.lookup, a path that
+     * is not a scope variable is read from the input.
+     */
+    jsonPath(path, variables) {
+        const [root, ...rest] = path.split('.');
+        const base = variables.get(root) || `$.input.${root}`;
+        return [base, ...rest].join('.');
+    }
+
+    /**
+     * Choice rule for a condition: disjuncts of `&&`-joined comparisons,
+     * as TemplateProcessor.evaluateCondition reads them
+     */
+    compileCondition(expression, variables) {
+        const disjuncts = String(expression).split('||').map(disjunct => {
+            const terms = disjunct.split('&&').map(term => this.compileComparison(term.trim(), variables));
+            return terms.length === 1 ? terms[0] : { And: terms };
+        });
+
+        return disjuncts.length === 1 ? disjuncts[0] : { Or: disjuncts };
+    }
+
+    compileComparison(term, variables) {
+        const unwrapped = term.replace(/^\((.*)\)$/, '$1').trim();
+        const match = unwrapped.match(COMPARISON);
+
+        if (!match) {
+            const bare = unwrapped.match(WHOLE_PLACEHOLDER);
+            if (!bare) {
+                throw new Error(`Cannot export condition '${term}' to ASL`);
+            }
+
+            // Truthiness, as far as ASL can test it
+            const variable = this.jsonPath(bare[1].trim(), variables);
+            return {
+                And: [
+                    { Variable: variable, IsPresent: true },
+                    { Not: { Variable: variable, IsNull: true } },
+                    { Not: { Variable: variable, BooleanEquals: false } },
+                    { Not: { Variable: variable, StringEquals: '' } },
+                    { Not: { Variable: variable, NumericEquals: 0 } }
+                ]
+            };
+        }
+
+        const variable = this.jsonPath(match[1].trim(), variables);
+        const operator = match[2] === '=' ? '==' : match[2];
+        const literal = this.parseLiteral(match[3].trim());
+
+        switch (operator) {
+            case '!=':
+                return { Not: this.equals(variable, literal) };
+            case 'in':
+                return this.anyOf(variable, literal);
+            case 'not in':
+                return { Not: this.anyOf(variable, literal) };
+            case '==':
+                return this.equals(variable, literal);
+            default:
+                return this.ordering(variable, operator, literal);
+        }
+    }
+
+    /**
+     * The executor compares numbers numerically and everything else as
+     * strings, so a numeric or boolean-looking string literal (mined guards
+     * are always quoted) matches those values too
+     */
+    equals(variable, literal) {
+        if (literal === null) return { Variable: variable, IsNull: true };
+        if (typeof literal === 'boolean') return { Variable: variable, BooleanEquals: literal };
+        if (typeof literal === 'number') return { Variable: variable, NumericEquals: literal };
+
+        const text = String(literal);
+        const alternatives = [{ Variable: variable, StringEquals: text }];
+        if (this.isNumeric(text)) {
+            alternatives.push({ Variable: variable, NumericEquals: Number(text) });
+        } else if (text === 'true' || text === 'false') {
+            alternatives.push({ Variable: variable, BooleanEquals: text === 'true' });
+        }
+        return alternatives.length === 1 ? alternatives[0] : { Or: alternatives };
+    }
+
+    ordering(variable, operator, literal) {
+        if (typeof literal === 'number' || (typeof literal === 'string' && this.isNumeric(literal))) {
+            return { Variable: variable, [NUMERIC_OPERATORS[operator]]: Number(literal) };
+        }
+        if (typeof literal === 'string') {
+            return { Variable: variable, [STRING_OPERATORS[operator]]: literal };
+        }
+        throw new Error(`Cannot export comparison ${operator} ${JSON.stringify(literal)} to ASL`);
+    }
+
+    anyOf(variable, literal) {
+        const options = Array.isArray(literal) ? literal : String(literal).split('|').map(v => v.trim());
+        const rules = options.map(option => this.equals(variable, option));
+        return rules.length === 1 ? rules[0] : { Or: rules };
+    }
+
+    parseLiteral(raw) {
+        if (/^".*"$/.test(raw) || /^'.*'$/.test(raw)) {
+            return raw.slice(1, -1);
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    isNumeric(text) {
+        return text.trim() !== '' && Number.isFinite(Number(text));
+    }
+}
+
+module.exports = AslExporter;
@@ -0,0 +1,445 @@
+// export/AslImporter.js
+// Turns hand-authored Amazon States Language definitions into workflows
+
+const NUMERIC_OPERATORS = { NumericEquals: '==', NumericGreaterThan: '>', NumericGreaterThanEquals: '>=', NumericLessThan: '<', NumericLessThanEquals: '<=' };
+const STRING_OPERATORS = { StringEquals: '==', StringGreaterThan: '>', StringGreaterThanEquals: '>=', StringLessThan: '<', StringLessThanEquals: '<=' };
+const NEGATED = { '==': '!=', '!=': '==', '>': '<=', '>=': '<', '<': '>=', '<=': '>' };
+
+// Error names a Retry or Catch may list to mean "any task failure"
+const ANY_ERROR = ['States.ALL', 'States.TaskFailed', 'States.Timeout'];
+
+/**
+ * ASL Importer
+ * `import(definition)` converts a state machine definition into the
+ * workflow format WorkflowExecutor runs, for use as a deterministic
+ * workflow (see DFHAAgent.registerDeterministicWorkflow).
+ *
+ * JSONPaths become placeholders looked up in the executor's scope, so `$.x`
+ * is a task result stored at `$.x`, else the request input field `x`. Every
+ * task result is stored under its ResultPath (`$.name`) or else as
+ * `${<state>_output}`; a task without Parameters receives the request
+ * input, and a lambda:invoke result is the function's payload itself.
+ * Inside a Map, `$` is the item, or the fields of its ItemSelector.
+ *
+ * Supported: Task (Lambda functions and service integrations become
+ * `lambda:<function>` and `<service>:<action>` actions, activities
+ * `activity:<name>`), with Retry, TimeoutSeconds and a Catch that
+ * continues with the next state; Choice (every comparison except
+ * timestamps, patterns and *Path variants); Parallel and Map over chains
+ * of tasks; Pass without data (skipped); Succeed and Fail. Anything else,
+ * such as Wait, OutputPath or ResultSelector, throws.
+ */
+class AslImporter {
+    import(definition, { workflowId = null, name = null } = {}) {
+        const asl = typeof definition === 'string' ? JSON.parse(definition) : definition;
+
+        if (!asl?.StartAt || !asl.States) {
+            throw new Error('ASL definition needs StartAt and States');
+        }
+        if (asl.States.end && asl.States.end.Type !== 'Succeed') {
+            throw new Error("ASL state 'end' clashes with the workflow end state");
+        }
+
+        const states = {};
+        const aliases = {};
+        this.importMachine(asl, states, aliases, this.topLevelPaths());
+
+        if (!states.end) {
+            states.end = { type: 'end', output: '${final_output}' };
+        }
+
+        // Transitions skip the data-less Pass states; one that ends a branch ends it
+        const resolve = target => {
+            const seen = new Set();
+            while (target in aliases && !seen.has(target)) {
+                seen.add(target);
+                target = aliases[target];
+            }
+            return target;
+        };
+
+        Object.values(states).forEach(state => {
+            ['goto', 'default', 'iterator'].forEach(key => {
+                if (state[key]) state[key] = resolve(state[key]);
+                if (state[key] === null) delete state[key];
+            });
+            if (state.branches) state.branches = state.branches.map(resolve);
+            (state.choices || []).forEach(choice => { choice.goto = resolve(choice.goto); });
+        });
+
+        return {
+            workflowId: workflowId || `asl_${(name || asl.Comment || asl.StartAt).replace(/[^A-Za-z0-9]+/g, '_').toLowerCase()}`,
+            name: name || asl.Comment || asl.StartAt,
+            source: 'asl',
+            startAt: resolve(asl.StartAt),
+            states
+        };
+    }
+
+    /**
+     * Add the states of a (sub-)machine. `chainOnly` machines, the branches
+     * of Parallel and Map states, may hold only tasks and data-less Pass
+     * states; their last state has no goto.
+     */
+    importMachine(machine, states, aliases, paths, chainOnly = false) {
+        Object.entries(machine.States).forEach(([name, state]) => {
+            if (states[name] || aliases[name]) {
+                throw new Error(`ASL state name ${name} is used twice`);
+            }
+
+            const next = state.End ? (chainOnly ? null : 'end') : state.Next;
+            if (chainOnly && !['Task', 'Pass'].includes(state.Type)) {
+                throw new Error(`ASL state ${name}: only Task and Pass states are supported inside Parallel and Map`);
+            }
+
+            switch (state.Type) {
+                case 'Task':
+                    states[name] = this.importTask(name, state, next, paths);
+                    break;
+
+                case 'Pass':
+                    this.checkFields(name, state, ['Type', 'Next', 'End', 'Comment']);
+                    aliases[name] = next;
+                    break;
+
+                case 'Choice':
+                    states[name] = this.importChoice(name, state, states, paths);
+                    break;
+
+                case 'Parallel':
+                    // Branch tasks store their results in the shared scope, so
+                    // the Parallel's own ResultPath is not needed
+                    this.checkFields(name, state, ['Type', 'Next', 'End', 'Comment', 'Branches', 'ResultPath', 'Catch']);
+                    states[name] = {
+                        type: 'parallel',
+                        branches: state.Branches.map(branch => {
+                            this.importMachine(branch, states, aliases, paths, true);
+                            return branch.StartAt;
+                        }),
+                        errorHandler: this.errorHandler(name, state),
+                        goto: next
+                    };
+                    break;
+
+                case 'Map':
+                    states[name] = this.importMap(name, state, next, states, aliases, paths);
+                    break;
+
+                case 'Succeed':
+                    this.checkFields(name, state, ['Type', 'Comment', 'OutputPath']);
+                    states[name] = {
+                        type: 'end',
+                        output: state.OutputPath ? this.template(state.OutputPath, paths) : '${final_output}'
+                    };
+                    break;
+
+                case 'Fail':
+                    states[name] = { type: 'fail', error: state.Error || 'States.Fail', cause: state.Cause || null };
+                    break;
+
+                default:
+                    throw new Error(`ASL state ${name}: ${state.Type} states are not supported`);
+            }
+        });
+    }
+
+    importTask(name, state, next, paths) {
+        this.checkFields(name, state, ['Type', 'Next', 'End', 'Comment', 'Resource', 'Parameters', 'InputPath',
+            'ResultPath', 'Retry', 'Catch', 'TimeoutSeconds']);
+
+        const { actionIdentifier, parameters } = this.action(name, state);
+        const task = {
+            type: 'task',
+            actionIdentifier,
+            input: this.taskInput(name, state, parameters, paths),
+            output: this.outputTemplate(name, state.ResultPath),
+            required: true,
+            errorHandler: this.errorHandler(name, state)
+        };
+
+        const retrier = (state.Retry || []).find(r => r.ErrorEquals?.some(error => ANY_ERROR.includes(error)));
+        if (retrier && retrier.MaxAttempts !== 0) {
+            task.retry = {
+                maxAttempts: (retrier.MaxAttempts === undefined ? 3 : retrier.MaxAttempts) + 1,
+                backoffMs: (retrier.IntervalSeconds === undefined ? 1 : retrier.IntervalSeconds) * 1000
+            };
+        }
+        if (state.TimeoutSeconds) {
+            task.timeout = state.TimeoutSeconds * 1000;
+        }
+        if (next) {
+            task.goto = next;
+        }
+
+        return task;
+    }
+
+    /**
+     * Action identifier of a Task's Resource, and the Parameters that form
+     * the action input (the Payload of a lambda:invoke integration)
+     */
+    action(name, state) {
+        const resource = String(state.Resource || '');
+        const parameters = state.Parameters;
+
+        const lambda = resource.match(/^arn:aws[\w-]*:lambda:[^:]*:[^:]*:function:([^:]+)/);
+        if (lambda) return { actionIdentifier: `lambda:${lambda[1]}`, parameters };
+
+        const activity = resource.match(/^arn:aws[\w-]*:states:[^:]*:[^:]*:activity:(.+)$/);
+        if (activity) return { actionIdentifier: `activity:${activity[1]}`, parameters };
+
+        const integration = resource.match(/^arn:aws[\w-]*:states:::([\w-]+):([\w-]+)/);
+        if (integration && integration[1] === 'lambda') {
+            const functionName = String(parameters?.FunctionName || '').split(':function:').pop().split(':')[0];
+            if (!functionName) {
+                throw new Error(`ASL state ${name}: lambda:invoke needs a literal FunctionName`);
+            }
+            const payload = parameters['Payload.$'] !== undefined ? parameters['Payload.$'] : parameters.Payload;
+            return { actionIdentifier: `lambda:${functionName}`, parameters: payload };
+        }
+        if (integration) {
+            return { actionIdentifier: `${integration[1]}:${integration[2]}`, parameters };
+        }
+
+        throw new Error(`ASL state ${name}: unsupported Resource ${resource}`);
+    }
+
+    taskInput(name, state, parameters, paths) {
+        // A lambda:invoke Payload may be a path of its own
+        if (typeof parameters === 'string') {
+            return this.expression(name, parameters, paths);
+        }
+        if (parameters !== undefined) {
+            return this.parameters(name, parameters, paths);
+        }
+        return this.template(state.InputPath || '$', paths);
+    }
+
+    /**
+     * Parameters to an input mapping: `'x.$': '$.service'` becomes
+     * `x: '${service}'`, States.Format an interpolated string
+     */
+    parameters(name, parameters, paths) {
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            return parameters;
+        }
+
+        const input = {};
+        Object.entries(parameters).forEach(([key, value]) => {
+            if (key.endsWith('.$')) {
+                input[key.slice(0, -2)] = this.expression(name, value, paths);
+            } else {
+                input[key] = this.parameters(name, value, paths);
+            }
+        });
+        return input;
+    }
+
+    expression(name, value, paths) {
+        const format = String(value).match(/^States\.Format\('((?:[^'\\]|\\.)*)'\s*((?:,\s*[^,)]+)*)\)$/);
+        if (format) {
+            const args = format[2].split(',').map(arg => arg.trim()).filter(Boolean);
+            let index = 0;
+            return format[1]
+                .replace(/(^|[^\\])\{\}/g, (match, prefix) => `${prefix}${this.template(args[index++], paths)}`)
+                .replace(/\\(.)/g, '$1');
+        }
+        if (String(value).startsWith('States.')) {
+            throw new Error(`ASL state ${name}: intrinsic function ${String(value).split('(')[0]} is not supported`);
+        }
+        return this.template(value, paths);
+    }
+
+    /**
+     * Placeholder for a JSONPath; `paths` maps the document root and the
+     * context object to scope paths
+     */
+    template(jsonPath, paths) {
+        return `\${${this.scopePath(jsonPath, paths)}}`;
+    }
+
+    scopePath(jsonPath, paths) {
+        const path = String(jsonPath).trim();
+        if (/[*?@]|\.\.|\[[^\d]/.test(path)) {
+            throw new Error(`JSONPath ${path} is not supported`);
+        }
+
+        const context = Object.keys(paths.context).find(prefix => path === prefix || path.startsWith(`${prefix}.`));
+        if (context) {
+            return [paths.context[context], ...this.segments(path.slice(context.length))].join('.');
+        }
+
+        if (!path.startsWith('$')) {
+            throw new Error(`JSONPath ${path} must start with $`);
+        }
+
+        const segments = this.segments(path.slice(1));
+        return paths.root(segments);
+    }
+
+    segments(rest) {
+        return rest.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    }
+
+    topLevelPaths() {
+        return {
+            root: segments => (segments.length === 0 ? 'input' : segments.join('.')),
+            context: { '$$.Execution.Input': 'input' }
+        };
+    }
+
+    /**
+     * Inside a Map, `$` is the item, or the document its ItemSelector
+     * builds, whose fields map to scope paths
+     */
+    itemPaths(name, selector, paths) {
+        const context = { '$$.Map.Item.Value': 'item', '$$.Map.Item.Index': 'itemIndex', '$$.Execution.Input': 'input' };
+
+        if (!selector) {
+            return { root: segments => ['item', ...segments].join('.'), context };
+        }
+
+        const fields = {};
+        Object.entries(selector).forEach(([key, value]) => {
+            if (!key.endsWith('.$')) {
+                throw new Error(`Map state ${name}: ItemSelector field ${key} must be a path`);
+            }
+            fields[key.slice(0, -2)] = this.scopePath(value, { ...paths, context: { ...paths.context, ...context } });
+        });
+
+        return {
+            root: ([field, ...rest]) => {
+                if (!fields[field]) {
+                    throw new Error(`Map state ${name}: $.${field} is not in its ItemSelector`);
+                }
+                return [fields[field], ...rest].join('.');
+            },
+            context
+        };
+    }
+
+    importMap(name, state, next, states, aliases, paths) {
+        this.checkFields(name, state, ['Type', 'Next', 'End', 'Comment', 'ItemsPath', 'ItemSelector', 'Parameters',
+            'Iterator', 'ItemProcessor', 'MaxConcurrency', 'ResultPath']);
+
+        const processor = state.ItemProcessor || state.Iterator;
+        if (processor?.ProcessorConfig?.Mode === 'DISTRIBUTED') {
+            throw new Error(`Map state ${name}: distributed maps are not supported`);
+        }
+
+        this.importMachine(processor, states, aliases, this.itemPaths(name, state.ItemSelector || state.Parameters, paths), true);
+
+        const map = {
+            type: 'map',
+            itemsPath: this.template(state.ItemsPath || '$', paths),
+            iterator: processor.StartAt,
+            output: this.outputTemplate(name, state.ResultPath)
+        };
+        if (next) {
+            map.goto = next;
+        }
+
+        return map;
+    }
+
+    importChoice(name, state, states, paths) {
+        this.checkFields(name, state, ['Type', 'Comment', 'Choices', 'Default']);
+
+        let fallback = state.Default;
+        if (!fallback) {
+            // Step Functions fails an execution that matches no rule
+            fallback = `${name}_no_match`;
+            states[fallback] = { type: 'fail', error: 'States.NoChoiceMatched', cause: `No rule of ${name} matched` };
+        }
+
+        return {
+            type: 'choice',
+            choices: state.Choices.map(rule => ({ condition: this.condition(rule, paths), goto: rule.Next })),
+            default: fallback
+        };
+    }
+
+    /**
+     * TemplateProcessor condition for a choice rule. Conditions are
+     * `||`-joined conjunctions, so the rule is brought into disjunctive
+     * normal form first.
+     */
+    condition(rule, paths) {
+        return this.normalForm(rule, paths).map(conjunction => conjunction.join(' && ')).join(' || ');
+    }
+
+    normalForm(rule, paths, negated = false) {
+        if (rule.Not) {
+            return this.normalForm(rule.Not, paths, !negated);
+        }
+
+        if (rule.And || rule.Or) {
+            // De Morgan: a negated And is an Or of negations, and vice versa
+            const conjunctive = !!rule.And !== negated;
+            const parts = (rule.And || rule.Or).map(part => this.normalForm(part, paths, negated));
+
+            if (!conjunctive) return parts.flat();
+            return parts.reduce((product, part) =>
+                product.flatMap(left => part.map(right => [...left, ...right])), [[]]);
+        }
+
+        return [[this.comparison(rule, paths, negated)]];
+    }
+
+    comparison(rule, paths, negated) {
+        const variable = this.template(rule.Variable, paths);
+        const term = (operator, literal) => `${variable} ${negated ? NEGATED[operator] : operator} ${literal}`;
+
+        const key = Object.keys(rule).find(k => !['Variable', 'Next', 'Comment'].includes(k));
+        const value = rule[key];
+
+        if (NUMERIC_OPERATORS[key]) return term(NUMERIC_OPERATORS[key], Number(value));
+        if (STRING_OPERATORS[key]) {
+            if (/&&|\|\|/.test(value)) {
+                throw new Error(`Choice value ${JSON.stringify(value)} cannot be expressed as a condition`);
+            }
+            return term(STRING_OPERATORS[key], JSON.stringify(value));
+        }
+        if (key === 'BooleanEquals') return term('==', value ? 'true' : 'false');
+        if (key === 'IsNull') return term(value ? '==' : '!=', 'null');
+        if (key === 'IsPresent') return term(value ? '!=' : '==', 'null');
+
+        throw new Error(`Choice rule ${key} on ${rule.Variable} is not supported`);
+    }
+
+    /**
+     * A Catch is supported when it continues with the state's own Next,
+     * which is what `errorHandler: 'skip'` does
+     */
+    errorHandler(name, state) {
+        const catchers = state.Catch || [];
+        if (catchers.length === 0) return 'fail';
+
+        const skips = catchers.every(catcher =>
+            catcher.Next === state.Next && catcher.ErrorEquals?.some(error => ANY_ERROR.includes(error))
+        );
+        if (!skips) {
+            throw new Error(`ASL state ${name}: only a Catch that continues with the state's Next is supported`);
+        }
+        return 'skip';
+    }
+
+    outputTemplate(name, resultPath) {
+        const match = typeof resultPath === 'string' && resultPath.match(/^\$\.([A-Za-z_][\w-]*)$/);
+        if (match) return `\${${match[1]}}`;
+
+        if (resultPath === undefined || resultPath === null || resultPath === '$') {
+            return `\${${name}_output}`;
+        }
+        throw new Error(`ASL state ${name}: ResultPath ${resultPath} must name a top-level field`);
+    }
+
+    checkFields(name, state, allowed) {
+        const unsupported = Object.keys(state).filter(key => !allowed.includes(key));
+        if (unsupported.length > 0) {
+            throw new Error(`ASL state ${name}: ${unsupported.join(', ')} ${unsupported.length > 1 ? 'are' : 'is'} not supported`);
+        }
+    }
+}
+
+module.exports = AslImporter;
@@ -0,0 +1,402 @@
+// export/BpmnExporter.js
+// Translates synthesized workflows into BPMN 2.0 XML for modelling tools
+
+const NAMESPACES = {
+    'xmlns:bpmn': 'http://www.omg.org/spec/BPMN/20100524/MODEL',
+    'xmlns:bpmndi': 'http://www.omg.org/spec/BPMN/20100524/DI',
+    'xmlns:dc': 'http://www.omg.org/spec/DD/20100524/DC',
+    'xmlns:di': 'http://www.omg.org/spec/DD/20100524/DI',
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+};
+
+// Shape sizes, as modelling tools draw them by default
+const SIZES = {
+    task: { width: 100, height: 80 },
+    gateway: { width: 50, height: 50 },
+    event: { width: 36, height: 36 }
+};
+
+const COLUMN_WIDTH = 180;
+const ROW_HEIGHT = 130;
+
+/**
+ * BPMN Exporter
+ * `export(workflow)` returns a BPMN 2.0 document with one process and a
+ * diagram, so the workflow opens in BPMN modelling tools for review.
+ *
+ * - task: a service task documenting its action identifier; an optional
+ *   task (`errorHandler: 'skip'`) has an error boundary event that
+ *   continues with the next state
+ * - validation: a task
+ * - choice: an exclusive gateway with conditional flows and a default flow
+ * - parallel: a diverging and a converging parallel gateway around the
+ *   branch chains
+ * - loop: an exclusive gateway that flows to the body while iterations
+ *   remain and out when the exit condition holds
+ * - map: a sequential multi-instance subprocess over `itemsPath` holding
+ *   the iterator chain
+ * - fail / end: an error / plain end event
+ *
+ * Conditions keep the TemplateProcessor syntax as formal expressions. The
+ * diagram lays the states out left to right by their distance from the
+ * start.
+ */
+class BpmnExporter {
+    constructor(config = {}) {
+        this.targetNamespace = config.bpmnTargetNamespace || 'https://github.com/kalyanar/DFHA-Public/workflows';
+    }
+
+    export(workflow) {
+        const processId = this.id(`process_${workflow.workflowId || workflow.name || 'workflow'}`);
+        const graph = this.buildGraph(workflow);
+        const layout = this.layout(graph);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<bpmn:definitions ${this.attributes({ ...NAMESPACES, id: `${processId}_definitions`, targetNamespace: this.targetNamespace })}>`,
+            // Caught by the boundary events of optional tasks, thrown by fail states
+            '  <bpmn:error id="error_any" name="Task failed" />'
+        ];
+
+        lines.push(`  <bpmn:process ${this.attributes({ id: processId, name: workflow.name || processId, isExecutable: 'false' })}>`);
+        if (workflow.versionId) {
+            lines.push(`    <bpmn:documentation>${this.escape(`Version ${workflow.versionId}`)}</bpmn:documentation>`);
+        }
+        lines.push(...this.renderElements(graph, '    '));
+        lines.push('  </bpmn:process>');
+
+        lines.push(...this.renderDiagram(processId, graph, layout));
+        lines.push('</bpmn:definitions>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Flow nodes and sequence flows of the workflow. Map iterators become
+     * nested graphs of their subprocesses.
+     */
+    buildGraph(workflow) {
+        const states = workflow.states || {};
+        const graph = { nodes: [], flows: [], boundaries: [] };
+        const nested = new Set();
+
+        Object.values(states).forEach(state => {
+            if (state.type === 'map') this.chain(state.iterator, states).forEach(name => nested.add(name));
+        });
+
+        // The last task of every parallel branch leads to its join gateway
+        const joins = {};
+        Object.entries(states).forEach(([name, state]) => {
+            if (state.type !== 'parallel') return;
+            state.branches.forEach(branch => {
+                const chain = this.chain(branch, states);
+                joins[chain[chain.length - 1]] = `${name}_join`;
+            });
+        });
+
+        const node = name => this.id(states[name]?.type === 'end' ? `end_${name}` : name);
+        const flow = (from, to, options = {}) => {
+            graph.flows.push({ id: this.id(`flow_${from}_${to}_${graph.flows.length}`), source: from, target: to, ...options });
+            return graph.flows[graph.flows.length - 1].id;
+        };
+
+        graph.nodes.push({ id: 'start', kind: 'startEvent', name: 'Start' });
+        flow('start', node(workflow.startAt));
+
+        Object.entries(states).forEach(([name, state]) => {
+            if (nested.has(name)) return;
+
+            const id = node(name);
+            const next = node(state.goto || 'end');
+
+            switch (state.type) {
+                case 'validation':
+                    graph.nodes.push({ id, kind: 'task', name, documentation: 'Input contract validation' });
+                    flow(id, next);
+                    break;
+
+                case 'task':
+                    this.addTask(graph, id, name, state, joins[name] ? this.id(joins[name]) : next, flow);
+                    break;
+
+                case 'choice': {
+                    graph.nodes.push({ id, kind: 'exclusiveGateway', name });
+                    (state.choices || []).forEach(choice => flow(id, node(choice.goto), { condition: String(choice.condition), name: String(choice.condition) }));
+                    const defaultFlow = flow(id, node(state.default || 'end'), { name: 'default' });
+                    graph.nodes[graph.nodes.length - 1].default = defaultFlow;
+                    break;
+                }
+
+                case 'parallel': {
+                    const join = this.id(`${name}_join`);
+                    graph.nodes.push({ id, kind: 'parallelGateway', name, gatewayDirection: 'Diverging' });
+                    graph.nodes.push({ id: join, kind: 'parallelGateway', name: `${name} join`, gatewayDirection: 'Converging' });
+                    state.branches.forEach(branch => flow(id, node(branch)));
+                    flow(join, next);
+                    break;
+                }
+
+                case 'loop': {
+                    graph.nodes.push({ id, kind: 'exclusiveGateway', name, documentation: `At most ${state.maxIterations} iterations` });
+                    const exit = state.exitCondition ? `exit when ${state.exitCondition}` : 'exit';
+                    flow(id, next, { name: exit, condition: state.exitCondition || `iterations >= ${state.maxIterations}` });
+                    const body = flow(id, node(state.iterator), { name: `iterate (max ${state.maxIterations})` });
+                    graph.nodes[graph.nodes.length - 1].default = body;
+                    break;
+                }
+
+                case 'map':
+                    graph.nodes.push({
+                        id,
+                        kind: 'subProcess',
+                        name,
+                        itemsPath: state.itemsPath,
+                        maxIterations: state.maxIterations,
+                        graph: this.buildIterator(state.iterator, states)
+                    });
+                    flow(id, next);
+                    break;
+
+                case 'fail':
+                    graph.nodes.push({ id, kind: 'endEvent', name, error: true, documentation: state.cause || state.error });
+                    break;
+
+                case 'end':
+                    graph.nodes.push({ id, kind: 'endEvent', name: 'End' });
+                    break;
+
+                default:
+                    throw new Error(`Cannot export state ${name} of type '${state.type}' to BPMN`);
+            }
+        });
+
+        // A diverging parallel gateway with several incoming flows would wait
+        // for all of them; an exclusive gateway merges them first
+        graph.nodes.filter(n => n.gatewayDirection === 'Diverging').forEach(fork => {
+            const incoming = graph.flows.filter(f => f.target === fork.id);
+            if (incoming.length < 2) return;
+
+            const merge = this.id(`${fork.id}_merge`);
+            graph.nodes.push({ id: merge, kind: 'exclusiveGateway', name: `${fork.name} merge`, gatewayDirection: 'Converging' });
+            incoming.forEach(f => { f.target = merge; });
+            flow(merge, fork.id);
+        });
+
+        graph.flows.forEach(f => {
+            if (!graph.nodes.some(n => n.id === f.target)) {
+                throw new Error(`Cannot export flow from ${f.source} to missing state ${f.target}`);
+            }
+        });
+
+        return graph;
+    }
+
+    addTask(graph, id, name, state, next, flow) {
+        graph.nodes.push({
+            id,
+            kind: 'serviceTask',
+            name,
+            documentation: [
+                `Action ${state.actionIdentifier}`,
+                state.retry?.maxAttempts > 1 ? `up to ${state.retry.maxAttempts} attempts` : null,
+                state.timeout ? `timeout ${state.timeout}ms` : null
+            ].filter(Boolean).join(', ')
+        });
+        flow(id, next);
+
+        if (state.errorHandler === 'skip') {
+            const boundary = this.id(`${name}_skipped`);
+            graph.boundaries.push({ id: boundary, name: 'skip on error', attachedTo: id });
+            flow(boundary, next, { name: 'skipped' });
+        }
+    }
+
+    buildIterator(start, states) {
+        const graph = { nodes: [{ id: this.id(`${start}_item`), kind: 'startEvent', name: 'Item' }], flows: [], boundaries: [] };
+        const chain = this.chain(start, states);
+        const end = this.id(`${start}_done`);
+        const flow = (from, to, options = {}) => {
+            graph.flows.push({ id: this.id(`flow_${from}_${to}_${graph.flows.length}`), source: from, target: to, ...options });
+        };
+
+        flow(graph.nodes[0].id, this.id(start));
+        chain.forEach((name, i) => {
+            this.addTask(graph, this.id(name), name, states[name], i < chain.length - 1 ? this.id(chain[i + 1]) : end, flow);
+        });
+        graph.nodes.push({ id: end, kind: 'endEvent', name: 'Item done' });
+
+        return graph;
+    }
+
+    chain(start, states) {
+        const names = [];
+        let current = start;
+
+        while (current && !names.includes(current)) {
+            if (!states[current]) {
+                throw new Error(`Cannot export branch: missing state ${current}`);
+            }
+            names.push(current);
+            current = states[current].goto;
+        }
+
+        return names;
+    }
+
+    renderElements(graph, indent) {
+        const lines = [];
+
+        graph.nodes.forEach(node => {
+            const attributes = { id: node.id, name: node.name, default: node.default, gatewayDirection: node.gatewayDirection };
+            const incoming = graph.flows.filter(f => f.target === node.id).map(f => f.id);
+            const outgoing = graph.flows.filter(f => f.source === node.id).map(f => f.id);
+            const body = [];
+
+            if (node.documentation) body.push(`<bpmn:documentation>${this.escape(node.documentation)}</bpmn:documentation>`);
+            incoming.forEach(id => body.push(`<bpmn:incoming>${id}</bpmn:incoming>`));
+            outgoing.forEach(id => body.push(`<bpmn:outgoing>${id}</bpmn:outgoing>`));
+
+            if (node.kind === 'subProcess') {
+                body.push('<bpmn:multiInstanceLoopCharacteristics isSequential="true">');
+                body.push(`  <bpmn:loopCardinality xsi:type="bpmn:tFormalExpression">${this.escape(`count(${node.itemsPath})`)}</bpmn:loopCardinality>`);
+                body.push('</bpmn:multiInstanceLoopCharacteristics>');
+                body.push(...this.renderElements(node.graph, ''));
+            }
+            if (node.error) {
+                body.push('<bpmn:errorEventDefinition errorRef="error_any" />');
+            }
+
+            lines.push(...this.element(node.kind, attributes, body, indent));
+        });
+
+        graph.boundaries.forEach(boundary => {
+            const outgoing = graph.flows.filter(f => f.source === boundary.id).map(f => `<bpmn:outgoing>${f.id}</bpmn:outgoing>`);
+            lines.push(...this.element('boundaryEvent', { id: boundary.id, name: boundary.name, attachedToRef: boundary.attachedTo }, [
+                ...outgoing,
+                '<bpmn:errorEventDefinition errorRef="error_any" />'
+            ], indent));
+        });
+
+        graph.flows.forEach(f => {
+            const body = f.condition
+                ? [`<bpmn:conditionExpression xsi:type="bpmn:tFormalExpression">${this.escape(f.condition)}</bpmn:conditionExpression>`]
+                : [];
+            lines.push(...this.element('sequenceFlow', { id: f.id, name: f.name, sourceRef: f.source, targetRef: f.target }, body, indent));
+        });
+
+        return lines;
+    }
+
+    element(kind, attributes, body, indent) {
+        const open = `${indent}<bpmn:${kind} ${this.attributes(attributes)}`;
+        if (body.length === 0) return [`${open} />`];
+        return [`${open}>`, ...body.map(line => `${indent}  ${line}`), `${indent}</bpmn:${kind}>`];
+    }
+
+    /**
+     * Columns by distance from the start event, rows in order of discovery.
+     * Subprocesses are drawn collapsed.
+     */
+    layout(graph) {
+        const column = { start: 0 };
+        const queue = ['start'];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            graph.flows.filter(f => f.source === current).forEach(f => {
+                if (column[f.target] === undefined) {
+                    column[f.target] = column[current] + 1;
+                    queue.push(f.target);
+                }
+            });
+            graph.boundaries.filter(b => b.attachedTo === current).forEach(b => {
+                column[b.id] = column[current];
+                queue.push(b.id);
+            });
+        }
+
+        const rows = {};
+        const bounds = {};
+        graph.nodes.forEach(node => {
+            const c = column[node.id] !== undefined ? column[node.id] : Math.max(0, ...Object.values(column)) + 1;
+            const row = rows[c] = (rows[c] === undefined ? 0 : rows[c] + 1);
+            const size = SIZES[this.shape(node.kind)];
+
+            bounds[node.id] = {
+                x: 50 + c * COLUMN_WIDTH + (SIZES.task.width - size.width) / 2,
+                y: 50 + row * ROW_HEIGHT + (SIZES.task.height - size.height) / 2,
+                ...size
+            };
+        });
+
+        graph.boundaries.forEach(boundary => {
+            const task = bounds[boundary.attachedTo];
+            bounds[boundary.id] = {
+                x: task.x + task.width - SIZES.event.width / 2 - 10,
+                y: task.y + task.height - SIZES.event.height / 2,
+                ...SIZES.event
+            };
+        });
+
+        return bounds;
+    }
+
+    shape(kind) {
+        if (kind.endsWith('Gateway')) return 'gateway';
+        if (kind.endsWith('Event')) return 'event';
+        return 'task';
+    }
+
+    renderDiagram(processId, graph, bounds) {
+        const lines = [
+            `  <bpmndi:BPMNDiagram id="${processId}_diagram">`,
+            `    <bpmndi:BPMNPlane id="${processId}_plane" bpmnElement="${processId}">`
+        ];
+
+        [...graph.nodes, ...graph.boundaries].forEach(node => {
+            const b = bounds[node.id];
+            const expanded = node.kind === 'subProcess' ? ' isExpanded="false"' : '';
+            lines.push(`      <bpmndi:BPMNShape id="${node.id}_di" bpmnElement="${node.id}"${expanded}>`);
+            lines.push(`        <dc:Bounds x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" />`);
+            lines.push('      </bpmndi:BPMNShape>');
+        });
+
+        graph.flows.forEach(f => {
+            const source = bounds[f.source];
+            const target = bounds[f.target];
+            lines.push(`      <bpmndi:BPMNEdge id="${f.id}_di" bpmnElement="${f.id}">`);
+            lines.push(`        <di:waypoint x="${source.x + source.width}" y="${source.y + source.height / 2}" />`);
+            lines.push(`        <di:waypoint x="${target.x}" y="${target.y + target.height / 2}" />`);
+            lines.push('      </bpmndi:BPMNEdge>');
+        });
+
+        lines.push('    </bpmndi:BPMNPlane>', '  </bpmndi:BPMNDiagram>');
+        return lines;
+    }
+
+    attributes(values) {
+        return Object.entries(values)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}="${this.escape(value)}"`)
+            .join(' ');
+    }
+
+    /**
+     * XML ids must start with a letter or underscore
+     */
+    id(name) {
+        const id = String(name).replace(/[^A-Za-z0-9_.-]/g, '_');
+        return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = BpmnExporter;
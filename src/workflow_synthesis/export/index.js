@@ -0,0 +1,32 @@
+// export/index.js
+// Workflow exporters for standard orchestrators and modelling tools
+
+const AslExporter = require('./AslExporter');
+const BpmnExporter = require('./BpmnExporter');
+const AslImporter = require('./AslImporter');
+
+const EXPORTERS = {
+    asl: AslExporter,
+    bpmn: BpmnExporter
+};
+
+/**
+ * Create the exporter for a format: 'asl' (Amazon States Language, as a
+ * definition object) or 'bpmn' (BPMN 2.0, as an XML string)
+ */
+function createExporter(format, config = {}) {
+    const Exporter = EXPORTERS[format];
+
+    if (!Exporter) {
+        throw new Error(`Unknown export format '${format}'; expected one of ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+
+    return new Exporter(config);
+}
+
+module.exports = {
+    createExporter,
+    AslExporter,
+    BpmnExporter,
+    AslImporter
+};
@@ -0,0 +1,126 @@
+// DFHAAgent.test.js
+// Routing, fallback and contract handling of the agent
+
+const DFHAAgent = require('../src/DFHAAgent');
+const { createRepositories, MemoryStore } = require('../src/storage');
+const queryFingerprinter = require('../src/utils/QueryFingerprinter');
+
+function createAgent(config = {}) {
+    return new DFHAAgent({
+        eventBusType: 'memory',
+        repositories: createRepositories({ store: new MemoryStore() }),
+        ...config
+    });
+}
+
+const orderLookup = {
+    workflowId: 'hand-written-order-lookup',
+    startAt: 'validate',
+    inputContract: { required: ['orderId'], schema: { type: 'object', properties: { orderId: { type: 'string' } } } },
+    states: {
+        validate: { type: 'validation', validateContract: true, goto: 'end' },
+        end: { type: 'end', output: { orderId: '${input.orderId}' } }
+    }
+};
+
+describe('DFHAAgent', () => {
+    test('a deterministic workflow definition serves its query', async () => {
+        const agent = createAgent();
+        agent.registerDeterministicWorkflow('where is my order', orderLookup);
+
+        const result = await agent.process('where is my order', { orderId: 'A-1' });
+
+        expect(result.route).toBe('deterministic');
+        expect(result.success).toBe(true);
+        expect(result.output).toEqual({ orderId: 'A-1' });
+    });
+
+    test('a contract violation names the workflow that ran, even with no stored workflow', async () => {
+        const agent = createAgent({ contractViolationAction: 'reject' });
+        agent.registerDeterministicWorkflow('where is my order', orderLookup);
+
+        const result = await agent.process('where is my order', {});
+
+        expect(result.success).toBe(false);
+        expect(result.contractViolation).toEqual({
+            workflowId: 'hand-written-order-lookup',
+            phase: 'input',
+            violations: ["missing required field 'orderId'"]
+        });
+    });
+
+    test('a failed deterministic run falls back to the LLM', async () => {
+        const llmOrchestrator = jest.fn(async () => ({ output: 'from the llm', executionPath: [] }));
+        const agent = createAgent({ llmOrchestrator });
+        agent.registerDeterministicWorkflow('where is my order', async () => {
+            throw new Error('order service down');
+        });
+        jest.spyOn(agent.router, 'selectRoute').mockResolvedValue('deterministic');
+
+        const result = await agent.process('where is my order', {});
+
+        expect(result.fellBack).toBe(true);
+        expect(result.output).toBe('from the llm');
+        expect(llmOrchestrator).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports the synthesized workflow only when it ran', async () => {
+        const repositories = createRepositories({ store: new MemoryStore() });
+        const agent = createAgent({ repositories });
+        agent.registerDeterministicWorkflow('where is my order', orderLookup);
+        const { fingerprint } = queryFingerprinter.fingerprint('where is my order');
+
+        await repositories.workflows.save({
+            workflowId: 'wf_active',
+            questionFingerprint: fingerprint,
+            lineageKey: fingerprint,
+            version: 1,
+            status: 'active',
+            startAt: 'end',
+            states: { end: { type: 'end', output: { status: 'shipped' } } }
+        });
+        const route = jest.spyOn(agent.router, 'selectRoute').mockResolvedValue('deterministic');
+
+        expect(await agent.process('where is my order', { orderId: 'A-1' }))
+            .toMatchObject({ route: 'deterministic', success: true, workflowId: null });
+
+        route.mockResolvedValue('synthesized@v1');
+        expect(await agent.process('where is my order', { orderId: 'A-1' }))
+            .toMatchObject({ route: 'synthesized@v1', output: { status: 'shipped' }, workflowId: 'wf_active' });
+    });
+
+    test('a shadow disagreement annotates the one trace of the LLM run', async () => {
+        const repositories = createRepositories({ store: new MemoryStore() });
+        const llmOrchestrator = async () => ({
+            output: { status: 'shipped' },
+            executionPath: [{ taskId: 'lookup_0', taskName: 'lookup', input: {}, inputSource: 'user', dependsOn: [] }],
+            taskOutputs: { lookup_0: { status: 'shipped' } }
+        });
+        const agent = createAgent({ repositories, llmOrchestrator });
+        const { fingerprint } = queryFingerprinter.fingerprint('where is my order');
+
+        await repositories.workflows.save({
+            workflowId: 'wf_shadow',
+            questionFingerprint: fingerprint,
+            lineageKey: fingerprint,
+            version: 1,
+            status: 'shadow',
+            startAt: 'end',
+            states: { end: { type: 'end', output: { status: 'lost' } } }
+        });
+
+        const result = await agent.process('where is my order', {});
+        const traces = await repositories.traces.scan();
+
+        expect(result.route).toBe('llm');
+        expect(traces).toHaveLength(1);
+        expect(traces[0].annotations.shadowDisagreement).toEqual({
+            workflowId: 'wf_shadow',
+            reason: 'field agreement 0.00'
+        });
+    });
+
+    test('timeouts.task configures the executor', () => {
+        expect(DFHAAgent.flattenConfig({ timeouts: { task: 1234 } }).taskTimeout).toBe(1234);
+    });
+});
@@ -0,0 +1,27 @@
+// hyperparameters.test.js
+// The shipped hyperparameters file parses into the expected sections
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+describe('hyperparameters.yaml', () => {
+    const config = yaml.load(fs.readFileSync(path.join(__dirname, '../../config/hyperparameters.yaml'), 'utf8'));
+
+    test('keeps the table names and retention under storage', () => {
+        expect(config.storage).toMatchObject({
+            type: 'dynamodb',
+            traces_table: 'RosettaExecutionTraces',
+            trace_retention_days: 30
+        });
+    });
+
+    test('reads PII redaction as its own section', () => {
+        expect(config.pii_redaction).toMatchObject({
+            enabled: true,
+            detectors: ['email', 'ssn', 'card', 'phone', 'mrn'],
+            field_policies: { financial: { account_id: 'mask' } }
+        });
+        expect(config.pii_redaction).not.toHaveProperty('traces_table');
+    });
+});
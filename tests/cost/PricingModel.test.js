@@ -0,0 +1,41 @@
+// PricingModel.test.js
+// Token, route and execution prices from a configurable price sheet
+
+const PricingModel = require('../../src/cost/PricingModel');
+
+describe('PricingModel', () => {
+    test('prices token usage per model, versioned names by their family', () => {
+        const pricing = new PricingModel();
+
+        expect(pricing.llmCost({ promptTokens: 1000, completionTokens: 500 }, 'gpt-4')).toBeCloseTo(0.06);
+        expect(pricing.modelPrice('gpt-4-turbo-2024-04-09')).toEqual({ inputPer1K: 0.01, outputPer1K: 0.03 });
+        expect(() => pricing.modelPrice('claude-x')).toThrow('add it to pricing.models');
+    });
+
+    test('configured models and defaults override the built-in sheet', () => {
+        const pricing = new PricingModel({
+            defaultModel: 'local-llm',
+            models: { 'local-llm': { inputPer1K: 0.001, outputPer1K: 0.002 } },
+            estimatedCallTokens: { prompt: 1000, completion: 1000 }
+        });
+
+        expect(pricing.llmCost({ promptTokens: 2000 })).toBeCloseTo(0.002);
+        expect(pricing.estimatedLLMCost(2)).toBeCloseTo(0.006);
+    });
+
+    test('prices versioned routes by their base route', () => {
+        const pricing = new PricingModel({ routeCosts: { synthesized: 0.001 } });
+
+        expect(pricing.routeCost('synthesized@v3')).toBe(0.001);
+        expect(() => pricing.routeCost('batch')).toThrow('add it to pricing.routeCosts');
+    });
+
+    test('re-prices LLM executions from their tokens and keeps the cost of those without', () => {
+        const pricing = new PricingModel();
+
+        expect(pricing.priceExecution({ route: 'llm', model: 'gpt-4o', tokens: { prompt: 1000, completion: 1000 } }))
+            .toBeCloseTo(0.02);
+        expect(pricing.priceExecution({ route: 'llm', cost: 0.5 })).toBe(0.5);
+        expect(pricing.priceExecution({ route: 'deterministic' })).toBe(0.0001);
+    });
+});
@@ -0,0 +1,51 @@
+// InProcessEventBus.test.js
+// Delivery to in-process subscribers, including ones that fail
+
+const { createEventBus, InProcessEventBus, EVENT_TYPES } = require('../../src/events');
+
+const { PATTERN_MINING_TRIGGER } = EVENT_TYPES;
+
+describe('InProcessEventBus', () => {
+    test('is the default adapter', () => {
+        expect(createEventBus()).toBeInstanceOf(InProcessEventBus);
+        expect(() => createEventBus({ eventBusType: 'kafka' })).toThrow('Unknown event bus type: kafka');
+    });
+
+    test('publishing does not wait for handlers; drain does', async () => {
+        const bus = new InProcessEventBus();
+        const received = [];
+        bus.subscribe(PATTERN_MINING_TRIGGER, detail => received.push(detail));
+
+        await bus.publish(PATTERN_MINING_TRIGGER, { traceId: 't1' });
+        expect(received).toEqual([]);
+
+        await bus.drain();
+        expect(received).toEqual([{ traceId: 't1' }]);
+    });
+
+    test('a handler that throws synchronously does not stop the others', async () => {
+        const bus = new InProcessEventBus();
+        const received = [];
+        bus.subscribe(PATTERN_MINING_TRIGGER, () => {
+            throw new Error('broken subscriber');
+        });
+        bus.subscribe(PATTERN_MINING_TRIGGER, detail => received.push(detail.traceId));
+
+        const results = await bus.dispatch(PATTERN_MINING_TRIGGER, { traceId: 't2' });
+
+        expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+        expect(received).toEqual(['t2']);
+    });
+
+    test('unsubscribing stops delivery', async () => {
+        const bus = new InProcessEventBus();
+        const handler = jest.fn();
+        const unsubscribe = bus.subscribe(PATTERN_MINING_TRIGGER, handler);
+
+        unsubscribe();
+        await bus.publish(PATTERN_MINING_TRIGGER, {});
+        await bus.drain();
+
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
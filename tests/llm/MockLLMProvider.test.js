@@ -0,0 +1,52 @@
+// MockLLMProvider.test.js
+// Scripted plans replayed from the domain templates
+
+const MockLLMProvider = require('../../src/llm/MockLLMProvider');
+const { createLLMProvider, OpenAIProvider } = require('../../src/llm');
+
+describe('MockLLMProvider', () => {
+    const provider = new MockLLMProvider({ promptOverheadTokens: 0 });
+
+    test('replays the base sequence and the conditional tasks whose guards hold', async () => {
+        const response = await provider.generate({
+            query: 'Investigate timeouts in checkout',
+            input: { severity: 'high' }
+        });
+
+        expect(response.pattern).toBe('investigate_incident');
+        expect(response.domain).toBe('it_support');
+        expect(response.toolCalls.map(call => call.name)).toEqual([
+            'fetch_logs', 'analyze_error_patterns', 'check_dependencies', 'identify_root_cause', 'notify_team'
+        ]);
+        expect(response.toolCalls[0].arguments).toEqual({ issue: 'timeouts', component: 'checkout', severity: 'high' });
+    });
+
+    test('answers the same request the same way', async () => {
+        const request = { query: 'Investigate timeouts in checkout' };
+        const [first, second] = [await provider.generate(request), await provider.generate(request)];
+
+        expect(second).toEqual(first);
+        expect(provider.toolResult(first.toolCalls[0])).toEqual(provider.toolResult(second.toolCalls[0]));
+    });
+
+    test('rejects queries no template matches', async () => {
+        await expect(provider.generate({ query: 'Write me a poem' })).rejects.toThrow('No scripted plan matches "Write me a poem"');
+    });
+
+    test('replays injected templates', async () => {
+        const templates = {
+            getAllDomains: () => ['retail'],
+            getPatternNames: () => ['refund'],
+            getTemplate: () => ({ name: 'refund', queryTemplates: ['Refund {orderId}'], baseSequence: ['process_refund'] })
+        };
+
+        const response = await new MockLLMProvider({ templates }).generate({ query: 'Refund A-17' });
+
+        expect(response.toolCalls).toEqual([{ id: 'call_0', name: 'process_refund', arguments: { orderId: 'A-17' } }]);
+    });
+
+    test('is the default provider', () => {
+        expect(createLLMProvider()).toBeInstanceOf(MockLLMProvider);
+        expect(createLLMProvider({ mockMode: false, apiKey: 'test' })).toBeInstanceOf(OpenAIProvider);
+    });
+});
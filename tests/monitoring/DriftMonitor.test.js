@@ -0,0 +1,78 @@
+// DriftMonitor.test.js
+// Drifting workflows are demoted and their lineage re-mined from fresh traces
+
+const DriftMonitor = require('../../src/monitoring/DriftMonitor');
+const PatternMiningService = require('../../src/pattern_mining/PatternMiningService');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+const workflow = () => ({
+    workflowId: 'w1',
+    versionId: 'orders@v1',
+    lineageKey: 'orders',
+    questionFingerprint: 'a',
+    status: 'active',
+    inputContract: {
+        schema: { type: 'object', properties: { orderId: { type: 'string' } } }
+    }
+});
+
+describe('DriftMonitor', () => {
+    let repositories;
+    let monitor;
+
+    beforeEach(async () => {
+        repositories = createRepositories({ store: new MemoryStore() });
+        monitor = new DriftMonitor({
+            repositories,
+            driftReferenceSize: 20,
+            driftWindowSize: 20,
+            driftCheckInterval: 20
+        });
+        await repositories.workflows.save(workflow());
+    });
+
+    async function observeAll(item, observations) {
+        let report = null;
+        for (const observation of observations) {
+            report = (await monitor.observe(item, observation)) || report;
+        }
+        return report;
+    }
+
+    const runs = (count, success, input = { orderId: 'A1' }) => Array.from({ length: count }, () => ({ success, input }));
+
+    test('leaves a workflow alone while it behaves like its reference window', async () => {
+        const report = await observeAll(workflow(), runs(40, true));
+
+        expect(report.drifted).toBe(false);
+        expect((await repositories.workflows.get('w1')).status).toBe('active');
+    });
+
+    test('demotes a workflow whose success rate drops', async () => {
+        const report = await observeAll(workflow(), [...runs(20, true), ...runs(20, false)]);
+
+        expect(report.signals.map(signal => signal.type)).toContain('success_rate');
+        const stored = await repositories.workflows.get('w1');
+        expect(stored.status).toBe('demoted');
+        expect(stored.remineSince).toBe(report.windowStart);
+    });
+
+    test('flags fields the input contract does not know', async () => {
+        const report = await observeAll(workflow(), [...runs(20, true), ...runs(20, true, { orderId: 'A1', coupon: 'X' })]);
+
+        expect(report.signals).toEqual(expect.arrayContaining([
+            expect.objectContaining({ type: 'new_field', field: 'coupon', rate: 1 }),
+            expect.objectContaining({ type: 'input_schema', field: 'coupon' })
+        ]));
+    });
+
+    test('a demoted lineage is re-mined from traces newer than the drift window', async () => {
+        await repositories.workflows.update('w1', { status: 'demoted', remineSince: 12345 });
+        const service = new PatternMiningService({ eventBusType: 'memory', repositories });
+        service.getClusterTraces = jest.fn(async () => []);
+
+        await service.mineCluster({ clusterId: 'a', fingerprints: ['a'] });
+
+        expect(service.getClusterTraces).toHaveBeenCalledWith({ clusterId: 'a', fingerprints: ['a'] }, 12345);
+    });
+});
@@ -0,0 +1,59 @@
+// GuardConditionMiner.test.js
+// Branch predicates induced from trace inputs
+
+const GuardConditionMiner = require('../../src/pattern_mining/GuardConditionMiner');
+
+const consensus = [
+    { position: 0, taskName: 'classify_incident' },
+    { position: 1, taskName: 'BRANCH', options: ['page_oncall'] },
+    { position: 2, taskName: 'close_incident' }
+];
+
+function trace(values, paged) {
+    const tasks = ['classify_incident', ...(paged ? ['page_oncall'] : []), 'close_incident'];
+    return {
+        executionSequence: tasks.map((taskName, index) => ({
+            taskName,
+            input: index === 0 ? { source: 'user', values } : { source: 'task' }
+        }))
+    };
+}
+
+describe('GuardConditionMiner', () => {
+    test('learns an enum guard over a field with many categories', () => {
+        const severities = ['critical', 'critical', 'high', 'high', 'medium', 'medium', 'low', 'info'];
+        const traces = severities.map((severity, i) =>
+            trace({ severity, ticketId: `T-${i}` }, ['critical', 'high'].includes(severity)));
+
+        const [guard] = new GuardConditionMiner().mine(traces, consensus);
+
+        expect(guard.position).toBe(1);
+        expect(guard.conditions.page_oncall).toEqual({ field: 'severity', operator: 'in', value: 'critical|high' });
+        expect(guard.guards[0].accuracy).toBe(1);
+    });
+
+    test('never guards on identifiers', () => {
+        const traces = Array.from({ length: 6 }, (_, i) => trace({ ticketId: `T-${i}` }, i < 3));
+
+        const [guard] = new GuardConditionMiner().mine(traces, consensus);
+
+        expect(guard).toBeUndefined();
+    });
+
+    test('splits numeric fields at a threshold', () => {
+        const traces = [1, 2, 3, 4, 7, 8, 9, 10].map(priority => trace({ priority }, priority > 5));
+
+        const [guard] = new GuardConditionMiner().mine(traces, consensus);
+
+        expect(guard.conditions.page_oncall).toEqual({ field: 'priority', operator: '>', value: 5.5 });
+    });
+
+    test('rejects guards that do not predict the branch', () => {
+        const traces = ['a', 'a', 'b', 'b', 'a', 'a', 'b', 'b']
+            .map((team, i) => trace({ team }, i % 2 === 0));
+
+        const [guard] = new GuardConditionMiner().mine(traces, consensus);
+
+        expect(guard?.conditions || {}).toEqual({});
+    });
+});
@@ -0,0 +1,73 @@
+// LoopDetector.test.js
+// Repeated sub-sequences collapse into loops with learned bounds and retries
+
+const LoopDetector = require('../../src/pattern_mining/LoopDetector');
+
+function trace(names, input = {}, retries = {}) {
+    return {
+        executionSequence: names.map((taskName, index) => ({
+            index,
+            taskId: `${taskName}_${index}`,
+            taskName,
+            input: { values: input },
+            output: { keyValues: {} },
+            retries: retries[taskName] || 0
+        }))
+    };
+}
+
+describe('LoopDetector', () => {
+    const detector = new LoopDetector();
+
+    test('finds bodies that repeat back to back in enough traces', () => {
+        const traces = [
+            trace(['search', 'fetch_page', 'fetch_page', 'fetch_page', 'reply']),
+            trace(['search', 'fetch_page', 'fetch_page', 'reply']),
+            trace(['search', 'reply', 'search', 'reply'])
+        ];
+
+        expect(detector.detect(traces)).toEqual([['fetch_page']]);
+    });
+
+    test('collapses every run of a body, including a single pass, into one step', () => {
+        const bodies = [['fetch_page', 'parse']];
+
+        const collapsed = [
+            trace(['search', 'fetch_page', 'parse', 'fetch_page', 'parse', 'reply']),
+            trace(['search', 'fetch_page', 'parse', 'reply'])
+        ].map(item => detector.collapse(item, bodies));
+
+        expect(collapsed.map(sequence => sequence.map(step => step.taskName))).toEqual([
+            ['search', 'LOOP(fetch_page>parse)', 'reply'],
+            ['search', 'LOOP(fetch_page>parse)', 'reply']
+        ]);
+        expect(collapsed.map(sequence => sequence[1].iterations)).toEqual([2, 1]);
+    });
+
+    test('learns iteration bounds and the user input array a loop maps over', () => {
+        const bodies = [['ship_item']];
+        const traces = [
+            trace(['ship_item', 'ship_item', 'reply'], { items: ['a', 'b'] }),
+            trace(['ship_item', 'ship_item', 'ship_item', 'reply'], { items: ['a', 'b', 'c'] })
+        ].map(item => ({ executionSequence: detector.collapse(item, bodies) }));
+
+        const [loop] = detector.learnLoopStructures(traces);
+
+        expect(loop).toMatchObject({
+            taskName: 'LOOP(ship_item)',
+            minIterations: 2,
+            observedMax: 3,
+            maxIterations: 5,
+            itemsPath: '${input.items}'
+        });
+    });
+
+    test('learns retry policies only for tasks that were retried', () => {
+        const policies = detector.learnRetryPolicies([
+            trace(['charge', 'reply'], {}, { charge: 2 }),
+            trace(['charge', 'reply'])
+        ]);
+
+        expect(policies).toEqual({ charge: { maxAttempts: 3, backoffMs: 500, retryRate: 0.5 } });
+    });
+});
@@ -0,0 +1,59 @@
+// ParallelBranchDetector.test.js
+// Order-independent tasks collapse into fork/join blocks
+
+const ParallelBranchDetector = require('../../src/pattern_mining/ParallelBranchDetector');
+
+function trace(names, dataFlow = []) {
+    return {
+        executionSequence: names.map((taskName, index) => ({
+            index,
+            taskId: `${taskName}_${index}`,
+            taskName,
+            input: { schema: { type: 'object', properties: { [`${taskName}_in`]: { type: 'string' } } }, values: {} },
+            output: { schema: { type: 'object', properties: {} }, keyValues: {} },
+            startTime: 1000 + index,
+            endTime: 1100 + index
+        })),
+        dataFlow: dataFlow.map(([from, to]) => ({
+            from: `${from}_${names.indexOf(from)}`,
+            to: `${to}_${names.indexOf(to)}`
+        }))
+    };
+}
+
+describe('ParallelBranchDetector', () => {
+    const detector = new ParallelBranchDetector();
+
+    test('groups tasks observed in both orders', () => {
+        const groups = detector.detect([
+            trace(['lookup', 'fetch_logs', 'fetch_metrics', 'reply']),
+            trace(['lookup', 'fetch_metrics', 'fetch_logs', 'reply']),
+            trace(['lookup', 'fetch_logs', 'fetch_metrics', 'reply'])
+        ]);
+
+        expect(groups).toEqual([{ tasks: ['fetch_logs', 'fetch_metrics'], support: 1 }]);
+    });
+
+    test('keeps tasks apart when one feeds data to the other', () => {
+        const groups = detector.detect([
+            trace(['lookup', 'fetch_logs', 'fetch_metrics', 'reply'], [['fetch_logs', 'fetch_metrics']]),
+            trace(['lookup', 'fetch_metrics', 'fetch_logs', 'reply'], [['fetch_logs', 'fetch_metrics']])
+        ]);
+
+        expect(groups).toEqual([]);
+    });
+
+    test('collapses a group into one composite step with the union of its inputs', () => {
+        const [step] = detector.collapse(trace(['fetch_metrics', 'fetch_logs', 'reply']), [
+            { tasks: ['fetch_logs', 'fetch_metrics'], support: 1 }
+        ]);
+
+        expect(step).toMatchObject({
+            taskName: 'PARALLEL(fetch_logs|fetch_metrics)',
+            parallel: true,
+            duration: 101
+        });
+        expect(step.branches.map(branch => branch.taskName)).toEqual(['fetch_logs', 'fetch_metrics']);
+        expect(Object.keys(step.input.schema.properties)).toEqual(['fetch_logs_in', 'fetch_metrics_in']);
+    });
+});
@@ -0,0 +1,157 @@
+// PatternMiningService.test.js
+// Algorithm 1 phases, consensus extraction and mining cycles over stored traces
+
+const PatternMiningService = require('../../src/pattern_mining/PatternMiningService');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+function createService(config = {}) {
+    return new PatternMiningService({
+        eventBusType: 'memory',
+        repositories: createRepositories({ store: new MemoryStore() }),
+        ...config
+    });
+}
+
+function task(taskName, source, values = {}) {
+    return {
+        taskName,
+        input: { schema: { type: 'object', properties: {} }, values, source },
+        output: { schema: { type: 'object', properties: {} } }
+    };
+}
+
+describe('PatternMiningService', () => {
+    describe('algorithm phases', () => {
+        test('input fields whose values differ across traces become variable regions', async () => {
+            const regions = await createService().identifyVariableRegions({
+                aligned: [
+                    [task('lookup_order', 'user', { orderId: 'A1', region: 'eu' }), task('format_reply', 'task:lookup_order_0', { tone: 'short' })],
+                    [task('lookup_order', 'user', { orderId: 'B2', region: 'eu' }), { taskName: 'GAP' }]
+                ]
+            });
+
+            expect(regions).toEqual([
+                { position: 0, field: 'orderId', distinctValues: 2, variability: 1, fromUserInput: true }
+            ]);
+        });
+
+        test('confidence weighs conformance by success rate and the amount of evidence', async () => {
+            const service = createService();
+            const consensus = [{ taskName: 'lookup_order' }, { taskName: 'BRANCH' }, { taskName: 'format_reply' }];
+            const run = (success, names = ['lookup_order', 'format_reply']) => ({
+                success,
+                executionSequence: names.map(taskName => ({ taskName }))
+            });
+
+            expect(await service.computePatternConfidence(consensus, [run(true), run(true), run(true)])).toBeCloseTo(0.75);
+            expect(await service.computePatternConfidence(consensus, [run(true), run(false), run(true, ['lookup_order'])]))
+                .toBeCloseTo(0.75 * (5 / 6) * (2 / 3));
+        });
+
+        test('data flow edges are keyed by task name and keep fields seen in half of them', () => {
+            const run = fields => ({
+                executionSequence: [
+                    { taskId: 'lookup_order_0', taskName: 'lookup_order' },
+                    { taskId: 'format_reply_1', taskName: 'format_reply' }
+                ],
+                dataFlow: [{ from: 'lookup_order_0', to: 'format_reply_1', fields }]
+            });
+
+            expect(createService().extractDataFlowPatterns([run(['status']), run(['status', 'eta']), run(['status'])])).toEqual([
+                { from: 'lookup_order', to: 'format_reply', frequency: 1, fields: ['status'] }
+            ]);
+        });
+    });
+
+    describe('extractConsensusPattern', () => {
+        test('records whether each consensus task was fed from the user input', async () => {
+            const sequence = () => [task('lookup_order', 'user'), task('format_reply', 'task:lookup_order_0')];
+
+            const consensus = await createService().extractConsensusPattern({
+                aligned: [sequence(), sequence(), sequence()]
+            });
+
+            expect(consensus.map(node => [node.taskName, node.fromUserInput])).toEqual([
+                ['lookup_order', true],
+                ['format_reply', false]
+            ]);
+        });
+    });
+
+    describe('runPatternMining', () => {
+        function stubMining(service, clusters, states) {
+            service.getQueryClusters = jest.fn(async () => clusters());
+            service.getClusterTraces = jest.fn(async cluster => cluster.fingerprints.map((fingerprint, i) => ({
+                traceId: `${fingerprint}-${i}`, questionFingerprint: fingerprint
+            })));
+            service.minePatternFromTraces = jest.fn(async (traces, cluster) => ({
+                confidence: 0.9, clusterId: cluster.clusterId, questionFingerprints: cluster.fingerprints
+            }));
+            service.synthesizeWorkflow = jest.fn(async pattern => ({
+                workflowId: `w-${service.synthesizeWorkflow.mock.calls.length}`,
+                clusterId: pattern.clusterId,
+                questionFingerprint: pattern.questionFingerprints[0],
+                questionFingerprints: pattern.questionFingerprints,
+                startAt: 'lookup',
+                states: states()
+            }));
+        }
+
+        const states = () => ({ lookup: { type: 'task', taskName: 'lookup' }, end: { type: 'end' } });
+
+        test('does not redeploy an unchanged lineage on every cycle', async () => {
+            const service = createService({ enableShadowRollout: false, minTracesRequired: 1 });
+            stubMining(service, () => [{ clusterId: 'c1', fingerprints: ['a'] }], states);
+
+            await service.runPatternMining();
+            await service.runPatternMining();
+
+            const versions = await service.workflows.findByFingerprint('a');
+            expect(versions.map(item => [item.version, item.status])).toEqual([[1, 'active']]);
+        });
+
+        test('leaves a lineage in shadow rollout alone', async () => {
+            const service = createService({ minTracesRequired: 1 });
+            let taskName = 'lookup';
+            stubMining(service, () => [{ clusterId: 'c1', fingerprints: ['a'] }],
+                () => ({ lookup: { type: 'task', taskName }, end: { type: 'end' } }));
+
+            await service.runPatternMining();
+            taskName = 'lookup_v2';
+            await service.runPatternMining();
+
+            const versions = await service.workflows.findByFingerprint('a');
+            expect(versions.map(item => [item.version, item.status])).toEqual([[1, 'shadow']]);
+        });
+
+        test('leaves a version pending review alone', async () => {
+            const service = createService({ enableAutoDeployment: false, minTracesRequired: 1 });
+            let taskName = 'lookup';
+            stubMining(service, () => [{ clusterId: 'c1', fingerprints: ['a'] }],
+                () => ({ lookup: { type: 'task', taskName }, end: { type: 'end' } }));
+
+            await service.runPatternMining();
+            taskName = 'lookup_v2';
+            await service.runPatternMining();
+
+            const versions = await service.workflows.findByFingerprint('a');
+            expect(versions.map(item => [item.version, item.status])).toEqual([[1, 'pending_review']]);
+        });
+
+        test('keeps the lineage when the cluster grows and its id changes', async () => {
+            const service = createService({ enableShadowRollout: false, minTracesRequired: 1 });
+            let cluster = { clusterId: 'c1', fingerprints: ['a', 'b'] };
+            stubMining(service, () => [cluster], states);
+
+            await service.runPatternMining();
+            cluster = { clusterId: 'c2', fingerprints: ['a', 'b', 'c'] };
+            await service.runPatternMining();
+
+            const versions = await service.workflows.findByFingerprint('a');
+            expect(versions.map(item => [item.versionId, item.status])).toEqual([
+                ['c1@v1', 'retired'],
+                ['c1@v2', 'active']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+// ProgressiveAligner.test.js
+// Column-consistent alignment of execution sequences, whatever their order
+
+const ProgressiveAligner = require('../../src/pattern_mining/ProgressiveAligner');
+
+const steps = (...names) => names.map(taskName => ({ taskName }));
+const names = row => row.map(task => task.taskName);
+
+function createAligner() {
+    return new ProgressiveAligner({
+        taskSimilarity: (a, b) => (a.taskName === b.taskName ? 0 : 1),
+        pairwiseScore: (a, b) => {
+            const shared = names(a).filter(name => names(b).includes(name)).length;
+            return (2 * shared) / (a.length + b.length);
+        }
+    });
+}
+
+describe('ProgressiveAligner', () => {
+    test('aligns every row to the same columns, with gaps for missing steps', () => {
+        const { aligned } = createAligner().align([
+            steps('lookup', 'check', 'reply'),
+            steps('lookup', 'reply'),
+            steps('lookup', 'check', 'reply')
+        ]);
+
+        expect(aligned.map(names)).toEqual([
+            ['lookup', 'check', 'reply'],
+            ['lookup', 'GAP', 'reply'],
+            ['lookup', 'check', 'reply']
+        ]);
+    });
+
+    test('does not depend on the order the sequences arrive in', () => {
+        const sequences = [
+            steps('lookup', 'refund', 'reply'),
+            steps('lookup', 'check', 'reply'),
+            steps('lookup', 'check', 'refund', 'reply')
+        ];
+        const aligner = createAligner();
+
+        const forward = aligner.align(sequences).aligned.map(names);
+        const reversed = aligner.align([...sequences].reverse()).aligned.map(names).reverse();
+
+        expect(reversed).toEqual(forward);
+        expect(new Set(forward.map(row => row.length)).size).toBe(1);
+    });
+
+    test('picks the sequence most similar to all others as the reference', () => {
+        const { reference, alignmentScore } = createAligner().align([
+            steps('lookup', 'reply'),
+            steps('lookup', 'check', 'reply'),
+            steps('check', 'reply')
+        ]);
+
+        expect(names(reference)).toEqual(['lookup', 'check', 'reply']);
+        expect(alignmentScore).toBeGreaterThan(0);
+    });
+});
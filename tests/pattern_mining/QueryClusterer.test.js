@@ -0,0 +1,42 @@
+// QueryClusterer.test.js
+// Paraphrased fingerprints pool into one cluster; unrelated ones stay apart
+
+const QueryClusterer = require('../../src/pattern_mining/QueryClusterer');
+
+function summaries(fingerprint, normalizedQuery, taskNames, count = 2) {
+    return Array.from({ length: count }, () => ({ questionFingerprint: fingerprint, normalizedQuery, taskNames }));
+}
+
+describe('QueryClusterer', () => {
+    const investigate = ['fetch_logs', 'fetch_metrics', 'summarize'];
+    const refund = ['lookup_order', 'issue_refund'];
+
+    const traces = [
+        ...summaries('fp-a', 'investigate {issue} in {service}', investigate, 3),
+        ...summaries('fp-b', 'check why {service} is experiencing {issue}', investigate),
+        ...summaries('fp-c', 'refund order {id}', refund)
+    ];
+
+    test('pools paraphrases that run the same tasks', () => {
+        const clusters = new QueryClusterer().cluster(traces);
+
+        expect(clusters.map(cluster => cluster.fingerprints)).toEqual([['fp-a', 'fp-b'], ['fp-c']]);
+        expect(clusters[0].traceCount).toBe(5);
+    });
+
+    test('cluster ids depend only on the member fingerprints', () => {
+        const clusterer = new QueryClusterer();
+        const forward = clusterer.cluster(traces).map(cluster => cluster.clusterId);
+        const reversed = clusterer.cluster([...traces].reverse()).map(cluster => cluster.clusterId);
+
+        expect(reversed).toEqual(forward);
+        expect(forward[1]).toBe('fp-c');
+        expect(forward[0]).toMatch(/^cluster-[0-9a-f]{16}$/);
+    });
+
+    test('a stricter threshold keeps every fingerprint on its own', () => {
+        const clusters = new QueryClusterer({ clusterSimilarityThreshold: 0.99 }).cluster(traces);
+
+        expect(clusters).toHaveLength(3);
+    });
+});
@@ -0,0 +1,74 @@
+// BudgetGuard.test.js
+// Sliding-window spend and call-rate limits, and how the router honours them
+
+const BudgetGuard = require('../../src/routing/BudgetGuard');
+const ThompsonSamplingRouter = require('../../src/routing/ThompsonSamplingRouter');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+describe('BudgetGuard', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('limits LLM calls per minute per tenant, in a sliding window', () => {
+        const guard = new BudgetGuard({ tenants: { acme: { llmCallsPerMinute: 2 } } });
+        const acme = { tenant: 'acme' };
+
+        expect([guard.tryAcquire(acme), guard.tryAcquire(acme), guard.tryAcquire(acme)]).toEqual([true, true, false]);
+        expect(guard.tryAcquire({ tenant: 'other' })).toBe(true);
+
+        jest.advanceTimersByTime(60 * 1000 + 1);
+        expect(guard.tryAcquire(acme)).toBe(true);
+    });
+
+    test('a domain limit applies across tenants, and spend counts per hour', () => {
+        const guard = new BudgetGuard({ domainDefault: { dollarsPerHour: 1 } });
+
+        guard.recordSpend({ tenant: 'a', domain: 'finance' }, 0.6);
+        guard.recordSpend({ tenant: 'b', domain: 'finance' }, 0.5);
+
+        const status = guard.check({ tenant: 'c', domain: 'finance' });
+        expect(status.allowed).toBe(false);
+        expect(status.exhausted).toEqual([expect.objectContaining({ scope: 'domain:finance', limit: 'dollarsPerHour' })]);
+        expect(status.retryAfter).toBe(60 * 60 * 1000);
+    });
+
+    test('a queued request waits for the window to free up', async () => {
+        const guard = new BudgetGuard({ exhaustedAction: 'queue', queueTimeout: 2 * 60 * 1000, tenantDefault: { llmCallsPerMinute: 1 } });
+        guard.tryAcquire();
+
+        const waiting = guard.acquire();
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        await expect(waiting).resolves.toBeUndefined();
+        expect(guard.getMetrics()['tenant:default']).toMatchObject({ granted: 2, queued: 1 });
+    });
+
+    describe('with the router', () => {
+        function createRouter(exhaustedAction) {
+            return new ThompsonSamplingRouter({
+                repositories: createRepositories({ store: new MemoryStore() }),
+                budgets: { exhaustedAction, tenantDefault: { llmCallsPerMinute: 0 } }
+            });
+        }
+
+        test('degrades to the best non-LLM route, and rejects when there is none', async () => {
+            const router = createRouter('degrade');
+
+            await expect(router.enforceBudget('Where is order #1', ['synthesized', 'llm'], {})).resolves.toBe('synthesized');
+            await expect(router.selectRoute('Where is order #1', ['llm'], {})).rejects.toMatchObject({ code: 'BUDGET_EXHAUSTED' });
+        });
+
+        test('rejects with BUDGET_EXHAUSTED', async () => {
+            const router = createRouter('reject');
+
+            await expect(router.enforceBudget('Where is order #1', ['synthesized', 'llm'], {}))
+                .rejects.toMatchObject({ code: 'BUDGET_EXHAUSTED' });
+            expect(router.getBudgetMetrics()['tenant:default'].rejected).toBe(1);
+        });
+    });
+});
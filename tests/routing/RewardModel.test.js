@@ -0,0 +1,31 @@
+// RewardModel.test.js
+// Rewards weigh success against latency and cost SLOs
+
+const RewardModel = require('../../src/routing/RewardModel');
+
+describe('RewardModel', () => {
+    const model = new RewardModel({ slo: { latencyMs: 1000, cost: 0.01 } });
+
+    test('plain booleans map to 1 or 0', () => {
+        expect(model.compute(true)).toBe(1);
+        expect(model.compute(false)).toBe(0);
+    });
+
+    test('a failed route earns nothing however fast and cheap', () => {
+        expect(model.compute({ success: false, latency: 10, cost: 0 })).toBe(0);
+    });
+
+    test('a success within both SLOs earns full credit, and less beyond them', () => {
+        expect(model.compute({ success: true, latency: 500, cost: 0.005 })).toBe(1);
+        expect(model.compute({ success: true, latency: 2000, cost: 0.005 })).toBeCloseTo(0.9);
+        expect(model.compute({ success: true, latency: 2000, cost: 0.04 })).toBeCloseTo(0.75);
+    });
+
+    test('normalises weights and rejects weights that sum to zero', () => {
+        const costOnly = new RewardModel({ weights: { success: 0, latency: 0, cost: 2 } });
+
+        expect(costOnly.weights).toEqual({ success: 0, latency: 0, cost: 1 });
+        expect(costOnly.compute({ success: true, cost: 0.02 })).toBeCloseTo(0.5);
+        expect(() => new RewardModel({ weights: { success: 0, latency: 0, cost: 0 } })).toThrow('positive');
+    });
+});
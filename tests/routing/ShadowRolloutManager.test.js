@@ -0,0 +1,102 @@
+// ShadowRolloutManager.test.js
+// Shadow runs beside the LLM path, and promotion or rejection after them
+
+const ShadowRolloutManager = require('../../src/routing/ShadowRolloutManager');
+const WorkflowExecutor = require('../../src/workflow_synthesis/WorkflowExecutor');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+const FINGERPRINT = '0123456789abcdef';
+
+function shadowWorkflow(workflowId, output) {
+    return {
+        workflowId,
+        questionFingerprint: FINGERPRINT,
+        lineageKey: FINGERPRINT,
+        version: 1,
+        status: 'shadow',
+        startAt: 'end',
+        outputContract: { guarantees: ['status'] },
+        states: { end: { type: 'end', output } }
+    };
+}
+
+describe('ShadowRolloutManager', () => {
+    let repositories;
+    let manager;
+
+    beforeEach(() => {
+        repositories = createRepositories({ store: new MemoryStore() });
+        manager = new ShadowRolloutManager({
+            repositories,
+            executor: new WorkflowExecutor(),
+            shadowRequests: 2,
+            shadowAgreementThreshold: 1
+        });
+    });
+
+    const request = { questionFingerprint: FINGERPRINT, input: {}, context: {} };
+    const llmCall = async () => ({ output: { status: 'shipped' }, executionPath: [] });
+
+    test('promotes a workflow that agrees with the LLM', async () => {
+        await repositories.workflows.save(shadowWorkflow('wf_agree', { status: 'shipped' }));
+
+        const first = await manager.runWithShadow(request, llmCall);
+        await manager.runWithShadow(request, llmCall);
+
+        expect(first).toEqual({ output: { status: 'shipped' }, executionPath: [] });
+        const stored = await repositories.workflows.get('wf_agree');
+        expect(stored.status).toBe('active');
+        expect(stored.rollout).toMatchObject({ runs: 2, agreements: 2, agreementRate: 1 });
+    });
+
+    test('returns disagreements with the LLM result and rejects the workflow', async () => {
+        await repositories.workflows.save(shadowWorkflow('wf_disagree', { status: 'lost' }));
+
+        const first = await manager.runWithShadow(request, llmCall);
+        await manager.runWithShadow(request, llmCall);
+
+        expect(first.output).toEqual({ status: 'shipped' });
+        expect(first.shadowDisagreement).toEqual({ workflowId: 'wf_disagree', reason: 'field agreement 0.00' });
+        expect((await repositories.workflows.get('wf_disagree')).status).toBe('rejected');
+    });
+
+    test('a contract violation is a disagreement', async () => {
+        await repositories.workflows.save(shadowWorkflow('wf_contract', { other: 1 }));
+
+        const result = await manager.runWithShadow(request, llmCall);
+
+        expect(result.shadowDisagreement.reason).toContain("contract: missing guaranteed field 'status'");
+    });
+
+    test('concurrent shadow runs on a stale copy all count, and only one decides', async () => {
+        const workflow = shadowWorkflow('wf_concurrent', { status: 'shipped' });
+        await repositories.workflows.save({ ...workflow, rollout: manager.initialRollout() });
+        const stale = { ...workflow, rollout: manager.initialRollout() };
+        const activate = jest.spyOn(manager.versionManager, 'activate');
+        const shadowResult = { success: true, output: { status: 'shipped' } };
+
+        const results = await Promise.all([1, 2, 3].map(() =>
+            manager.recordShadowRun({ ...stale }, shadowResult, { output: { status: 'shipped' } })));
+
+        const stored = await repositories.workflows.get('wf_concurrent');
+        expect(stored.rollout).toMatchObject({ runs: 3, agreements: 3, agreementRate: 1 });
+        expect(stored.status).toBe('active');
+        expect(results.map(result => result.status)).toEqual(['shadow', 'active', 'active']);
+        expect(activate).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves a workflow that left shadow mid-rollout alone', async () => {
+        await repositories.workflows.save({ ...shadowWorkflow('wf_retired', { status: 'shipped' }), status: 'retired' });
+
+        const run = () => manager.recordShadowRun(shadowWorkflow('wf_retired', { status: 'shipped' }),
+            { success: true, output: { status: 'shipped' } }, { output: { status: 'shipped' } });
+
+        expect((await run()).status).toBe('retired');
+        expect((await run()).status).toBe('retired');
+        expect(await repositories.workflows.get('wf_retired')).toMatchObject({ status: 'retired', rollout: { runs: 2 } });
+    });
+
+    test('serves the LLM result alone when nothing is in shadow', async () => {
+        expect(await manager.runWithShadow(request, llmCall)).toEqual({ output: { status: 'shipped' }, executionPath: [] });
+    });
+});
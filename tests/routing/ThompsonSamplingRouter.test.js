@@ -0,0 +1,80 @@
+// ThompsonSamplingRouter.test.js
+// Beta sampling, posterior updates and contextual route selection
+
+const ThompsonSamplingRouter = require('../../src/routing/ThompsonSamplingRouter');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+const QUERY = 'Where is order #1001';
+
+function createRouter(config = {}) {
+    return new ThompsonSamplingRouter({ repositories: createRepositories({ store: new MemoryStore() }), ...config });
+}
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+describe('ThompsonSamplingRouter', () => {
+    test('Beta samples stay in [0, 1] and average alpha / (alpha + beta)', () => {
+        const router = createRouter();
+
+        const samples = Array.from({ length: 4000 }, () => router.sampleBeta(2, 6));
+        const small = Array.from({ length: 500 }, () => router.sampleBeta(0.1, 0.1));
+
+        expect(samples.every(value => value >= 0 && value <= 1)).toBe(true);
+        expect(mean(samples)).toBeCloseTo(0.25, 1);
+        expect(small.every(value => value >= 0 && value <= 1)).toBe(true);
+    });
+
+    test('fractional rewards update alpha by r and beta by 1 - r', async () => {
+        const router = createRouter();
+
+        const reward = await router.updateStats(QUERY, 'llm', { success: true, latency: 2000, cost: 0.005 });
+        const { llm } = await router.loadStats(QUERY);
+
+        expect(reward).toBeCloseTo(0.9);
+        expect(llm.alpha).toBeCloseTo(1.9);
+        expect(llm.beta).toBeCloseTo(1.1);
+    });
+
+    test('a new workflow version starts from the prior, not its parent\'s record', async () => {
+        const router = createRouter();
+
+        for (let i = 0; i < 5; i++) {
+            await router.updateStats(QUERY, 'synthesized@v1', false);
+        }
+        await router.updateStats(QUERY, 'synthesized@v2', true);
+
+        expect(await router.getVersionStats(QUERY)).toEqual({
+            v1: { alpha: 1, beta: 6, mean: 1 / 7 },
+            v2: { alpha: 2, beta: 1, mean: 2 / 3 }
+        });
+    });
+
+    test('contextual mode learns which route pays off for similar queries', async () => {
+        const router = createRouter({ mode: 'contextual' });
+        const context = { domain: 'orders', patternConfidence: 0.9 };
+
+        for (let i = 0; i < 30; i++) {
+            await router.updateStats(QUERY, 'synthesized', true, context);
+            await router.updateStats(QUERY, 'llm', false, context);
+        }
+
+        const routes = [];
+        for (let i = 0; i < 20; i++) {
+            routes.push(await router.selectRoute('Where is order #2002', ['synthesized', 'llm'], context));
+        }
+
+        expect(routes.filter(route => route === 'synthesized').length).toBeGreaterThanOrEqual(18);
+    });
+
+    test('concurrent updates of the contextual model all land', async () => {
+        const router = createRouter({ mode: 'contextual' });
+
+        await Promise.all(Array.from({ length: 4 }, (_, i) =>
+            router.updateStats(QUERY, i % 2 ? 'llm' : 'synthesized', true, { domain: 'orders' })));
+
+        const item = await router.routingStats.get('contextual:linear');
+        expect(item.revision).toBe(4);
+        expect(item.model.arms.synthesized.observations).toBe(2);
+        expect(item.model.arms.llm.observations).toBe(2);
+    });
+});
@@ -0,0 +1,4 @@
+// tests/setup.js
+// Keep the shared logger quiet unless a test fails loudly
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
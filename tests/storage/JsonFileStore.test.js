@@ -0,0 +1,46 @@
+// JsonFileStore.test.js
+// Tables written through to disk survive concurrent writes and reloads
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('../../src/storage/JsonFileStore');
+
+describe('JsonFileStore', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dfha-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('concurrent puts to one table all land on disk', async () => {
+        const store = new JsonFileStore({ storageDir: directory });
+
+        await Promise.all(Array.from({ length: 20 }, (_, i) =>
+            store.put('traces', { traceId: `t${i}`, value: i }, ['traceId'])));
+
+        const reloaded = new JsonFileStore({ storageDir: directory });
+        const items = await reloaded.scan('traces');
+
+        expect(items).toHaveLength(20);
+        expect(fs.existsSync(path.join(directory, 'traces.json.tmp'))).toBe(false);
+    });
+
+    test('a failed write does not block later writes', async () => {
+        const store = new JsonFileStore({ storageDir: directory });
+        const writeTable = store.writeTable.bind(store);
+        store.writeTable = jest.fn()
+            .mockRejectedValueOnce(new Error('disk full'))
+            .mockImplementation(writeTable);
+
+        await expect(store.put('traces', { traceId: 'a' }, ['traceId'])).rejects.toThrow('disk full');
+        await store.put('traces', { traceId: 'b' }, ['traceId']);
+
+        const reloaded = new JsonFileStore({ storageDir: directory });
+        expect(await reloaded.scan('traces')).toHaveLength(2);
+    });
+});
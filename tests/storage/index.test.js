@@ -0,0 +1,24 @@
+// storage/index.test.js
+// Stores are shared only when they are passed in
+
+const { createStore, createRepositories, MemoryStore } = require('../../src/storage');
+
+describe('createStore', () => {
+    test('every call builds its own store, even for the same configuration', () => {
+        const config = { storageType: 'memory', tracesTable: 'traces-a' };
+
+        expect(createStore(config)).toBeInstanceOf(MemoryStore);
+        expect(createStore(config)).not.toBe(createStore({ ...config }));
+        expect(createRepositories(config).store).not.toBe(createRepositories(config).store);
+    });
+
+    test('repositories use the store they are given', () => {
+        const store = new MemoryStore();
+
+        expect(createRepositories({ storageType: 'memory', store }).store).toBe(store);
+    });
+
+    test('rejects unknown backends', () => {
+        expect(() => createRepositories({ storageType: 'sqlite' })).toThrow('Unknown storage type: sqlite');
+    });
+});
@@ -0,0 +1,80 @@
+// ExecutionTraceCollector.test.js
+// What a saved trace holds, and what it must not
+
+const ExecutionTraceCollector = require('../../src/tracing/ExecutionTraceCollector');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+describe('ExecutionTraceCollector', () => {
+    let repositories;
+    let collector;
+
+    beforeEach(() => {
+        repositories = createRepositories({ store: new MemoryStore() });
+        collector = new ExecutionTraceCollector({ repositories, eventBusType: 'memory' });
+    });
+
+    async function save(data) {
+        const traceId = await collector.saveExecutionTrace({
+            orchestrationId: 'o1',
+            originalQuery: 'refund order 42',
+            context: {},
+            executionPath: [],
+            taskOutputs: {},
+            success: true,
+            totalDuration: 10,
+            llmCalls: 0,
+            ...data
+        });
+        return repositories.traces.get(traceId);
+    }
+
+    test('redacts PII in the query, task values and error details', async () => {
+        const trace = await save({
+            originalQuery: 'refund jane@example.com',
+            executionPath: [{
+                taskId: 'lookup_0',
+                taskName: 'lookup',
+                input: { email: 'jane@example.com', ssn: 123456789 },
+                inputSource: 'user',
+                dependsOn: []
+            }],
+            taskOutputs: { lookup_0: { message: 'call 415-555-1234' } },
+            success: false,
+            error: 'No customer for jane@example.com'
+        });
+
+        expect(trace.originalQuery).toBe('refund [REDACTED:email]');
+        expect(trace.executionSequence[0].input.values).toMatchObject({ email: '[REDACTED:email]', ssn: '[REDACTED:ssn]' });
+        expect(trace.executionSequence[0].output.keyValues.message).toBe('call [REDACTED:phone]');
+        expect(trace.errorDetails).toBe('No customer for [REDACTED:email]');
+        expect(JSON.stringify(trace)).not.toContain('jane@example.com');
+    });
+
+    test('infers nested schemas that keep no numeric values', async () => {
+        const trace = await save({
+            executionPath: [{
+                taskId: 'admit_0',
+                taskName: 'admit',
+                input: { ssn: 123456789, quantity: 3, patient: { age: 42 } },
+                inputSource: 'user',
+                dependsOn: []
+            }],
+            taskOutputs: { admit_0: { beds: [{ ward: 7, age: 80 }] } }
+        });
+        const { input, output } = trace.executionSequence[0];
+
+        expect(input.schema.properties.ssn).toEqual({ type: 'integer' });
+        expect(input.schema.properties.quantity).toEqual({ type: 'integer' });
+        expect(input.schema.properties.patient.properties.age).toEqual({ type: 'integer' });
+        expect(output.schema.properties.beds.items.properties).toEqual({
+            ward: { type: 'integer' },
+            age: { type: 'integer' }
+        });
+    });
+
+    test('records the route and other serving annotations', async () => {
+        const trace = await save({ annotations: { route: 'llm' } });
+
+        expect(trace.annotations).toEqual({ route: 'llm' });
+    });
+});
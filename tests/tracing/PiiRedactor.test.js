@@ -0,0 +1,90 @@
+// PiiRedactor.test.js
+// Detection and field policies for personal data in traces
+
+const PiiRedactor = require('../../src/tracing/PiiRedactor');
+
+describe('PiiRedactor', () => {
+    const redactor = new PiiRedactor({
+        hashSalt: 'test',
+        fieldPolicies: {
+            healthcare: { patientName: 'redact', memberId: 'mask' },
+            '*': { customerId: 'hash', orderNumber: 'keep' }
+        }
+    });
+
+    test('replaces detected PII inside free text', () => {
+        const stats = {};
+        const text = 'Mail jane@example.com or call (555) 123-4567 about SSN 123-45-6789 and card 4111 1111 1111 1111';
+
+        expect(redactor.redact(text, { stats })).toBe(
+            'Mail [REDACTED:email] or call [REDACTED:phone] about SSN [REDACTED:ssn] and card [REDACTED:card]'
+        );
+        expect(stats).toEqual({ email: 1, phone: 1, ssn: 1, card: 1 });
+    });
+
+    test('leaves card-like digit runs that fail the Luhn check', () => {
+        expect(redactor.redact('tracking 4111 1111 1111 1112')).toBe('tracking 4111 1111 1111 1112');
+    });
+
+    test('checks integers for SSNs, card numbers and phone numbers when the field name hints at them', () => {
+        const stats = {};
+
+        expect(redactor.redact({
+            ssn: 123456789,
+            cardNumber: 4111111111111111,
+            phones: [4155551234],
+            accountId: 123456789,
+            invoiceId: 4155551234,
+            timestamp: 1792351667780,
+            price: 19.99
+        }, { stats })).toEqual({
+            ssn: '[REDACTED:ssn]',
+            cardNumber: '[REDACTED:card]',
+            phones: ['[REDACTED:phone]'],
+            accountId: 123456789,
+            invoiceId: 4155551234,
+            timestamp: 1792351667780,
+            price: 19.99
+        });
+        expect(stats).toEqual({ ssn: 1, card: 1, phone: 1 });
+        expect(redactor.redact(123456789)).toBe(123456789);
+    });
+
+    test('scans object keys', () => {
+        expect(redactor.redact({ 'jane@example.com': { orders: 2 } })).toEqual({ '[REDACTED:email]': { orders: 2 } });
+    });
+
+    test('applies the field policies of the domain and of every domain', () => {
+        const redacted = redactor.redact({
+            patientName: 'Jane Doe',
+            memberId: 'MBR-99887766',
+            customerId: 'C-1',
+            orderNumber: '555-12-3456',
+            apiToken: 'abc'
+        }, { domain: 'healthcare' });
+
+        expect(redacted.patientName).toBe('[REDACTED:patientName]');
+        expect(redacted.memberId).toBe('********7766');
+        expect(redacted.customerId).toMatch(/^hash:[0-9a-f]{12}$/);
+        expect(redactor.redact({ customerId: 'C-1' }).customerId).toBe(redacted.customerId);
+        expect(redacted.orderNumber).toBe('555-12-3456');
+        expect(redacted.apiToken).toBe('[REDACTED:apiToken]');
+    });
+
+    test('domain policies do not apply to other domains', () => {
+        expect(redactor.redact({ patientName: 'Jane Doe' }, { domain: 'retail' })).toEqual({ patientName: 'Jane Doe' });
+    });
+
+    test('only runs the configured detectors', () => {
+        const emailOnly = new PiiRedactor({ detectors: ['email'] });
+
+        expect(emailOnly.redact({ ssn: 123456789, text: 'a@b.co 123-45-6789' }))
+            .toEqual({ ssn: 123456789, text: '[REDACTED:email] 123-45-6789' });
+        expect(() => new PiiRedactor({ detectors: ['passport'] })).toThrow("Unknown PII detector 'passport'");
+    });
+
+    test('does nothing when disabled', () => {
+        const value = { text: 'jane@example.com' };
+        expect(new PiiRedactor({ enabled: false }).redact(value)).toBe(value);
+    });
+});
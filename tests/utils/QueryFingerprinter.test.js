@@ -0,0 +1,33 @@
+// QueryFingerprinter.test.js
+// Queries differing only in their parameters share one fingerprint
+
+const queryFingerprinter = require('../../src/utils/QueryFingerprinter');
+
+describe('QueryFingerprinter', () => {
+    test('abstracts entities into typed slots', () => {
+        const result = queryFingerprinter.fingerprint('Trace transaction TX123 for bob@example.com since 2024-03-01');
+
+        expect(result.template).toBe('trace transaction {id} for {email} since {date}');
+        expect(result.parameters).toEqual({ id: 'TX123', email: 'bob@example.com', date: '2024-03-01' });
+    });
+
+    test('paraphrases with other parameter values share a fingerprint', () => {
+        const a = queryFingerprinter.fingerprint('Refund $25 on order #1001');
+        const b = queryFingerprinter.fingerprint('refund $310.50 on the order #2002');
+
+        expect(a.fingerprint).toBe(b.fingerprint);
+        expect(b.parameters).toEqual({ number: 310.5, id: '#2002' });
+        expect(a.fingerprint).not.toBe(queryFingerprinter.fingerprint('Cancel order #1001').fingerprint);
+    });
+
+    test('numbers repeated slots of one type', () => {
+        const { parameters } = queryFingerprinter.fingerprint('Compare INV1001 with INV1002');
+
+        expect(parameters).toEqual({ id: 'INV1001', id_2: 'INV1002' });
+    });
+
+    test('matches configured service names, longest first', () => {
+        expect(queryFingerprinter.normalize('Restart the web server and the payments-service'))
+            .toBe('restart {service} and {service}');
+    });
+});
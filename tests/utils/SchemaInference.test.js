@@ -0,0 +1,72 @@
+// SchemaInference.test.js
+// Recursive inference, merging and comparison of JSON Schemas
+
+const schemaInference = require('../../src/utils/SchemaInference');
+
+describe('SchemaInference', () => {
+    test('infers nested objects, arrays and formats, without numeric bounds', () => {
+        expect(schemaInference.infer({
+            id: 'b4f5c1de-0d1c-4d5e-9a3b-1f2e3d4c5b6a',
+            placedAt: '2026-10-18T09:30:00Z',
+            total: 19.5,
+            items: [{ sku: 'A', quantity: 2 }, { sku: 'B', quantity: 5 }]
+        })).toEqual({
+            type: 'object',
+            properties: {
+                id: { type: 'string', format: 'uuid' },
+                placedAt: { type: 'string', format: 'date-time' },
+                total: { type: 'number' },
+                items: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            sku: { type: 'string' },
+                            quantity: { type: 'integer' }
+                        },
+                        required: ['sku', 'quantity']
+                    }
+                }
+            },
+            required: ['id', 'placedAt', 'total', 'items']
+        });
+    });
+
+    test('merging widens types, drops optional fields from required and unions types', () => {
+        const merged = schemaInference.mergeAll([
+            schemaInference.infer({ count: 1, note: 'x', code: 3 }),
+            schemaInference.infer({ count: 2.5, code: 'E3' })
+        ]);
+
+        expect(merged.required).toEqual(['count', 'code']);
+        expect(merged.properties.count).toEqual({ type: 'number' });
+        expect(merged.properties.code).toEqual({ anyOf: [{ type: 'integer' }, { type: 'string' }] });
+    });
+
+    test('ranges come from the values and widen when merged', () => {
+        expect(schemaInference.range([3, 1.5, 7])).toEqual({ minimum: 1.5, maximum: 7 });
+        expect(schemaInference.range([3, '[REDACTED:ssn]'])).toEqual({});
+        expect(schemaInference.merge(
+            { type: 'integer', minimum: 1, maximum: 2 },
+            { type: 'number', minimum: 0.5, maximum: 1 }
+        )).toEqual({ type: 'number', minimum: 0.5, maximum: 2 });
+    });
+
+    test('normalizes legacy { field: type } maps', () => {
+        expect(schemaInference.fieldTypes({ orderId: 'string', items: 'object', total: { type: 'number' } }))
+            .toEqual({ orderId: 'string', items: 'array|object', total: 'number' });
+    });
+
+    test('accepts integers where numbers are expected', () => {
+        expect(schemaInference.acceptsValue({ type: 'number' }, 3)).toBe(true);
+        expect(schemaInference.acceptsValue({ type: 'integer' }, 3.5)).toBe(false);
+    });
+
+    test('compares schemas by their property paths', () => {
+        const a = schemaInference.infer({ customer: { city: 'Oslo', zip: '0150' } });
+        const b = schemaInference.infer({ customer: { city: 'Oslo', zip: 150 } });
+
+        expect(schemaInference.similarity(a, a)).toBe(1);
+        expect(schemaInference.similarity(a, b)).toBeCloseTo(2.5 / 3);
+    });
+});
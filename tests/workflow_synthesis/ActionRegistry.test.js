@@ -0,0 +1,51 @@
+// ActionRegistry.test.js
+// Registration, schema validation and dispatch of task actions
+
+const ActionRegistry = require('../../src/workflow_synthesis/ActionRegistry');
+
+describe('ActionRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new ActionRegistry();
+    });
+
+    test('registers an action under a type-prefixed identifier', () => {
+        const actionIdentifier = registry.register('lookup_order', { type: 'local', handler: async () => ({}) });
+
+        expect(actionIdentifier).toBe('local:lookup_order');
+        expect(registry.resolveAction('lookup_order')).toBe('local:lookup_order');
+        expect(registry.resolveAction('unknown')).toBeNull();
+    });
+
+    test('rejects unknown types and definitions missing their target', () => {
+        expect(() => registry.register('a', { type: 'ftp' })).toThrow("Unknown action type 'ftp'");
+        expect(() => registry.register('a', { type: 'http' })).toThrow("requires 'url'");
+    });
+
+    test('validates input and output against the declared schemas', async () => {
+        registry.register('lookup_order', {
+            type: 'local',
+            inputSchema: { orderId: 'string', limit: 'number?' },
+            outputSchema: { status: 'enum:shipped|pending' },
+            handler: async ({ orderId }) => ({ status: orderId === 'A1' ? 'shipped' : 'lost' })
+        });
+
+        await expect(registry.invoke('local:lookup_order', { orderId: 'A1' })).resolves.toEqual({ status: 'shipped' });
+        await expect(registry.invoke('local:lookup_order', { limit: 5 }))
+            .rejects.toThrow("missing required field 'orderId'");
+        await expect(registry.invoke('local:lookup_order', { orderId: 'B2' }))
+            .rejects.toThrow("field 'status' should be one of shipped|pending but was lost");
+    });
+
+    test('runs child workflows through the caller\'s executor', async () => {
+        const child = { workflowId: 'child' };
+        registry.register('refund', { type: 'workflow', workflow: child });
+        const executor = { execute: jest.fn(async () => ({ success: true, output: { refunded: true } })) };
+
+        await expect(registry.invoke('workflow:refund', { amount: 5 }, { executor, context: {} }))
+            .resolves.toEqual({ refunded: true });
+        expect(executor.execute).toHaveBeenCalledWith(child, { amount: 5 }, {});
+        await expect(registry.invoke('workflow:refund', {})).rejects.toThrow('requires an executor');
+    });
+});
@@ -0,0 +1,68 @@
+// ApprovalQueue.test.js
+// Review decisions on pending workflows and their audit trail
+
+const ApprovalQueue = require('../../src/workflow_synthesis/ApprovalQueue');
+const ShadowRolloutManager = require('../../src/routing/ShadowRolloutManager');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+function workflow(workflowId, version, taskName = 'lookup') {
+    return {
+        workflowId,
+        lineageKey: 'orders',
+        version,
+        versionId: `orders@v${version}`,
+        questionFingerprint: 'a',
+        domain: 'finance',
+        startAt: 'lookup',
+        states: { lookup: { type: 'task', taskName, goto: 'end' }, end: { type: 'end' } }
+    };
+}
+
+describe('ApprovalQueue', () => {
+    let repositories;
+    let queue;
+
+    beforeEach(() => {
+        repositories = createRepositories({ store: new MemoryStore() });
+        queue = new ApprovalQueue({
+            repositories,
+            reviewDomains: ['finance'],
+            shadowRollout: new ShadowRolloutManager({ repositories })
+        });
+    });
+
+    test('a newer submission supersedes the pending version of its lineage', async () => {
+        await queue.submit(workflow('w1', 1));
+        await queue.submit(workflow('w2', 2));
+
+        expect((await repositories.workflows.get('w1')).status).toBe('superseded');
+        expect((await queue.listPending()).map(item => item.workflowId)).toEqual(['w2']);
+    });
+
+    test('approval starts shadow rollout and supersedes an older shadow version', async () => {
+        await repositories.workflows.save({ ...workflow('w1', 1), status: 'shadow' });
+        await queue.submit(workflow('w2', 2, 'lookup_v2'));
+
+        await queue.approve('w2', { reviewer: 'alice' });
+
+        expect((await repositories.workflows.get('w2')).status).toBe('shadow');
+        expect((await repositories.workflows.get('w1')).status).toBe('superseded');
+    });
+
+    test('rejection needs a reviewer and a reason, and is audited', async () => {
+        await queue.submit(workflow('w1', 1));
+
+        await expect(queue.reject('w1', { reviewer: 'alice' })).rejects.toThrow('requires a reason');
+        await queue.reject('w1', { reviewer: 'alice', reason: 'wrong lookup' });
+
+        expect((await queue.getAuditLog('w1')).map(entry => entry.action)).toEqual(['submitted', 'rejected']);
+    });
+
+    test('edits must leave every referenced state in place', async () => {
+        await queue.submit(workflow('w1', 1));
+
+        await expect(queue.edit('w1', {
+            states: { lookup: { type: 'task', taskName: 'lookup', goto: 'missing' }, end: { type: 'end' } }
+        }, { reviewer: 'alice' })).rejects.toThrow('missing state missing');
+    });
+});
@@ -0,0 +1,60 @@
+// ContractValidator.test.js
+// Inputs and outputs checked against a workflow's synthesized contracts
+
+const ContractValidator = require('../../src/workflow_synthesis/ContractValidator');
+
+describe('ContractValidator', () => {
+    const validator = new ContractValidator();
+
+    const inputContract = {
+        required: ['orderId', 'region'],
+        schema: {
+            type: 'object',
+            properties: {
+                orderId: { type: 'string' },
+                region: { type: 'string', enum: ['eu', 'us'] },
+                limit: { type: 'integer' }
+            }
+        }
+    };
+
+    test('accepts an input that honours the contract, reading fields from the context too', () => {
+        expect(validator.validateInput(inputContract, { orderId: 'A1' }, { region: 'eu' })).toEqual([]);
+    });
+
+    test('reports missing, mistyped and out-of-enum input fields', () => {
+        expect(validator.validateInput(inputContract, { orderId: 7, region: 'apac', limit: 2.5 })).toEqual([
+            "field 'orderId' should be string but was integer",
+            'field \'region\' should be one of "eu", "us"',
+            "field 'limit' should be integer but was number"
+        ]);
+        expect(validator.validateInput(inputContract, {})).toEqual([
+            "missing required field 'orderId'",
+            "missing required field 'region'"
+        ]);
+    });
+
+    test('reports missing guaranteed and mistyped output fields', () => {
+        const outputContract = {
+            guarantees: ['status'],
+            schema: { type: 'object', properties: { status: { type: 'string' }, total: { type: 'number' } } }
+        };
+
+        expect(validator.validateOutput(outputContract, { status: 'shipped', total: 3.5 })).toEqual([]);
+        expect(validator.validateOutput(outputContract, { total: 'free' })).toEqual([
+            "missing guaranteed field 'status'",
+            "field 'total' should be number but was string"
+        ]);
+        expect(validator.validateOutput(outputContract, null)).toEqual(["missing guaranteed field 'status'"]);
+    });
+
+    test('violation errors carry a code and the phase', () => {
+        const error = validator.violationError('output', ["missing guaranteed field 'status'"]);
+
+        expect(error).toMatchObject({
+            code: 'CONTRACT_VIOLATION',
+            contractViolation: { phase: 'output', violations: ["missing guaranteed field 'status'"] }
+        });
+        expect(() => new ContractValidator({ contractViolationAction: 'ignore' })).toThrow('Unknown contract violation action');
+    });
+});
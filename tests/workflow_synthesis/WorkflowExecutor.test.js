@@ -0,0 +1,219 @@
+// WorkflowExecutor.test.js
+// Running synthesized workflows: tasks, choices, fork/join, loops and maps
+
+const WorkflowExecutor = require('../../src/workflow_synthesis/WorkflowExecutor');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function workflow(states, startAt = Object.keys(states)[0]) {
+    return { workflowId: 'wf_test', startAt, states: { ...states, end: states.end || { type: 'end' } } };
+}
+
+describe('WorkflowExecutor', () => {
+    let executor;
+
+    beforeEach(() => {
+        executor = new WorkflowExecutor({ taskTimeout: 200 });
+        executor.registerHandler('lambda:echo', async input => input);
+        executor.registerHandler('lambda:fail', async () => {
+            throw new Error('boom');
+        });
+    });
+
+    test('passes task outputs to later tasks and records the path', async () => {
+        const result = await executor.execute(workflow({
+            fetch: { type: 'task', actionIdentifier: 'lambda:echo', input: { id: '${orderId}' }, goto: 'format' },
+            format: { type: 'task', actionIdentifier: 'lambda:echo', input: { text: 'order ${fetch_output.id}' } },
+            end: { type: 'end', output: '${format_output.text}' }
+        }), { orderId: 42 });
+
+        expect(result.success).toBe(true);
+        expect(result.output).toBe('order 42');
+        expect(result.executionPath.map(step => step.taskName)).toEqual(['fetch', 'format']);
+        expect(result.executionPath[1].dependsOn).toEqual([result.executionPath[0].taskId]);
+    });
+
+    test('choices route on the input', async () => {
+        const definition = workflow({
+            route: {
+                type: 'choice',
+                choices: [{ condition: '${severity} == "critical"', goto: 'page' }],
+                default: 'ticket'
+            },
+            page: { type: 'task', actionIdentifier: 'lambda:echo', input: { via: 'page' } },
+            ticket: { type: 'task', actionIdentifier: 'lambda:echo', input: { via: 'ticket' } }
+        });
+
+        expect((await executor.execute(definition, { severity: 'critical' })).output).toEqual({ via: 'page' });
+        expect((await executor.execute(definition, { severity: 'low' })).output).toEqual({ via: 'ticket' });
+    });
+
+    test('retries, then fails the run or skips an optional task', async () => {
+        const flaky = jest.fn()
+            .mockRejectedValueOnce(new Error('throttled'))
+            .mockResolvedValue('ok');
+        executor.registerHandler('lambda:flaky', flaky);
+
+        const retried = await executor.execute(workflow({
+            call: { type: 'task', actionIdentifier: 'lambda:flaky', retry: { maxAttempts: 2, backoffMs: 0 } }
+        }));
+        expect(retried.output).toBe('ok');
+        expect(retried.executionPath[0].retries).toBe(1);
+
+        const failed = await executor.execute(workflow({ call: { type: 'task', actionIdentifier: 'lambda:fail' } }));
+        expect(failed.success).toBe(false);
+        expect(failed.error).toBe('Task call failed: boom');
+
+        const skipped = await executor.execute(workflow({
+            call: { type: 'task', actionIdentifier: 'lambda:fail', errorHandler: 'skip' }
+        }));
+        expect(skipped.success).toBe(true);
+        expect(skipped.executionPath[0].status).toBe('skipped');
+    });
+
+    test('times out slow tasks', async () => {
+        executor.registerHandler('lambda:slow', () => delay(100));
+
+        const result = await executor.execute(workflow({
+            call: { type: 'task', actionIdentifier: 'lambda:slow', timeout: 10 }
+        }));
+
+        expect(result.error).toBe('Task call failed: Task call timed out after 10ms');
+    });
+
+    test('fail states fail the run with their error and cause', async () => {
+        const result = await executor.execute(workflow({
+            reject: { type: 'fail', error: 'OrderNotFound', cause: 'no such order' }
+        }));
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('OrderNotFound: no such order');
+    });
+
+    test('loops until the exit condition holds, bounded by maxIterations', async () => {
+        let polls = 0;
+        executor.registerHandler('lambda:poll', async () => ({ done: ++polls >= 3 }));
+
+        const definition = workflow({
+            wait: { type: 'loop', iterator: 'poll', exitCondition: '${poll_output.done} == true', maxIterations: 5 },
+            poll: { type: 'task', actionIdentifier: 'lambda:poll', goto: 'wait' }
+        });
+
+        expect((await executor.execute(definition)).executionPath).toHaveLength(3);
+
+        polls = -10;
+        expect((await executor.execute(definition)).executionPath).toHaveLength(5);
+    });
+
+    test('a loop without an exit condition runs exactly maxIterations times', async () => {
+        const definition = workflow({
+            repeat: { type: 'loop', iterator: 'ping', exitCondition: null, maxIterations: 3 },
+            ping: { type: 'task', actionIdentifier: 'lambda:echo', goto: 'repeat' }
+        });
+
+        expect((await executor.execute(definition)).executionPath).toHaveLength(3);
+
+        delete definition.states.repeat.maxIterations;
+        expect(await executor.execute(definition)).toMatchObject({ success: false, error: 'Loop repeat has no iteration bound' });
+    });
+
+    test('maps a chain over every item', async () => {
+        const result = await executor.execute(workflow({
+            each: { type: 'map', itemsPath: '${orders}', iterator: 'price', output: '${prices}' },
+            price: { type: 'task', actionIdentifier: 'lambda:echo', input: { order: '${item}', index: '${itemIndex}' } },
+            end: { type: 'end', output: '${prices}' }
+        }), { orders: ['a', 'b'] });
+
+        expect(result.output).toEqual([{ order: 'a', index: 0 }, { order: 'b', index: 1 }]);
+    });
+
+    describe('parallel states', () => {
+        test('join every branch and depend on the last task of each', async () => {
+            const result = await executor.execute(workflow({
+                fork: { type: 'parallel', branches: ['logs', 'metrics'], goto: 'report' },
+                logs: { type: 'task', actionIdentifier: 'lambda:echo', input: { source: 'logs' } },
+                metrics: { type: 'task', actionIdentifier: 'lambda:echo', input: { source: 'metrics' } },
+                report: {
+                    type: 'task',
+                    actionIdentifier: 'lambda:echo',
+                    input: { sources: ['${logs_output.source}', '${metrics_output.source}'] }
+                }
+            }));
+
+            const report = result.executionPath.find(step => step.taskName === 'report');
+            expect(result.output).toEqual({ sources: ['logs', 'metrics'] });
+            expect(report.dependsOn).toHaveLength(2);
+            expect(Object.keys(result.taskOutputs)).toHaveLength(3);
+        });
+
+        test('branches continue through choices and loops', async () => {
+            let polls = 0;
+            executor.registerHandler('lambda:poll', async () => ({ done: ++polls >= 2 }));
+
+            const result = await executor.execute(workflow({
+                fork: { type: 'parallel', branches: ['classify', 'wait'], goto: 'end' },
+                classify: { type: 'task', actionIdentifier: 'lambda:echo', input: { level: '${level}' }, goto: 'route' },
+                route: {
+                    type: 'choice',
+                    choices: [{ condition: '${classify_output.level} == "high"', goto: 'escalate' }],
+                    default: 'archive'
+                },
+                escalate: { type: 'task', actionIdentifier: 'lambda:echo', input: { escalated: true } },
+                archive: { type: 'task', actionIdentifier: 'lambda:echo', input: { archived: true } },
+                wait: { type: 'loop', iterator: 'poll', exitCondition: '${poll_output.done} == true', maxIterations: 5 },
+                poll: { type: 'task', actionIdentifier: 'lambda:poll', goto: 'wait' }
+            }), { level: 'high' });
+
+            expect(result.executionPath.map(step => step.taskName).sort())
+                .toEqual(['classify', 'escalate', 'poll', 'poll']);
+        });
+
+        test('a cycle inside a branch stops at maxSteps', async () => {
+            const bounded = new WorkflowExecutor({ maxSteps: 20 });
+            bounded.registerHandler('lambda:echo', async input => input);
+
+            const result = await bounded.execute(workflow({
+                fork: { type: 'parallel', branches: ['spin'], goto: 'end' },
+                spin: { type: 'task', actionIdentifier: 'lambda:echo', goto: 'spin' }
+            }));
+
+            expect(result.success).toBe(false);
+            expect(result.error).toBe('Parallel state fork failed: Workflow exceeded 20 steps');
+        });
+
+        test('each branch has its own scope while it runs', async () => {
+            executor.registerHandler('lambda:slow_echo', async input => {
+                await delay(input.wait);
+                return input.wait;
+            });
+
+            const result = await executor.execute(workflow({
+                fork: { type: 'parallel', branches: ['first', 'second'], goto: 'end' },
+                first: { type: 'map', itemsPath: '${a}', iterator: 'first_wait', output: '${first_items}' },
+                first_wait: { type: 'task', actionIdentifier: 'lambda:slow_echo', input: { wait: 5 }, goto: 'first_item' },
+                first_item: { type: 'task', actionIdentifier: 'lambda:echo', input: '${item}' },
+                second: { type: 'map', itemsPath: '${b}', iterator: 'second_wait', output: '${second_items}' },
+                second_wait: { type: 'task', actionIdentifier: 'lambda:slow_echo', input: { wait: 1 }, goto: 'second_item' },
+                second_item: { type: 'task', actionIdentifier: 'lambda:echo', input: '${item}' },
+                end: { type: 'end', output: { first: '${first_items}', second: '${second_items}' } }
+            }), { a: ['a1', 'a2'], b: ['b1', 'b2', 'b3'] });
+
+            expect(result.output).toEqual({ first: ['a1', 'a2'], second: ['b1', 'b2', 'b3'] });
+        });
+
+        test('a failed branch fails the run unless the state is skippable', async () => {
+            const states = {
+                fork: { type: 'parallel', branches: ['good', 'bad'], goto: 'end' },
+                good: { type: 'task', actionIdentifier: 'lambda:echo', input: { ok: true } },
+                bad: { type: 'task', actionIdentifier: 'lambda:fail' }
+            };
+
+            const failed = await executor.execute(workflow(states));
+            expect(failed.error).toBe('Parallel state fork failed: Task bad failed: boom');
+
+            const skipped = await executor.execute(workflow({ ...states, fork: { ...states.fork, errorHandler: 'skip' } }));
+            expect(skipped.success).toBe(true);
+            expect(skipped.output).toEqual({ good: { ok: true }, bad: undefined });
+        });
+    });
+});
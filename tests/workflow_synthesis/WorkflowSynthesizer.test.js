@@ -0,0 +1,122 @@
+// WorkflowSynthesizer.test.js
+// Workflow states generated from mined patterns
+
+const WorkflowSynthesizer = require('../../src/workflow_synthesis/WorkflowSynthesizer');
+
+const schema = fields => ({
+    type: 'object',
+    properties: Object.fromEntries(fields.map(field => [field, { type: 'string' }]))
+});
+
+function pattern(overrides = {}) {
+    return {
+        patternId: 'p1',
+        normalizedQuery: 'check order status',
+        consensusSequence: [
+            { position: 0, taskName: 'lookup_order', frequency: 1, inputSchema: schema(['orderId', 'region']), fromUserInput: true },
+            { position: 1, taskName: 'format_reply', frequency: 1, inputSchema: schema(['locale']), fromUserInput: false }
+        ],
+        variableRegions: [{ position: 0, field: 'orderId', distinctValues: 3, fromUserInput: true }],
+        guardConditions: [],
+        ...overrides
+    };
+}
+
+describe('WorkflowSynthesizer', () => {
+    const synthesizer = new WorkflowSynthesizer();
+
+    test('maps varying fields and every field from user input to the input', () => {
+        const states = synthesizer.generateStates(pattern());
+
+        expect(states.lookup_order.input).toEqual({ orderId: '${input.orderId}', region: '${input.region}' });
+        expect(states.format_reply.input).toEqual({ locale: '${context.locale}' });
+    });
+
+    test('maps branch options and parallel branches by their own input source', () => {
+        const states = synthesizer.generateStates(pattern({
+            consensusSequence: [
+                {
+                    position: 0,
+                    taskName: 'fetch',
+                    type: 'parallel',
+                    frequency: 1,
+                    branches: [
+                        { taskName: 'fetch_logs', inputSchema: schema(['service']), fromUserInput: true },
+                        { taskName: 'fetch_metrics', inputSchema: schema(['window']), fromUserInput: false }
+                    ]
+                },
+                {
+                    position: 1,
+                    taskName: 'BRANCH',
+                    options: ['page_oncall'],
+                    optionSchemas: { page_oncall: { inputSchema: schema(['team']), fromUserInput: true } }
+                }
+            ],
+            variableRegions: [],
+            guardConditions: [{ position: 1, conditions: { page_oncall: { field: 'severity', operator: '==', value: 'critical' } } }]
+        }));
+
+        expect(states.fetch_logs.input).toEqual({ service: '${input.service}' });
+        expect(states.fetch_metrics.input).toEqual({ window: '${context.window}' });
+        expect(states.page_oncall.input).toEqual({ team: '${input.team}' });
+        expect(states.choice_1.choices[0].goto).toBe('page_oncall');
+    });
+
+    test('chains consensus tasks between input validation and the end', () => {
+        const states = synthesizer.generateStates(pattern());
+
+        expect(states.input_validation.goto).toBe('lookup_order');
+        expect(states.lookup_order.goto).toBe('format_reply');
+        expect(states.format_reply.goto).toBe('end');
+        expect(states.end.validateContract).toBe(true);
+    });
+
+    test('input contracts get numeric ranges from the unredacted trace values', () => {
+        const traces = [[2, 1200, 'A'], [5, 800, 'B'], [3, 950, 'C']].map(([quantity, account, orderId]) => ({
+            executionSequence: [{
+                input: {
+                    schema: { type: 'object', properties: { quantity: { type: 'integer' }, account: { type: 'integer' }, orderId: { type: 'string' } } },
+                    values: { quantity, account, orderId }
+                }
+            }],
+            redactions: { 'field:account': 1 }
+        }));
+
+        const { properties } = synthesizer.extractInputContract(pattern(), traces).schema;
+
+        expect(properties.quantity).toMatchObject({ type: 'integer', minimum: 2, maximum: 5 });
+        expect(properties.account).toEqual({ type: 'integer' });
+        expect(properties.orderId).not.toHaveProperty('minimum');
+    });
+
+    test('enums are opt-in and need enumMinSamples samples over at most enumMaxValues values', () => {
+        const traces = count => Array.from({ length: count }, (_, i) => ({
+            executionSequence: [{ input: { values: { region: ['eu', 'us', 'apac'][i % 3] } } }]
+        }));
+        const strict = new WorkflowSynthesizer({ inferEnums: true, enumMinSamples: 12, enumMaxValues: 3 });
+
+        expect(synthesizer.inferFieldValues('region', traces(100))).not.toHaveProperty('enum');
+        expect(strict.inferFieldValues('region', traces(11))).not.toHaveProperty('enum');
+        expect(strict.inferFieldValues('region', traces(12)).enum).toEqual(['eu', 'us', 'apac']);
+        expect(new WorkflowSynthesizer({ inferEnums: true, enumMinSamples: 12, enumMaxValues: 2 })
+            .inferFieldValues('region', traces(12))).not.toHaveProperty('enum');
+        expect(new WorkflowSynthesizer({ inferEnums: true }).inferFieldValues('region', traces(29))).not.toHaveProperty('enum');
+    });
+
+    test('a loop without an exit condition repeats its observed count, or is left unbounded when counts vary', () => {
+        const loop = structure => synthesizer.generateStates(pattern({
+            consensusSequence: [
+                { position: 0, taskName: 'LOOP(poll)', type: 'loop', frequency: 1, body: [{ taskName: 'poll', inputSchema: schema(['jobId']) }] }
+            ],
+            loopStructures: [{ taskName: 'LOOP(poll)', exitCondition: null, maxIterations: 5, ...structure }]
+        }));
+
+        const fixed = loop({ minIterations: 3, observedMax: 3 });
+        expect(fixed.loop_0).toMatchObject({ type: 'loop', maxIterations: 3, exitCondition: null });
+        expect(synthesizer.detectCycles({ startAt: 'input_validation', states: fixed })).toBe(false);
+
+        const varying = loop({ minIterations: 2, observedMax: 3 });
+        expect(varying.loop_0.maxIterations).toBeNull();
+        expect(synthesizer.detectCycles({ startAt: 'input_validation', states: varying })).toBe(true);
+    });
+});
@@ -0,0 +1,122 @@
+// WorkflowVersionManager.test.js
+// Versions, pinning and rollback in a lineage, and the version serving a fingerprint
+
+const WorkflowVersionManager = require('../../src/workflow_synthesis/WorkflowVersionManager');
+const { createRepositories, MemoryStore } = require('../../src/storage');
+
+function workflow(workflowId, fingerprints, extra = {}) {
+    return {
+        workflowId,
+        clusterId: `cluster-${fingerprints.join('-')}`,
+        questionFingerprint: fingerprints[0],
+        questionFingerprints: fingerprints,
+        states: { lookup: { type: 'task', taskName: 'lookup' }, end: { type: 'end' } },
+        ...extra
+    };
+}
+
+describe('WorkflowVersionManager', () => {
+    let repositories;
+    let manager;
+
+    beforeEach(() => {
+        repositories = createRepositories({ store: new MemoryStore() });
+        manager = new WorkflowVersionManager({ repositories });
+    });
+
+    async function deploy(item, status = 'active') {
+        const version = await manager.createVersion({ ...item, status });
+        await repositories.workflows.save(version);
+        if (status === 'active') await manager.activate(version);
+        return version;
+    }
+
+    const revised = taskName => ({ states: { lookup: { type: 'task', taskName }, end: { type: 'end' } } });
+
+    test('each synthesis becomes the next version of its lineage, linked to its parent', async () => {
+        const first = await deploy(workflow('w1', ['a']));
+        const second = await deploy(workflow('w2', ['a'], revised('lookup_v2')));
+
+        expect(second).toMatchObject({
+            lineageKey: first.lineageKey,
+            version: 2,
+            versionId: `${first.lineageKey}@v2`,
+            parentWorkflowId: 'w1',
+            parentVersion: 1
+        });
+        expect(second.changesFromParent.states).toEqual({ added: [], removed: [], changed: ['lookup'] });
+        expect((await repositories.workflows.get('w1')).status).toBe('retired');
+    });
+
+    test('a pinned version keeps serving until it is unpinned', async () => {
+        const first = await deploy(workflow('w1', ['a']));
+        await manager.pin(first.lineageKey, 1);
+        await deploy(workflow('w2', ['a'], revised('lookup_v2')));
+
+        expect((await manager.getActiveVersion(first.lineageKey)).workflowId).toBe('w1');
+
+        await manager.unpin(first.lineageKey);
+
+        expect((await manager.getActiveVersion(first.lineageKey)).workflowId).toBe('w2');
+    });
+
+    test('a rollback re-activates the parent of the version in service', async () => {
+        const first = await deploy(workflow('w1', ['a']));
+        await deploy(workflow('w2', ['a'], revised('lookup_v2')));
+
+        await manager.rollback(first.lineageKey);
+
+        expect((await repositories.workflows.get('w2')).status).toBe('rolled_back');
+        expect((await manager.getActiveVersion(first.lineageKey)).workflowId).toBe('w1');
+    });
+
+    test('a grown cluster continues the lineage of the fingerprints it already served', async () => {
+        const first = await deploy(workflow('w1', ['a', 'b']));
+        const second = await deploy(workflow('w2', ['a', 'b', 'c'], {
+            states: { lookup: { type: 'task', taskName: 'lookup_v2' }, end: { type: 'end' } }
+        }));
+
+        expect(second.lineageKey).toBe(first.lineageKey);
+        expect(second.version).toBe(2);
+        expect(second.changesFromParent.questionFingerprints.added).toEqual(['c']);
+        expect((await repositories.workflows.get('w1')).status).toBe('retired');
+    });
+
+    test('does not version a workflow identical to the one in service', async () => {
+        await deploy(workflow('w1', ['a']));
+
+        expect(await manager.createVersion(workflow('w2', ['a'], { confidence: 0.99 }))).toBeNull();
+    });
+
+    test('activating a merged lineage retires the other lineages serving its fingerprints', async () => {
+        await deploy(workflow('wa', ['a']));
+        await deploy(workflow('wb', ['b']));
+        const merged = await deploy(workflow('wab', ['a', 'b'], {
+            states: { lookup: { type: 'task', taskName: 'lookup_merged' }, end: { type: 'end' } }
+        }));
+
+        expect(merged.lineageKey).toBe('cluster-a');
+        expect((await repositories.workflows.get('wb')).status).toBe('retired');
+        expect(manager.servingVersion(await repositories.workflows.findByFingerprint('b', 'active')))
+            .toMatchObject({ workflowId: 'wab' });
+    });
+
+    test('picks the most recently activated lineage, not the highest version number', () => {
+        const older = { workflowId: 'old', lineageKey: 'x', version: 5, status: 'active', statusChangedAt: 1000 };
+        const newer = { workflowId: 'new', lineageKey: 'y', version: 1, status: 'active', statusChangedAt: 2000 };
+
+        expect(manager.servingVersion([older, newer]).workflowId).toBe('new');
+    });
+
+    test('a version entering shadow supersedes older shadow versions of its lineage', async () => {
+        const first = await deploy(workflow('w1', ['a']), 'shadow');
+        const second = await deploy(workflow('w2', ['a'], {
+            states: { lookup: { type: 'task', taskName: 'lookup_v2' }, end: { type: 'end' } }
+        }), 'shadow');
+
+        await manager.supersedeShadows(second);
+
+        expect((await repositories.workflows.get(first.workflowId)).status).toBe('superseded');
+        expect((await repositories.workflows.get(second.workflowId)).status).toBe('shadow');
+    });
+});
@@ -0,0 +1,64 @@
+// AslExporter.test.js
+// Synthesized workflows as Amazon States Language definitions
+
+const { createExporter } = require('../../../src/workflow_synthesis/export');
+
+const workflow = {
+    workflowId: 'w1',
+    name: 'Order status',
+    versionId: 'orders@v2',
+    startAt: 'input_validation',
+    states: {
+        input_validation: { type: 'validation', goto: 'lookup_order' },
+        lookup_order: {
+            type: 'task',
+            actionIdentifier: 'lambda:lookupOrder',
+            input: { orderId: '${input.orderId}' },
+            output: '${lookup_order_output}',
+            retry: { maxAttempts: 3 },
+            goto: 'check'
+        },
+        check: {
+            type: 'choice',
+            choices: [{ condition: "${lookup_order_output.status} == 'shipped'", goto: 'done' }],
+            default: 'not_shipped'
+        },
+        done: { type: 'end', output: { status: '${lookup_order_output.status}' } },
+        not_shipped: { type: 'fail', error: 'NotShipped' }
+    }
+};
+
+describe('AslExporter', () => {
+    test('maps tasks, choices and end states onto ASL states', () => {
+        const { Comment, StartAt, States } = createExporter('asl', { awsRegion: 'eu-west-1', awsAccountId: '123' }).export(workflow);
+
+        expect(Comment).toBe('Order status (orders@v2)');
+        expect(StartAt).toBe('input_validation');
+        expect(States.input_validation).toMatchObject({ Type: 'Pass', Next: 'lookup_order' });
+        expect(States.lookup_order).toMatchObject({
+            Type: 'Task',
+            Resource: 'arn:aws:lambda:eu-west-1:123:function:lookupOrder',
+            Parameters: { 'orderId.$': '$.input.orderId' },
+            ResultPath: '$.lookup_order_output',
+            Retry: [expect.objectContaining({ ErrorEquals: ['States.ALL'], MaxAttempts: 2 })],
+            Next: 'check'
+        });
+        expect(States.check).toEqual({
+            Type: 'Choice',
+            Choices: [{ Variable: '$.lookup_order_output.status', StringEquals: 'shipped', Next: 'done' }],
+            Default: 'not_shipped'
+        });
+        expect(States.done).toEqual({ Type: 'Pass', Parameters: { 'status.$': '$.lookup_order_output.status' }, End: true });
+        expect(States.not_shipped).toMatchObject({ Type: 'Fail', Error: 'NotShipped' });
+    });
+
+    test('leaves region and account as substitution placeholders when not configured', () => {
+        const { States } = createExporter('asl').export(workflow);
+
+        expect(States.lookup_order.Resource).toBe('arn:aws:lambda:${Region}:${AccountId}:function:lookupOrder');
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => createExporter('yaml')).toThrow("Unknown export format 'yaml'");
+    });
+});
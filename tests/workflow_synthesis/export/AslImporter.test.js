@@ -0,0 +1,62 @@
+// AslImporter.test.js
+// Hand-authored ASL definitions run as deterministic workflows
+
+const { AslImporter } = require('../../../src/workflow_synthesis/export');
+const WorkflowExecutor = require('../../../src/workflow_synthesis/WorkflowExecutor');
+
+const definition = {
+    Comment: 'Order status',
+    StartAt: 'Lookup',
+    States: {
+        Lookup: {
+            Type: 'Task',
+            Resource: 'arn:aws:lambda:eu-west-1:123:function:lookupOrder',
+            Parameters: { 'orderId.$': '$.orderId' },
+            ResultPath: '$.order',
+            Retry: [{ ErrorEquals: ['States.ALL'], MaxAttempts: 1, IntervalSeconds: 0 }],
+            Next: 'Shipped?'
+        },
+        'Shipped?': {
+            Type: 'Choice',
+            Choices: [{ Variable: '$.order.status', StringEquals: 'shipped', Next: 'Notify' }],
+            Default: 'NotShipped'
+        },
+        Notify: {
+            Type: 'Task',
+            Resource: 'arn:aws:states:::lambda:invoke',
+            Parameters: { FunctionName: 'notify', Payload: { 'text.$': "States.Format('Order {} shipped', $.orderId)" } },
+            End: true
+        },
+        NotShipped: { Type: 'Fail', Error: 'NotShipped' }
+    }
+};
+
+describe('AslImporter', () => {
+    test('converts tasks, retries and choices into workflow states', () => {
+        const workflow = new AslImporter().import(definition);
+
+        expect(workflow).toMatchObject({ workflowId: 'asl_order_status', source: 'asl', startAt: 'Lookup' });
+        expect(workflow.states.Lookup).toMatchObject({
+            actionIdentifier: 'lambda:lookupOrder',
+            input: { orderId: '${orderId}' },
+            output: '${order}',
+            retry: { maxAttempts: 2, backoffMs: 0 }
+        });
+        expect(workflow.states.Notify.input).toEqual({ text: 'Order ${orderId} shipped' });
+    });
+
+    test('the imported workflow runs on the executor', async () => {
+        const executor = new WorkflowExecutor();
+        executor.registerHandler('lambda:lookupOrder', async ({ orderId }) => ({ status: orderId === 'A1' ? 'shipped' : 'held' }));
+        executor.registerHandler('lambda:notify', async input => input);
+        const workflow = new AslImporter().import(JSON.stringify(definition));
+
+        expect((await executor.execute(workflow, { orderId: 'A1' })).output).toEqual({ text: 'Order A1 shipped' });
+        expect(await executor.execute(workflow, { orderId: 'B2' })).toMatchObject({ success: false, failedState: 'NotShipped' });
+    });
+
+    test('rejects states it cannot represent', () => {
+        expect(() => new AslImporter().import({ StartAt: 'Pause', States: { Pause: { Type: 'Wait', Seconds: 5, End: true } } }))
+            .toThrow('Wait states are not supported');
+    });
+});
@@ -0,0 +1,42 @@
+// BpmnExporter.test.js
+// Synthesized workflows as BPMN 2.0 process diagrams
+
+const { createExporter } = require('../../../src/workflow_synthesis/export');
+
+const workflow = {
+    workflowId: 'w 1',
+    name: 'Ship & notify',
+    startAt: 'fork',
+    states: {
+        fork: { type: 'parallel', branches: ['ship', 'notify'], goto: 'end' },
+        ship: { type: 'task', actionIdentifier: 'lambda:ship' },
+        notify: { type: 'task', actionIdentifier: 'lambda:notify' },
+        end: { type: 'end' }
+    }
+};
+
+describe('BpmnExporter', () => {
+    const xml = createExporter('bpmn').export(workflow);
+    const flows = [...xml.matchAll(/<bpmn:sequenceFlow id="[^"]+" sourceRef="([^"]+)" targetRef="([^"]+)"/g)]
+        .map(match => `${match[1]}->${match[2]}`);
+
+    test('renders a fork/join as diverging and converging parallel gateways', () => {
+        expect(xml).toContain('<bpmn:parallelGateway id="fork" name="fork" gatewayDirection="Diverging">');
+        expect(xml).toContain('<bpmn:parallelGateway id="fork_join" name="fork join" gatewayDirection="Converging">');
+        expect(flows).toEqual(expect.arrayContaining([
+            'start->fork', 'fork->ship', 'fork->notify', 'ship->fork_join', 'notify->fork_join'
+        ]));
+    });
+
+    test('escapes names and sanitizes ids', () => {
+        expect(xml).toContain('<bpmn:process id="process_w_1" name="Ship &amp; notify" isExecutable="false">');
+    });
+
+    test('lays out every flow node in the diagram', () => {
+        const nodes = [...xml.matchAll(/<bpmn:(?:startEvent|endEvent|serviceTask|parallelGateway) id="([^"]+)"/g)].map(match => match[1]);
+        const shapes = [...xml.matchAll(/<bpmndi:BPMNShape id="[^"]+" bpmnElement="([^"]+)"/g)].map(match => match[1]);
+
+        expect(shapes.sort()).toEqual(nodes.sort());
+        expect(xml.match(/<bpmndi:BPMNEdge /g)).toHaveLength(flows.length);
+    });
+});